@@ -0,0 +1,375 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.29;
+
+import "./interfaces/IMPHAuctionHouse.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/// @title IVerifier - Interface for the verifier contract
+interface IVerifier {
+    function isItApproved(address _contract) external view returns (bool);
+}
+
+/// @title MPHAuctionHouse
+/// @author @SolidityDevNL
+/// @notice Escrowed English auctions for ERC-1155 tokens, bid in the payment token (KARRAT) or native ETH
+/// @dev Tokens move into the contract when the auction opens. Bids are held until the bidder is
+/// outbid (refunded immediately) or wins (paid to the seller on settlement). Settlement never
+/// depends on a recipient accepting its payout: refused ETH is credited to withdrawRefund and a
+/// refused lot stays in escrow for claimLot.
+contract MPHAuctionHouse is
+    IMPHAuctionHouse,
+    AccessControl,
+    ReentrancyGuard
+{
+    using SafeERC20 for IERC20;
+
+    // ============================================
+    // CONSTANTS
+    // ============================================
+
+    /// @notice Shortest auction a seller can open
+    uint256 public constant MIN_DURATION = 1 hours;
+
+    /// @notice Longest auction a seller can open
+    uint256 public constant MAX_DURATION = 30 days;
+
+    // ============================================
+    // STATE VARIABLES
+    // ============================================
+
+    /// @notice Verifier contract for checking approved collections
+    IVerifier public verifier;
+
+    /// @notice ERC20 token bids can be paid in besides ETH, address(0) where only ETH is taken
+    IERC20 public immutable paymentToken;
+
+    /// @notice Address that receives auction fees
+    address payable public feeReceiver;
+
+    /// @notice Fee in per mille taken from the winning bid (e.g., 25 = 2.5%)
+    uint256 public feePerMille;
+
+    /// @notice Minimum raise over the highest bid in per mille (e.g., 50 = 5%)
+    uint256 public minIncrementPerMille = 50;
+
+    /// @notice A bid this many seconds or less before the end extends the auction to this many seconds from now
+    uint256 public extensionWindow = 10 minutes;
+
+    /// @notice Number of auctions created; auction ids run from 0 to auctionCount - 1
+    uint256 public auctionCount;
+
+    /// @notice ETH owed to outbid bidders, sellers or the fee receiver whose direct payment failed
+    mapping(address => uint256) public pendingRefunds;
+
+    /// @notice Who may claim the lot of a settled auction that could not be delivered, by auction id
+    mapping(uint256 => address) public unclaimedLots;
+
+    /// @notice Auctions by id
+    mapping(uint256 => Auction) private _auctions;
+
+    // ============================================
+    // CONSTRUCTOR
+    // ============================================
+
+    /// @notice Initializes the auction house
+    /// @param _verifier Address of the verifier contract
+    /// @param _paymentToken Address of the ERC20 accepted for bids (KARRAT), or address(0) for ETH-only auctions
+    /// @param admin Address to receive DEFAULT_ADMIN_ROLE
+    /// @param _feeReceiver Address to receive auction fees
+    constructor(
+        address _verifier,
+        address _paymentToken,
+        address admin,
+        address payable _feeReceiver
+    ) {
+        if (_verifier == address(0) || admin == address(0) || _feeReceiver == address(0)) {
+            revert ZeroAddress();
+        }
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        verifier = IVerifier(_verifier);
+        paymentToken = IERC20(_paymentToken);
+        feeReceiver = _feeReceiver;
+    }
+
+    // ============================================
+    // EXTERNAL FUNCTIONS
+    // ============================================
+
+    /// @inheritdoc IMPHAuctionHouse
+    function createAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        address currency,
+        uint256 reservePrice,
+        uint256 duration
+    ) external override nonReentrant returns (uint256 auctionId) {
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (amount == 0 || reservePrice == 0) revert IncorrectInput();
+        if (duration < MIN_DURATION || duration > MAX_DURATION) revert IncorrectInput();
+        if (currency != address(0) && currency != address(paymentToken)) revert UnsupportedCurrency(currency);
+
+        auctionId = auctionCount++;
+        uint256 endTime = block.timestamp + duration;
+        _auctions[auctionId] = Auction({
+            seller: msg.sender,
+            nftContract: nftContract,
+            tokenId: tokenId,
+            amount: amount,
+            currency: currency,
+            reservePrice: reservePrice,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            settled: false
+        });
+
+        // Escrow the lot
+        IERC1155(nftContract).safeTransferFrom(msg.sender, address(this), tokenId, amount, "");
+
+        emit AuctionCreated(auctionId, msg.sender, nftContract, tokenId, amount, currency, reservePrice, endTime);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function placeBid(uint256 auctionId, uint256 bid) external payable override nonReentrant {
+        Auction storage auction = _activeAuction(auctionId);
+        if (block.timestamp >= auction.endTime) revert AuctionEnded(auction.endTime);
+        if (msg.sender == auction.seller) revert SellerCannotBid();
+
+        uint256 minimum = minimumBid(auctionId);
+        if (bid < minimum) revert BidTooLow(minimum, bid);
+
+        // Take the new bid
+        if (auction.currency == address(0)) {
+            if (msg.value != bid) revert InsufficientPayment(bid, msg.value);
+        } else {
+            if (msg.value != 0) revert InsufficientPayment(0, msg.value);
+            IERC20(auction.currency).safeTransferFrom(msg.sender, address(this), bid);
+        }
+
+        address previousBidder = auction.highestBidder;
+        uint256 previousBid = auction.highestBid;
+        auction.highestBidder = msg.sender;
+        auction.highestBid = bid;
+
+        // Anti-sniping: a late bid gives everyone else extensionWindow to answer
+        if (auction.endTime - block.timestamp <= extensionWindow) {
+            auction.endTime = block.timestamp + extensionWindow;
+        }
+
+        // Refund the bidder who was just outbid
+        if (previousBidder != address(0)) {
+            _refund(auction.currency, previousBidder, previousBid);
+        }
+
+        emit BidPlaced(auctionId, msg.sender, bid, auction.endTime);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function settleAuction(uint256 auctionId) external override nonReentrant {
+        Auction storage auction = _activeAuction(auctionId);
+        if (block.timestamp < auction.endTime) revert AuctionStillRunning(auction.endTime);
+
+        auction.settled = true;
+        address winner = auction.highestBidder;
+
+        if (winner == address(0)) {
+            // No bids, the seller gets the lot back
+            _deliverLot(auctionId, auction, auction.seller);
+        } else {
+            uint256 fee = calculateFee(auction.highestBid);
+
+            _deliverLot(auctionId, auction, winner);
+            _pay(auction.currency, payable(auction.seller), auction.highestBid - fee);
+            if (fee > 0) {
+                _pay(auction.currency, feeReceiver, fee);
+            }
+        }
+
+        emit AuctionSettled(auctionId, winner, auction.highestBid);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function cancelAuction(uint256 auctionId) external override nonReentrant {
+        Auction storage auction = _activeAuction(auctionId);
+        if (msg.sender != auction.seller) revert NotSeller();
+        if (auction.highestBidder != address(0)) revert AuctionHasBids();
+
+        auction.settled = true;
+        IERC1155(auction.nftContract).safeTransferFrom(address(this), auction.seller, auction.tokenId, auction.amount, "");
+
+        emit AuctionCancelled(auctionId);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function claimLot(uint256 auctionId, address to) external override nonReentrant {
+        if (unclaimedLots[auctionId] != msg.sender) revert NothingToClaim(auctionId);
+        if (to == address(0)) revert ZeroAddress();
+
+        delete unclaimedLots[auctionId];
+        Auction storage auction = _auctions[auctionId];
+        IERC1155(auction.nftContract).safeTransferFrom(address(this), to, auction.tokenId, auction.amount, "");
+
+        emit LotClaimed(auctionId, msg.sender, to);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function withdrawRefund() external override nonReentrant {
+        uint256 amount = pendingRefunds[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        pendingRefunds[msg.sender] = 0;
+        _transferETH(payable(msg.sender), amount);
+    }
+
+    // ============================================
+    // ADMIN FUNCTIONS
+    // ============================================
+
+    /// @inheritdoc IMPHAuctionHouse
+    function setBidRules(uint256 newMinIncrementPerMille, uint256 newExtensionWindow) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newMinIncrementPerMille > 1000 || newExtensionWindow > 1 days) revert IncorrectInput();
+        minIncrementPerMille = newMinIncrementPerMille;
+        extensionWindow = newExtensionWindow;
+        emit BidRulesChanged(newMinIncrementPerMille, newExtensionWindow);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function setFeePerMille(uint256 newFeePerMille) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newFeePerMille > 1000) revert IncorrectInput();
+        feePerMille = newFeePerMille;
+        emit FeeChanged(newFeePerMille);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function setFeeReceiver(address payable newFeeReceiver) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newFeeReceiver == address(0)) revert ZeroAddress();
+        feeReceiver = newFeeReceiver;
+        emit FeeReceiverChanged(newFeeReceiver);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function setVerifier(address newVerifier) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newVerifier == address(0)) revert ZeroAddress();
+        verifier = IVerifier(newVerifier);
+        emit VerifierChanged(newVerifier);
+    }
+
+    // ============================================
+    // VIEW FUNCTIONS
+    // ============================================
+
+    /// @inheritdoc IMPHAuctionHouse
+    function getAuction(uint256 auctionId) external view override returns (Auction memory) {
+        return _auctions[auctionId];
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function minimumBid(uint256 auctionId) public view override returns (uint256) {
+        Auction storage auction = _auctions[auctionId];
+        if (auction.highestBidder == address(0)) return auction.reservePrice;
+
+        uint256 increment = (auction.highestBid * minIncrementPerMille) / 1000;
+        // Always require some raise, even when the increment rounds down to zero
+        return auction.highestBid + (increment == 0 ? 1 : increment);
+    }
+
+    /// @inheritdoc IMPHAuctionHouse
+    function calculateFee(uint256 gross) public view override returns (uint256 fee) {
+        return (gross * feePerMille) / 1000;
+    }
+
+    // ============================================
+    // INTERNAL FUNCTIONS
+    // ============================================
+
+    /// @notice Load an auction that exists and has not been settled or cancelled
+    /// @param auctionId The ID of the auction
+    function _activeAuction(uint256 auctionId) internal view returns (Auction storage auction) {
+        auction = _auctions[auctionId];
+        if (auctionId >= auctionCount || auction.settled) revert AuctionNotActive(auctionId);
+    }
+
+    /// @notice Send a settled lot to its recipient. A recipient that refuses it (a contract
+    /// without an ERC1155 receiver hook) can take it with claimLot instead of blocking settlement.
+    /// @param auctionId The ID of the auction
+    /// @param auction The auction being settled
+    /// @param to The winner, or the seller when nobody bid
+    function _deliverLot(uint256 auctionId, Auction storage auction, address to) internal {
+        try IERC1155(auction.nftContract).safeTransferFrom(address(this), to, auction.tokenId, auction.amount, "") {
+        } catch {
+            unclaimedLots[auctionId] = to;
+            emit LotDeferred(auctionId, to);
+        }
+    }
+
+    /// @notice Return an outbid bid. A failed ETH refund is credited to withdrawRefund so a
+    /// bidder that rejects ETH cannot block higher bids.
+    /// @param currency The auction currency, address(0) for ETH
+    /// @param bidder The outbid bidder
+    /// @param amount The bid to return
+    function _refund(address currency, address bidder, uint256 amount) internal {
+        if (currency != address(0)) {
+            IERC20(currency).safeTransfer(bidder, amount);
+        } else if (!_tryTransferETH(payable(bidder), amount)) {
+            emit RefundDeferred(bidder, amount);
+        }
+    }
+
+    /// @notice Pay out in the auction currency. A failed ETH payment is credited to
+    /// withdrawRefund so a seller or fee receiver that rejects ETH cannot block settlement.
+    /// @param currency The auction currency, address(0) for ETH
+    /// @param to Recipient address
+    /// @param amount Amount to transfer
+    function _pay(address currency, address payable to, uint256 amount) internal {
+        if (currency != address(0)) {
+            IERC20(currency).safeTransfer(to, amount);
+        } else if (!_tryTransferETH(to, amount)) {
+            emit PaymentDeferred(to, amount);
+        }
+    }
+
+    /// @notice Send ETH, crediting it to pendingRefunds when the recipient rejects it
+    /// @param to Recipient address
+    /// @param amount Amount to transfer in wei
+    /// @return sent False if the amount was credited instead
+    function _tryTransferETH(address payable to, uint256 amount) internal returns (bool sent) {
+        (sent, ) = to.call{value: amount}("");
+        if (!sent) pendingRefunds[to] += amount;
+    }
+
+    /// @notice Safely transfer ETH to an address
+    /// @param to Recipient address
+    /// @param amount Amount to transfer in wei
+    function _transferETH(address payable to, uint256 amount) internal {
+        (bool success, ) = to.call{value: amount}("");
+        if (!success) revert TransferFailed();
+    }
+
+    /// @notice Required for ERC1155 token reception
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+
+    /// @notice Required for ERC1155 batch token reception
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        return this.onERC1155BatchReceived.selector;
+    }
+}
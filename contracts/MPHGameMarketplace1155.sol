@@ -5,8 +5,11 @@ import "./interfaces/IMPHGameMarketplace.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
@@ -16,6 +19,12 @@ interface IVerifier {
     function isItApproved(address _contract) external view returns (bool);
 }
 
+/// @title ITieredInventory
+/// @notice The part of the tiered inventory contract collection offers read
+interface ITieredInventory {
+    function getTokenTierName(uint256 tokenId) external view returns (string memory);
+}
+
 /// @title MPHGameMarketplace1155
 /// @author MPH Team
 /// @notice ERC-1155 marketplace with gasless listings using EIP-712 signatures
@@ -45,13 +54,55 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
     /// @notice The address that receives marketplace fees
     address public override marketplace;
 
+    /// @notice Whether the fee is added on top of the price or taken out of the seller's proceeds
+    FeeMode public override feeMode;
+
+    /// @notice The most an ERC-2981 creator royalty can take from a sale, in per mille
+    /// @dev Starts at 100 (10%); 0 turns creator royalties off
+    uint256 public override maxRoyaltyPerMille;
+
+    /// @notice Quantity already sold from each partial-fill order, keyed by its EIP-712 digest
+    mapping(bytes32 => uint256) public override filledAmounts;
+
+    /// @notice Per-seller counter signed into every listing
+    /// @dev incrementCounter bumps it, invalidating all of the seller's outstanding listings at once
+    mapping(address => uint256) public override counters;
+
+    /// @notice Mapping of offer nonces: nftContract => tokenId => buyer => nonce
+    /// @dev Increments when an offer is accepted or the buyer cancels
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public override offerNonces;
+
+    /// @notice Mapping of collection offer nonces: nftContract => tierName => buyer => nonce
+    /// @dev Only increments when the buyer cancels; fills are tracked in filledAmounts
+    mapping(address => mapping(string => mapping(address => uint256))) public override collectionOfferNonces;
+
     // ============================================
     // CONSTANTS
     // ============================================
 
     /// @dev EIP-712 typehash for the Approval struct
     bytes32 private constant APPROVAL_TYPEHASH =
-        keccak256("Approval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 deadline)");
+        keccak256("Approval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 counter,uint256 deadline,address buyer)");
+
+    /// @dev EIP-712 typehash for the PartialApproval struct, where amount is the most the order can sell
+    bytes32 private constant PARTIAL_APPROVAL_TYPEHASH =
+        keccak256("PartialApproval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 counter,uint256 deadline,address buyer)");
+
+    /// @dev EIP-712 typehash for the DutchApproval struct, a listing whose price falls over time
+    bytes32 private constant DUTCH_APPROVAL_TYPEHASH =
+        keccak256("DutchApproval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 startPrice,uint256 endPrice,uint256 startTime,uint256 endTime,uint256 nonce,uint256 counter,address buyer)");
+
+    /// @dev EIP-712 typehash for the BulkApproval struct, one signature over the Merkle root of many Approval struct hashes
+    bytes32 private constant BULK_APPROVAL_TYPEHASH =
+        keccak256("BulkApproval(address seller,bytes32 root)");
+
+    /// @dev EIP-712 typehash for the Offer struct, signed by the buyer
+    bytes32 private constant OFFER_TYPEHASH =
+        keccak256("Offer(address buyer,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 deadline)");
+
+    /// @dev EIP-712 typehash for the CollectionOffer struct, a buyer's bid on any token of a tier
+    bytes32 private constant COLLECTION_OFFER_TYPEHASH =
+        keccak256("CollectionOffer(address buyer,address nftContract,string tierName,uint256 amount,uint256 price,uint256 nonce,uint256 deadline)");
 
     // ============================================
     // CONSTRUCTOR
@@ -72,6 +123,7 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
         paymentToken = IERC20(_paymentToken);
         verifier = IVerifier(_verifier);
         marketplace = _marketplace;
+        maxRoyaltyPerMille = 100;
     }
 
     // ============================================
@@ -104,20 +156,21 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
         uint256 nonce = nonces[nftContract][tokenId][seller];
 
         // Verify EIP-712 signature
-        bytes32 structHash = keccak256(
-            abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, deadline)
+        _verifyListing(
+            abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, counters[seller], deadline),
+            seller,
+            signature
         );
-        address recovered = ECDSA.recover(_hashTypedDataV4(structHash), signature);
-        if (recovered != seller) revert NotOwner();
 
         // Calculate payment amounts
         uint256 totalPrice = price * amount;
-        uint256 royalty = calculateRoyalty(totalPrice);
+        (, uint256 sellerProceeds, uint256 fee) = quote(price, amount);
 
         // Transfer payment tokens
-        paymentToken.safeTransferFrom(msg.sender, seller, totalPrice);
-        if (royalty > 0) {
-            paymentToken.safeTransferFrom(msg.sender, marketplace, royalty);
+        uint256 creatorRoyalty = _payCreatorRoyalty(msg.sender, nftContract, tokenId, totalPrice);
+        paymentToken.safeTransferFrom(msg.sender, seller, sellerProceeds - creatorRoyalty);
+        if (fee > 0) {
+            paymentToken.safeTransferFrom(msg.sender, marketplace, fee);
         }
 
         // Transfer NFT to buyer
@@ -129,6 +182,141 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
         emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
     }
 
+    /// @inheritdoc IMPHGameMarketplace1155
+    function buyNFTPartial(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes calldata signature,
+        uint256 quantity
+    ) external override nonReentrant {
+        if (quantity == 0) revert IncorrectInput();
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(seller, tokenId) < quantity) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(seller, address(this))) revert NotApprovedForTransfer();
+
+        // The digest doubles as the order id for fill tracking
+        bytes32 orderHash = _verifyListing(
+            abi.encode(PARTIAL_APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonces[nftContract][tokenId][seller], counters[seller], deadline),
+            seller,
+            signature
+        );
+
+        // The nonce stays put between fills; delistToken still cancels what is left
+        uint256 previouslyFilled = filledAmounts[orderHash];
+        if (previouslyFilled + quantity > amount) revert ExceedsRemaining(amount - previouslyFilled, quantity);
+        uint256 filled = previouslyFilled + quantity;
+        filledAmounts[orderHash] = filled;
+
+        uint256 totalPrice = price * quantity;
+        (, uint256 sellerProceeds, uint256 fee) = quote(price, quantity);
+
+        uint256 creatorRoyalty = _payCreatorRoyalty(msg.sender, nftContract, tokenId, totalPrice);
+        paymentToken.safeTransferFrom(msg.sender, seller, sellerProceeds - creatorRoyalty);
+        if (fee > 0) {
+            paymentToken.safeTransferFrom(msg.sender, marketplace, fee);
+        }
+
+        IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, quantity, "");
+
+        emit NFTBought(nftContract, tokenId, msg.sender, seller, quantity, totalPrice);
+        emit OrderFilled(orderHash, msg.sender, quantity, filled);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function buyNFTDutch(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime,
+        address seller,
+        bytes calldata signature
+    ) external override nonReentrant {
+        if (endTime <= startTime || endPrice > startPrice) revert IncorrectInput();
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp < startTime) revert AuctionNotStarted(startTime);
+        if (block.timestamp > endTime) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(seller, tokenId) < amount) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(seller, address(this))) revert NotApprovedForTransfer();
+
+        uint256 nonce = nonces[nftContract][tokenId][seller];
+        _verifyListing(abi.encode(
+            DUTCH_APPROVAL_TYPEHASH,
+            seller,
+            nftContract,
+            tokenId,
+            amount,
+            startPrice,
+            endPrice,
+            startTime,
+            endTime,
+            nonce,
+            counters[seller]
+        ), seller, signature);
+
+        uint256 pricePerItem = getDutchPrice(startPrice, endPrice, startTime, endTime);
+        uint256 totalPrice = pricePerItem * amount;
+        (, uint256 sellerProceeds, uint256 fee) = quote(pricePerItem, amount);
+
+        uint256 creatorRoyalty = _payCreatorRoyalty(msg.sender, nftContract, tokenId, totalPrice);
+        paymentToken.safeTransferFrom(msg.sender, seller, sellerProceeds - creatorRoyalty);
+        if (fee > 0) {
+            paymentToken.safeTransferFrom(msg.sender, marketplace, fee);
+        }
+
+        IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
+
+        nonces[nftContract][tokenId][seller] = nonce + 1;
+
+        emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function buyNFTBulk(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes32[] calldata proof,
+        bytes calldata signature
+    ) external override nonReentrant {
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(seller, tokenId) < amount) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(seller, address(this))) revert NotApprovedForTransfer();
+
+        // The leaf is the order's Approval struct hash, so the nonce works exactly as in buyNFT
+        uint256 nonce = nonces[nftContract][tokenId][seller];
+        bytes memory order =
+            abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, counters[seller], deadline);
+        if (ECDSA.recover(_bulkDigest(order, address(0), seller, proof), signature) != seller &&
+            ECDSA.recover(_bulkDigest(order, msg.sender, seller, proof), signature) != seller) revert NotOwner();
+
+        uint256 totalPrice = price * amount;
+        (, uint256 sellerProceeds, uint256 fee) = quote(price, amount);
+
+        uint256 creatorRoyalty = _payCreatorRoyalty(msg.sender, nftContract, tokenId, totalPrice);
+        paymentToken.safeTransferFrom(msg.sender, seller, sellerProceeds - creatorRoyalty);
+        if (fee > 0) {
+            paymentToken.safeTransferFrom(msg.sender, marketplace, fee);
+        }
+
+        IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
+
+        nonces[nftContract][tokenId][seller] = nonce + 1;
+
+        emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
+    }
+
     /// @inheritdoc IMPHGameMarketplace1155
     function buyMultipleNFTs(
         address[] calldata nftContracts,
@@ -146,7 +334,7 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
             deadlines.length != n || sellers.length != n || signatures.length != n ||
             n == 0 || n > 15) revert IncorrectInput();
 
-        uint256 totalRoyaltyDue = 0;
+        uint256 totalFeesDue = 0;
 
         for (uint256 i = 0; i < n; i++) {
             address nftContract = nftContracts[i];
@@ -165,17 +353,19 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
             uint256 nonce = nonces[nftContract][tokenId][seller];
 
             // Verify signature
-            bytes32 structHash = keccak256(
-                abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, deadline)
+            _verifyListing(
+                abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, counters[seller], deadline),
+                seller,
+                signatures[i]
             );
-            address recovered = ECDSA.recover(_hashTypedDataV4(structHash), signatures[i]);
-            if (recovered != seller) revert NotOwner();
 
             uint256 totalPrice = price * amount;
-            totalRoyaltyDue += calculateRoyalty(totalPrice);
+            (, uint256 sellerProceeds, uint256 fee) = quote(price, amount);
+            totalFeesDue += fee;
 
-            // Transfer payment to seller
-            paymentToken.safeTransferFrom(msg.sender, seller, totalPrice);
+            // Transfer payment to seller, less the creator royalty
+            uint256 creatorRoyalty = _payCreatorRoyalty(msg.sender, nftContract, tokenId, totalPrice);
+            paymentToken.safeTransferFrom(msg.sender, seller, sellerProceeds - creatorRoyalty);
             
             // Transfer NFT to buyer
             IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
@@ -186,12 +376,119 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
             emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
         }
 
-        // Transfer accumulated royalties
-        if (totalRoyaltyDue > 0) {
-            paymentToken.safeTransferFrom(msg.sender, marketplace, totalRoyaltyDue);
+        // Transfer accumulated fees
+        if (totalFeesDue > 0) {
+            paymentToken.safeTransferFrom(msg.sender, marketplace, totalFeesDue);
         }
     }
 
+    /// @inheritdoc IMPHGameMarketplace1155
+    function acceptOffer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address buyer,
+        bytes calldata signature
+    ) external override nonReentrant {
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(msg.sender, tokenId) < amount) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(msg.sender, address(this))) revert NotApprovedForTransfer();
+
+        uint256 nonce = offerNonces[nftContract][tokenId][buyer];
+
+        bytes32 structHash = keccak256(
+            abi.encode(OFFER_TYPEHASH, buyer, nftContract, tokenId, amount, price, nonce, deadline)
+        );
+        if (ECDSA.recover(_hashTypedDataV4(structHash), signature) != buyer) revert InvalidOffer();
+
+        offerNonces[nftContract][tokenId][buyer] = nonce + 1;
+
+        // The fee is charged per feeMode, same as buyNFT
+        uint256 totalPrice = price * amount;
+        (, uint256 sellerProceeds, uint256 fee) = quote(price, amount);
+
+        uint256 creatorRoyalty = _payCreatorRoyalty(buyer, nftContract, tokenId, totalPrice);
+        paymentToken.safeTransferFrom(buyer, msg.sender, sellerProceeds - creatorRoyalty);
+        if (fee > 0) {
+            paymentToken.safeTransferFrom(buyer, marketplace, fee);
+        }
+
+        IERC1155(nftContract).safeTransferFrom(msg.sender, buyer, tokenId, amount, "");
+
+        emit OfferAccepted(nftContract, tokenId, buyer, msg.sender, amount, totalPrice);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function cancelOffer(address nftContract, uint256 tokenId) external override {
+        uint256 newNonce = offerNonces[nftContract][tokenId][msg.sender] + 1;
+        offerNonces[nftContract][tokenId][msg.sender] = newNonce;
+
+        emit OfferCancelled(nftContract, tokenId, msg.sender, newNonce);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function acceptCollectionOffer(
+        address nftContract,
+        string calldata tierName,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address buyer,
+        bytes calldata signature,
+        uint256 tokenId,
+        uint256 quantity
+    ) external override nonReentrant {
+        if (quantity == 0) revert IncorrectInput();
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (keccak256(bytes(ITieredInventory(nftContract).getTokenTierName(tokenId))) != keccak256(bytes(tierName))) {
+            revert TokenNotInTier(tokenId);
+        }
+        if (IERC1155(nftContract).balanceOf(msg.sender, tokenId) < quantity) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(msg.sender, address(this))) revert NotApprovedForTransfer();
+
+        bytes32 orderHash = _hashTypedDataV4(keccak256(abi.encode(
+            COLLECTION_OFFER_TYPEHASH,
+            buyer,
+            nftContract,
+            keccak256(bytes(tierName)),
+            amount,
+            price,
+            collectionOfferNonces[nftContract][tierName][buyer],
+            deadline
+        )));
+        if (ECDSA.recover(orderHash, signature) != buyer) revert InvalidOffer();
+
+        uint256 previouslyFilled = filledAmounts[orderHash];
+        if (previouslyFilled + quantity > amount) revert ExceedsRemaining(amount - previouslyFilled, quantity);
+        uint256 filledAmount = previouslyFilled + quantity;
+        filledAmounts[orderHash] = filledAmount;
+
+        uint256 totalPrice = price * quantity;
+        (, uint256 sellerProceeds, uint256 fee) = quote(price, quantity);
+
+        uint256 creatorRoyalty = _payCreatorRoyalty(buyer, nftContract, tokenId, totalPrice);
+        paymentToken.safeTransferFrom(buyer, msg.sender, sellerProceeds - creatorRoyalty);
+        if (fee > 0) {
+            paymentToken.safeTransferFrom(buyer, marketplace, fee);
+        }
+
+        IERC1155(nftContract).safeTransferFrom(msg.sender, buyer, tokenId, quantity, "");
+
+        emit CollectionOfferAccepted(orderHash, buyer, msg.sender, tokenId, quantity, filledAmount);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function cancelCollectionOffer(address nftContract, string calldata tierName) external override {
+        uint256 newNonce = collectionOfferNonces[nftContract][tierName][msg.sender] + 1;
+        collectionOfferNonces[nftContract][tierName][msg.sender] = newNonce;
+
+        emit CollectionOfferCancelled(nftContract, tierName, msg.sender, newNonce);
+    }
+
     /// @inheritdoc IMPHGameMarketplace1155
     function delistToken(address nftContract, uint256 tokenId) external override {
         if (IERC1155(nftContract).balanceOf(msg.sender, tokenId) == 0) revert NotOwner();
@@ -202,6 +499,14 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
         emit ListingCancelled(nftContract, tokenId, msg.sender, newNonce);
     }
 
+    /// @inheritdoc IMPHGameMarketplace1155
+    function incrementCounter() external override returns (uint256 newCounter) {
+        newCounter = counters[msg.sender] + 1;
+        counters[msg.sender] = newCounter;
+
+        emit CounterIncremented(msg.sender, newCounter);
+    }
+
     // ============================================
     // ADMIN FUNCTIONS
     // ============================================
@@ -213,6 +518,19 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
         emit FeeChanged(newFeePerMille);
     }
 
+    /// @inheritdoc IMPHGameMarketplace1155
+    function setFeeMode(FeeMode newFeeMode) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        feeMode = newFeeMode;
+        emit FeeModeChanged(newFeeMode);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function setMaxRoyaltyPerMille(uint256 newMaxRoyaltyPerMille) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newMaxRoyaltyPerMille > 1000) revert IncorrectInput();
+        maxRoyaltyPerMille = newMaxRoyaltyPerMille;
+        emit MaxRoyaltyChanged(newMaxRoyaltyPerMille);
+    }
+
     /// @inheritdoc IMPHGameMarketplace1155
     function setMarketPlace(address newMarketPlace) external override onlyRole(DEFAULT_ADMIN_ROLE) {
         marketplace = newMarketPlace;
@@ -234,9 +552,108 @@ contract MPHGameMarketplace1155 is IMPHGameMarketplace1155, AccessControl, EIP71
         return (gross * feePerMille) / 1000;
     }
 
+    /// @inheritdoc IMPHGameMarketplace1155
+    function quote(
+        uint256 price,
+        uint256 amount
+    ) public view override returns (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee) {
+        uint256 totalPrice = price * amount;
+        fee = calculateRoyalty(totalPrice);
+        if (feeMode == FeeMode.BuyerPays) return (totalPrice + fee, totalPrice, fee);
+        return (totalPrice, totalPrice - fee, fee);
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function getCreatorRoyalty(
+        address nftContract,
+        uint256 tokenId,
+        uint256 gross
+    ) public view override returns (address receiver, uint256 royalty) {
+        if (!ERC165Checker.supportsInterface(nftContract, type(IERC2981).interfaceId)) return (address(0), 0);
+        (receiver, royalty) = IERC2981(nftContract).royaltyInfo(tokenId, gross);
+        if (receiver == address(0)) return (address(0), 0);
+
+        uint256 cap = (gross * maxRoyaltyPerMille) / 1000;
+        if (royalty > cap) royalty = cap;
+
+        // Never more than the seller receives, which a SellerPays fee has already reduced
+        (, uint256 sellerProceeds, ) = quote(gross, 1);
+        if (royalty > sellerProceeds) royalty = sellerProceeds;
+    }
+
+    /// @inheritdoc IMPHGameMarketplace1155
+    function getDutchPrice(
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime
+    ) public view override returns (uint256) {
+        if (block.timestamp <= startTime) return startPrice;
+        if (block.timestamp >= endTime) return endPrice;
+        return startPrice - ((startPrice - endPrice) * (block.timestamp - startTime)) / (endTime - startTime);
+    }
+
     /// @notice Returns the EIP-712 domain separator
     /// @return The domain separator hash
     function domainSeparator() external view returns (bytes32) {
         return _domainSeparatorV4();
     }
-}
\ No newline at end of file
+
+    // ============================================
+    // INTERNAL FUNCTIONS
+    // ============================================
+
+    /// @dev Listings sign the buyer they are reserved for as their last field, address(0) when anyone
+    /// may fill them. Only those two orders can verify for this caller, so the public order is tried
+    /// first and then the one reserved for msg.sender.
+    /// @param order The abi-encoded listing struct without its trailing buyer
+    /// @param seller The expected signer
+    /// @param signature The seller's signature
+    /// @return digest The EIP-712 digest that verified, which partial fills key on
+    function _verifyListing(
+        bytes memory order,
+        address seller,
+        bytes calldata signature
+    ) private view returns (bytes32 digest) {
+        digest = _hashTypedDataV4(keccak256(bytes.concat(order, abi.encode(address(0)))));
+        if (ECDSA.recover(digest, signature) == seller) return digest;
+        digest = _hashTypedDataV4(keccak256(bytes.concat(order, abi.encode(msg.sender))));
+        if (ECDSA.recover(digest, signature) != seller) revert NotOwner();
+    }
+
+    /// @dev Pays the collection's ERC-2981 royalty on a sale out of the seller's share
+    /// @param from The account the payment tokens are pulled from
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token sold
+    /// @param totalPrice The sale price the royalty is taken from
+    /// @return royalty The amount paid to the royalty receiver, which the seller does not get
+    function _payCreatorRoyalty(
+        address from,
+        address nftContract,
+        uint256 tokenId,
+        uint256 totalPrice
+    ) private returns (uint256 royalty) {
+        address receiver;
+        (receiver, royalty) = getCreatorRoyalty(nftContract, tokenId, totalPrice);
+        if (royalty == 0) return 0;
+
+        paymentToken.safeTransferFrom(from, receiver, royalty);
+        emit RoyaltyPaid(nftContract, tokenId, receiver, royalty);
+    }
+
+    /// @dev BulkApproval digest for the tree `proof` climbs from `order` reserved for `buyer`
+    /// @param order The abi-encoded Approval struct without its trailing buyer
+    /// @param buyer The buyer the leaf is reserved for, address(0) for anyone
+    /// @param seller The seller that signed the root
+    /// @param proof Sibling hashes from the leaf up to the root
+    /// @return The digest the seller signed if the leaf is in their tree
+    function _bulkDigest(
+        bytes memory order,
+        address buyer,
+        address seller,
+        bytes32[] calldata proof
+    ) private view returns (bytes32) {
+        bytes32 root = MerkleProof.processProofCalldata(proof, keccak256(bytes.concat(order, abi.encode(buyer))));
+        return _hashTypedDataV4(keccak256(abi.encode(BULK_APPROVAL_TYPEHASH, seller, root)));
+    }
+}
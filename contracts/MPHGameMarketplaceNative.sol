@@ -3,10 +3,13 @@ pragma solidity 0.8.29;
 
 import "./interfaces/IMPHGameMarketplaceNative.sol";
 import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
@@ -40,13 +43,52 @@ contract MPHGameMarketplaceNative is
     /// @notice Fee in per mille (parts per thousand, e.g., 25 = 2.5%)
     uint256 public feePerMille;
 
+    /// @notice Whether the fee is added on top of the price or taken out of the seller's proceeds
+    FeeMode public override feeMode;
+
+    /// @notice Cap on ERC-2981 creator royalties in per mille, 100 (10%) until the admin changes it
+    /// @dev 0 turns creator royalties off
+    uint256 public override maxRoyaltyPerMille;
+
     /// @notice Mapping of nonces for each seller's listing per NFT
     /// @dev nftContract => tokenId => seller => nonce
     mapping(address => mapping(uint256 => mapping(address => uint256))) public override nonces;
 
+    /// @notice Quantity already sold from each partial-fill order, keyed by its EIP-712 digest
+    mapping(bytes32 => uint256) public override filledAmounts;
+
+    /// @notice Per-seller counter signed into every listing
+    /// @dev incrementCounter bumps it, invalidating all of the seller's outstanding listings at once
+    mapping(address => uint256) public override counters;
+
+    /// @notice Royalties a receiver rejected, withdrawable with withdrawRoyalties
+    mapping(address => uint256) public override pendingRoyalties;
+
+    /// @notice Sum of pendingRoyalties, which rescueETH cannot touch
+    uint256 public override totalPendingRoyalties;
+
+    /// @notice Gas forwarded with a royalty payment: enough for a contract wallet's receive(), but
+    /// not enough for a receiver to spend the buyer's gas
+    uint256 private constant ROYALTY_GAS_STIPEND = 30_000;
+
     /// @notice EIP-712 typehash for the Approval struct
     bytes32 private constant APPROVAL_TYPEHASH = keccak256(
-        "Approval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 deadline)"
+        "Approval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 counter,uint256 deadline,address buyer)"
+    );
+
+    /// @notice EIP-712 typehash for the PartialApproval struct, where amount is the most the order can sell
+    bytes32 private constant PARTIAL_APPROVAL_TYPEHASH = keccak256(
+        "PartialApproval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 counter,uint256 deadline,address buyer)"
+    );
+
+    /// @notice EIP-712 typehash for the DutchApproval struct, a listing whose price falls over time
+    bytes32 private constant DUTCH_APPROVAL_TYPEHASH = keccak256(
+        "DutchApproval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 startPrice,uint256 endPrice,uint256 startTime,uint256 endTime,uint256 nonce,uint256 counter,address buyer)"
+    );
+
+    /// @notice EIP-712 typehash for the BulkApproval struct, one signature over the Merkle root of many Approval struct hashes
+    bytes32 private constant BULK_APPROVAL_TYPEHASH = keccak256(
+        "BulkApproval(address seller,bytes32 root)"
     );
 
     // ============================================
@@ -69,6 +111,7 @@ contract MPHGameMarketplaceNative is
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         verifier = IVerifier(_verifier);
         feeReceiver = _feeReceiver;
+        maxRoyaltyPerMille = 100;
     }
 
     // ============================================
@@ -101,19 +144,18 @@ contract MPHGameMarketplaceNative is
         uint256 nonce = nonces[nftContract][tokenId][seller];
 
         // Verify signature
-        bytes32 structHash = keccak256(
-            abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, deadline)
+        _verifyListing(
+            abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, counters[seller], deadline),
+            seller,
+            signature
         );
-        address recovered = ECDSA.recover(_hashTypedDataV4(structHash), signature);
-        if (recovered != seller) revert NotOwner();
 
         // Calculate amounts
         uint256 totalPrice = price * amount;
-        uint256 fee = calculateFee(totalPrice);
-        uint256 sellerProceeds = totalPrice - fee;
+        (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee) = quote(price, amount);
 
         // Validate payment
-        if (msg.value < totalPrice + fee) revert InsufficientPayment(totalPrice + fee, msg.value);
+        if (msg.value < buyerTotal) revert InsufficientPayment(buyerTotal, msg.value);
 
         // Increment nonce
         nonces[nftContract][tokenId][seller] = nonce + 1;
@@ -121,8 +163,8 @@ contract MPHGameMarketplaceNative is
         // Transfer NFT
         IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
 
-        // Transfer proceeds to seller
-        _transferETH(payable(seller), sellerProceeds);
+        // Pay the creator royalty, then the rest of the proceeds to the seller
+        _transferETH(payable(seller), sellerProceeds - _payCreatorRoyalty(nftContract, tokenId, totalPrice));
         
         // Transfer fee to feeReceiver
         if (fee > 0) {
@@ -130,8 +172,153 @@ contract MPHGameMarketplaceNative is
         }
 
         // Refund excess
-        if (msg.value > totalPrice + fee) {
-            _transferETH(payable(msg.sender), msg.value - totalPrice - fee);
+        if (msg.value > buyerTotal) {
+            _transferETH(payable(msg.sender), msg.value - buyerTotal);
+        }
+
+        emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function buyNFTPartial(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes calldata signature,
+        uint256 quantity
+    ) external payable override nonReentrant {
+        if (quantity == 0) revert IncorrectInput();
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(seller, tokenId) < quantity) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(seller, address(this))) revert NotApprovedForTransfer();
+
+        // The digest doubles as the order id for fill tracking
+        bytes32 orderHash = _verifyListing(
+            abi.encode(PARTIAL_APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonces[nftContract][tokenId][seller], counters[seller], deadline),
+            seller,
+            signature
+        );
+
+        // The nonce stays put between fills; delistToken still cancels what is left
+        uint256 previouslyFilled = filledAmounts[orderHash];
+        if (previouslyFilled + quantity > amount) revert ExceedsRemaining(amount - previouslyFilled, quantity);
+        uint256 filled = previouslyFilled + quantity;
+        filledAmounts[orderHash] = filled;
+
+        uint256 totalPrice = price * quantity;
+        (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee) = quote(price, quantity);
+        if (msg.value < buyerTotal) revert InsufficientPayment(buyerTotal, msg.value);
+
+        IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, quantity, "");
+
+        _transferETH(payable(seller), sellerProceeds - _payCreatorRoyalty(nftContract, tokenId, totalPrice));
+        if (fee > 0) {
+            _transferETH(feeReceiver, fee);
+        }
+        if (msg.value > buyerTotal) {
+            _transferETH(payable(msg.sender), msg.value - buyerTotal);
+        }
+
+        emit NFTBought(nftContract, tokenId, msg.sender, seller, quantity, totalPrice);
+        emit OrderFilled(orderHash, msg.sender, quantity, filled);
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function buyNFTDutch(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime,
+        address seller,
+        bytes calldata signature
+    ) external payable override nonReentrant {
+        if (endTime <= startTime || endPrice > startPrice) revert IncorrectInput();
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp < startTime) revert AuctionNotStarted(startTime);
+        if (block.timestamp > endTime) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(seller, tokenId) < amount) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(seller, address(this))) revert NotApprovedForTransfer();
+
+        uint256 nonce = nonces[nftContract][tokenId][seller];
+        _verifyListing(abi.encode(
+            DUTCH_APPROVAL_TYPEHASH,
+            seller,
+            nftContract,
+            tokenId,
+            amount,
+            startPrice,
+            endPrice,
+            startTime,
+            endTime,
+            nonce,
+            counters[seller]
+        ), seller, signature);
+
+        uint256 pricePerItem = getDutchPrice(startPrice, endPrice, startTime, endTime);
+        uint256 totalPrice = pricePerItem * amount;
+        (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee) = quote(pricePerItem, amount);
+        // The price only falls while the transaction is pending, so overpayment is refunded below
+        if (msg.value < buyerTotal) revert InsufficientPayment(buyerTotal, msg.value);
+
+        nonces[nftContract][tokenId][seller] = nonce + 1;
+
+        IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
+
+        _transferETH(payable(seller), sellerProceeds - _payCreatorRoyalty(nftContract, tokenId, totalPrice));
+        if (fee > 0) {
+            _transferETH(feeReceiver, fee);
+        }
+        if (msg.value > buyerTotal) {
+            _transferETH(payable(msg.sender), msg.value - buyerTotal);
+        }
+
+        emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function buyNFTBulk(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes32[] calldata proof,
+        bytes calldata signature
+    ) external payable override nonReentrant {
+        if (!verifier.isItApproved(nftContract)) revert CollectionDoesNotSellHere();
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (IERC1155(nftContract).balanceOf(seller, tokenId) < amount) revert NotForSaleOrWrongPrice();
+        if (!IERC1155(nftContract).isApprovedForAll(seller, address(this))) revert NotApprovedForTransfer();
+
+        // The leaf is the order's Approval struct hash, so the nonce works exactly as in buyNFT
+        uint256 nonce = nonces[nftContract][tokenId][seller];
+        bytes memory order =
+            abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, counters[seller], deadline);
+        if (ECDSA.recover(_bulkDigest(order, address(0), seller, proof), signature) != seller &&
+            ECDSA.recover(_bulkDigest(order, msg.sender, seller, proof), signature) != seller) revert NotOwner();
+
+        uint256 totalPrice = price * amount;
+        (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee) = quote(price, amount);
+        if (msg.value < buyerTotal) revert InsufficientPayment(buyerTotal, msg.value);
+
+        nonces[nftContract][tokenId][seller] = nonce + 1;
+
+        IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
+
+        _transferETH(payable(seller), sellerProceeds - _payCreatorRoyalty(nftContract, tokenId, totalPrice));
+        if (fee > 0) {
+            _transferETH(feeReceiver, fee);
+        }
+        if (msg.value > buyerTotal) {
+            _transferETH(payable(msg.sender), msg.value - buyerTotal);
         }
 
         emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
@@ -166,14 +353,14 @@ contract MPHGameMarketplaceNative is
 
         // First pass: validate and calculate totals
         for (uint256 i = 0; i < n; i++) {
-            uint256 itemTotal = prices[i] * amounts[i];
-            totalRequired += itemTotal;
-            totalFees += calculateFee(itemTotal);
+            (uint256 buyerTotal, , uint256 fee) = quote(prices[i], amounts[i]);
+            totalRequired += buyerTotal;
+            totalFees += fee;
         }
 
         // Validate total payment
-        if (msg.value < totalRequired + totalFees) {
-            revert InsufficientPayment(totalRequired + totalFees, msg.value);
+        if (msg.value < totalRequired) {
+            revert InsufficientPayment(totalRequired, msg.value);
         }
 
         // Second pass: execute purchases
@@ -193,11 +380,11 @@ contract MPHGameMarketplaceNative is
 
             // Verify signature
             uint256 nonce = nonces[nftContract][tokenId][seller];
-            bytes32 structHash = keccak256(
-                abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, deadline)
+            _verifyListing(
+                abi.encode(APPROVAL_TYPEHASH, seller, nftContract, tokenId, amount, price, nonce, counters[seller], deadline),
+                seller,
+                signatures[i]
             );
-            address recovered = ECDSA.recover(_hashTypedDataV4(structHash), signatures[i]);
-            if (recovered != seller) revert NotOwner();
 
             // Update nonce
             nonces[nftContract][tokenId][seller] = nonce + 1;
@@ -205,10 +392,10 @@ contract MPHGameMarketplaceNative is
             // Transfer NFT
             IERC1155(nftContract).safeTransferFrom(seller, msg.sender, tokenId, amount, "");
 
-            // Transfer proceeds to seller
+            // Transfer proceeds to seller, less the creator royalty (and the fee when sellers pay it)
             uint256 totalPrice = price * amount;
-            uint256 fee = calculateFee(totalPrice);
-            _transferETH(payable(seller), totalPrice - fee);
+            (, uint256 sellerProceeds, ) = quote(price, amount);
+            _transferETH(payable(seller), sellerProceeds - _payCreatorRoyalty(nftContract, tokenId, totalPrice));
 
             emit NFTBought(nftContract, tokenId, msg.sender, seller, amount, totalPrice);
         }
@@ -219,8 +406,8 @@ contract MPHGameMarketplaceNative is
         }
 
         // Refund excess
-        if (msg.value > totalRequired + totalFees) {
-            _transferETH(payable(msg.sender), msg.value - totalRequired - totalFees);
+        if (msg.value > totalRequired) {
+            _transferETH(payable(msg.sender), msg.value - totalRequired);
         }
     }
 
@@ -231,6 +418,24 @@ contract MPHGameMarketplaceNative is
         emit ListingCancelled(nftContract, tokenId, msg.sender);
     }
 
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function incrementCounter() external override returns (uint256 newCounter) {
+        newCounter = counters[msg.sender] + 1;
+        counters[msg.sender] = newCounter;
+
+        emit CounterIncremented(msg.sender, newCounter);
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function withdrawRoyalties() external override nonReentrant {
+        uint256 amount = pendingRoyalties[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        pendingRoyalties[msg.sender] = 0;
+        totalPendingRoyalties -= amount;
+        _transferETH(payable(msg.sender), amount);
+    }
+
     // ============================================
     // ADMIN FUNCTIONS
     // ============================================
@@ -242,6 +447,19 @@ contract MPHGameMarketplaceNative is
         emit FeeChanged(newFeePerMille);
     }
 
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function setFeeMode(FeeMode newFeeMode) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        feeMode = newFeeMode;
+        emit FeeModeChanged(newFeeMode);
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function setMaxRoyaltyPerMille(uint256 newMaxRoyaltyPerMille) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newMaxRoyaltyPerMille > 1000) revert IncorrectInput();
+        maxRoyaltyPerMille = newMaxRoyaltyPerMille;
+        emit MaxRoyaltyChanged(newMaxRoyaltyPerMille);
+    }
+
     /// @inheritdoc IMPHGameMarketplaceNative
     function setFeeReceiver(address payable newFeeReceiver) external override onlyRole(DEFAULT_ADMIN_ROLE) {
         if (newFeeReceiver == address(0)) revert ZeroAddress();
@@ -260,7 +478,8 @@ contract MPHGameMarketplaceNative is
     function rescueETH(address payable to, uint256 amount) external override onlyRole(DEFAULT_ADMIN_ROLE) {
         if (to == address(0)) revert ZeroAddress();
         if (amount == 0) revert IncorrectInput();
-        if (address(this).balance < amount) revert InsufficientPayment(amount, address(this).balance);
+        uint256 available = address(this).balance - totalPendingRoyalties;
+        if (available < amount) revert InsufficientPayment(amount, available);
         
         _transferETH(to, amount);
         emit ETHRescued(to, amount);
@@ -293,6 +512,47 @@ contract MPHGameMarketplaceNative is
         return (gross * feePerMille) / 1000;
     }
 
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function quote(
+        uint256 price,
+        uint256 amount
+    ) public view override returns (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee) {
+        uint256 totalPrice = price * amount;
+        fee = calculateFee(totalPrice);
+        if (feeMode == FeeMode.BuyerPays) return (totalPrice + fee, totalPrice, fee);
+        return (totalPrice, totalPrice - fee, fee);
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function getCreatorRoyalty(
+        address nftContract,
+        uint256 tokenId,
+        uint256 gross
+    ) public view override returns (address receiver, uint256 royalty) {
+        if (!ERC165Checker.supportsInterface(nftContract, type(IERC2981).interfaceId)) return (address(0), 0);
+        (receiver, royalty) = IERC2981(nftContract).royaltyInfo(tokenId, gross);
+        if (receiver == address(0)) return (address(0), 0);
+
+        uint256 cap = (gross * maxRoyaltyPerMille) / 1000;
+        if (royalty > cap) royalty = cap;
+
+        // Never more than the seller receives, which a SellerPays fee has already reduced
+        (, uint256 sellerProceeds, ) = quote(gross, 1);
+        if (royalty > sellerProceeds) royalty = sellerProceeds;
+    }
+
+    /// @inheritdoc IMPHGameMarketplaceNative
+    function getDutchPrice(
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime
+    ) public view override returns (uint256) {
+        if (block.timestamp <= startTime) return startPrice;
+        if (block.timestamp >= endTime) return endPrice;
+        return startPrice - ((startPrice - endPrice) * (block.timestamp - startTime)) / (endTime - startTime);
+    }
+
     // ============================================
     // INTERNAL FUNCTIONS
     // ============================================
@@ -305,6 +565,62 @@ contract MPHGameMarketplaceNative is
         if (!success) revert TransferFailed();
     }
 
+    /// @notice Pay the collection's ERC-2981 royalty on a sale. A receiver that rejects ETH, or needs
+    /// more than ROYALTY_GAS_STIPEND to take it, is credited to withdrawRoyalties instead, so it
+    /// cannot block or tax purchases of the collection.
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token sold
+    /// @param totalPrice The sale price the royalty is taken from
+    /// @return royalty The amount owed to the royalty receiver, which comes out of the seller's proceeds
+    function _payCreatorRoyalty(address nftContract, uint256 tokenId, uint256 totalPrice) private returns (uint256 royalty) {
+        address receiver;
+        (receiver, royalty) = getCreatorRoyalty(nftContract, tokenId, totalPrice);
+        if (royalty == 0) return 0;
+
+        (bool sent, ) = payable(receiver).call{value: royalty, gas: ROYALTY_GAS_STIPEND}("");
+        if (!sent) {
+            pendingRoyalties[receiver] += royalty;
+            totalPendingRoyalties += royalty;
+            emit RoyaltyDeferred(nftContract, tokenId, receiver, royalty);
+            return royalty;
+        }
+        emit RoyaltyPaid(nftContract, tokenId, receiver, royalty);
+    }
+
+    /// @dev Listings sign the buyer they are reserved for as their last field, address(0) when anyone
+    /// may fill them. Only those two orders can verify for this caller, so the public order is tried
+    /// first and then the one reserved for msg.sender.
+    /// @param order The abi-encoded listing struct without its trailing buyer
+    /// @param seller The expected signer
+    /// @param signature The seller's signature
+    /// @return digest The EIP-712 digest that verified, which partial fills key on
+    function _verifyListing(
+        bytes memory order,
+        address seller,
+        bytes calldata signature
+    ) private view returns (bytes32 digest) {
+        digest = _hashTypedDataV4(keccak256(bytes.concat(order, abi.encode(address(0)))));
+        if (ECDSA.recover(digest, signature) == seller) return digest;
+        digest = _hashTypedDataV4(keccak256(bytes.concat(order, abi.encode(msg.sender))));
+        if (ECDSA.recover(digest, signature) != seller) revert NotOwner();
+    }
+
+    /// @dev BulkApproval digest for the tree `proof` climbs from `order` reserved for `buyer`
+    /// @param order The abi-encoded Approval struct without its trailing buyer
+    /// @param buyer The buyer the leaf is reserved for, address(0) for anyone
+    /// @param seller The seller that signed the root
+    /// @param proof Sibling hashes from the leaf up to the root
+    /// @return The digest the seller signed if the leaf is in their tree
+    function _bulkDigest(
+        bytes memory order,
+        address buyer,
+        address seller,
+        bytes32[] calldata proof
+    ) private view returns (bytes32) {
+        bytes32 root = MerkleProof.processProofCalldata(proof, keccak256(bytes.concat(order, abi.encode(buyer))));
+        return _hashTypedDataV4(keccak256(abi.encode(BULK_APPROVAL_TYPEHASH, seller, root)));
+    }
+
     /// @notice Allow contract to receive ETH
     receive() external payable {}
 
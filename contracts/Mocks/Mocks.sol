@@ -72,3 +72,55 @@ contract MockKARRAT {
         return true;
     }
 }
+
+interface IAuctionBidder {
+    function placeBid(uint256 auctionId, uint256 bid) external payable;
+    function claimLot(uint256 auctionId, address to) external;
+    function createAuction(address nftContract, uint256 tokenId, uint256 amount, address currency, uint256 reservePrice, uint256 duration) external returns (uint256);
+    function withdrawRefund() external;
+}
+
+/// Bids through a contract that refuses ETH, like a bidder trying to block refunds.
+/// It has no ERC1155 receiver hook either, so a lot it wins cannot be sent to it.
+contract ETHRejectingBidder {
+    function bid(address auctionHouse, uint256 auctionId) external payable {
+        IAuctionBidder(auctionHouse).placeBid{value: msg.value}(auctionId, msg.value);
+    }
+
+    function claim(address auctionHouse, uint256 auctionId, address to) external {
+        IAuctionBidder(auctionHouse).claimLot(auctionId, to);
+    }
+
+    receive() external payable {
+        revert("no ETH");
+    }
+}
+
+/// Sells at auction through a contract that holds ERC1155 tokens but refuses ETH
+contract ETHRejectingSeller {
+    function auction(address auctionHouse, address nftContract, uint256 tokenId, uint256 amount, uint256 reservePrice, uint256 duration) external {
+        (bool ok, ) = nftContract.call(abi.encodeWithSignature("setApprovalForAll(address,bool)", auctionHouse, true));
+        require(ok, "approve failed");
+        IAuctionBidder(auctionHouse).createAuction(nftContract, tokenId, amount, address(0), reservePrice, duration);
+    }
+
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+
+    receive() external payable {
+        revert("no ETH");
+    }
+}
+
+/// Royalty receiver whose receive() burns all the gas it is given, like a creator griefing buyers
+contract GasBurningReceiver {
+    uint256 public spins;
+
+    receive() external payable {
+        while (true) {
+            spins++;
+        }
+    }
+}
+
@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.29;
+
+/// @title IMPHAuctionHouse
+/// @notice Interface for the MPH escrowed English auctions
+/// @dev The seller's ERC-1155 tokens are held by the contract until the auction is settled or cancelled
+interface IMPHAuctionHouse {
+    // ============================================
+    // STRUCTS
+    // ============================================
+
+    /// @notice An escrowed auction
+    /// @param seller The address that created the auction and receives the proceeds
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the escrowed token
+    /// @param amount The quantity of tokens escrowed
+    /// @param currency The ERC20 bids are paid in, or address(0) for native ETH
+    /// @param reservePrice The lowest first bid, for the whole amount
+    /// @param endTime The timestamp bidding closes, pushed back by late bids
+    /// @param highestBidder The current highest bidder, address(0) before the first bid
+    /// @param highestBid The current highest bid
+    /// @param settled True once the tokens left escrow
+    struct Auction {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        uint256 amount;
+        address currency;
+        uint256 reservePrice;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        bool settled;
+    }
+
+    // ============================================
+    // ERRORS
+    // ============================================
+
+    /// @notice Thrown when a zero address is provided where not allowed
+    error ZeroAddress();
+
+    /// @notice Thrown when the NFT collection is not approved for trading
+    error CollectionDoesNotSellHere();
+
+    /// @notice Thrown when incorrect input parameters are provided
+    error IncorrectInput();
+
+    /// @notice Thrown when an auction is created in a currency the contract does not take
+    /// @param currency The requested currency
+    error UnsupportedCurrency(address currency);
+
+    /// @notice Thrown when the auction id does not exist or the auction is already settled
+    /// @param auctionId The ID of the auction
+    error AuctionNotActive(uint256 auctionId);
+
+    /// @notice Thrown when bidding after the auction ended
+    /// @param endTime The timestamp bidding closed
+    error AuctionEnded(uint256 endTime);
+
+    /// @notice Thrown when settling before the auction ended
+    /// @param endTime The timestamp bidding closes
+    error AuctionStillRunning(uint256 endTime);
+
+    /// @notice Thrown when a bid is below the reserve price or the minimum increment
+    /// @param minimumBid The lowest bid currently accepted
+    /// @param bid The bid that was placed
+    error BidTooLow(uint256 minimumBid, uint256 bid);
+
+    /// @notice Thrown when the seller bids on their own auction
+    error SellerCannotBid();
+
+    /// @notice Thrown when the ETH sent does not match the bid, or ETH is sent with an ERC20 bid
+    /// @param required The ETH the call had to carry
+    /// @param provided The ETH that was sent
+    error InsufficientPayment(uint256 required, uint256 provided);
+
+    /// @notice Thrown when someone other than the seller cancels an auction
+    error NotSeller();
+
+    /// @notice Thrown when cancelling an auction that already has bids
+    error AuctionHasBids();
+
+    /// @notice Thrown when there is no refund to withdraw
+    error NothingToWithdraw();
+
+    /// @notice Thrown when the caller has no undelivered lot to claim for the auction
+    /// @param auctionId The ID of the auction
+    error NothingToClaim(uint256 auctionId);
+
+    /// @notice Thrown when an ETH transfer fails
+    error TransferFailed();
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    /// @notice Emitted when tokens are escrowed for a new auction
+    /// @param auctionId The ID of the auction
+    /// @param seller The address of the seller
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the escrowed token
+    /// @param amount The quantity of tokens escrowed
+    /// @param currency The bid currency, address(0) for ETH
+    /// @param reservePrice The lowest first bid
+    /// @param endTime The timestamp bidding closes
+    event AuctionCreated(
+        uint256 indexed auctionId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        address currency,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+
+    /// @notice Emitted when a bid becomes the highest bid
+    /// @param auctionId The ID of the auction
+    /// @param bidder The address of the bidder
+    /// @param amount The bid
+    /// @param endTime The auction end time after any anti-sniping extension
+    event BidPlaced(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 endTime
+    );
+
+    /// @notice Emitted when an outbid ETH bidder could not be paid back directly
+    /// @param bidder The address owed the refund
+    /// @param amount The amount credited to withdrawRefund
+    event RefundDeferred(address indexed bidder, uint256 amount);
+
+    /// @notice Emitted when a seller or the fee receiver could not be paid ETH directly on settlement
+    /// @param recipient The address owed the payment
+    /// @param amount The amount credited to withdrawRefund
+    event PaymentDeferred(address indexed recipient, uint256 amount);
+
+    /// @notice Emitted when a settled lot could not be delivered and stays in escrow for claimLot
+    /// @param auctionId The ID of the auction
+    /// @param recipient The winner, or the seller when nobody bid
+    event LotDeferred(uint256 indexed auctionId, address indexed recipient);
+
+    /// @notice Emitted when an undelivered lot is claimed
+    /// @param auctionId The ID of the auction
+    /// @param recipient The address the lot was held for
+    /// @param to The address the lot was sent to
+    event LotClaimed(uint256 indexed auctionId, address indexed recipient, address to);
+
+    /// @notice Emitted when an auction is settled
+    /// @param auctionId The ID of the auction
+    /// @param winner The highest bidder, or address(0) when nobody bid and the seller got the tokens back
+    /// @param amount The winning bid (including fee)
+    event AuctionSettled(uint256 indexed auctionId, address indexed winner, uint256 amount);
+
+    /// @notice Emitted when a seller cancels an auction without bids
+    /// @param auctionId The ID of the auction
+    event AuctionCancelled(uint256 indexed auctionId);
+
+    /// @notice Emitted when the bid rules change
+    /// @param minIncrementPerMille The minimum raise over the highest bid in per mille
+    /// @param extensionWindow Seconds before the end in which a bid extends the auction
+    event BidRulesChanged(uint256 minIncrementPerMille, uint256 extensionWindow);
+
+    /// @notice Emitted when the auction fee is changed
+    /// @param newFeePerMille The new fee in per mille (parts per thousand)
+    event FeeChanged(uint256 newFeePerMille);
+
+    /// @notice Emitted when the fee receiver address is changed
+    /// @param newFeeReceiver The new fee receiver address
+    event FeeReceiverChanged(address indexed newFeeReceiver);
+
+    /// @notice Emitted when the verifier contract is changed
+    /// @param newVerifier The new verifier contract address
+    event VerifierChanged(address indexed newVerifier);
+
+    // ============================================
+    // EXTERNAL FUNCTIONS
+    // ============================================
+
+    /// @notice Escrow tokens and open an auction for them
+    /// @dev The caller must have approved this contract with setApprovalForAll
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to auction
+    /// @param amount The quantity to auction as one lot
+    /// @param currency The bid currency: the payment token, or address(0) for ETH
+    /// @param reservePrice The lowest first bid for the whole lot
+    /// @param duration Seconds until bidding closes
+    /// @return auctionId The ID of the new auction
+    function createAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        address currency,
+        uint256 reservePrice,
+        uint256 duration
+    ) external returns (uint256 auctionId);
+
+    /// @notice Place a bid, refunding the previous highest bidder
+    /// @dev ETH auctions take the bid as msg.value; ERC20 auctions pull it with transferFrom.
+    /// A bid within extensionWindow of the end moves the end to extensionWindow from now.
+    /// @param auctionId The ID of the auction
+    /// @param bid The bid for the whole lot
+    function placeBid(uint256 auctionId, uint256 bid) external payable;
+
+    /// @notice Close an ended auction: tokens to the highest bidder and the bid minus fee to the seller,
+    /// or the tokens back to the seller if nobody bid. Anyone can call it.
+    /// @dev ETH a recipient rejects is credited to withdrawRefund, and tokens a recipient rejects
+    /// stay in escrow for claimLot, so settlement cannot be blocked by either party.
+    /// @param auctionId The ID of the auction
+    function settleAuction(uint256 auctionId) external;
+
+    /// @notice Take a settled lot that could not be delivered to the caller
+    /// @param auctionId The ID of the auction
+    /// @param to The address to send the tokens to
+    function claimLot(uint256 auctionId, address to) external;
+
+    /// @notice Cancel an auction that has no bids and return the tokens to the seller
+    /// @param auctionId The ID of the auction
+    function cancelAuction(uint256 auctionId) external;
+
+    /// @notice Withdraw ETH that could not be paid to the caller directly: an outbid refund or a settlement payout
+    function withdrawRefund() external;
+
+    // ============================================
+    // ADMIN FUNCTIONS
+    // ============================================
+
+    /// @notice Set the minimum bid increment and the anti-sniping window
+    /// @param minIncrementPerMille Minimum raise over the highest bid in per mille (e.g., 50 = 5%)
+    /// @param extensionWindow Seconds before the end in which a bid extends the auction
+    function setBidRules(uint256 minIncrementPerMille, uint256 extensionWindow) external;
+
+    /// @notice Set the fee taken from winning bids
+    /// @param newFeePerMille The new fee in per mille (max 1000)
+    function setFeePerMille(uint256 newFeePerMille) external;
+
+    /// @notice Set the fee receiver address
+    /// @param newFeeReceiver The new fee receiver address
+    function setFeeReceiver(address payable newFeeReceiver) external;
+
+    /// @notice Set the verifier contract
+    /// @param newVerifier The new verifier contract address
+    function setVerifier(address newVerifier) external;
+
+    // ============================================
+    // VIEW FUNCTIONS
+    // ============================================
+
+    /// @notice Get an auction
+    /// @param auctionId The ID of the auction
+    /// @return The auction
+    function getAuction(uint256 auctionId) external view returns (Auction memory);
+
+    /// @notice The lowest bid the auction currently accepts
+    /// @param auctionId The ID of the auction
+    /// @return The reserve price before the first bid, otherwise the highest bid plus the minimum increment
+    function minimumBid(uint256 auctionId) external view returns (uint256);
+
+    /// @notice Calculate the fee for a given amount
+    /// @param gross The gross amount
+    /// @return fee The calculated fee
+    function calculateFee(uint256 gross) external view returns (uint256 fee);
+}
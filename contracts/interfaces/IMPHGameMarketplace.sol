@@ -5,6 +5,14 @@ pragma solidity 0.8.29;
 /// @notice Interface for the MPH Game Marketplace supporting ERC-1155 tokens
 /// @dev Defines events, errors, and function signatures for the marketplace
 interface IMPHGameMarketplace1155 {
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /// @notice Who pays the marketplace fee
+    /// @dev BuyerPays adds it on top of the price; SellerPays takes it out of the seller's proceeds
+    enum FeeMode { BuyerPays, SellerPays }
+
     // ============================================
     // EVENTS
     // ============================================
@@ -29,6 +37,26 @@ interface IMPHGameMarketplace1155 {
     /// @param newFeePerMille The new fee in per mille (parts per thousand)
     event FeeChanged(uint256 newFeePerMille);
 
+    /// @notice Emitted when the admin switches who pays the marketplace fee
+    /// @param newFeeMode The new fee mode
+    event FeeModeChanged(FeeMode newFeeMode);
+
+    /// @notice Emitted when the creator royalty cap is changed
+    /// @param newMaxRoyaltyPerMille The new cap in per mille (parts per thousand)
+    event MaxRoyaltyChanged(uint256 newMaxRoyaltyPerMille);
+
+    /// @notice Emitted when a sale pays the collection's ERC-2981 creator royalty
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token sold
+    /// @param receiver The royalty receiver reported by the collection
+    /// @param amount The royalty paid in payment tokens, taken from the seller's share
+    event RoyaltyPaid(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint256 amount
+    );
+
     /// @notice Emitted when the marketplace address is changed
     /// @param newMarketplace The new marketplace address for fee collection
     event MarketplaceChanged(address newMarketplace);
@@ -49,6 +77,79 @@ interface IMPHGameMarketplace1155 {
         uint256 newNonce
     );
 
+    /// @notice Emitted when a seller cancels all of their listings at once
+    /// @param seller The address of the seller
+    /// @param newCounter The counter every new listing must be signed with
+    event CounterIncremented(address indexed seller, uint256 newCounter);
+
+    /// @notice Emitted when a seller accepts a buyer's offer
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token sold
+    /// @param buyer The address that signed the offer
+    /// @param seller The address that accepted it
+    /// @param amount The quantity of tokens sold
+    /// @param totalPrice The total price paid in payment tokens, excluding the fee
+    event OfferAccepted(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed buyer,
+        address seller,
+        uint256 amount,
+        uint256 totalPrice
+    );
+
+    /// @notice Emitted when a buyer cancels their offers on a token (offer nonce incremented)
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token
+    /// @param buyer The address of the buyer
+    /// @param newNonce The new offer nonce
+    event OfferCancelled(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed buyer,
+        uint256 newNonce
+    );
+
+    /// @notice Emitted when a holder fills part of a tier-wide collection offer
+    /// @param orderHash The EIP-712 digest of the collection offer
+    /// @param buyer The address that signed the offer
+    /// @param seller The address that accepted it
+    /// @param tokenId The ID of the token sold, which belongs to the offer's tier
+    /// @param quantity The quantity sold in this fill
+    /// @param filledAmount The total quantity bought through the offer so far
+    event CollectionOfferAccepted(
+        bytes32 indexed orderHash,
+        address indexed buyer,
+        address indexed seller,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 filledAmount
+    );
+
+    /// @notice Emitted when a buyer cancels their collection offers on a tier
+    /// @param nftContract The address of the NFT contract
+    /// @param tierName The tier the offers were for
+    /// @param buyer The address of the buyer
+    /// @param newNonce The new collection offer nonce
+    event CollectionOfferCancelled(
+        address indexed nftContract,
+        string tierName,
+        address indexed buyer,
+        uint256 newNonce
+    );
+
+    /// @notice Emitted when part of a partial-fill order is bought
+    /// @param orderHash The EIP-712 digest of the order
+    /// @param buyer The address of the buyer
+    /// @param quantity The quantity bought in this fill
+    /// @param filledAmount The total quantity sold from the order so far
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed buyer,
+        uint256 quantity,
+        uint256 filledAmount
+    );
+
     // ============================================
     // ERRORS
     // ============================================
@@ -59,7 +160,7 @@ interface IMPHGameMarketplace1155 {
     /// @notice Thrown when the NFT collection is not approved in the verifier
     error CollectionDoesNotSellHere();
 
-    /// @notice Thrown when the signature doesn't match the seller
+    /// @notice Thrown when the signature doesn't match the seller, or the listing is reserved for another buyer
     error NotOwner();
 
     /// @notice Thrown when input arrays have mismatched lengths or invalid values
@@ -71,12 +172,31 @@ interface IMPHGameMarketplace1155 {
     /// @notice Thrown when the marketplace is not approved to transfer NFTs
     error NotApprovedForTransfer();
 
+    /// @notice Thrown when an offer signature doesn't match the buyer or its nonce is stale
+    error InvalidOffer();
+
+    /// @notice Thrown when a Dutch auction is bought before its start time
+    /// @param startTime The timestamp the auction opens
+    error AuctionNotStarted(uint256 startTime);
+
+    /// @notice Thrown when a token offered into a collection offer is not in the offer's tier
+    /// @param tokenId The token that was offered
+    error TokenNotInTier(uint256 tokenId);
+
+    /// @notice Thrown when a buyer asks for more than is left of a partial-fill order
+    /// @param remaining The quantity still available on the order
+    /// @param requested The quantity the buyer asked for
+    error ExceedsRemaining(uint256 remaining, uint256 requested);
+
     // ============================================
     // FUNCTIONS
     // ============================================
 
     /// @notice Purchase a single NFT listing
-    /// @dev Verifies EIP-712 signature and transfers tokens
+    /// @dev Verifies EIP-712 signature and transfers tokens. Every sale, offers included, pays
+    /// the collection's ERC-2981 royalty (see getCreatorRoyalty) out of the seller's share.
+    /// Every listing type signs a trailing `buyer`: address(0) lets anyone fill it, any other
+    /// address reserves it for that buyer, and everyone else gets NotOwner
     /// @param nftContract The address of the NFT contract
     /// @param tokenId The ID of the token to purchase
     /// @param amount The quantity to purchase
@@ -94,6 +214,74 @@ interface IMPHGameMarketplace1155 {
         bytes calldata signature
     ) external;
 
+    /// @notice Purchase part of a partial-fill listing
+    /// @dev The seller signs a PartialApproval for up to `amount`; fills are tracked per order
+    /// digest and the order stays valid until it is sold out, expires or is delisted
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to purchase
+    /// @param amount The maximum quantity the seller signed for
+    /// @param price The price per token in payment tokens
+    /// @param deadline The timestamp after which the signature expires
+    /// @param seller The address of the seller
+    /// @param signature The EIP-712 PartialApproval signature from the seller
+    /// @param quantity The quantity to purchase in this fill
+    function buyNFTPartial(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes calldata signature,
+        uint256 quantity
+    ) external;
+
+    /// @notice Purchase a Dutch auction listing at its current price
+    /// @dev The seller signs a DutchApproval; the price per token falls linearly from startPrice
+    /// to endPrice between startTime and endTime and is computed at fill time
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to purchase
+    /// @param amount The quantity to purchase
+    /// @param startPrice The price per token at startTime
+    /// @param endPrice The price per token at endTime, no higher than startPrice
+    /// @param startTime The timestamp the price starts falling from
+    /// @param endTime The timestamp the price reaches endPrice, after which the listing expires
+    /// @param seller The address of the seller
+    /// @param signature The EIP-712 DutchApproval signature from the seller
+    function buyNFTDutch(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime,
+        address seller,
+        bytes calldata signature
+    ) external;
+
+    /// @notice Purchase a listing signed as part of a bulk listing
+    /// @dev The seller signs one BulkApproval over the Merkle root of many Approval struct hashes.
+    /// The order's Approval struct hash is the leaf; `proof` rebuilds the root with sorted-pair hashing
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to purchase
+    /// @param amount The quantity to purchase
+    /// @param price The price per token
+    /// @param deadline The signature expiration timestamp
+    /// @param seller The address of the seller
+    /// @param proof The Merkle proof of the order's leaf
+    /// @param signature The EIP-712 BulkApproval signature from the seller
+    function buyNFTBulk(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes32[] calldata proof,
+        bytes calldata signature
+    ) external;
+
     /// @notice Purchase multiple NFT listings in a single transaction
     /// @dev Verifies multiple EIP-712 signatures and batches transfers
     /// @param nftContracts Array of NFT contract addresses
@@ -113,17 +301,87 @@ interface IMPHGameMarketplace1155 {
         bytes[] calldata signatures
     ) external;
 
+    /// @notice Sell tokens to a buyer who signed an EIP-712 Offer
+    /// @dev Caller is the seller. Pulls the quote's buyerTotal for price * amount from the buyer's
+    /// payment token allowance and transfers the tokens from the caller to the buyer
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token offered for
+    /// @param amount The quantity the buyer offered for
+    /// @param price The price per token in payment tokens
+    /// @param deadline The timestamp after which the offer expires
+    /// @param buyer The address that signed the offer
+    /// @param signature The EIP-712 Offer signature from the buyer
+    function acceptOffer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address buyer,
+        bytes calldata signature
+    ) external;
+
+    /// @notice Cancel the caller's outstanding offers on a token by incrementing their offer nonce
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token
+    function cancelOffer(address nftContract, uint256 tokenId) external;
+
+    /// @notice Sell tokens into a buyer's EIP-712 CollectionOffer for any token of a tier
+    /// @dev Caller is the seller. The tier is checked with getTokenTierName on the NFT contract.
+    /// Fills are tracked per offer digest, so several holders can fill one offer up to `amount`
+    /// @param nftContract The address of the NFT contract
+    /// @param tierName The tier the buyer offered for
+    /// @param amount The most the buyer wants across all fills
+    /// @param price The price per token in payment tokens
+    /// @param deadline The timestamp after which the offer expires
+    /// @param buyer The address that signed the offer
+    /// @param signature The EIP-712 CollectionOffer signature from the buyer
+    /// @param tokenId The caller's token to sell, which must belong to `tierName`
+    /// @param quantity The quantity to sell in this fill
+    function acceptCollectionOffer(
+        address nftContract,
+        string calldata tierName,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address buyer,
+        bytes calldata signature,
+        uint256 tokenId,
+        uint256 quantity
+    ) external;
+
+    /// @notice Cancel the caller's outstanding collection offers on a tier
+    /// @param nftContract The address of the NFT contract
+    /// @param tierName The tier
+    function cancelCollectionOffer(address nftContract, string calldata tierName) external;
+
     /// @notice Cancel a listing by incrementing the nonce
     /// @dev Only the token owner can delist their tokens
     /// @param nftContract The address of the NFT contract
     /// @param tokenId The ID of the token to delist
     function delistToken(address nftContract, uint256 tokenId) external;
 
+    /// @notice Cancel every outstanding listing of the caller
+    /// @dev Works without holding any tokens, unlike delistToken. Listings signed with the old
+    /// counter no longer verify; new ones must be signed with the returned value
+    /// @return newCounter The caller's new counter
+    function incrementCounter() external returns (uint256 newCounter);
+
     /// @notice Set the marketplace fee
     /// @dev Only callable by admin. Fee is in per mille (e.g., 25 = 2.5%)
     /// @param newFeePerMille The new fee in parts per thousand (max 1000)
     function setFeePerMille(uint256 newFeePerMille) external;
 
+    /// @notice Choose whether buyers pay the fee on top or sellers have it deducted
+    /// @dev Only callable by admin. Applies to every fill from then on, listings and offers alike
+    /// @param newFeeMode The new fee mode
+    function setFeeMode(FeeMode newFeeMode) external;
+
+    /// @notice Set the most an ERC-2981 creator royalty can take from a sale
+    /// @dev Only callable by admin. Royalties above the cap are cut down to it; 0 turns them off
+    /// @param newMaxRoyaltyPerMille The new cap in parts per thousand (max 1000)
+    function setMaxRoyaltyPerMille(uint256 newMaxRoyaltyPerMille) external;
+
     /// @notice Set the marketplace address for fee collection
     /// @dev Only callable by admin
     /// @param newMarketPlace The new marketplace address
@@ -139,6 +397,34 @@ interface IMPHGameMarketplace1155 {
     /// @return fee The calculated fee amount
     function calculateRoyalty(uint256 gross) external view returns (uint256 fee);
 
+    /// @notice What a fill of `amount` tokens at `price` costs the buyer and pays the seller under the current fee mode
+    /// @dev The seller's proceeds are before the creator royalty, which getCreatorRoyalty quotes per collection
+    /// @param price The price per token in payment tokens
+    /// @param amount The quantity
+    /// @return buyerTotal What the buyer pays, fee included when buyers pay it
+    /// @return sellerProceeds What the seller receives, fee deducted when sellers pay it
+    /// @return fee The marketplace fee
+    function quote(uint256 price, uint256 amount) external view returns (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee);
+
+    /// @notice The creator royalty a sale of `gross` pays, and who receives it
+    /// @dev Reads royaltyInfo from collections that support ERC-2981 and caps it at maxRoyaltyPerMille,
+    /// then at the seller's proceeds. Collections without ERC-2981 or without a receiver pay nothing
+    /// @param nftContract The NFT contract address
+    /// @param tokenId The token ID
+    /// @param gross The sale price
+    /// @return receiver The royalty receiver, address(0) when no royalty is due
+    /// @return royalty The royalty amount, deducted from what the seller receives
+    function getCreatorRoyalty(address nftContract, uint256 tokenId, uint256 gross) external view returns (address receiver, uint256 royalty);
+
+    /// @notice Price per token of a Dutch auction at the current block
+    /// @dev startPrice before startTime, endPrice from endTime on, linear in between
+    /// @param startPrice The price per token at startTime
+    /// @param endPrice The price per token at endTime
+    /// @param startTime The timestamp the price starts falling from
+    /// @param endTime The timestamp the price reaches endPrice
+    /// @return The current price per token
+    function getDutchPrice(uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 endTime) external view returns (uint256);
+
     /// @notice Get the current nonce for a seller's listing
     /// @param nftContract The NFT contract address
     /// @param tokenId The token ID
@@ -146,10 +432,42 @@ interface IMPHGameMarketplace1155 {
     /// @return The current nonce
     function nonces(address nftContract, uint256 tokenId, address seller) external view returns (uint256);
 
+    /// @notice Get the counter a seller's listings must be signed with
+    /// @param seller The seller address
+    /// @return The current counter
+    function counters(address seller) external view returns (uint256);
+
+    /// @notice Get the current offer nonce for a buyer's offers on a token
+    /// @param nftContract The NFT contract address
+    /// @param tokenId The token ID
+    /// @param buyer The buyer address
+    /// @return The current offer nonce
+    function offerNonces(address nftContract, uint256 tokenId, address buyer) external view returns (uint256);
+
+    /// @notice Get the current collection offer nonce for a buyer's offers on a tier
+    /// @param nftContract The NFT contract address
+    /// @param tierName The tier name
+    /// @param buyer The buyer address
+    /// @return The current collection offer nonce
+    function collectionOfferNonces(address nftContract, string memory tierName, address buyer) external view returns (uint256);
+
+    /// @notice Get the quantity already sold from a partial-fill order
+    /// @param orderHash The EIP-712 digest of the order
+    /// @return The quantity filled so far
+    function filledAmounts(bytes32 orderHash) external view returns (uint256);
+
     /// @notice Get the current fee in per mille
     /// @return The fee in parts per thousand
     function feePerMille() external view returns (uint256);
 
+    /// @notice Get who pays the marketplace fee
+    /// @return The current fee mode
+    function feeMode() external view returns (FeeMode);
+
+    /// @notice Get the creator royalty cap in per mille
+    /// @return The cap in parts per thousand
+    function maxRoyaltyPerMille() external view returns (uint256);
+
     /// @notice Get the marketplace address for fee collection
     /// @return The marketplace address
     function marketplace() external view returns (address);
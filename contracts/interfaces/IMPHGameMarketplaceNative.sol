@@ -5,6 +5,14 @@ pragma solidity 0.8.29;
 /// @notice Interface for the MPH Game Marketplace using native currency (ETH)
 /// @dev ERC-1155 marketplace with off-chain listings using EIP-712 signatures
 interface IMPHGameMarketplaceNative {
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /// @notice Who pays the marketplace fee
+    /// @dev BuyerPays adds it on top of the price; SellerPays takes it out of the seller's proceeds
+    enum FeeMode { BuyerPays, SellerPays }
+
     // ============================================
     // ERRORS
     // ============================================
@@ -24,7 +32,7 @@ interface IMPHGameMarketplaceNative {
     /// @notice Thrown when the marketplace is not approved to transfer NFTs
     error NotApprovedForTransfer();
 
-    /// @notice Thrown when the caller is not the owner or signature is invalid
+    /// @notice Thrown when the caller is not the owner or signature is invalid, or the listing is reserved for another buyer
     error NotOwner();
 
     /// @notice Thrown when incorrect input parameters are provided
@@ -38,6 +46,18 @@ interface IMPHGameMarketplaceNative {
     /// @notice Thrown when an ETH transfer fails
     error TransferFailed();
 
+    /// @notice Thrown when a Dutch auction is bought before its start time
+    /// @param startTime The timestamp the auction opens
+    error AuctionNotStarted(uint256 startTime);
+
+    /// @notice Thrown when a buyer asks for more than is left of a partial-fill order
+    /// @param remaining The quantity still available on the order
+    /// @param requested The quantity the buyer asked for
+    error ExceedsRemaining(uint256 remaining, uint256 requested);
+
+    /// @notice Thrown when the caller has no deferred royalties to withdraw
+    error NothingToWithdraw();
+
     // ============================================
     // EVENTS
     // ============================================
@@ -68,10 +88,60 @@ interface IMPHGameMarketplaceNative {
         address seller
     );
 
+    /// @notice Emitted when a seller cancels all of their listings at once
+    /// @param seller The address of the seller
+    /// @param newCounter The counter every new listing must be signed with
+    event CounterIncremented(address indexed seller, uint256 newCounter);
+
+    /// @notice Emitted when part of a partial-fill order is bought
+    /// @param orderHash The EIP-712 digest of the order
+    /// @param buyer The address of the buyer
+    /// @param quantity The quantity bought in this fill
+    /// @param filledAmount The total quantity sold from the order so far
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed buyer,
+        uint256 quantity,
+        uint256 filledAmount
+    );
+
     /// @notice Emitted when the marketplace fee is changed
     /// @param newFeePerMille The new fee in per mille (parts per thousand)
     event FeeChanged(uint256 newFeePerMille);
 
+    /// @notice Emitted when the admin switches who pays the marketplace fee
+    /// @param newFeeMode The new fee mode
+    event FeeModeChanged(FeeMode newFeeMode);
+
+    /// @notice Emitted when the creator royalty cap is changed
+    /// @param newMaxRoyaltyPerMille The new cap in per mille (parts per thousand)
+    event MaxRoyaltyChanged(uint256 newMaxRoyaltyPerMille);
+
+    /// @notice Emitted when a sale pays the collection's ERC-2981 creator royalty
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token sold
+    /// @param receiver The royalty receiver reported by the collection
+    /// @param amount The royalty paid in wei, taken from the seller's proceeds
+    event RoyaltyPaid(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint256 amount
+    );
+
+    /// @notice Emitted when a royalty receiver rejects ETH, or runs out of the gas stipend taking it,
+    /// and the royalty is credited to it instead
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token sold
+    /// @param receiver The royalty receiver reported by the collection
+    /// @param amount The royalty in wei, withdrawable with withdrawRoyalties
+    event RoyaltyDeferred(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint256 amount
+    );
+
     /// @notice Emitted when the fee receiver address is changed
     /// @param newFeeReceiver The new fee receiver address
     event FeeReceiverChanged(address indexed newFeeReceiver);
@@ -103,7 +173,12 @@ interface IMPHGameMarketplaceNative {
     // ============================================
 
     /// @notice Purchase an NFT listing using ETH
-    /// @dev Validates signature, transfers NFT and distributes payments
+    /// @dev Validates signature, transfers NFT and distributes payments. msg.value must cover the
+    /// quote's buyerTotal; the fee is added on top or deducted from the seller per feeMode.
+    /// Every purchase pays the collection's ERC-2981 royalty (see getCreatorRoyalty) out of
+    /// the seller's proceeds.
+    /// Every listing type signs a trailing `buyer`: address(0) lets anyone fill it, any other
+    /// address reserves it for that buyer, and everyone else gets NotOwner
     /// @param nftContract The address of the NFT contract
     /// @param tokenId The ID of the token to purchase
     /// @param amount The quantity to purchase
@@ -121,6 +196,74 @@ interface IMPHGameMarketplaceNative {
         bytes calldata signature
     ) external payable;
 
+    /// @notice Purchase part of a partial-fill listing using ETH
+    /// @dev The seller signs a PartialApproval for up to `amount`; fills are tracked per order
+    /// digest and the order stays valid until it is sold out, expires or is delisted
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to purchase
+    /// @param amount The maximum quantity the seller signed for
+    /// @param price The price per token in wei
+    /// @param deadline The timestamp when the signature expires
+    /// @param seller The address of the seller
+    /// @param signature The EIP-712 PartialApproval signature from the seller
+    /// @param quantity The quantity to purchase in this fill
+    function buyNFTPartial(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes calldata signature,
+        uint256 quantity
+    ) external payable;
+
+    /// @notice Purchase a Dutch auction listing using ETH at its current price
+    /// @dev The seller signs a DutchApproval; the price per token falls linearly from startPrice
+    /// to endPrice between startTime and endTime. Anything sent above the quote's buyerTotal is refunded
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to purchase
+    /// @param amount The quantity to purchase
+    /// @param startPrice The price per token at startTime
+    /// @param endPrice The price per token at endTime, no higher than startPrice
+    /// @param startTime The timestamp the price starts falling from
+    /// @param endTime The timestamp the price reaches endPrice, after which the listing expires
+    /// @param seller The address of the seller
+    /// @param signature The EIP-712 DutchApproval signature from the seller
+    function buyNFTDutch(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime,
+        address seller,
+        bytes calldata signature
+    ) external payable;
+
+    /// @notice Purchase a listing signed as part of a bulk listing using ETH
+    /// @dev The seller signs one BulkApproval over the Merkle root of many Approval struct hashes.
+    /// The order's Approval struct hash is the leaf; `proof` rebuilds the root with sorted-pair hashing
+    /// @param nftContract The address of the NFT contract
+    /// @param tokenId The ID of the token to purchase
+    /// @param amount The quantity to purchase
+    /// @param price The price per token
+    /// @param deadline The signature expiration timestamp
+    /// @param seller The address of the seller
+    /// @param proof The Merkle proof of the order's leaf
+    /// @param signature The EIP-712 BulkApproval signature from the seller
+    function buyNFTBulk(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 price,
+        uint256 deadline,
+        address seller,
+        bytes32[] calldata proof,
+        bytes calldata signature
+    ) external payable;
+
     /// @notice Purchase multiple NFT listings in a single transaction
     /// @dev All arrays must have the same length (1-15 items)
     /// @param nftContracts Array of NFT contract addresses
@@ -146,6 +289,12 @@ interface IMPHGameMarketplaceNative {
     /// @param tokenId The ID of the token to delist
     function delistToken(address nftContract, uint256 tokenId) external;
 
+    /// @notice Cancel every outstanding listing of the caller
+    /// @dev Works without holding any tokens, unlike delistToken. Listings signed with the old
+    /// counter no longer verify; new ones must be signed with the returned value
+    /// @return newCounter The caller's new counter
+    function incrementCounter() external returns (uint256 newCounter);
+
     // ============================================
     // ADMIN FUNCTIONS
     // ============================================
@@ -155,6 +304,16 @@ interface IMPHGameMarketplaceNative {
     /// @param newFeePerMille The new fee in per mille
     function setFeePerMille(uint256 newFeePerMille) external;
 
+    /// @notice Choose whether buyers pay the fee on top or sellers have it deducted
+    /// @dev Only callable by admin. Applies to every purchase from then on
+    /// @param newFeeMode The new fee mode
+    function setFeeMode(FeeMode newFeeMode) external;
+
+    /// @notice Set the most an ERC-2981 creator royalty can take from a sale
+    /// @dev Only callable by admin. Royalties above the cap are cut down to it; 0 turns them off
+    /// @param newMaxRoyaltyPerMille The new cap in per mille (max 1000 = 100%)
+    function setMaxRoyaltyPerMille(uint256 newMaxRoyaltyPerMille) external;
+
     /// @notice Set the fee receiver address
     /// @dev Only callable by admin
     /// @param newFeeReceiver The new fee receiver address
@@ -165,8 +324,11 @@ interface IMPHGameMarketplaceNative {
     /// @param newVerifier The new verifier contract address
     function setVerifier(address newVerifier) external;
 
+    /// @notice Withdraw creator royalties that could not be paid to the caller directly
+    function withdrawRoyalties() external;
+
     /// @notice Rescue ETH stuck in the contract
-    /// @dev Only callable by admin
+    /// @dev Only callable by admin. Deferred royalties are not rescuable
     /// @param to The address to send ETH to
     /// @param amount The amount of ETH to rescue
     function rescueETH(address payable to, uint256 amount) external;
@@ -197,8 +359,63 @@ interface IMPHGameMarketplaceNative {
     /// @return The current nonce value
     function nonces(address nftContract, uint256 tokenId, address seller) external view returns (uint256);
 
+    /// @notice Get the counter a seller's listings must be signed with
+    /// @param seller The seller address
+    /// @return The current counter
+    function counters(address seller) external view returns (uint256);
+
+    /// @notice Get the royalties a receiver rejected and can withdraw
+    /// @param receiver The royalty receiver
+    /// @return The amount in wei
+    function pendingRoyalties(address receiver) external view returns (uint256);
+
+    /// @notice Get the sum of all deferred royalties held by the marketplace
+    /// @return The amount in wei
+    function totalPendingRoyalties() external view returns (uint256);
+
+    /// @notice Price per token of a Dutch auction at the current block
+    /// @dev startPrice before startTime, endPrice from endTime on, linear in between
+    /// @param startPrice The price per token at startTime
+    /// @param endPrice The price per token at endTime
+    /// @param startTime The timestamp the price starts falling from
+    /// @param endTime The timestamp the price reaches endPrice
+    /// @return The current price per token
+    function getDutchPrice(uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 endTime) external view returns (uint256);
+
+    /// @notice Get the quantity already sold from a partial-fill order
+    /// @param orderHash The EIP-712 digest of the order
+    /// @return The quantity filled so far
+    function filledAmounts(bytes32 orderHash) external view returns (uint256);
+
     /// @notice Calculate the marketplace fee for a given amount
     /// @param gross The gross amount to calculate fee on
     /// @return fee The calculated fee amount
     function calculateFee(uint256 gross) external view returns (uint256 fee);
+
+    /// @notice What a purchase of `amount` tokens at `price` costs the buyer and pays the seller under the current fee mode
+    /// @dev The seller's proceeds are before the creator royalty, which getCreatorRoyalty quotes per collection
+    /// @param price The price per token in wei
+    /// @param amount The quantity
+    /// @return buyerTotal The msg.value the purchase needs, fee included when buyers pay it
+    /// @return sellerProceeds What the seller receives, fee deducted when sellers pay it
+    /// @return fee The marketplace fee
+    function quote(uint256 price, uint256 amount) external view returns (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee);
+
+    /// @notice The creator royalty a sale of `gross` pays, and who receives it
+    /// @dev Reads royaltyInfo from collections that support ERC-2981 and caps it at maxRoyaltyPerMille,
+    /// then at the seller's proceeds. Collections without ERC-2981 or without a receiver pay nothing
+    /// @param nftContract The NFT contract address
+    /// @param tokenId The token ID
+    /// @param gross The sale price in wei
+    /// @return receiver The royalty receiver, address(0) when no royalty is due
+    /// @return royalty The royalty in wei, deducted from the seller's proceeds
+    function getCreatorRoyalty(address nftContract, uint256 tokenId, uint256 gross) external view returns (address receiver, uint256 royalty);
+
+    /// @notice Get who pays the marketplace fee
+    /// @return The current fee mode
+    function feeMode() external view returns (FeeMode);
+
+    /// @notice Get the creator royalty cap in per mille
+    /// @return The cap in parts per thousand
+    function maxRoyaltyPerMille() external view returns (uint256);
 }
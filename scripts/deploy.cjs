@@ -168,16 +168,34 @@ async function main() {
   await marketplace.setFeePerMille(25);
   console.log("   Fee set to 2.5%");
 
-  // 6. Approve in verifier
-  console.log("\n6. Setting up verifier approvals...");
+  // 6. Deploy MPHAuctionHouse (bids in KARRAT or ETH)
+  console.log("\n6. Deploying MPHAuctionHouse...");
+  const AuctionHouse = await hre.ethers.getContractFactory("MPHAuctionHouse", deployer);
+  const auctionHouse = await AuctionHouse.deploy(
+    verifierAddress,
+    karratAddress,
+    deployer.address,
+    deployer.address
+  );
+  await auctionHouse.waitForDeployment();
+  const auctionHouseAddress = await auctionHouse.getAddress();
+  console.log("   Auction House:", auctionHouseAddress);
+
+  await auctionHouse.setFeePerMille(25);
+  console.log("   Fee set to 2.5%");
+
+  // 7. Approve in verifier
+  console.log("\n7. Setting up verifier approvals...");
   await verifier.setAllowedAddress(marketplaceAddress, true);
   console.log("   Marketplace approved");
+  await verifier.setAllowedAddress(auctionHouseAddress, true);
+  console.log("   Auction House approved");
   await verifier.setAllowedAddress(nftAddress, true);
   console.log("   NFT contract approved");
 
-  // 7. Mint KARRAT to test addresses
+  // 8. Mint KARRAT to test addresses
   if (MINT_KARRAT_TO.length > 0) {
-    console.log("\n7. Minting KARRAT to test addresses...");
+    console.log("\n8. Minting KARRAT to test addresses...");
     for (const addr of MINT_KARRAT_TO) {
       if (hre.ethers.isAddress(addr)) {
         const tx = await karrat.mint(addr, hre.ethers.parseEther(KARRAT_AMOUNT));
@@ -190,10 +208,13 @@ async function main() {
   }
 
   // Save to .env
+  const { chainId } = await hre.ethers.provider.getNetwork();
   const envConfig = {
+    VITE_CHAIN_ID: chainId.toString(),
     VITE_ADMIN_ADDRESS: deployer.address,
     VITE_TRACKING_CONTRACT: trackingAddress,
     VITE_MARKETPLACE_CONTRACT: marketplaceAddress,
+    VITE_AUCTION_CONTRACT: auctionHouseAddress,
     VITE_NFT_CONTRACT: nftAddress,
     VITE_KARRAT_CONTRACT: karratAddress,
     VITE_VERIFIER_CONTRACT: verifierAddress
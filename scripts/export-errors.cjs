@@ -0,0 +1,48 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Writes every custom error the project's contracts can revert with, inherited
+// OpenZeppelin ones included, to src/utils/contractErrors.json for src/utils/errors.js.
+// The standard token errors (ERC-6093) are added for payment tokens deployed elsewhere.
+// Run after changing a contract: npm run export-errors
+const SOURCES = ["contracts/", "@openzeppelin/contracts/interfaces/draft-IERC6093.sol:"];
+
+// Sorted human-readable signatures, so the exported file diffs cleanly
+async function collectContractErrors() {
+  const names = await hre.artifacts.getAllFullyQualifiedNames();
+  const bySelector = new Map();
+
+  for (const name of names.filter((n) => SOURCES.some((source) => n.startsWith(source)))) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    const iface = new hre.ethers.Interface(abi);
+    iface.forEachError((fragment) => {
+      // Errors declared twice (interface and contract) share a selector; keep the first
+      if (!bySelector.has(fragment.selector)) bySelector.set(fragment.selector, fragment.format("full"));
+    });
+  }
+
+  return [...bySelector.values()].sort();
+}
+
+async function main() {
+  await hre.run("compile");
+
+  const errors = await collectContractErrors();
+  const outFile = path.join(hre.config.paths.root, "src", "utils", "contractErrors.json");
+  fs.writeFileSync(outFile, JSON.stringify(errors, null, 2) + "\n");
+
+  console.log(`Exported ${errors.length} custom errors to ${path.relative(hre.config.paths.root, outFile)}`);
+}
+
+// The contract tests load this file to check the exported list is up to date
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { collectContractErrors };
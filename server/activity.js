@@ -0,0 +1,268 @@
+/**
+ * MPH Listing Service - Activity feed
+ * POST /transactions records a purchase, cancel or listing; GET /activity pages them
+ * newest first, optionally for one wallet (as buyer or seller).
+ *
+ * Nothing in a posted entry is taken on trust. Entries with a txHash are rebuilt from that
+ * transaction's receipt on the entry's chain: parties, token, amount and price come from the
+ * marketplace, auction house or collection events it emitted. Listings and offers are signed
+ * off-chain, so their entries are rebuilt from the verified order stored under their orderHash.
+ */
+
+import { ethers } from 'ethers'
+import { parseActivityQuery, runActivityQuery, validateActivity, getActivityId, ActivityError } from '../src/utils/activity.js'
+import { NFT_ABI, AUCTION_ABI } from '../src/utils/constants.js'
+import { getCollection, findRecord } from './db.js'
+import { getMarket, getMarketByChainId, getCurrency } from './chains.js'
+import { HttpError } from './http.js'
+
+// How long to wait for a receipt the service's RPC has not seen yet
+const RECEIPT_TIMEOUT = 15000
+
+const AUCTION_EVENTS = new ethers.Interface([
+  'event AuctionCreated(uint256 indexed auctionId, address indexed seller, address indexed nftContract, uint256 tokenId, uint256 amount, address currency, uint256 reservePrice, uint256 endTime)',
+  'event BidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 amount, uint256 endTime)',
+  'event AuctionSettled(uint256 indexed auctionId, address indexed winner, uint256 amount)',
+  'event AuctionCancelled(uint256 indexed auctionId)'
+])
+
+const COLLECTION_EVENTS = new ethers.Interface([
+  'event NFTBought(address indexed nftContract, address indexed buyer, uint256 indexed tokenId, string tierName)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+])
+
+const toHttpError = (err) => err instanceof ActivityError ? new HttpError(400, err.message) : err
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase()
+
+// Decoded `name` events `address` emitted in the receipt
+const findEvents = (receipt, address, iface, name) => receipt.logs
+  .filter(log => sameAddress(log.address, address))
+  .map(log => {
+    try {
+      return iface.parseLog(log)
+    } catch {
+      return null
+    }
+  })
+  .filter(event => event?.name === name)
+  .map(event => event.args)
+
+// Price fields of an entry from a total paid for `amount` tokens
+const priceFields = (totalWei, amount) => {
+  const priceWei = BigInt(totalWei) / BigInt(amount)
+  return { price: ethers.formatEther(priceWei), priceWei: priceWei.toString() }
+}
+
+// Order fields shared by listing, offer and cancel entries, from the stored order
+const orderFields = (order) => ({
+  chainId: Number(order.chainId),
+  marketplace: order.marketplace,
+  currency: getCurrency(order),
+  nftContract: order.nftContract,
+  ...(order.tierName ? { tier: order.tierName } : { tokenId: order.tokenId }),
+  amount: order.amount,
+  price: order.price,
+  priceWei: order.priceWei,
+  ...(order.seller ? { seller: order.seller } : { buyer: order.buyer })
+})
+
+const requireOrder = (entry) => {
+  const order = findRecord('listings', entry.orderHash) || findRecord('offers', entry.orderHash)
+  if (!order) throw new HttpError(400, `No stored listing or offer has order hash ${entry.orderHash}`)
+  return order
+}
+
+const noEvent = (what) => new HttpError(400, `The transaction did not ${what}`)
+
+// The auction as it stood in the entry's block
+const readAuction = (market, auctionId, blockTag) =>
+  new ethers.Contract(market.auctionHouse, AUCTION_ABI, market.provider).getAuction(auctionId, { blockTag })
+
+const auctionFields = (market, auction) => ({
+  marketplace: market.auctionHouse,
+  currency: auction.currency === ethers.ZeroAddress ? 'ETH' : 'KARRAT',
+  nftContract: auction.nftContract,
+  tokenId: Number(auction.tokenId),
+  amount: Number(auction.amount),
+  seller: auction.seller
+})
+
+// Each on-chain type: which events back it, and the entry fields they give
+const FROM_RECEIPT = {
+  primary_buy: async (entry, receipt, market) => {
+    if (!sameAddress(entry.nftContract, market.nft)) throw new HttpError(400, `${entry.nftContract} is not the primary-sale collection`)
+    const bought = findEvents(receipt, market.nft, COLLECTION_EVENTS, 'NFTBought')
+      .find(e => sameAddress(e.buyer, receipt.from) && String(e.tokenId) === String(entry.tokenId))
+    if (!bought) throw noEvent(`buy token ${entry.tokenId} in a primary sale`)
+
+    // The amount is what was minted to the buyer
+    const mintedToBuyer = (e) => e.from === ethers.ZeroAddress && sameAddress(e.to, receipt.from)
+    const mints = [
+      ...findEvents(receipt, market.nft, COLLECTION_EVENTS, 'TransferSingle').filter(mintedToBuyer).map(e => [e.id, e.value]),
+      ...findEvents(receipt, market.nft, COLLECTION_EVENTS, 'TransferBatch').filter(mintedToBuyer).flatMap(e => e.ids.map((id, i) => [id, e.values[i]]))
+    ]
+    const amount = mints.filter(([id]) => String(id) === String(entry.tokenId)).reduce((sum, [, value]) => sum + value, 0n)
+
+    // Primary prices are per token and set by the tier, as it stood in the sale's block
+    const nft = new ethers.Contract(market.nft, NFT_ABI, market.provider)
+    const info = await nft.getTokenInfo(bought.tierName, { blockTag: receipt.blockNumber })
+    const priceWei = info.prices[info.tokenIds.findIndex(id => String(id) === String(entry.tokenId))]
+    return {
+      currency: market.currency,
+      tier: bought.tierName,
+      amount: Number(amount),
+      price: ethers.formatEther(priceWei),
+      priceWei: priceWei.toString(),
+      buyer: receipt.from
+    }
+  },
+
+  secondary_buy: async (entry, receipt, market) => {
+    const sale = findEvents(receipt, market.address, market.events, 'NFTBought').find(e =>
+      sameAddress(e.nftContract, entry.nftContract) && String(e.tokenId) === String(entry.tokenId) &&
+      (!entry.seller || sameAddress(e.seller, entry.seller))
+    )
+    if (!sale) throw noEvent(`buy token ${entry.tokenId}`)
+    return {
+      marketplace: market.address,
+      currency: market.currency,
+      amount: Number(sale.amount),
+      ...priceFields(sale.totalPrice, sale.amount),
+      buyer: sale.buyer,
+      seller: sale.seller
+    }
+  },
+
+  offer_accept: async (entry, receipt, market) => {
+    if (entry.tier) {
+      const offer = requireOrder(entry)
+      const fill = findEvents(receipt, market.address, market.events, 'CollectionOfferAccepted')
+        .find(e => e.orderHash.toLowerCase() === entry.orderHash.toLowerCase())
+      if (!fill) throw noEvent('fill this collection offer')
+      return {
+        ...orderFields(offer),
+        tokenId: Number(fill.tokenId),
+        amount: Number(fill.quantity),
+        buyer: fill.buyer,
+        seller: fill.seller
+      }
+    }
+
+    const sale = findEvents(receipt, market.address, market.events, 'OfferAccepted').find(e =>
+      sameAddress(e.nftContract, entry.nftContract) && String(e.tokenId) === String(entry.tokenId)
+    )
+    if (!sale) throw noEvent(`accept an offer on token ${entry.tokenId}`)
+    return {
+      marketplace: market.address,
+      currency: market.currency,
+      amount: Number(sale.amount),
+      ...priceFields(sale.totalPrice, sale.amount),
+      buyer: sale.buyer,
+      seller: sale.seller
+    }
+  },
+
+  // Listing and offer cancels name the stored order; auction cancels are read from the auction house
+  cancel: async (entry, receipt, market) => {
+    if (market.auctionHouse && sameAddress(entry.marketplace, market.auctionHouse)) {
+      const [cancelled] = findEvents(receipt, market.auctionHouse, AUCTION_EVENTS, 'AuctionCancelled')
+      if (!cancelled) throw noEvent('cancel an auction')
+      const auction = await readAuction(market, cancelled.auctionId, receipt.blockNumber)
+      return { ...auctionFields(market, auction), ...priceFields(auction.reservePrice, 1) }
+    }
+
+    const order = requireOrder(entry)
+    const events = (name) => findEvents(receipt, market.address, market.events, name)
+    const owner = order.seller || order.buyer
+    const cancelled = order.seller
+      ? events('CounterIncremented').some(e => sameAddress(e.seller, owner)) ||
+        events('ListingCancelled').some(e => sameAddress(e.seller, owner) && sameAddress(e.nftContract, order.nftContract) && String(e.tokenId) === String(order.tokenId))
+      : order.tierName
+        ? events('CollectionOfferCancelled').some(e => sameAddress(e.buyer, owner) && sameAddress(e.nftContract, order.nftContract) && e.tierName === order.tierName)
+        : events('OfferCancelled').some(e => sameAddress(e.buyer, owner) && sameAddress(e.nftContract, order.nftContract) && String(e.tokenId) === String(order.tokenId))
+    if (!cancelled) throw noEvent(`cancel order ${entry.orderHash}`)
+    return orderFields(order)
+  },
+
+  auction: async (entry, receipt, market) => {
+    const [created] = findEvents(receipt, market.auctionHouse, AUCTION_EVENTS, 'AuctionCreated')
+    if (!created) throw noEvent('open an auction')
+    const auction = await readAuction(market, created.auctionId, receipt.blockNumber)
+    return { ...auctionFields(market, auction), ...priceFields(created.reservePrice, 1) }
+  },
+
+  bid: async (entry, receipt, market) => {
+    const [bid] = findEvents(receipt, market.auctionHouse, AUCTION_EVENTS, 'BidPlaced')
+    if (!bid) throw noEvent('place a bid')
+    const auction = await readAuction(market, bid.auctionId, receipt.blockNumber)
+    return { ...auctionFields(market, auction), ...priceFields(bid.amount, 1), buyer: bid.bidder }
+  },
+
+  auction_settle: async (entry, receipt, market) => {
+    const [settled] = findEvents(receipt, market.auctionHouse, AUCTION_EVENTS, 'AuctionSettled')
+    if (!settled) throw noEvent('settle an auction')
+    const auction = await readAuction(market, settled.auctionId, receipt.blockNumber)
+    return {
+      ...auctionFields(market, auction),
+      ...priceFields(settled.amount, 1),
+      ...(settled.winner !== ethers.ZeroAddress && { buyer: settled.winner })
+    }
+  }
+}
+
+const fromReceipt = async (entry) => {
+  const market = await getMarketByChainId(entry.chainId)
+  if (!market) throw new HttpError(400, `No marketplace is configured on chain ${entry.chainId}`)
+
+  let receipt
+  try {
+    receipt = await market.provider.waitForTransaction(entry.txHash, 1, RECEIPT_TIMEOUT)
+  } catch (err) {
+    if (err.code !== 'TIMEOUT') throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  if (!receipt) throw new HttpError(400, `Transaction ${entry.txHash} was not found on chain ${entry.chainId}`)
+  if (receipt.status !== 1) throw new HttpError(400, `Transaction ${entry.txHash} reverted`)
+
+  const fields = await FROM_RECEIPT[entry.type](entry, receipt, market)
+  const block = await receipt.getBlock()
+  return { ...fields, chainId: Number(entry.chainId), timestamp: block.timestamp * 1000 }
+}
+
+// Listings and offers: the verified order they were signed as
+const fromOrder = (entry) => {
+  const order = requireOrder(entry)
+  if (entry.type === 'listing' && !order.seller) throw new HttpError(400, `${entry.orderHash} is not a listing`)
+  if (entry.type === 'offer' && order.seller) throw new HttpError(400, `${entry.orderHash} is not an offer`)
+  if (!getMarket(order)) throw new HttpError(400, `No marketplace is configured at ${order.marketplace}`)
+  return { ...orderFields(order), deadline: order.deadline, timestamp: order.createdAt ?? Date.now() }
+}
+
+// Entries are keyed by what they record, so the app re-sending one after a retry is harmless
+export const prepareActivity = async (body) => {
+  try {
+    validateActivity(body)
+  } catch (err) {
+    throw toHttpError(err)
+  }
+  const onChain = Boolean(FROM_RECEIPT[body.type])
+  const entry = {
+    type: body.type,
+    ...(onChain ? { txHash: body.txHash } : {}),
+    ...(body.orderHash ? { orderHash: body.orderHash } : {}),
+    ...(body.tokenId !== undefined ? { tokenId: body.tokenId } : {}),
+    ...(onChain ? await fromReceipt(body) : fromOrder(body))
+  }
+  return { ...entry, id: getActivityId(entry) }
+}
+
+export const queryActivity = (searchParams) => {
+  let query
+  try {
+    query = parseActivityQuery(searchParams)
+  } catch (err) {
+    throw toHttpError(err)
+  }
+  return runActivityQuery(getCollection('transactions'), query)
+}
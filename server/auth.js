@@ -0,0 +1,132 @@
+/**
+ * MPH Listing Service - Sign-In With Ethereum sessions
+ * Nonces and sessions are kept in memory, so a restart signs everyone out. Expired entries
+ * are dropped whenever a new one is added, and outstanding nonces are capped.
+ */
+
+import { randomBytes } from 'node:crypto'
+import { ethers } from 'ethers'
+import { parseSiweMessage } from '../src/utils/siwe.js'
+import { HttpError } from './http.js'
+import { MARKET_KEYS, getMarketByKey } from './chains.js'
+
+const NONCE_TTL = 5 * 60 * 1000
+const SESSION_TTL = 24 * 60 * 60 * 1000
+const MAX_NONCES = 10000
+export const SESSION_COOKIE = 'mph_session'
+
+const nonces = new Map()
+const sessions = new Map()
+
+const adminAddresses = () => (process.env.ADMIN_ADDRESSES || process.env.VITE_ADMIN_ADDRESS || '')
+  .split(',')
+  .map(a => a.trim().toLowerCase())
+  .filter(Boolean)
+
+export const isAdmin = (address) => adminAddresses().includes(address?.toLowerCase())
+
+// The host the frontend is served from, which every sign-in message must name (EIP-4361
+// domain binding). Defaults to the Vite dev server.
+export const getSiweDomain = () => process.env.SIWE_DOMAIN || 'localhost:5173'
+
+// Chain ids of the configured markets; a session is signed on one of them
+const getSignInChainIds = async () => {
+  const domains = await Promise.allSettled(MARKET_KEYS.map(getMarketByKey).filter(Boolean).map(market => market.getDomain()))
+  return domains.filter(result => result.status === 'fulfilled').map(result => result.value.chainId)
+}
+
+export const issueNonce = () => {
+  // Every nonce lives NONCE_TTL, so the Map's insertion order is also expiry order
+  const now = Date.now()
+  for (const [nonce, expiresAt] of nonces) {
+    if (expiresAt > now && nonces.size < MAX_NONCES) break
+    nonces.delete(nonce)
+  }
+
+  const nonce = randomBytes(12).toString('hex')
+  nonces.set(nonce, now + NONCE_TTL)
+  return nonce
+}
+
+const pruneSessions = () => {
+  const now = Date.now()
+  for (const [token, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(token)
+  }
+}
+
+export const createSession = async ({ message, signature }) => {
+  const fields = parseSiweMessage(message)
+  if (!fields) throw new HttpError(400, 'Malformed sign-in message')
+
+  const nonceExpiry = nonces.get(fields.nonce)
+  nonces.delete(fields.nonce)
+  if (!nonceExpiry || nonceExpiry < Date.now()) throw new HttpError(401, 'Unknown or expired nonce')
+
+  const domain = getSiweDomain()
+  if (fields.domain !== domain) {
+    throw new HttpError(401, `Sign-in message is for ${fields.domain}, expected ${domain}`)
+  }
+  let uriHost
+  try {
+    uriHost = new URL(fields.uri).host
+  } catch {
+    uriHost = null
+  }
+  if (uriHost !== domain) throw new HttpError(401, `Sign-in message URI ${fields.uri} is not on ${domain}`)
+
+  const chainIds = await getSignInChainIds()
+  if (!chainIds.includes(fields.chainId)) {
+    throw new HttpError(401, `Sign-in message is for chain ${fields.chainId}, expected one of ${chainIds.join(', ') || 'the configured chains'}`)
+  }
+
+  const expiresAt = fields.expirationTime ? Date.parse(fields.expirationTime) : Date.now() + SESSION_TTL
+  if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) throw new HttpError(401, 'Sign-in message has expired')
+
+  let recovered
+  try {
+    recovered = ethers.verifyMessage(message, signature)
+  } catch {
+    throw new HttpError(400, 'Malformed signature')
+  }
+  if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+    throw new HttpError(401, 'Signature does not match the sign-in address')
+  }
+
+  pruneSessions()
+  const token = randomBytes(32).toString('hex')
+  const session = { address: ethers.getAddress(fields.address), expiresAt: Math.min(expiresAt, Date.now() + SESSION_TTL) }
+  sessions.set(token, session)
+  return { token, ...session, isAdmin: isAdmin(session.address) }
+}
+
+const readToken = (req) => {
+  const auth = req.headers.authorization || ''
+  if (auth.startsWith('Bearer ')) return auth.slice(7)
+
+  const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`))
+  return cookie ? cookie.slice(SESSION_COOKIE.length + 1) : null
+}
+
+// Returns { token, address, expiresAt } or null when the request is not signed in
+export const getSession = (req) => {
+  const token = readToken(req)
+  const session = token && sessions.get(token)
+  if (!session) return null
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token)
+    return null
+  }
+  return { token, ...session }
+}
+
+export const endSession = (req) => {
+  const token = readToken(req)
+  if (token) sessions.delete(token)
+}
+
+export const requireSession = (req) => {
+  const session = getSession(req)
+  if (!session) throw new HttpError(401, 'Sign in with Ethereum first')
+  return session
+}
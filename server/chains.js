@@ -0,0 +1,121 @@
+/**
+ * MPH Listing Service - Chain configuration
+ * One entry per marketplace, mirroring the addresses the frontend uses. Listings point at
+ * theirs through `chainId` + `marketplace`, so another chain is one more entry here.
+ */
+
+import { ethers } from 'ethers'
+import { MARKETPLACE_ABI, EIP712_DOMAIN, STUDIOCHAIN_MARKETPLACE_ABI, STUDIOCHAIN_EIP712_DOMAIN } from '../src/utils/constants.js'
+
+// Events the activity feed checks receipts against (activity.js). The Native marketplace
+// indexes fewer fields, so each market decodes its own logs.
+const MARKETPLACE_EVENTS = [
+  'event NFTBought(address indexed nftContract, uint256 indexed tokenId, address indexed buyer, address seller, uint256 amount, uint256 totalPrice)',
+  'event ListingCancelled(address indexed nftContract, uint256 indexed tokenId, address indexed seller, uint256 newNonce)',
+  'event CounterIncremented(address indexed seller, uint256 newCounter)',
+  'event OfferAccepted(address indexed nftContract, uint256 indexed tokenId, address indexed buyer, address seller, uint256 amount, uint256 totalPrice)',
+  'event OfferCancelled(address indexed nftContract, uint256 indexed tokenId, address indexed buyer, uint256 newNonce)',
+  'event CollectionOfferAccepted(bytes32 indexed orderHash, address indexed buyer, address indexed seller, uint256 tokenId, uint256 quantity, uint256 filledAmount)',
+  'event CollectionOfferCancelled(address indexed nftContract, string tierName, address indexed buyer, uint256 newNonce)'
+]
+
+const NATIVE_MARKETPLACE_EVENTS = [
+  'event NFTBought(address indexed nftContract, uint256 indexed tokenId, address buyer, address seller, uint256 amount, uint256 totalPrice)',
+  'event ListingCancelled(address indexed nftContract, uint256 indexed tokenId, address seller)',
+  'event CounterIncremented(address indexed seller, uint256 newCounter)'
+]
+
+const MARKET_CONFIG = {
+  karrat: {
+    label: 'KARRAT',
+    currency: 'KARRAT',
+    domain: EIP712_DOMAIN,
+    abi: MARKETPLACE_ABI,
+    rpcUrl: () => process.env.VITE_RPC_URL || 'http://127.0.0.1:8545',
+    marketplace: () => process.env.VITE_MARKETPLACE_CONTRACT || '',
+    events: MARKETPLACE_EVENTS,
+    // Primary-sale collection and auction house on the same chain
+    nft: () => process.env.VITE_NFT_CONTRACT || '',
+    auctionHouse: () => process.env.VITE_AUCTION_CONTRACT || ''
+  },
+  studiochain: {
+    label: 'StudioChain',
+    currency: 'ETH',
+    domain: STUDIOCHAIN_EIP712_DOMAIN,
+    abi: STUDIOCHAIN_MARKETPLACE_ABI,
+    rpcUrl: () => process.env.VITE_STUDIOCHAIN_RPC_URL || '',
+    marketplace: () => process.env.VITE_STUDIOCHAIN_MARKETPLACE_CONTRACT || '',
+    events: NATIVE_MARKETPLACE_EVENTS,
+    nft: () => process.env.VITE_STUDIOCHAIN_NFT_CONTRACT || '',
+    auctionHouse: () => ''
+  }
+}
+
+export const MARKET_KEYS = Object.keys(MARKET_CONFIG)
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase()
+
+const configFor = (listing) =>
+  Object.values(MARKET_CONFIG).find(config => sameAddress(config.marketplace(), listing.marketplace)) || null
+
+// Available without an RPC, so queries can label listings even when a chain is down
+export const getCurrency = (listing) => configFor(listing)?.currency || null
+
+export const getMarketAddress = (key) => MARKET_CONFIG[key]?.marketplace() || ''
+
+const markets = {}
+
+export const getMarketByKey = (key) => {
+  if (markets[key]) return markets[key]
+
+  const config = MARKET_CONFIG[key]
+  if (!config) return null
+
+  const rpcUrl = config.rpcUrl()
+  const address = config.marketplace()
+  if (!rpcUrl || !address) return null
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl)
+  let domain = null
+
+  markets[key] = {
+    key,
+    label: config.label,
+    currency: config.currency,
+    address,
+    provider,
+    marketplace: new ethers.Contract(address, config.abi, provider),
+    events: new ethers.Interface(config.events),
+    nft: config.nft(),
+    auctionHouse: config.auctionHouse(),
+    // chainId is read once from the RPC, the rest of the domain is static
+    getDomain: async () => {
+      if (!domain) {
+        const { chainId } = await provider.getNetwork()
+        domain = { ...config.domain, chainId: Number(chainId), verifyingContract: address }
+      }
+      return domain
+    }
+  }
+  return markets[key]
+}
+
+// The configured market a listing was signed for, or null
+export const getMarket = (listing) => {
+  const key = MARKET_KEYS.find(k => MARKET_CONFIG[k] === configFor(listing))
+  return key ? getMarketByKey(key) : null
+}
+
+// The configured market on chain `chainId`, or null. Chains whose RPC is down are skipped.
+export const getMarketByChainId = async (chainId) => {
+  for (const key of MARKET_KEYS) {
+    const market = getMarketByKey(key)
+    if (!market) continue
+    try {
+      if ((await market.getDomain()).chainId === Number(chainId)) return market
+    } catch {
+      // unreachable RPC, try the next market
+    }
+  }
+  return null
+}
@@ -0,0 +1,61 @@
+/**
+ * MPH Listing Service - JSON file database
+ * Same db.json layout json-server used, so existing data keeps working
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+
+const DB_FILE = process.env.DB_FILE || 'db.json'
+
+export const COLLECTIONS = ['listings', 'offers', 'signatures', 'transactions']
+
+let data = null
+
+const load = () => {
+  if (data) return data
+  data = existsSync(DB_FILE) ? JSON.parse(readFileSync(DB_FILE, 'utf8')) : {}
+  for (const name of COLLECTIONS) {
+    if (!Array.isArray(data[name])) data[name] = []
+  }
+  return data
+}
+
+export const getCollection = (name) => load()[name]
+
+// Hands over a collection from an older layout and drops it from the file
+export const takeCollection = (name) => {
+  const records = load()[name]
+  if (!Array.isArray(records)) return []
+  delete data[name]
+  save()
+  return records
+}
+
+export const findRecord = (name, id) => getCollection(name).find(r => String(r.id) === String(id)) || null
+
+export const insertRecord = (name, record) => {
+  getCollection(name).push(record)
+  save()
+  return record
+}
+
+export const updateRecord = (name, id, updates) => {
+  const record = findRecord(name, id)
+  if (!record) return null
+  Object.assign(record, updates)
+  save()
+  return record
+}
+
+export const deleteRecord = (name, id) => {
+  const records = getCollection(name)
+  const index = records.findIndex(r => String(r.id) === String(id))
+  if (index === -1) return false
+  records.splice(index, 1)
+  save()
+  return true
+}
+
+const save = () => {
+  writeFileSync(DB_FILE, JSON.stringify(data, null, 2))
+}
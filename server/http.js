@@ -0,0 +1,56 @@
+/**
+ * MPH Listing Service - HTTP helpers
+ */
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+}
+
+export const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers, 'Content-Type': 'application/json' })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+export const sendEmpty = (res, status) => {
+  res.writeHead(status, CORS_HEADERS)
+  res.end()
+}
+
+const MAX_BODY_BYTES = 1e6
+
+// Parses a JSON request body. A body over MAX_BODY_BYTES is refused with a 413 as soon as it
+// crosses the limit; the rest is never buffered, and the request is destroyed once the 413
+// has gone out so the client cannot keep streaming into the socket.
+export const readJson = (req, res) => new Promise((resolve, reject) => {
+  const chunks = []
+  let bytes = 0
+  const onData = (chunk) => {
+    bytes += chunk.length
+    if (bytes <= MAX_BODY_BYTES) {
+      chunks.push(chunk)
+      return
+    }
+    req.off('data', onData).off('end', onEnd)
+    res.once('finish', () => req.destroy())
+    reject(new HttpError(413, 'Request body too large'))
+  }
+  const onEnd = () => {
+    const raw = Buffer.concat(chunks).toString('utf8')
+    if (!raw) return resolve({})
+    try {
+      resolve(JSON.parse(raw))
+    } catch {
+      reject(new HttpError(400, 'Invalid JSON body'))
+    }
+  }
+  req.on('data', onData).on('end', onEnd).on('error', reject)
+})
@@ -0,0 +1,241 @@
+/**
+ * MPH Listing Service
+ * Replaces json-server: same REST routes, but listings are only accepted
+ * when their EIP-712 signature, nonce and deadline check out on-chain.
+ * Listings from every chain share /listings and name their chainId + marketplace.
+ * Buyer offers are verified the same way and live in /offers.
+ */
+
+import 'dotenv/config'
+import { createServer } from 'node:http'
+import { pathToFileURL } from 'node:url'
+import { COLLECTIONS, getCollection, findRecord, insertRecord, updateRecord, deleteRecord } from './db.js'
+import { verifyListing, isOrderDead } from './verify.js'
+import { verifyOffer, isOfferDead } from './offers.js'
+import { SESSION_COOKIE, issueNonce, createSession, getSession, requireSession, endSession, isAdmin } from './auth.js'
+import { startSweeper, refreshListing, refreshOffer } from './sweeper.js'
+import { queryMarket } from './query.js'
+import { prepareActivity, queryActivity } from './activity.js'
+import { migrateListings } from './migrate.js'
+import { HttpError, sendJson, sendEmpty, readJson } from './http.js'
+import { SIGNED_LISTING_FIELDS, isCollectionOffer } from '../src/utils/constants.js'
+
+const PORT = process.env.PORT || 3001
+
+// json-server style filtering: ?seller=0x..&tokenId=3 (addresses compared case-insensitively)
+const matchesQuery = (record, searchParams) => {
+  for (const [key, value] of searchParams) {
+    if (String(record[key] ?? '').toLowerCase() !== value.toLowerCase()) return false
+  }
+  return true
+}
+
+const changesSignedTerms = (record, updates) =>
+  ('signature' in updates && updates.signature !== record.signature) ||
+  SIGNED_LISTING_FIELDS.some(field => field in updates && String(updates[field]) !== String(record[field]))
+
+// Only the seller (or an admin) may touch a listing. Anyone may delete an order that is
+// already dead on-chain, which is how buyers clear a listing after filling it.
+const authorizeListingChange = async (req, record, { allowDead = false } = {}) => {
+  const session = getSession(req)
+  if (session && (session.address.toLowerCase() === record.seller?.toLowerCase() || isAdmin(session.address))) return
+  if (allowDead && await isOrderDead(record)) return
+  if (!session) throw new HttpError(401, 'Sign in with Ethereum first')
+  throw new HttpError(403, 'Only the seller or an admin can modify this listing')
+}
+
+// Same rule for offers with the buyer as owner; sellers clear an offer after accepting it
+const authorizeOfferRemoval = async (req, record) => {
+  const session = getSession(req)
+  if (session && (session.address.toLowerCase() === record.buyer?.toLowerCase() || isAdmin(session.address))) return
+  if (await isOfferDead(record)) return
+  if (!session) throw new HttpError(401, 'Sign in with Ethereum first')
+  throw new HttpError(403, 'Only the buyer or an admin can withdraw this offer')
+}
+
+const handleAuth = async (req, res, action) => {
+  if (req.method === 'GET' && action === 'nonce') {
+    return sendJson(res, 200, { nonce: issueNonce() })
+  }
+
+  if (req.method === 'POST' && action === 'verify') {
+    const session = await createSession(await readJson(req, res))
+    const maxAge = Math.floor((session.expiresAt - Date.now()) / 1000)
+    return sendJson(res, 200, session, {
+      'Set-Cookie': `${SESSION_COOKIE}=${session.token}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${maxAge}`
+    })
+  }
+
+  if (req.method === 'GET' && action === 'session') {
+    const session = requireSession(req)
+    return sendJson(res, 200, { address: session.address, expiresAt: session.expiresAt, isAdmin: isAdmin(session.address) })
+  }
+
+  if (req.method === 'POST' && action === 'logout') {
+    endSession(req)
+    return sendJson(res, 200, {}, { 'Set-Cookie': `${SESSION_COOKIE}=; HttpOnly; Path=/; SameSite=Lax; Max-Age=0` })
+  }
+
+  throw new HttpError(404, 'Not found')
+}
+
+const handleCollection = async (req, res, collection, url) => {
+  if (req.method === 'GET') {
+    return sendJson(res, 200, getCollection(collection).filter(r => matchesQuery(r, url.searchParams)))
+  }
+
+  if (req.method === 'POST') {
+    const body = await readJson(req, res)
+
+    if (collection === 'listings') {
+      const { orderHash, chainId, filled } = await verifyListing(body)
+      if (body.id !== undefined && String(body.id).toLowerCase() !== orderHash) {
+        throw new HttpError(400, `Listing id must be the order hash ${orderHash}`)
+      }
+      // Re-submitting the same signed order returns the stored listing instead of a copy
+      const existing = findRecord(collection, orderHash)
+      if (existing) return sendJson(res, 200, existing)
+      const listing = { ...body, id: orderHash, chainId, createdAt: body.createdAt ?? Date.now() }
+      if (body.partial) listing.filled = filled
+      return sendJson(res, 201, insertRecord(collection, listing))
+    }
+
+    if (collection === 'offers') {
+      const { orderHash, chainId, filled } = await verifyOffer(body)
+      if (body.id !== undefined && String(body.id).toLowerCase() !== orderHash) {
+        throw new HttpError(400, `Offer id must be the order hash ${orderHash}`)
+      }
+      const existing = findRecord(collection, orderHash)
+      if (existing) return sendJson(res, 200, existing)
+      const offer = { ...body, id: orderHash, chainId, createdAt: body.createdAt ?? Date.now() }
+      if (isCollectionOffer(body)) offer.filled = filled
+      return sendJson(res, 201, insertRecord(collection, offer))
+    }
+
+    if (collection === 'transactions') {
+      const entry = await prepareActivity(body)
+      const existing = findRecord(collection, entry.id)
+      if (existing) return sendJson(res, 200, existing)
+      return sendJson(res, 201, insertRecord(collection, entry))
+    }
+
+    const record = { ...body, id: body.id ?? Date.now(), createdAt: body.createdAt ?? Date.now() }
+    if (findRecord(collection, record.id)) throw new HttpError(409, `Record ${record.id} already exists`)
+    return sendJson(res, 201, insertRecord(collection, record))
+  }
+
+  throw new HttpError(405, `${req.method} not allowed on /${collection}`)
+}
+
+const handleRecord = async (req, res, collection, id) => {
+  if (req.method === 'GET') {
+    const record = findRecord(collection, id)
+    if (!record) throw new HttpError(404, 'Not found')
+    return sendJson(res, 200, record)
+  }
+
+  if (collection === 'transactions') throw new HttpError(405, 'Activity entries cannot be changed')
+  if (collection === 'offers' && req.method === 'PATCH') {
+    throw new HttpError(405, 'Offers cannot be changed, cancel and make a new one')
+  }
+
+  if (req.method === 'PATCH') {
+    // filled mirrors the chain and is only written by the sweeper
+    const { id: _ignored, filled: _filled, ...updates } = await readJson(req, res)
+    const existing = findRecord(collection, id)
+    if (!existing) throw new HttpError(404, 'Not found')
+
+    if (collection === 'listings') {
+      await authorizeListingChange(req, existing)
+      if (updates.seller && updates.seller.toLowerCase() !== existing.seller?.toLowerCase()) {
+        throw new HttpError(400, 'A listing cannot change seller')
+      }
+    }
+
+    if (collection === 'listings' && changesSignedTerms(existing, updates)) {
+      if (!updates.signature || updates.signature === existing.signature) {
+        throw new HttpError(400, 'Changing price, amount or deadline requires a new signature')
+      }
+      // New terms make a new order, so the listing moves to the new order hash
+      const { orderHash, chainId, filled } = await verifyListing({ ...existing, ...updates })
+      Object.assign(updates, { id: orderHash, chainId })
+      if (updates.partial ?? existing.partial) updates.filled = filled
+      if (orderHash !== existing.id && findRecord(collection, orderHash)) {
+        throw new HttpError(409, `Listing ${orderHash} already exists`)
+      }
+    }
+
+    return sendJson(res, 200, updateRecord(collection, id, updates))
+  }
+
+  if (req.method === 'DELETE') {
+    const existing = findRecord(collection, id)
+    if (!existing) throw new HttpError(404, 'Not found')
+
+    if (collection === 'listings') {
+      await authorizeListingChange(req, existing, { allowDead: true })
+    }
+    if (collection === 'offers') {
+      await authorizeOfferRemoval(req, existing)
+    }
+
+    deleteRecord(collection, id)
+    return sendJson(res, 200, {})
+  }
+
+  throw new HttpError(405, `${req.method} not allowed on /${collection}/:id`)
+}
+
+export const server = createServer(async (req, res) => {
+  try {
+    if (req.method === 'OPTIONS') return sendEmpty(res, 204)
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+    const [collection, id, ...rest] = url.pathname.split('/').filter(Boolean)
+
+    if (collection === 'auth' && rest.length === 0) return await handleAuth(req, res, id)
+
+    if (collection === 'market' && id === undefined && req.method === 'GET') {
+      return sendJson(res, 200, await queryMarket(url.searchParams))
+    }
+
+    if (collection === 'activity' && id === undefined && req.method === 'GET') {
+      return sendJson(res, 200, queryActivity(url.searchParams))
+    }
+
+    // Anyone may ask for a re-check, e.g. a buyer who just took part of a partial-fill order
+    // or a holder who just filled part of a collection offer
+    const refreshable = { listings: refreshListing, offers: refreshOffer }
+    if (refreshable[collection] && id !== undefined && rest[0] === 'refresh' && rest.length === 1 && req.method === 'POST') {
+      const existing = findRecord(collection, decodeURIComponent(id))
+      if (!existing) throw new HttpError(404, 'Not found')
+      const refreshed = await refreshable[collection](existing)
+      return refreshed ? sendJson(res, 200, refreshed) : sendEmpty(res, 204)
+    }
+
+    if (!COLLECTIONS.includes(collection) || rest.length > 0) throw new HttpError(404, 'Not found')
+
+    if (id === undefined) {
+      await handleCollection(req, res, collection, url)
+    } else {
+      await handleRecord(req, res, collection, decodeURIComponent(id))
+    }
+  } catch (err) {
+    if (err instanceof HttpError) {
+      sendJson(res, err.status, { error: err.message })
+    } else {
+      console.error('Listing service error:', err)
+      sendJson(res, 500, { error: 'Internal server error' })
+    }
+  }
+})
+
+// Started by `npm run server`; the tests import the server and listen on a port of their own
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  migrateListings()
+
+  server.listen(PORT, () => {
+    console.log(`MPH listing service running on http://localhost:${PORT}`)
+    startSweeper()
+  })
+}
@@ -0,0 +1,33 @@
+/**
+ * MPH Listing Service - Data migrations
+ * Listings used to live in `listings` (KARRAT) and `studiochain_listings` (ETH). Both now
+ * share `listings` and carry the `marketplace` they were signed for; `chainId` is filled in
+ * by the sweeper once the chain's RPC answers.
+ */
+
+import { getCollection, findRecord, insertRecord, updateRecord, takeCollection } from './db.js'
+import { getMarketAddress } from './chains.js'
+
+export const migrateListings = () => {
+  let migrated = 0
+
+  const karrat = getMarketAddress('karrat')
+  for (const listing of getCollection('listings')) {
+    if (listing.marketplace || !karrat) continue
+    updateRecord('listings', listing.id, { marketplace: karrat })
+    migrated++
+  }
+
+  // StudioChain orders stay in their own collection until that marketplace is configured;
+  // moved into `listings` untagged, the next run would take them for KARRAT orders
+  const studiochain = getMarketAddress('studiochain')
+  for (const listing of studiochain ? takeCollection('studiochain_listings') : []) {
+    // Old timestamp ids could repeat across the two collections; the sweeper re-keys
+    // every listing to its order hash afterwards anyway
+    const id = findRecord('listings', listing.id) ? `studiochain-${listing.id}` : listing.id
+    insertRecord('listings', { ...listing, id, marketplace: listing.marketplace || studiochain })
+    migrated++
+  }
+
+  if (migrated > 0) console.log(`Migrated ${migrated} listings to the shared listing store`)
+}
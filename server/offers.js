@@ -0,0 +1,159 @@
+/**
+ * MPH Listing Service - Offers
+ * Buyer bids signed as EIP-712 Offer structs, which a token holder fills with
+ * acceptOffer, or as CollectionOffer structs naming a tier, which any holder of a token
+ * in that tier fills with acceptCollectionOffer. Only the KARRAT marketplace
+ * (MPHGameMarketplace1155) takes offers.
+ */
+
+import { ethers } from 'ethers'
+import { KARRAT_ABI, NFT_ABI, getOfferTypes, isCollectionOffer } from '../src/utils/constants.js'
+import { getMarket } from './chains.js'
+import { HttpError } from './http.js'
+
+const REQUIRED_FIELDS = ['marketplace', 'buyer', 'nftContract', 'amount', 'priceWei', 'nonce', 'deadline', 'signature']
+
+export const toOfferMessage = (offer) => ({
+  buyer: offer.buyer,
+  nftContract: offer.nftContract,
+  ...(isCollectionOffer(offer) ? { tierName: offer.tierName } : { tokenId: BigInt(offer.tokenId) }),
+  amount: BigInt(offer.amount),
+  price: BigInt(offer.priceWei),
+  nonce: BigInt(offer.nonce),
+  deadline: BigInt(offer.deadline)
+})
+
+export const getOfferHash = (domain, offer) =>
+  ethers.TypedDataEncoder.hash(domain, getOfferTypes(offer), toOfferMessage(offer))
+
+// Token offers share a nonce per token, collection offers per tier
+const readNonce = (market, offer) => isCollectionOffer(offer)
+  ? market.marketplace.collectionOfferNonces(offer.nftContract, offer.tierName, offer.buyer)
+  : market.marketplace.offerNonces(offer.nftContract, offer.tokenId, offer.buyer)
+
+// Collection offers are filled over several calls; token offers are all-or-nothing
+const readFilled = async (market, offer, orderHash) =>
+  isCollectionOffer(offer) ? Number(await market.marketplace.filledAmounts(orderHash)) : 0
+
+// Accepting pulls the marketplace's quoted buyer total from the buyer (the fee on top only
+// when buyers pay it), so the buyer's KARRAT balance and allowance have to cover whatever
+// can still be filled
+const readFunds = async (market, offer, filled) => {
+  const [token, [buyerTotal]] = await Promise.all([
+    market.marketplace.paymentToken(),
+    market.marketplace.quote(offer.priceWei, Number(offer.amount) - filled)
+  ])
+  const karrat = new ethers.Contract(token, KARRAT_ABI, market.provider)
+  const [balance, allowance] = await Promise.all([
+    karrat.balanceOf(offer.buyer),
+    karrat.allowance(offer.buyer, market.address)
+  ])
+  return { required: buyerTotal, balance, allowance }
+}
+
+// Resolves to { orderHash, chainId, filled } like verifyListing
+export const verifyOffer = async (offer) => {
+  const collection = isCollectionOffer(offer)
+  const required = [...REQUIRED_FIELDS, ...(collection ? [] : ['tokenId'])]
+  const missing = required.filter(field => offer[field] === undefined || offer[field] === null || offer[field] === '')
+  if (missing.length > 0) throw new HttpError(400, `Missing fields: ${missing.join(', ')}`)
+  if (collection && typeof offer.tierName !== 'string') throw new HttpError(400, 'tierName must be a string')
+
+  const market = getMarket(offer)
+  if (!market) throw new HttpError(400, `No marketplace is configured at ${offer.marketplace}`)
+  if (market.key !== 'karrat') throw new HttpError(400, 'Offers are only accepted on the KARRAT marketplace')
+
+  if (!ethers.isAddress(offer.buyer) || !ethers.isAddress(offer.nftContract)) {
+    throw new HttpError(400, 'Invalid buyer or nftContract address')
+  }
+
+  let message
+  try {
+    message = toOfferMessage(offer)
+  } catch {
+    throw new HttpError(400, 'tokenId, amount, priceWei, nonce and deadline must be integers')
+  }
+  if (message.amount === 0n) throw new HttpError(400, 'Amount must be greater than zero')
+  if (message.price === 0n) throw new HttpError(400, 'Price must be greater than zero')
+
+  if (message.deadline <= BigInt(Math.floor(Date.now() / 1000))) {
+    throw new HttpError(400, 'Offer deadline has already passed')
+  }
+
+  const types = getOfferTypes(offer)
+  let domain, recovered
+  try {
+    domain = await market.getDomain()
+    recovered = ethers.verifyTypedData(domain, types, message, offer.signature)
+  } catch (err) {
+    if (err.code === 'INVALID_ARGUMENT') throw new HttpError(400, 'Malformed signature')
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  if (offer.chainId !== undefined && offer.chainId !== null && Number(offer.chainId) !== domain.chainId) {
+    throw new HttpError(400, `${market.label} marketplace is on chain ${domain.chainId}, not ${offer.chainId}`)
+  }
+  if (recovered.toLowerCase() !== offer.buyer.toLowerCase()) {
+    throw new HttpError(400, 'Signature was not produced by the buyer')
+  }
+
+  const orderHash = ethers.TypedDataEncoder.hash(domain, types, message)
+  let currentNonce, filled, tierTokenIds
+  try {
+    [currentNonce, filled, tierTokenIds] = await Promise.all([
+      readNonce(market, offer),
+      readFilled(market, offer, orderHash),
+      collection ? new ethers.Contract(offer.nftContract, NFT_ABI, market.provider).getTierTokenIds(offer.tierName) : null
+    ])
+  } catch {
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  if (currentNonce !== message.nonce) {
+    throw new HttpError(400, `Offer nonce ${message.nonce} is stale, current nonce is ${currentNonce}`)
+  }
+  if (collection && tierTokenIds.length === 0) throw new HttpError(400, `Unknown tier "${offer.tierName}"`)
+  if (filled >= Number(message.amount)) throw new HttpError(400, 'This offer is already filled')
+
+  let funds
+  try {
+    funds = await readFunds(market, offer, filled)
+  } catch {
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  if (funds.allowance < funds.required) {
+    throw new HttpError(400, 'Buyer has not approved enough KARRAT to cover this offer')
+  }
+
+  return { orderHash, chainId: domain.chainId, filled }
+}
+
+// Same shape as the sweeper's listing check: { dead } | { inactive } | {}, plus the
+// on-chain `filled` count for collection offers
+export const checkOffer = async (market, offer) => {
+  if (Number(offer.deadline) <= Math.floor(Date.now() / 1000)) return { dead: 'expired' }
+
+  const orderHash = getOfferHash(await market.getDomain(), offer)
+  const [nonce, filled] = await Promise.all([readNonce(market, offer), readFilled(market, offer, orderHash)])
+  if (nonce !== BigInt(offer.nonce) || filled >= Number(offer.amount)) return { dead: 'filled_or_cancelled' }
+
+  const funds = await readFunds(market, offer, filled)
+  const result = isCollectionOffer(offer) ? { filled } : {}
+  if (funds.balance < funds.required) return { ...result, inactive: 'insufficient_funds' }
+  if (funds.allowance < funds.required) return { ...result, inactive: 'insufficient_allowance' }
+  return result
+}
+
+// True once an offer can never be accepted again. RPC failures count as alive.
+export const isOfferDead = async (offer) => {
+  if (Number(offer.deadline) <= Math.floor(Date.now() / 1000)) return true
+
+  const market = getMarket(offer)
+  if (!market) return false
+
+  try {
+    const orderHash = getOfferHash(await market.getDomain(), offer)
+    const [currentNonce, filled] = await Promise.all([readNonce(market, offer), readFilled(market, offer, orderHash)])
+    return currentNonce !== BigInt(offer.nonce) || filled >= Number(offer.amount)
+  } catch {
+    return false
+  }
+}
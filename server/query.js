@@ -0,0 +1,52 @@
+/**
+ * MPH Listing Service - Market query
+ * GET /market: filter, sort and cursor-paginate listings from every chain at once
+ */
+
+import { ethers } from 'ethers'
+import { NFT_ABI } from '../src/utils/constants.js'
+import { parseListingQuery, runListingQuery, ListingQueryError } from '../src/utils/listingQuery.js'
+import { getCollection } from './db.js'
+import { getCurrency, getMarket } from './chains.js'
+import { HttpError } from './http.js'
+
+// Token tiers are fixed once a tier is created, so each (contract, tokenId) is read once
+const tierCache = new Map()
+
+const tierKey = (listing) => `${listing.marketplace}:${listing.nftContract}:${listing.tokenId}`.toLowerCase()
+
+const resolveTiers = async (listings) => {
+  const lookups = new Map()
+  for (const listing of listings) {
+    const key = tierKey(listing)
+    if (tierCache.has(key) || lookups.has(key)) continue
+
+    const market = getMarket(listing)
+    if (!market) continue
+    const nft = new ethers.Contract(listing.nftContract, NFT_ABI, market.provider)
+    lookups.set(key, nft.getTokenTierName(listing.tokenId).catch(() => null))
+  }
+
+  for (const [key, lookup] of lookups) {
+    const tier = await lookup
+    // Don't cache RPC failures, the next query retries them
+    if (tier !== null) tierCache.set(key, tier)
+  }
+
+  return (listing) => tierCache.get(tierKey(listing))
+}
+
+export const queryMarket = async (searchParams) => {
+  let query
+  try {
+    query = parseListingQuery(searchParams)
+  } catch (err) {
+    if (err instanceof ListingQueryError) throw new HttpError(400, err.message)
+    throw err
+  }
+
+  const listings = getCollection('listings').map(listing => ({ ...listing, currency: getCurrency(listing) }))
+  const tierOf = query.tiers.length > 0 ? await resolveTiers(listings) : null
+
+  return runListingQuery(listings, query, tierOf)
+}
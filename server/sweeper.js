@@ -0,0 +1,206 @@
+/**
+ * MPH Listing Service - Stale order sweeper
+ * Periodically re-checks every stored order against the chain. Orders that can never
+ * fill again (expired, sold, delisted) are pruned; orders that could recover (seller
+ * moved tokens away or revoked approval) are marked inactive until they do. Partial-fill
+ * orders also get their on-chain filled amount copied into `filled`. Buyer offers get the
+ * same treatment, with collection offers tracking `filled` like partial listings.
+ */
+
+import { ethers } from 'ethers'
+import { NFT_ABI } from '../src/utils/constants.js'
+import { getCollection, findRecord, updateRecord, deleteRecord } from './db.js'
+import { getMarket } from './chains.js'
+import { getOrderHash } from './verify.js'
+import { checkOffer } from './offers.js'
+import { HttpError } from './http.js'
+
+const SWEEP_INTERVAL = Number(process.env.SWEEP_INTERVAL_MS) || 60 * 1000
+const PRUNE_DEAD = process.env.SWEEP_PRUNE !== 'false'
+
+// Returns { dead: reason } | { inactive: reason } | {} for a healthy order, plus `filled`
+// for partial-fill orders, which are tracked on-chain under their order hash
+const checkListing = async (market, listing, orderHash) => {
+  if (Number(listing.deadline) <= Math.floor(Date.now() / 1000)) return { dead: 'expired' }
+
+  const nft = new ethers.Contract(listing.nftContract, NFT_ABI, market.provider)
+  const [nonce, counter, balance, approved, filled] = await Promise.all([
+    market.marketplace.nonces(listing.nftContract, listing.tokenId, listing.seller),
+    market.marketplace.counters(listing.seller),
+    nft.balanceOf(listing.seller, listing.tokenId),
+    nft.isApprovedForAll(listing.seller, market.address),
+    listing.partial ? market.marketplace.filledAmounts(orderHash) : 0n
+  ])
+
+  if (nonce !== BigInt(listing.nonce) || counter !== BigInt(listing.counter ?? 0)) return { dead: 'filled_or_cancelled' }
+  if (filled >= BigInt(listing.amount)) return { dead: 'filled_or_cancelled' }
+  // A partial order keeps selling whatever the seller still holds
+  if (balance < (listing.partial ? 1n : BigInt(listing.amount))) return { inactive: 'insufficient_balance', filled }
+  if (!approved) return { inactive: 'not_approved', filled }
+  return { filled }
+}
+
+// Records a { dead } / { inactive } / {} result on a listing or offer.
+// Returns false if the record was pruned.
+const applyStatus = (collection, record, result, stats) => {
+  const update = (changes) => {
+    updateRecord(collection, record.id, changes)
+    stats.changed++
+  }
+
+  if (result.dead) {
+    stats.dead++
+    if (PRUNE_DEAD) {
+      deleteRecord(collection, record.id)
+      stats.changed++
+      return false
+    }
+    if (record.status !== 'dead') update({ status: 'dead', statusReason: result.dead })
+  } else if (result.inactive) {
+    stats.inactive++
+    if (record.status !== 'inactive' || record.statusReason !== result.inactive) {
+      update({ status: 'inactive', statusReason: result.inactive })
+    }
+  } else if (record.status && record.status !== 'active') {
+    update({ status: 'active', statusReason: null })
+  }
+  return true
+}
+
+// Applies one check to the stored listing. Returns the updated record, or null if it was pruned.
+const applyCheck = (listing, result, domain, orderHash, stats) => {
+  if (!applyStatus('listings', listing, result, stats)) return null
+
+  let id = listing.id
+  const update = (changes) => {
+    updateRecord('listings', id, changes)
+    stats.changed++
+  }
+
+  if (listing.partial && result.filled !== undefined && Number(result.filled) !== Number(listing.filled || 0)) {
+    update({ filled: Number(result.filled) })
+  }
+
+  // Listings migrated from older layouts get their chainId and order-hash id once
+  if (listing.chainId === undefined) update({ chainId: domain.chainId })
+  if (id !== orderHash && !findRecord('listings', orderHash)) {
+    update({ id: orderHash })
+    id = orderHash
+  }
+
+  return findRecord('listings', id)
+}
+
+// Re-checks one listing right away, e.g. after a buyer took part of a partial-fill order.
+// Returns the updated record, or null if it was pruned.
+export const refreshListing = async (listing) => {
+  const market = getMarket(listing)
+  if (!market) throw new HttpError(400, `No marketplace is configured at ${listing.marketplace}`)
+
+  let result, domain, orderHash
+  try {
+    domain = await market.getDomain()
+    orderHash = getOrderHash(domain, listing)
+    result = await checkListing(market, listing, orderHash)
+  } catch {
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  return applyCheck(listing, result, domain, orderHash, { checked: 1, dead: 0, inactive: 0, changed: 0 })
+}
+
+export const sweepListings = async () => {
+  const stats = { checked: 0, dead: 0, inactive: 0, changed: 0 }
+
+  // Copy first: pruning mutates the collection array
+  for (const listing of [...getCollection('listings')]) {
+    const market = getMarket(listing)
+    if (!market) continue
+
+    let result, domain, orderHash
+    try {
+      domain = await market.getDomain()
+      orderHash = getOrderHash(domain, listing)
+      result = await checkListing(market, listing, orderHash)
+    } catch (err) {
+      console.warn(`Sweep skipped ${listing.id}:`, err.shortMessage || err.message)
+      continue
+    }
+    stats.checked++
+    applyCheck(listing, result, domain, orderHash, stats)
+  }
+
+  return stats
+}
+
+// Returns the updated offer, or null if it was pruned
+const applyOfferCheck = (offer, result, stats) => {
+  if (!applyStatus('offers', offer, result, stats)) return null
+
+  if (result.filled !== undefined && result.filled !== Number(offer.filled || 0)) {
+    updateRecord('offers', offer.id, { filled: result.filled })
+    stats.changed++
+  }
+  return findRecord('offers', offer.id)
+}
+
+// Re-checks one offer right away, e.g. after a holder filled part of a collection offer
+export const refreshOffer = async (offer) => {
+  const market = getMarket(offer)
+  if (!market) throw new HttpError(400, `No marketplace is configured at ${offer.marketplace}`)
+
+  let result
+  try {
+    result = await checkOffer(market, offer)
+  } catch {
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  return applyOfferCheck(offer, result, { checked: 1, dead: 0, inactive: 0, changed: 0 })
+}
+
+// Offers are dead once expired, accepted, filled or cancelled, and inactive while the
+// buyer's KARRAT balance or allowance no longer covers them
+export const sweepOffers = async () => {
+  const stats = { checked: 0, dead: 0, inactive: 0, changed: 0 }
+
+  for (const offer of [...getCollection('offers')]) {
+    const market = getMarket(offer)
+    if (!market) continue
+
+    let result
+    try {
+      result = await checkOffer(market, offer)
+    } catch (err) {
+      console.warn(`Sweep skipped offer ${offer.id}:`, err.shortMessage || err.message)
+      continue
+    }
+    stats.checked++
+    applyOfferCheck(offer, result, stats)
+  }
+
+  return stats
+}
+
+export const startSweeper = () => {
+  let running = false
+
+  const sweep = async () => {
+    if (running) return
+    running = true
+    try {
+      const listings = await sweepListings()
+      const offers = await sweepOffers()
+      // Only log sweeps that changed something, not every pass over a stale order
+      if (listings.changed || offers.changed) {
+        console.log(`Sweep: ${listings.checked} listings checked, ${listings.dead} dead, ${listings.inactive} inactive; ` +
+          `${offers.checked} offers checked, ${offers.dead} dead, ${offers.inactive} inactive`)
+      }
+    } catch (err) {
+      console.error('Sweep failed:', err)
+    } finally {
+      running = false
+    }
+  }
+
+  sweep()
+  return setInterval(sweep, SWEEP_INTERVAL)
+}
@@ -0,0 +1,176 @@
+/**
+ * MPH Listing Service - Listing verification
+ * Recomputes the EIP-712 digest the marketplace contracts check in buyNFT (Approval),
+ * buyNFTPartial (PartialApproval, for listings with `partial: true`) or buyNFTDutch
+ * (DutchApproval, for listings with `dutch: true`). Bulk listings (`bulk: true`) are Approval
+ * orders whose signature is a BulkApproval over `merkleRoot`, checked with `merkleProof`.
+ * Every type signs a trailing `buyer`, the zero address unless the listing is private.
+ */
+
+import { ethers } from 'ethers'
+import { getApprovalTypes, BULK_APPROVAL_TYPES } from '../src/utils/constants.js'
+import { getBulkLeaf, processProof } from '../src/utils/merkle.js'
+import { getMarket } from './chains.js'
+import { HttpError } from './http.js'
+
+const REQUIRED_FIELDS = ['marketplace', 'seller', 'nftContract', 'tokenId', 'amount', 'priceWei', 'nonce', 'counter', 'deadline', 'signature']
+
+const DUTCH_FIELDS = ['endPriceWei', 'startTime']
+
+const BULK_FIELDS = ['merkleRoot', 'merkleProof']
+
+// Dutch listings store the start price in priceWei and the end time in deadline, so
+// expiry and nonce checks treat them like any other listing
+export const toApprovalMessage = (listing) => listing.dutch ? {
+  seller: listing.seller,
+  nftContract: listing.nftContract,
+  tokenId: BigInt(listing.tokenId),
+  amount: BigInt(listing.amount),
+  startPrice: BigInt(listing.priceWei),
+  endPrice: BigInt(listing.endPriceWei),
+  startTime: BigInt(listing.startTime),
+  endTime: BigInt(listing.deadline),
+  nonce: BigInt(listing.nonce),
+  counter: BigInt(listing.counter),
+  buyer: listing.buyer || ethers.ZeroAddress
+} : {
+  seller: listing.seller,
+  nftContract: listing.nftContract,
+  tokenId: BigInt(listing.tokenId),
+  amount: BigInt(listing.amount),
+  price: BigInt(listing.priceWei),
+  nonce: BigInt(listing.nonce),
+  counter: BigInt(listing.counter),
+  deadline: BigInt(listing.deadline),
+  buyer: listing.buyer || ethers.ZeroAddress
+}
+
+export const getOrderHash = (domain, listing) =>
+  ethers.TypedDataEncoder.hash(domain, getApprovalTypes(listing), toApprovalMessage(listing))
+
+// Resolves to { orderHash, chainId, filled }: the order's EIP-712 digest, which doubles as the
+// listing id, the chain of the marketplace it was signed for, and how much of a partial-fill
+// order has already sold (always 0 for fill-or-kill orders)
+export const verifyListing = async (listing) => {
+  if (listing.dutch !== undefined && typeof listing.dutch !== 'boolean') {
+    throw new HttpError(400, 'dutch must be true or false')
+  }
+  if (listing.dutch && listing.partial) throw new HttpError(400, 'Dutch auctions cannot be partially filled')
+  if (listing.bulk !== undefined && typeof listing.bulk !== 'boolean') {
+    throw new HttpError(400, 'bulk must be true or false')
+  }
+  if (listing.bulk && (listing.partial || listing.dutch)) {
+    throw new HttpError(400, 'Bulk listings can only hold fixed-price, fill-or-kill orders')
+  }
+
+  const required = [...REQUIRED_FIELDS, ...(listing.dutch ? DUTCH_FIELDS : []), ...(listing.bulk ? BULK_FIELDS : [])]
+  const missing = required.filter(field => listing[field] === undefined || listing[field] === null || listing[field] === '')
+  if (missing.length > 0) throw new HttpError(400, `Missing fields: ${missing.join(', ')}`)
+
+  const market = getMarket(listing)
+  if (!market) throw new HttpError(400, `No marketplace is configured at ${listing.marketplace}`)
+
+  if (!ethers.isAddress(listing.seller) || !ethers.isAddress(listing.nftContract)) {
+    throw new HttpError(400, 'Invalid seller or nftContract address')
+  }
+  if (listing.buyer !== undefined && listing.buyer !== null) {
+    if (!ethers.isAddress(listing.buyer)) throw new HttpError(400, 'buyer must be an address')
+    if (listing.buyer.toLowerCase() === listing.seller.toLowerCase()) throw new HttpError(400, 'A listing cannot be reserved for its seller')
+  }
+
+  let message
+  try {
+    message = toApprovalMessage(listing)
+  } catch {
+    throw new HttpError(400, `${listing.dutch ? 'tokenId, amount, priceWei, endPriceWei, startTime' : 'tokenId, amount, priceWei'}, nonce, counter and deadline must be integers`)
+  }
+  if (message.amount === 0n) throw new HttpError(400, 'Amount must be greater than zero')
+  if (listing.dutch) {
+    if (message.endPrice > message.startPrice) throw new HttpError(400, 'End price must not be above the start price')
+    if (message.startTime >= message.endTime) throw new HttpError(400, 'Auction must start before its deadline')
+  }
+  if (listing.partial !== undefined && typeof listing.partial !== 'boolean') {
+    throw new HttpError(400, 'partial must be true or false')
+  }
+  const types = getApprovalTypes(listing)
+
+  // The order must be a leaf of the tree the seller signed
+  if (listing.bulk) {
+    if (!ethers.isHexString(listing.merkleRoot, 32)) throw new HttpError(400, 'merkleRoot must be a 32-byte hash')
+    if (!Array.isArray(listing.merkleProof) || !listing.merkleProof.every(node => ethers.isHexString(node, 32))) {
+      throw new HttpError(400, 'merkleProof must be a list of 32-byte hashes')
+    }
+    if (processProof(getBulkLeaf(message), listing.merkleProof) !== String(listing.merkleRoot).toLowerCase()) {
+      throw new HttpError(400, 'Merkle proof does not lead to merkleRoot')
+    }
+  }
+
+  if (BigInt(listing.deadline) <= BigInt(Math.floor(Date.now() / 1000))) {
+    throw new HttpError(400, 'Listing deadline has already passed')
+  }
+
+  let domain, recovered
+  try {
+    domain = await market.getDomain()
+    recovered = listing.bulk
+      ? ethers.verifyTypedData(domain, BULK_APPROVAL_TYPES, { seller: listing.seller, root: listing.merkleRoot }, listing.signature)
+      : ethers.verifyTypedData(domain, types, message, listing.signature)
+  } catch (err) {
+    if (err instanceof HttpError) throw err
+    if (err.code === 'INVALID_ARGUMENT') throw new HttpError(400, 'Malformed signature')
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  if (listing.chainId !== undefined && listing.chainId !== null && Number(listing.chainId) !== domain.chainId) {
+    throw new HttpError(400, `${market.label} marketplace is on chain ${domain.chainId}, not ${listing.chainId}`)
+  }
+  if (recovered.toLowerCase() !== listing.seller.toLowerCase()) {
+    throw new HttpError(400, 'Signature was not produced by the seller')
+  }
+
+  const orderHash = ethers.TypedDataEncoder.hash(domain, types, message)
+
+  let currentNonce, currentCounter, filled
+  try {
+    [currentNonce, currentCounter, filled] = await Promise.all([
+      market.marketplace.nonces(listing.nftContract, message.tokenId, listing.seller),
+      market.marketplace.counters(listing.seller),
+      listing.partial ? market.marketplace.filledAmounts(orderHash) : 0n
+    ])
+  } catch {
+    throw new HttpError(502, `${market.label} RPC unavailable`)
+  }
+  if (currentNonce !== message.nonce) {
+    throw new HttpError(400, `Nonce ${message.nonce} is stale, current nonce is ${currentNonce}`)
+  }
+  if (currentCounter !== message.counter) {
+    throw new HttpError(400, `Counter ${message.counter} is stale, the seller's current counter is ${currentCounter}`)
+  }
+  if (filled >= message.amount) throw new HttpError(400, 'This order is already sold out')
+
+  return { orderHash, chainId: domain.chainId, filled: Number(filled) }
+}
+
+// True once an order can never be filled again: past its deadline, the seller's
+// nonce moved on (sold or delisted), the seller cancelled everything with
+// incrementCounter, or a partial-fill order sold out.
+// RPC failures count as alive.
+export const isOrderDead = async (listing) => {
+  if (Number(listing.deadline) <= Math.floor(Date.now() / 1000)) return true
+
+  const market = getMarket(listing)
+  if (!market) return false
+
+  try {
+    const [currentNonce, currentCounter] = await Promise.all([
+      market.marketplace.nonces(listing.nftContract, listing.tokenId, listing.seller),
+      market.marketplace.counters(listing.seller)
+    ])
+    if (currentNonce !== BigInt(listing.nonce) || currentCounter !== BigInt(listing.counter ?? 0)) return true
+    if (!listing.partial) return false
+
+    const filled = await market.marketplace.filledAmounts(getOrderHash(await market.getDomain(), listing))
+    return filled >= BigInt(listing.amount)
+  } catch {
+    return false
+  }
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { Routes, Route, Navigate } from 'react-router-dom'
 import { ethers } from 'ethers'
 import Header from './components/Header'
@@ -7,14 +7,163 @@ import PrimaryStorePage from './pages/PrimaryStorePage'
 import StudioChainPage from './pages/StudioChainPage'
 import MarketplacePage from './pages/MarketplacePage'
 import InventoryPage from './pages/InventoryPage'
+import ActivityPage from './pages/ActivityPage'
+import AuctionsPage from './pages/AuctionsPage'
 import AdminPage from './pages/AdminPage'
 import Toast from './components/Toast'
 import TxModal from './components/TxModal'
-import { NFT_ABI, MARKETPLACE_ABI, TRACKING_ABI, KARRAT_ABI, EIP712_DOMAIN, APPROVAL_TYPES, STUDIOCHAIN_NFT_ABI, STUDIOCHAIN_MARKETPLACE_ABI, STUDIOCHAIN_EIP712_DOMAIN } from './utils/constants'
-import { getListings, addListing, updateListing, removeListing, getStudioChainListings, addStudioChainListing, updateStudioChainListing, removeStudioChainListing, saveSignature } from './utils/storage'
+import CartDrawer from './components/CartDrawer'
+import { NFT_ABI, MARKETPLACE_ABI, TRACKING_ABI, KARRAT_ABI, AUCTION_ABI, getOfferTypes, isCollectionOffer, getApprovalTypes, APPROVAL_TYPES, BULK_APPROVAL_TYPES, getDutchPriceWei, getRemainingAmount, STUDIOCHAIN_NFT_ABI, STUDIOCHAIN_MARKETPLACE_ABI, LISTING_STATUS_REASONS, isListingLive, getTokenName } from './utils/constants'
+import { MARKETS, SEPOLIA_NETWORK, getListingMarket, isListingOn, getChainName } from './utils/markets'
+import { buildMerkleTree, getBulkLeaf } from './utils/merkle'
+import { fetchQuote, readRates } from './utils/fees'
+import { listingRejection, fundsRejection, simulateRejection } from './utils/preflight'
+import { getErrorMessage } from './utils/errors'
+import { ensureApprovalForAll } from './utils/approvals'
+import { cartRejection, fetchCartQuote, findStaleItems, toBatchArgs, primaryCartRejection, addPrimaryItem, getPrimaryTotal, toBuyMultipleArgs } from './utils/cart'
+import { getListings, addListing, replaceListing, removeListing, refreshListing, getOffers, addOffer, removeOffer, refreshOffer, saveSignature, saveTransaction, syncActivity, getCart, saveCart, getPrimaryCarts, savePrimaryCarts, ListingRejectedError, hasSession, signIn, getOutbox, syncOutbox, OUTBOX_EVENT } from './utils/storage'
 import './App.css'
 
 const ADMIN_ADDRESS = import.meta.env.VITE_ADMIN_ADDRESS?.toLowerCase() || ''
+const SYNC_RETRY_INTERVAL = 30 * 1000
+
+// Sign an EIP-712 Approval (or PartialApproval, letting buyers take part of `amount`) for the
+// given terms against the marketplace's current nonce.
+// `dutch` ({ endPrice, startTime }) signs a DutchApproval instead: `price` is the start price and
+// the deadline ends the auction.
+// `buyer` reserves the order for one address (a private listing); the zero address lets anyone buy.
+// The listing id is the order's EIP-712 digest, so the same signed order always maps to one record.
+const signApproval = async ({ signer, marketplace, domain, seller, nftContract, tokenId, amount, price, deadline, partial = false, dutch = null, buyer = ethers.ZeroAddress }) => {
+  const [nonce, counter] = await Promise.all([marketplace.nonces(nftContract, tokenId, seller), marketplace.counters(seller)])
+  const priceWei = ethers.parseEther(price.toString())
+  const endPriceWei = dutch && ethers.parseEther(dutch.endPrice.toString())
+
+  const message = dutch ? {
+    seller,
+    nftContract,
+    tokenId: BigInt(tokenId),
+    amount: BigInt(amount),
+    startPrice: priceWei,
+    endPrice: endPriceWei,
+    startTime: BigInt(dutch.startTime),
+    endTime: BigInt(deadline),
+    nonce: BigInt(nonce),
+    counter: BigInt(counter),
+    buyer
+  } : {
+    seller,
+    nftContract,
+    tokenId: BigInt(tokenId),
+    amount: BigInt(amount),
+    price: priceWei,
+    nonce: BigInt(nonce),
+    counter: BigInt(counter),
+    deadline: BigInt(deadline),
+    buyer
+  }
+
+  const types = getApprovalTypes({ partial, dutch: Boolean(dutch) })
+  const signature = await signer.signTypedData(domain, types, message)
+
+  return {
+    id: ethers.TypedDataEncoder.hash(domain, types, message),
+    chainId: domain.chainId,
+    marketplace: domain.verifyingContract,
+    seller,
+    nftContract,
+    tokenId,
+    amount,
+    price: price.toString(),
+    priceWei: priceWei.toString(),
+    nonce: Number(nonce),
+    counter: Number(counter),
+    deadline,
+    buyer,
+    partial,
+    ...(partial && { filled: 0 }),
+    ...(dutch && { dutch: true, endPrice: dutch.endPrice.toString(), endPriceWei: endPriceWei.toString(), startTime: dutch.startTime }),
+    signature
+  }
+}
+
+// Activity feed fields shared by every entry about a listing (listed, bought, cancelled)
+const listingActivity = (listing, market) => ({
+  chainId: Number(listing.chainId),
+  marketplace: listing.marketplace,
+  currency: market.currency,
+  orderHash: listing.id,
+  nftContract: listing.nftContract,
+  tokenId: listing.tokenId,
+  amount: listing.amount,
+  price: listing.price,
+  priceWei: listing.priceWei,
+  seller: listing.seller
+})
+
+// Auction record from MPHAuctionHouse.getAuction; bids in ETH have currency address(0)
+const toAuction = (id, auction, minimumBid) => ({
+  id,
+  seller: auction.seller,
+  nftContract: auction.nftContract,
+  tokenId: Number(auction.tokenId),
+  amount: Number(auction.amount),
+  currency: auction.currency === ethers.ZeroAddress ? 'ETH' : 'KARRAT',
+  currencyAddress: auction.currency,
+  reservePrice: auction.reservePrice.toString(),
+  endTime: Number(auction.endTime),
+  highestBidder: auction.highestBidder === ethers.ZeroAddress ? null : auction.highestBidder,
+  highestBid: auction.highestBid.toString(),
+  minimumBid: minimumBid.toString(),
+  settled: auction.settled
+})
+
+// Activity feed fields shared by every entry about an auction (started, bid, settled, cancelled).
+// Prices are for the whole lot.
+const auctionActivity = (auction, chainId, priceWei) => ({
+  chainId,
+  marketplace: import.meta.env.VITE_AUCTION_CONTRACT,
+  currency: auction.currency,
+  nftContract: auction.nftContract,
+  tokenId: auction.tokenId,
+  amount: auction.amount,
+  price: ethers.formatEther(priceWei),
+  priceWei: priceWei.toString(),
+  seller: auction.seller
+})
+
+// Activity feed fields shared by every entry about an offer (made, accepted, cancelled).
+// Collection offers name a tier rather than a token until a holder accepts them.
+const offerActivity = (offer, market) => ({
+  chainId: Number(offer.chainId),
+  marketplace: offer.marketplace,
+  currency: market.currency,
+  orderHash: offer.id,
+  nftContract: offer.nftContract,
+  ...(isCollectionOffer(offer) ? { tier: offer.tierName } : { tokenId: offer.tokenId }),
+  amount: offer.amount,
+  price: offer.price,
+  priceWei: offer.priceWei,
+  buyer: offer.buyer
+})
+
+// One activity entry per token bought in a primary sale
+const recordPrimarySale = (tx, { currency, nftContract, tier, tokenIds, amounts, buyer }) =>
+  Promise.all(tokenIds.map((tokenId, i) => {
+    const priceWei = tier.prices[tier.tokenIds.indexOf(tokenId)].toString()
+    return saveTransaction({
+      type: 'primary_buy',
+      txHash: tx.hash,
+      chainId: Number(tx.chainId),
+      currency,
+      nftContract,
+      tier: tier.name,
+      tokenId,
+      amount: amounts[i],
+      price: ethers.formatEther(priceWei),
+      priceWei,
+      buyer
+    })
+  }))
 
 function App() {
   const [provider, setProvider] = useState(null)
@@ -30,7 +179,8 @@ function App() {
     marketplace: import.meta.env.VITE_MARKETPLACE_CONTRACT || '',
     tracking: import.meta.env.VITE_TRACKING_CONTRACT || '',
     karrat: import.meta.env.VITE_KARRAT_CONTRACT || '',
-    verifier: import.meta.env.VITE_VERIFIER_CONTRACT || ''
+    verifier: import.meta.env.VITE_VERIFIER_CONTRACT || '',
+    auction: import.meta.env.VITE_AUCTION_CONTRACT || ''
   })
   
   // StudioChain contracts (native ETH)
@@ -46,9 +196,22 @@ function App() {
   const [userBalances, setUserBalances] = useState({})
   const [studioChainBalances, setStudioChainBalances] = useState({})
   const [listings, setListings] = useState([])
-  const [studioChainListings, setStudioChainListings] = useState([])
+  const [offers, setOffers] = useState([])
+  const [auctions, setAuctions] = useState([])
+  // { feePerMille, feeMode, royaltyBps } per market key, read at startup for the fee breakdowns; buys re-quote on-chain
+  const [feeRates, setFeeRates] = useState({})
+  // isApprovedForAll(user, marketplace) per market key: undefined while loading, null if unreadable
+  const [marketApprovals, setMarketApprovals] = useState({})
   const [trackedContracts, setTrackedContracts] = useState([])
   
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle', pending: getOutbox().length, conflicts: [] })
+  const syncing = useRef(false)
+  
+  const [cart, setCart] = useState(getCart)
+  const [primaryCarts, setPrimaryCarts] = useState(getPrimaryCarts)
+  const [cartOpen, setCartOpen] = useState(false)
+  const [staleReasons, setStaleReasons] = useState({})
+  
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' })
   const [txModal, setTxModal] = useState({ show: false, status: '', message: '' })
   
@@ -70,17 +233,65 @@ function App() {
     }
   }, [])
 
-  // Load listings from storage
-  useEffect(() => {
-    const loadListings = async () => {
-      const karratListings = await getListings()
-      const scListings = await getStudioChainListings()
-      setListings(karratListings)
-      setStudioChainListings(scListings)
+  // Replay listing changes queued while the API was down, then reload from storage.
+  // Only an explicit retry from the header passes a signer, so background syncs never prompt.
+  const syncListings = useCallback(async (activeSigner = null) => {
+    if (syncing.current) return
+    syncing.current = true
+    setSyncStatus(prev => ({ ...prev, state: 'syncing' }))
+
+    try {
+      if (activeSigner) await signIn(activeSigner)
+      const result = await syncOutbox()
+      await syncActivity()
+
+      setListings(await getListings())
+      setOffers(await getOffers())
+
+      let state = result.pending > 0 ? 'pending' : 'idle'
+      if (result.offline) state = 'offline'
+      else if (result.needsSignIn) state = 'signin'
+      setSyncStatus({ state, pending: result.pending, conflicts: result.conflicts })
+
+      if (result.conflicts.length > 0) {
+        showToast(`${result.conflicts.length} offline change(s) could not be synced: ${result.conflicts[0].reason}`, 'error')
+      }
+    } catch (err) {
+      console.error('Sync error:', err)
+      setSyncStatus(prev => ({ ...prev, state: 'signin' }))
+    } finally {
+      syncing.current = false
     }
-    loadListings()
   }, [])
 
+  useEffect(() => {
+    syncListings()
+
+    const handleOutboxChange = () => setSyncStatus(prev => ({ ...prev, pending: getOutbox().length }))
+    const handleOnline = () => syncListings()
+    window.addEventListener(OUTBOX_EVENT, handleOutboxChange)
+    window.addEventListener('online', handleOnline)
+
+    // The browser going online says nothing about the API, so keep retrying while changes are queued
+    const retry = setInterval(() => {
+      if (getOutbox().length > 0) syncListings()
+    }, SYNC_RETRY_INTERVAL)
+
+    return () => {
+      window.removeEventListener(OUTBOX_EVENT, handleOutboxChange)
+      window.removeEventListener('online', handleOnline)
+      clearInterval(retry)
+    }
+  }, [syncListings])
+
+  useEffect(() => {
+    saveCart(cart)
+  }, [cart])
+
+  useEffect(() => {
+    savePrimaryCarts(primaryCarts)
+  }, [primaryCarts])
+
   // Load tiers
   const loadTiers = async (nftContract) => {
     const tierNames = ['Weapons', 'Armor', 'Consumables', 'Rare', 'Legendary']
@@ -120,6 +331,12 @@ function App() {
           setTiers(loadedTiers)
         }
         
+        if (MARKETS.karrat.marketplace) {
+          readRates(MARKETS.karrat, rpcProvider)
+            .then(rates => setFeeRates(prev => ({ ...prev, karrat: rates })))
+            .catch(e => console.log('Fee rate error:', e.message))
+        }
+        
         if (contractAddresses.tracking) {
           const tracking = new ethers.Contract(contractAddresses.tracking, TRACKING_ABI, rpcProvider)
           try {
@@ -136,6 +353,12 @@ function App() {
           const scNft = new ethers.Contract(studioChainAddresses.nft, STUDIOCHAIN_NFT_ABI, scProvider)
           const scTiers = await loadTiers(scNft)
           setStudioChainTiers(scTiers)
+          
+          if (MARKETS.studiochain.marketplace) {
+            readRates(MARKETS.studiochain, scProvider)
+              .then(rates => setFeeRates(prev => ({ ...prev, studiochain: rates })))
+              .catch(e => console.log('StudioChain fee rate error:', e.message))
+          }
         }
       } catch (err) {
         console.error('Init error:', err)
@@ -145,14 +368,14 @@ function App() {
     init()
   }, [contractAddresses, studioChainAddresses])
 
-  // Switch to StudioChain network
-  const switchToStudioChain = async () => {
+  // Switch the wallet to a market's network, adding it first if the wallet doesn't know it
+  const switchNetwork = async (network) => {
     if (!window.ethereum) return false
 
     try {
       await window.ethereum.request({
         method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0x268' }]
+        params: [{ chainId: network.chainId }]
       })
       return true
     } catch (switchError) {
@@ -160,59 +383,15 @@ function App() {
         try {
           await window.ethereum.request({
             method: 'wallet_addEthereumChain',
-            params: [{
-              chainId: '0x268',
-              chainName: 'StudioChain Testnet',
-              nativeCurrency: {
-                name: 'ETH',
-                symbol: 'ETH',
-                decimals: 18
-              },
-              rpcUrls: ['https://studio-chain.rpc.caldera.xyz/http'],
-              blockExplorerUrls: ['https://studio-chain.explorer.caldera.xyz']
-            }]
+            params: [network]
           })
           return true
         } catch (addError) {
-          console.error('Failed to add StudioChain:', addError)
+          console.error(`Failed to add ${network.chainName}:`, addError)
           return false
         }
       }
-      console.error('Failed to switch to StudioChain:', switchError)
-      return false
-    }
-  }
-
-  // Switch to Sepolia network
-  const switchToSepolia = async () => {
-    if (!window.ethereum) return false
-
-    try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0xaa36a7' }]
-      })
-      return true
-    } catch (switchError) {
-      if (switchError.code === 4902) {
-        try {
-          await window.ethereum.request({
-            method: 'wallet_addEthereumChain',
-            params: [{
-              chainId: '0xaa36a7',
-              chainName: 'Sepolia',
-              nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-              rpcUrls: ['https://eth-sepolia.g.alchemy.com/v2/demo'],
-              blockExplorerUrls: ['https://sepolia.etherscan.io']
-            }]
-          })
-          return true
-        } catch (addError) {
-          console.error('Failed to add Sepolia:', addError)
-          return false
-        }
-      }
-      console.error('Failed to switch to Sepolia:', switchError)
+      console.error(`Failed to switch to ${network.chainName}:`, switchError)
       return false
     }
   }
@@ -225,7 +404,7 @@ function App() {
     }
     
     try {
-      await switchToSepolia()
+      await switchNetwork(SEPOLIA_NETWORK)
 
       const web3Provider = new ethers.BrowserProvider(window.ethereum)
       await web3Provider.send("eth_requestAccounts", [])
@@ -241,7 +420,7 @@ function App() {
       showToast('Wallet connected', 'success')
     } catch (err) {
       console.error(err)
-      showToast('Failed to connect', 'error')
+      showToast(getErrorMessage(err, { fallback: 'Failed to connect' }), 'error')
     }
   }
 
@@ -354,15 +533,72 @@ function App() {
     loadUserBalances()
   }, [loadUserBalances])
 
+  // Auctions live entirely on-chain, so they are read from the auction house rather than the
+  // listing service. Settled and cancelled auctions are dropped.
+  const loadAuctions = useCallback(async () => {
+    if (!contractAddresses.auction) return
+    
+    try {
+      const rpcProvider = new ethers.JsonRpcProvider(import.meta.env.VITE_RPC_URL || 'http://127.0.0.1:8545')
+      const auctionHouse = new ethers.Contract(contractAddresses.auction, AUCTION_ABI, rpcProvider)
+      const count = Number(await auctionHouse.auctionCount())
+      const loaded = await Promise.all(Array.from({ length: count }, async (_, id) => {
+        const [auction, minimumBid] = await Promise.all([auctionHouse.getAuction(id), auctionHouse.minimumBid(id)])
+        return toAuction(id, auction, minimumBid)
+      }))
+      setAuctions(loaded.filter(auction => !auction.settled))
+    } catch (err) {
+      console.error('Load auctions error:', err)
+    }
+  }, [contractAddresses])
+
+  useEffect(() => {
+    loadAuctions()
+  }, [loadAuctions])
+
   useEffect(() => {
     loadStudioChainBalances()
   }, [loadStudioChainBalances])
 
+  // Whether the wallet has let each marketplace transfer its items, read on each market's own
+  // chain: a listing signed without it can be bought by nobody
+  const loadMarketApprovals = useCallback(async () => {
+    if (!userAddress) return
+    const rpcUrls = {
+      karrat: import.meta.env.VITE_RPC_URL || 'http://127.0.0.1:8545',
+      studiochain: studioChainAddresses.rpcUrl
+    }
+    await Promise.all(Object.values(MARKETS).filter(market => market.marketplace && market.nft).map(async (market) => {
+      try {
+        if (!rpcUrls[market.key]) throw new Error('No RPC URL')
+        const nft = new ethers.Contract(market.nft, NFT_ABI, new ethers.JsonRpcProvider(rpcUrls[market.key]))
+        const approved = await nft.isApprovedForAll(userAddress, market.marketplace)
+        setMarketApprovals(prev => ({ ...prev, [market.key]: approved }))
+      } catch (e) {
+        console.log(`${market.label} approval error:`, e.message)
+        setMarketApprovals(prev => ({ ...prev, [market.key]: null }))
+      }
+    }))
+  }, [userAddress, studioChainAddresses])
+
+  useEffect(() => {
+    setMarketApprovals({})
+    loadMarketApprovals()
+  }, [loadMarketApprovals])
+
   const showToast = (message, type = 'success') => {
     setToast({ show: true, message, type })
     setTimeout(() => setToast({ show: false, message: '', type: 'success' }), 3000)
   }
 
+  // Listing edits and removals are authorized by a Sign-In With Ethereum session
+  const ensureSession = async (activeSigner) => {
+    const address = await activeSigner.getAddress()
+    if (hasSession(address)) return
+    setTxModal({ show: true, status: 'pending', message: 'Sign in to manage your listings...' })
+    await signIn(activeSigner)
+  }
+
   // Buy from primary sale (KARRAT)
   const buyPrimary = async (tierName, tokenIds, amounts) => {
     if (!contracts.nft || !contracts.karrat) return
@@ -388,6 +624,8 @@ function App() {
       const tx = await contracts.nft.buyNFT(tierName, tokenIds, amounts)
       await tx.wait()
       
+      recordPrimarySale(tx, { currency: 'KARRAT', nftContract: contractAddresses.nft, tier, tokenIds, amounts, buyer: userAddress })
+      
       setTxModal({ show: true, status: 'success', message: 'Purchase complete!' })
       
       const loadedTiers = await loadTiers(contracts.nft)
@@ -401,14 +639,14 @@ function App() {
       
     } catch (err) {
       console.error('Buy error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: 'KARRAT' }) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
   // Buy from StudioChain primary (native ETH)
   const buyStudioChain = async (tierName, tokenIds, amounts) => {
-    const switched = await switchToStudioChain()
+    const switched = await switchNetwork(MARKETS.studiochain.network)
     if (!switched) {
       showToast('Please switch to StudioChain network', 'error')
       return
@@ -434,6 +672,8 @@ function App() {
       const tx = await scNft.buyNFT(tierName, tokenIds, amounts, { value: totalPrice })
       await tx.wait()
       
+      recordPrimarySale(tx, { currency: 'ETH', nftContract: studioChainAddresses.nft, tier, tokenIds, amounts, buyer: await web3Signer.getAddress() })
+      
       setTxModal({ show: true, status: 'success', message: 'Purchase complete!' })
       
       // Reload tiers
@@ -449,157 +689,335 @@ function App() {
       
     } catch (err) {
       console.error('StudioChain buy error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: 'ETH' }) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
-  // Create listing (KARRAT marketplace)
-  const createListing = async (tokenId, amount, pricePerItem, deadline) => {
-    if (!contracts.marketplace || !signer) return
+  const getPrimaryTiers = (market) => market.key === 'studiochain' ? studioChainTiers : tiers
+
+  const addToPrimaryCart = (market, tierName, tokenId, amount) => {
+    const tier = getPrimaryTiers(market).find(t => t.name === tierName)
+    const rejection = tier ? primaryCartRejection(primaryCarts[market.key], tier, tokenId, amount) : 'Tier not loaded yet'
+    if (rejection) {
+      showToast(rejection, 'error')
+      return
+    }
+    setPrimaryCarts(prev => ({ ...prev, [market.key]: addPrimaryItem(prev[market.key], tierName, tokenId, amount) }))
+    showToast(`${amount} × ${getTokenName(tokenId)} added to cart`)
+  }
+
+  const removeFromPrimaryCart = (market, tokenId) =>
+    setPrimaryCarts(prev => ({ ...prev, [market.key]: prev[market.key].filter(item => item.tokenId !== tokenId) }))
+
+  const clearPrimaryCart = (market) => setPrimaryCarts(prev => ({ ...prev, [market.key]: [] }))
+
+  // Buy every item in a market's primary cart with one buyMultiple call, paying exactly
+  // the sum of the on-chain tier prices (KARRAT allowance or ETH msg.value)
+  const checkoutPrimaryCart = async (market) => {
+    const items = primaryCarts[market.key]
+    const marketTiers = getPrimaryTiers(market)
+    const total = getPrimaryTotal(items, marketTiers)
+    if (items.length === 0) return
+    if (total === null) {
+      showToast('Tier prices are still loading', 'error')
+      return
+    }
+
+    let nft = contracts.nft
+    let buyer = userAddress
+    let nftAddress = contractAddresses.nft
+    if (market.network) {
+      const switched = await switchNetwork(market.network)
+      if (!switched) {
+        showToast(`Please switch to ${market.network.chainName}`, 'error')
+        return
+      }
+      const web3Signer = await new ethers.BrowserProvider(window.ethereum).getSigner()
+      nftAddress = studioChainAddresses.nft
+      nft = nftAddress && new ethers.Contract(nftAddress, STUDIOCHAIN_NFT_ABI, web3Signer)
+      buyer = await web3Signer.getAddress()
+    }
+    if (!nft || (market.currency === 'KARRAT' && !contracts.karrat)) return
     
     try {
-      const nonce = await contracts.marketplace.nonces(contractAddresses.nft, tokenId, userAddress)
-      const chainId = (await provider.getNetwork()).chainId
-      
-      const domain = {
-        ...EIP712_DOMAIN,
-        chainId: Number(chainId),
-        verifyingContract: contractAddresses.marketplace
+      if (market.currency === 'KARRAT') {
+        const allowance = await contracts.karrat.allowance(userAddress, nftAddress)
+        if (allowance < total) {
+          setTxModal({ show: true, status: 'pending', message: `Approving ${ethers.formatEther(total)} KARRAT...` })
+          const approveTx = await contracts.karrat.approve(nftAddress, total)
+          await approveTx.wait()
+        }
       }
       
-      const priceWei = ethers.parseEther(pricePerItem.toString())
+      setTxModal({ show: true, status: 'pending', message: `Purchasing ${items.length} item(s)...` })
       
-      const message = {
-        seller: userAddress,
-        nftContract: contractAddresses.nft,
-        tokenId: BigInt(tokenId),
-        amount: BigInt(amount),
-        price: priceWei,
-        nonce: BigInt(nonce),
-        deadline: BigInt(deadline)
-      }
+      const [tierNames, tokenIds, amounts] = toBuyMultipleArgs(items)
+      const tx = await nft.buyMultiple(tierNames, tokenIds, amounts, market.currency === 'ETH' ? { value: total } : {})
+      await tx.wait()
       
-      setTxModal({ show: true, status: 'pending', message: 'Sign the listing...' })
+      tierNames.forEach((tierName, i) => recordPrimarySale(tx, {
+        currency: market.currency,
+        nftContract: nftAddress,
+        tier: marketTiers.find(t => t.name === tierName),
+        tokenIds: tokenIds[i],
+        amounts: amounts[i],
+        buyer
+      }))
+      clearPrimaryCart(market)
       
-      const signature = await signer.signTypedData(domain, APPROVAL_TYPES, message)
+      setTxModal({ show: true, status: 'success', message: 'Purchase complete!' })
       
-      const listing = {
-        seller: userAddress,
-        nftContract: contractAddresses.nft,
-        tokenId,
-        amount,
-        price: pricePerItem.toString(),
-        priceWei: priceWei.toString(),
-        nonce: Number(nonce),
-        deadline,
-        signature
+      if (market.currency === 'KARRAT') {
+        setTiers(await loadTiers(contracts.nft))
+      } else {
+        const scNftRead = new ethers.Contract(studioChainAddresses.nft, STUDIOCHAIN_NFT_ABI, new ethers.JsonRpcProvider(studioChainAddresses.rpcUrl))
+        setStudioChainTiers(await loadTiers(scNftRead))
       }
+      await refreshBalances(market)
       
-      await addListing(listing)
-      const updatedListings = await getListings()
-      setListings(updatedListings)
-      
-      saveSignature({ type: 'listing_created', ...listing })
-      
-      setTxModal({ show: true, status: 'success', message: 'Listing created!' })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
     } catch (err) {
-      console.error('Create listing error:', err)
-      setTxModal({ show: true, status: 'error', message: 'Failed to sign' })
+      console.error('Primary checkout error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: market.currency }) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
-  // Create StudioChain listing (native ETH)
-  const createStudioChainListing = async (tokenId, amount, pricePerItem, deadline) => {
-    const switched = await switchToStudioChain()
+  // Signer, provider and marketplace contract for a market, switching the wallet to
+  // the market's network first when it has one
+  const connectMarket = async (market) => {
+    if (!market.marketplace) return null
+
+    if (!market.network) {
+      if (!signer || !provider) return null
+      return { provider, signer, marketplace: new ethers.Contract(market.marketplace, market.abi, signer), address: userAddress }
+    }
+
+    const switched = await switchNetwork(market.network)
     if (!switched) {
-      showToast('Please switch to StudioChain network', 'error')
-      return
+      showToast(`Please switch to ${market.network.chainName}`, 'error')
+      return null
     }
 
     const web3Provider = new ethers.BrowserProvider(window.ethereum)
     const web3Signer = await web3Provider.getSigner()
-    const address = await web3Signer.getAddress()
-    
-    if (!studioChainAddresses.marketplace) return
+    return {
+      provider: web3Provider,
+      signer: web3Signer,
+      marketplace: new ethers.Contract(market.marketplace, market.abi, web3Signer),
+      address: await web3Signer.getAddress()
+    }
+  }
+
+  // Lets the market's marketplace transfer the seller's items (setApprovalForAll) on the
+  // connected chain if it can't already. Returns whether an approval was sent.
+  const ensureMarketApproval = async (market, connection, nftContract = market.nft) => {
+    const nft = new ethers.Contract(nftContract, NFT_ABI, connection.signer)
+    const approved = await ensureApprovalForAll(nft, connection.address, market.marketplace, async () => {
+      const { chainId } = await connection.provider.getNetwork()
+      setTxModal({ show: true, status: 'pending', message: `Approving the ${market.label} marketplace to transfer your items on ${getChainName(Number(chainId))} (one-time)...` })
+    })
+    if (approved && nftContract === market.nft) setMarketApprovals(prev => ({ ...prev, [market.key]: true }))
+    return approved
+  }
+
+  // Approval card in the inventory
+  const approveMarket = async (market) => {
+    const connection = await connectMarket(market)
+    if (!connection) return
+
+    try {
+      await ensureMarketApproval(market, connection)
+      // Also when it turned out to be approved already, from another tab or dapp
+      setMarketApprovals(prev => ({ ...prev, [market.key]: true }))
+      setTxModal({ show: true, status: 'success', message: `The ${market.label} marketplace can now sell your items` })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Approve marketplace error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { fallback: 'Approval failed' }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  const getMarketDomain = async (market, connection) => {
+    const { chainId } = await connection.provider.getNetwork()
+    return { ...market.domain, chainId: Number(chainId), verifyingContract: market.marketplace }
+  }
+
+  const reloadListings = async () => setListings(await getListings())
+  const reloadOffers = async () => setOffers(await getOffers())
+
+  // Token and payment balances on the market a purchase went through
+  const refreshBalances = async (market) => {
+    if (market.currency === 'KARRAT') {
+      await loadUserBalances()
+      const kb = await contracts.karrat.balanceOf(userAddress)
+      setKarratBalance(kb.toString())
+    } else {
+      await loadStudioChainBalances()
+    }
+  }
+
+  // Create listing (CRUD - CREATE operation) on any market. The marketplace is approved to
+  // transfer the seller's items first, since a listing signed without that can't be filled.
+  const createListing = async (market, tokenId, amount, pricePerItem, deadline, partial = false, dutch = null, buyer = ethers.ZeroAddress) => {
+    const connection = await connectMarket(market)
+    if (!connection) return
     
     try {
-      const scMarketplace = new ethers.Contract(studioChainAddresses.marketplace, STUDIOCHAIN_MARKETPLACE_ABI, web3Signer)
+      const approved = await ensureMarketApproval(market, connection)
+      const domain = await getMarketDomain(market, connection)
       
-      const nonce = await scMarketplace.nonces(studioChainAddresses.nft, tokenId, address)
-      const chainId = (await web3Provider.getNetwork()).chainId
+      setTxModal({ show: true, status: 'pending', message: approved ? 'Approved. Now sign the listing...' : 'Sign the listing...' })
       
-      const domain = {
-        ...STUDIOCHAIN_EIP712_DOMAIN,
-        chainId: Number(chainId),
-        verifyingContract: studioChainAddresses.marketplace
-      }
-      
-      const priceWei = ethers.parseEther(pricePerItem.toString())
+      const listing = await signApproval({
+        signer: connection.signer,
+        marketplace: connection.marketplace,
+        domain,
+        seller: connection.address,
+        nftContract: market.nft,
+        tokenId,
+        amount,
+        price: pricePerItem,
+        deadline,
+        partial,
+        dutch,
+        buyer
+      })
       
-      const message = {
-        seller: address,
-        nftContract: studioChainAddresses.nft,
-        tokenId: BigInt(tokenId),
-        amount: BigInt(amount),
-        price: priceWei,
-        nonce: BigInt(nonce),
-        deadline: BigInt(deadline)
-      }
+      await addListing(listing)
+      await reloadListings()
       
-      setTxModal({ show: true, status: 'pending', message: 'Sign the listing...' })
+      saveSignature({ type: 'listing_created', ...listing })
+      saveTransaction({ type: 'listing', ...listingActivity(listing, market), deadline: listing.deadline })
       
-      const signature = await web3Signer.signTypedData(domain, APPROVAL_TYPES, message)
+      const created = buyer === ethers.ZeroAddress ? 'Listing created!' : 'Private listing created! Share its link with the buyer from your listings'
+      setTxModal({ show: true, status: 'success', message: created })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
-      const listing = {
-        seller: address,
-        nftContract: studioChainAddresses.nft,
-        tokenId,
-        amount,
-        price: pricePerItem.toString(),
-        priceWei: priceWei.toString(),
-        nonce: Number(nonce),
+    } catch (err) {
+      console.error('Create listing error:', err)
+      setTxModal({ show: true, status: 'error', message: err instanceof ListingRejectedError ? err.message : getErrorMessage(err, { fallback: 'Failed to sign' }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // List several items with one signature: each order's Approval struct hash is a leaf of a
+  // Merkle tree and the seller signs its root once (BulkApproval). Every order is stored as its
+  // own listing with the root signature and its proof, and sells through buyNFTBulk.
+  const createBulkListing = async (market, orders, deadline) => {
+    const connection = await connectMarket(market)
+    if (!connection) return
+    
+    try {
+      const approved = await ensureMarketApproval(market, connection)
+      const domain = await getMarketDomain(market, connection)
+      const seller = connection.address
+      const counter = await connection.marketplace.counters(seller)
+      
+      const messages = await Promise.all(orders.map(async ({ tokenId, amount, price }) => ({
+        seller,
+        nftContract: market.nft,
+        tokenId: BigInt(tokenId),
+        amount: BigInt(amount),
+        price: ethers.parseEther(price.toString()),
+        nonce: await connection.marketplace.nonces(market.nft, tokenId, seller),
+        counter,
+        deadline: BigInt(deadline),
+        buyer: ethers.ZeroAddress
+      })))
+      const { root, proofs } = buildMerkleTree(messages.map(getBulkLeaf))
+      
+      setTxModal({ show: true, status: 'pending', message: `${approved ? 'Approved. Now sign' : 'Sign'} the listing for ${orders.length} items...` })
+      const signature = await connection.signer.signTypedData(domain, BULK_APPROVAL_TYPES, { seller, root })
+      
+      const listings = messages.map((message, i) => ({
+        id: ethers.TypedDataEncoder.hash(domain, APPROVAL_TYPES, message),
+        chainId: domain.chainId,
+        marketplace: domain.verifyingContract,
+        seller,
+        nftContract: market.nft,
+        tokenId: orders[i].tokenId,
+        amount: orders[i].amount,
+        price: orders[i].price.toString(),
+        priceWei: message.price.toString(),
+        nonce: Number(message.nonce),
+        counter: Number(counter),
         deadline,
+        buyer: ethers.ZeroAddress,
+        partial: false,
+        bulk: true,
+        merkleRoot: root,
+        merkleProof: proofs[i],
         signature
-      }
+      }))
       
-      await addStudioChainListing(listing)
-      const updatedListings = await getStudioChainListings()
-      setStudioChainListings(updatedListings)
+      for (const listing of listings) {
+        await addListing(listing)
+        saveSignature({ type: 'listing_created', ...listing })
+        saveTransaction({ type: 'listing', ...listingActivity(listing, market), deadline: listing.deadline })
+      }
+      await reloadListings()
       
-      setTxModal({ show: true, status: 'success', message: 'Listing created!' })
+      setTxModal({ show: true, status: 'success', message: `${listings.length} listings created!` })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
     } catch (err) {
-      console.error('Create StudioChain listing error:', err)
-      setTxModal({ show: true, status: 'error', message: 'Failed to sign' })
+      console.error('Create bulk listing error:', err)
+      await reloadListings()
+      setTxModal({ show: true, status: 'error', message: err instanceof ListingRejectedError ? err.message : getErrorMessage(err, { fallback: 'Failed to sign' }) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
-  // Buy from marketplace (KARRAT)
-  const buyFromListing = async (listing) => {
-    if (!contracts.marketplace || !contracts.karrat) return
+  // Buy from a listing: KARRAT markets pull an ERC-20 allowance, ETH markets take msg.value.
+  // Partial-fill listings sell `quantity` (default: all that is left) through buyNFTPartial.
+  // Dutch auctions are quoted at the latest block's price, which only falls by the time the
+  // purchase is mined; the Native marketplace refunds whatever was sent above the final price.
+  // The order, the buyer's funds and an eth_call of the purchase are checked first (preflight.js).
+  const buyListing = async (listing, quantity) => {
+    const market = getListingMarket(listing)
+    if (!market) {
+      showToast('This listing belongs to an unknown marketplace', 'error')
+      return
+    }
+    const connection = await connectMarket(market)
+    if (!connection) return
+    if (market.currency === 'KARRAT' && !contracts.karrat) return
     
-    setTxModal({ show: true, status: 'pending', message: 'Approving KARRAT...' })
+    const reject = (reason) => {
+      setTxModal({ show: true, status: 'error', message: reason })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+    setTxModal({ show: true, status: 'pending', message: 'Checking the listing...' })
     
     try {
-      const totalPrice = BigInt(listing.priceWei) * BigInt(listing.amount)
-      const fee = (totalPrice * 25n) / 1000n
-      const totalNeeded = totalPrice + fee
-      
-      const allowance = await contracts.karrat.allowance(userAddress, contractAddresses.marketplace)
-      if (allowance < totalNeeded) {
-        const approveTx = await contracts.karrat.approve(contractAddresses.marketplace, ethers.MaxUint256)
-        await approveTx.wait()
+      const amount = listing.partial ? (quantity ?? getRemainingAmount(listing)) : listing.amount
+      const dutchArgs = [listing.priceWei, listing.endPriceWei, listing.startTime, listing.deadline]
+      const pricePerItem = listing.dutch ? await connection.marketplace.getDutchPrice(...dutchArgs) : BigInt(listing.priceWei)
+      const quote = await fetchQuote(connection.marketplace, pricePerItem, amount, listing)
+      
+      // Everything the contract would revert on, checked before the wallet is asked for anything
+      const funds = { market, quote, buyer: connection.address, provider: connection.provider, karrat: contracts.karrat }
+      const problem = await listingRejection({ listing, amount, marketplace: connection.marketplace, provider: connection.provider, buyer: connection.address }) ||
+        await fundsRejection(funds, { allowance: false })
+      if (problem) return reject(problem)
+      
+      if (market.currency === 'KARRAT') {
+        const allowance = await contracts.karrat.allowance(userAddress, market.marketplace)
+        if (allowance < quote.buyerTotal) {
+          setTxModal({ show: true, status: 'pending', message: 'Approving KARRAT...' })
+          const approveTx = await contracts.karrat.approve(market.marketplace, ethers.MaxUint256)
+          await approveTx.wait()
+          // The wallet lets the user lower the approved amount
+          const allowanceProblem = await fundsRejection(funds)
+          if (allowanceProblem) return reject(allowanceProblem)
+        }
       }
       
-      setTxModal({ show: true, status: 'pending', message: 'Purchasing...' })
-      
-      const tx = await contracts.marketplace.buyNFT(
+      const orderArgs = [
         listing.nftContract,
         listing.tokenId,
         listing.amount,
@@ -607,150 +1025,585 @@ function App() {
         listing.deadline,
         listing.seller,
         listing.signature
-      )
-      await tx.wait()
+      ]
+      const overrides = market.currency === 'ETH' ? { value: quote.buyerTotal } : {}
+      const [method, args] = listing.dutch
+        ? ['buyNFTDutch', [listing.nftContract, listing.tokenId, listing.amount, ...dutchArgs, listing.seller, listing.signature]]
+        : listing.bulk
+          ? ['buyNFTBulk', [...orderArgs.slice(0, -1), listing.merkleProof, listing.signature]]
+          : listing.partial
+          ? ['buyNFTPartial', [...orderArgs, amount]]
+          : ['buyNFT', orderArgs]
+      
+      // Catches whatever the checks above don't cover before MetaMask pops up
+      const simulated = await simulateRejection(connection.marketplace[method], [...args, overrides], market.currency)
+      if (simulated) return reject(simulated)
+      
+      setTxModal({ show: true, status: 'pending', message: market.currency === 'KARRAT' ? 'Purchasing...' : 'Purchasing with ETH...' })
+      const tx = await connection.marketplace[method](...args, overrides)
+      const receipt = await tx.wait()
+      
+      // What a Dutch auction actually charged depends on the block it landed in
+      const paid = listing.dutch
+        ? getDutchPriceWei(listing, (await receipt.getBlock()).timestamp)
+        : null
+      saveTransaction({
+        type: 'secondary_buy',
+        txHash: tx.hash,
+        ...listingActivity(listing, market),
+        ...(paid !== null && { price: ethers.formatEther(paid), priceWei: paid.toString() }),
+        amount,
+        buyer: connection.address
+      })
       
-      await removeListing(listing.id)
-      const updatedListings = await getListings()
-      setListings(updatedListings)
+      // A partially filled order stays listed with a lower remaining amount
+      const filled = listing.partial ? Number(await connection.marketplace.filledAmounts(listing.id)) : null
+      if (listing.partial && filled < Number(listing.amount)) {
+        await refreshListing(listing.id, { filled }).catch(err => console.warn('Listing refresh failed:', err.message))
+      } else {
+        await removeListing(listing.id).catch(err => console.warn('Listing cleanup failed:', err.message))
+      }
+      await reloadListings()
       
       setTxModal({ show: true, status: 'success', message: 'Purchase complete!' })
       
-      await loadUserBalances()
-      const kb = await contracts.karrat.balanceOf(userAddress)
-      setKarratBalance(kb.toString())
+      await refreshBalances(market)
       
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
     } catch (err) {
       console.error('Buy listing error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: market.currency }) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
-  // Buy from StudioChain marketplace (native ETH)
-  const buyFromStudioChainListing = async (listing) => {
-    const switched = await switchToStudioChain()
-    if (!switched) {
-      showToast('Please switch to StudioChain network', 'error')
-      return
-    }
-
-    const web3Provider = new ethers.BrowserProvider(window.ethereum)
-    const web3Signer = await web3Provider.getSigner()
-    
-    if (!studioChainAddresses.marketplace) return
-    
-    setTxModal({ show: true, status: 'pending', message: 'Purchasing with ETH...' })
+  // Cancel listing (CRUD - DELETE operation)
+  const cancelListing = async (listing) => {
+    const market = getListingMarket(listing)
+    const connection = market && await connectMarket(market)
+    if (!connection) return
     
     try {
-      const scMarketplace = new ethers.Contract(studioChainAddresses.marketplace, STUDIOCHAIN_MARKETPLACE_ABI, web3Signer)
+      await ensureSession(connection.signer)
       
-      const totalPrice = BigInt(listing.priceWei) * BigInt(listing.amount)
-      const fee = (totalPrice * 25n) / 1000n
-      const totalNeeded = totalPrice + fee
+      setTxModal({ show: true, status: 'pending', message: 'Cancelling...' })
       
-      const tx = await scMarketplace.buyNFT(
-        listing.nftContract,
-        listing.tokenId,
-        listing.amount,
-        listing.priceWei,
-        listing.deadline,
-        listing.seller,
-        listing.signature,
-        { value: totalNeeded }
-      )
+      const tx = await connection.marketplace.delistToken(listing.nftContract, listing.tokenId)
       await tx.wait()
       
-      await removeStudioChainListing(listing.id)
-      const updatedListings = await getStudioChainListings()
-      setStudioChainListings(updatedListings)
+      // Recorded before the listing is removed: the service checks a cancel against the stored order
+      await saveTransaction({ type: 'cancel', txHash: tx.hash, ...listingActivity(listing, market) })
       
-      setTxModal({ show: true, status: 'success', message: 'Purchase complete!' })
-      
-      await loadStudioChainBalances()
+      await removeListing(listing.id)
+      await reloadListings()
       
+      setTxModal({ show: true, status: 'success', message: 'Cancelled!' })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
     } catch (err) {
-      console.error('StudioChain buy listing error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      console.error('Cancel error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
-  // Cancel listing (KARRAT marketplace)
-  const cancelListing = async (listing) => {
-    if (!contracts.marketplace) return
-    
-    setTxModal({ show: true, status: 'pending', message: 'Cancelling...' })
+  // Cancel every listing the wallet signed on a market with one incrementCounter call. This also
+  // voids orders for tokens the seller no longer holds, which delistToken refuses to touch.
+  const cancelAllListings = async (market) => {
+    const connection = await connectMarket(market)
+    if (!connection) return
     
     try {
-      const tx = await contracts.marketplace.delistToken(listing.nftContract, listing.tokenId)
+      await ensureSession(connection.signer)
+      
+      setTxModal({ show: true, status: 'pending', message: 'Cancelling all your listings...' })
+      
+      const tx = await connection.marketplace.incrementCounter()
       await tx.wait()
       
-      await removeListing(listing.id)
-      const updatedListings = await getListings()
-      setListings(updatedListings)
+      const mine = listings.filter(l => isListingOn(market)(l) && l.seller?.toLowerCase() === connection.address.toLowerCase())
+      for (const listing of mine) {
+        await saveTransaction({ type: 'cancel', txHash: tx.hash, ...listingActivity(listing, market) })
+        await removeListing(listing.id).catch(err => console.warn('Listing cleanup failed:', err.message))
+      }
+      await reloadListings()
       
-      setTxModal({ show: true, status: 'success', message: 'Cancelled!' })
+      setTxModal({ show: true, status: 'success', message: `Cancelled ${mine.length} listing${mine.length === 1 ? '' : 's'}!` })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
     } catch (err) {
-      console.error('Cancel error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      console.error('Cancel all error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
   // Update listing (CRUD - UPDATE operation)
-  const updateListingHandler = async (listingId, updates) => {
-    await updateListing(listingId, updates)
-    const updatedListings = await getListings()
-    setListings(updatedListings)
-    showToast('Listing updated!', 'success')
-  }
-
-  // Update StudioChain listing (CRUD - UPDATE operation)
-  const updateStudioChainListingHandler = async (listingId, updates) => {
-    await updateStudioChainListing(listingId, updates)
-    const updatedListings = await getStudioChainListings()
-    setStudioChainListings(updatedListings)
-    showToast('Listing updated!', 'success')
+  // Price, amount and deadline are part of the signed order, so an edit cancels the
+  // old order on-chain (nonce bump) and signs the new terms against the new nonce
+  const updateListingHandler = async (listing, changes) => {
+    // A Dutch auction's price schedule isn't editable; cancel it and list again instead
+    if (listing.dutch) {
+      showToast('Dutch auctions cannot be edited, cancel and relist instead', 'error')
+      return
+    }
+    const market = getListingMarket(listing)
+    const connection = market && await connectMarket(market)
+    if (!connection) return
+    
+    let cancelled = false
+    try {
+      await ensureSession(connection.signer)
+      // Before the old order is cancelled, so a seller who revoked it isn't left with no listing
+      await ensureMarketApproval(market, connection, listing.nftContract)
+      
+      setTxModal({ show: true, status: 'pending', message: 'Cancelling previous order...' })
+      
+      const tx = await connection.marketplace.delistToken(listing.nftContract, listing.tokenId)
+      await tx.wait()
+      cancelled = true
+      await saveTransaction({ type: 'cancel', txHash: tx.hash, ...listingActivity(listing, market) })
+      
+      const domain = await getMarketDomain(market, connection)
+      
+      setTxModal({ show: true, status: 'pending', message: 'Sign the updated listing...' })
+      
+      const signed = await signApproval({
+        signer: connection.signer,
+        marketplace: connection.marketplace,
+        domain,
+        seller: connection.address,
+        nftContract: listing.nftContract,
+        tokenId: listing.tokenId,
+        amount: changes.amount ?? getRemainingAmount(listing),
+        price: changes.price ?? listing.price,
+        deadline: changes.deadline ?? listing.deadline,
+        partial: Boolean(listing.partial),
+        buyer: listing.buyer || ethers.ZeroAddress
+      })
+      
+      // The new terms are signed on their own, so the order leaves its bulk tree
+      await replaceListing(listing.id, listing.bulk ? { ...signed, bulk: false, merkleRoot: null, merkleProof: null } : signed)
+      await reloadListings()
+      
+      saveSignature({ type: 'listing_updated', ...signed })
+      saveTransaction({ type: 'listing', ...listingActivity(signed, market), deadline: signed.deadline })
+      
+      setTxModal({ show: true, status: 'success', message: 'Listing updated!' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+      
+    } catch (err) {
+      console.error('Update listing error:', err)
+      // The old signature is dead once delistToken went through, so don't keep it around
+      if (cancelled) {
+        await removeListing(listing.id)
+        await reloadListings()
+      }
+      setTxModal({ show: true, status: 'error', message: cancelled ? 'Old listing cancelled, but the new terms were not signed. List the item again.' : getErrorMessage(err) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
   }
 
-  // Cancel StudioChain listing
-  const cancelStudioChainListing = async (listing) => {
-    const switched = await switchToStudioChain()
-    if (!switched) {
-      showToast('Please switch to StudioChain network', 'error')
+  const addToCart = (listing) => {
+    const rejection = cartRejection(cart, listing, userAddress)
+    if (rejection) {
+      showToast(rejection, 'error')
       return
     }
+    setCart(prev => [...prev, listing])
+    showToast(`${getTokenName(listing.tokenId)} added to cart`)
+  }
 
-    const web3Provider = new ethers.BrowserProvider(window.ethereum)
-    const web3Signer = await web3Provider.getSigner()
-    
-    if (!studioChainAddresses.marketplace) return
+  const removeFromCart = (listingId) => {
+    setCart(prev => prev.filter(item => item.id !== listingId))
+    setStaleReasons(({ [listingId]: _removed, ...rest }) => rest)
+  }
+
+  const removeStaleFromCart = () => {
+    setCart(prev => prev.filter(item => !cartItemProblem(item)))
+    setStaleReasons({})
+  }
+
+  // Fill the whole cart with one buyMultipleNFTs call. A single dead order reverts the
+  // batch, so every order is re-checked on-chain first and stale ones are flagged instead.
+  const checkoutCart = async () => {
+    if (cart.length === 0) return
+    const market = getListingMarket(cart[0])
+    const connection = market && await connectMarket(market)
+    if (!connection) return
+    if (market.currency === 'KARRAT' && !contracts.karrat) return
     
-    setTxModal({ show: true, status: 'pending', message: 'Cancelling...' })
+    setTxModal({ show: true, status: 'pending', message: 'Checking listings...' })
     
     try {
-      const scMarketplace = new ethers.Contract(studioChainAddresses.marketplace, STUDIOCHAIN_MARKETPLACE_ABI, web3Signer)
+      const stale = await findStaleItems(cart, connection.marketplace, connection.provider)
+      setStaleReasons(stale)
+      const staleCount = Object.keys(stale).length
+      if (staleCount > 0) {
+        setCartOpen(true)
+        setTxModal({ show: true, status: 'error', message: `${staleCount} listing(s) in your cart can no longer be bought. Remove them and check out again.` })
+        setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+        return
+      }
       
-      const tx = await scMarketplace.delistToken(listing.nftContract, listing.tokenId)
+      const { buyerTotal: total } = await fetchCartQuote(cart, connection.marketplace)
+      
+      if (market.currency === 'KARRAT') {
+        const allowance = await contracts.karrat.allowance(userAddress, market.marketplace)
+        if (allowance < total) {
+          setTxModal({ show: true, status: 'pending', message: `Approving ${ethers.formatEther(total)} KARRAT...` })
+          const approveTx = await contracts.karrat.approve(market.marketplace, total)
+          await approveTx.wait()
+        }
+      }
+      
+      const batchArgs = [...toBatchArgs(cart), market.currency === 'ETH' ? { value: total } : {}]
+      const simulated = await simulateRejection(connection.marketplace.buyMultipleNFTs, batchArgs, market.currency)
+      if (simulated) {
+        setTxModal({ show: true, status: 'error', message: simulated })
+        setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+        return
+      }
+      
+      setTxModal({ show: true, status: 'pending', message: `Purchasing ${cart.length} listing(s)...` })
+      
+      const tx = await connection.marketplace.buyMultipleNFTs(...batchArgs)
       await tx.wait()
       
-      await removeStudioChainListing(listing.id)
-      const updatedListings = await getStudioChainListings()
-      setStudioChainListings(updatedListings)
+      for (const item of cart) {
+        saveTransaction({ type: 'secondary_buy', txHash: tx.hash, ...listingActivity(item, market), buyer: connection.address })
+      }
+      await Promise.all(cart.map(item => removeListing(item.id).catch(err => console.warn('Listing cleanup failed:', err.message))))
       
-      setTxModal({ show: true, status: 'success', message: 'Cancelled!' })
+      setCart([])
+      setStaleReasons({})
+      setCartOpen(false)
+      await reloadListings()
+      
+      setTxModal({ show: true, status: 'success', message: 'Purchase complete!' })
+      await refreshBalances(market)
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
       
     } catch (err) {
-      console.error('Cancel error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      console.error('Checkout error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: market.currency }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // Make an offer (KARRAT marketplace only) on one token, or with `tierName` on any token
+  // of a tier. Any open offer can be accepted without the buyer, so the allowance has to
+  // cover all of them at once, each with its fee on top.
+  const makeOffer = async ({ tokenId, tierName, amount, price, deadline }) => {
+    const market = MARKETS.karrat
+    const connection = await connectMarket(market)
+    if (!connection || !contracts.karrat) return
+
+    try {
+      const priceWei = ethers.parseEther(price.toString())
+      // What filling the offer pulls from the buyer under the marketplace's fee mode; the
+      // creator royalty comes out of the seller's side
+      const buyerTotal = async (pricePerItem, quantity) => {
+        const [total] = await connection.marketplace.quote(pricePerItem, quantity)
+        return total
+      }
+      const total = await buyerTotal(priceWei, amount)
+
+      const balance = await contracts.karrat.balanceOf(connection.address)
+      if (balance < total) {
+        showToast(`This offer needs ${ethers.formatEther(total)} KARRAT including fees`, 'error')
+        return
+      }
+
+      const openTotals = await Promise.all(myOffers.filter(isListingLive).map(o => buyerTotal(o.priceWei, getRemainingAmount(o))))
+      const committed = openTotals.reduce((sum, value) => sum + value, total)
+      const allowance = await contracts.karrat.allowance(connection.address, market.marketplace)
+      if (allowance < committed) {
+        setTxModal({ show: true, status: 'pending', message: 'Approving KARRAT for your offers...' })
+        await (await contracts.karrat.approve(market.marketplace, committed)).wait()
+      }
+
+      setTxModal({ show: true, status: 'pending', message: 'Sign the offer...' })
+      const domain = await getMarketDomain(market, connection)
+      const target = tierName ? { tierName } : { tokenId }
+      const types = getOfferTypes(target)
+      const nonce = tierName
+        ? await connection.marketplace.collectionOfferNonces(market.nft, tierName, connection.address)
+        : await connection.marketplace.offerNonces(market.nft, tokenId, connection.address)
+      const message = {
+        buyer: connection.address,
+        nftContract: market.nft,
+        ...(tierName ? { tierName } : { tokenId: BigInt(tokenId) }),
+        amount: BigInt(amount),
+        price: priceWei,
+        nonce,
+        deadline: BigInt(deadline)
+      }
+      const signature = await connection.signer.signTypedData(domain, types, message)
+
+      const offer = {
+        id: ethers.TypedDataEncoder.hash(domain, types, message),
+        chainId: domain.chainId,
+        marketplace: domain.verifyingContract,
+        buyer: connection.address,
+        nftContract: market.nft,
+        ...target,
+        amount,
+        price: price.toString(),
+        priceWei: priceWei.toString(),
+        nonce: Number(nonce),
+        deadline,
+        ...(tierName && { filled: 0 }),
+        signature
+      }
+      await addOffer(offer)
+      await reloadOffers()
+
+      saveTransaction({ type: 'offer', ...offerActivity(offer, market), deadline })
+
+      setTxModal({ show: true, status: 'success', message: 'Offer sent!' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Make offer error:', err)
+      setTxModal({ show: true, status: 'error', message: err instanceof ListingRejectedError ? err.message : getErrorMessage(err, { currency: 'KARRAT' }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // Accept an offer on items the connected wallet holds. acceptOffer moves the tokens
+  // through setApprovalForAll, so a holder who never listed is asked for it first.
+  // Collection offers sell `quantity` of the holder's `tokenId`, which must be in the tier.
+  const acceptOfferHandler = async (offer, tokenId = offer.tokenId, quantity = Number(offer.amount)) => {
+    const market = MARKETS.karrat
+    const connection = await connectMarket(market)
+    if (!connection) return
+
+    try {
+      await ensureMarketApproval(market, connection, offer.nftContract)
+
+      setTxModal({ show: true, status: 'pending', message: 'Accepting offer...' })
+      const collection = isCollectionOffer(offer)
+      const tx = collection
+        ? await connection.marketplace.acceptCollectionOffer(
+          offer.nftContract,
+          offer.tierName,
+          offer.amount,
+          offer.priceWei,
+          offer.deadline,
+          offer.buyer,
+          offer.signature,
+          tokenId,
+          quantity
+        )
+        : await connection.marketplace.acceptOffer(
+          offer.nftContract,
+          offer.tokenId,
+          offer.amount,
+          offer.priceWei,
+          offer.deadline,
+          offer.buyer,
+          offer.signature
+        )
+      await tx.wait()
+
+      // Before a filled collection offer is removed, since its fill is priced from the stored offer
+      await saveTransaction({
+        type: 'offer_accept',
+        txHash: tx.hash,
+        ...offerActivity(offer, market),
+        tokenId,
+        amount: quantity,
+        seller: connection.address
+      })
+
+      // A partly filled collection offer stays open for other holders
+      const filled = collection ? Number(await connection.marketplace.filledAmounts(offer.id)) : null
+      if (collection && filled < Number(offer.amount)) {
+        await refreshOffer(offer.id).catch(err => console.warn('Offer refresh failed:', err.message))
+      } else {
+        await removeOffer(offer.id).catch(err => console.warn('Offer cleanup failed:', err.message))
+      }
+      await reloadOffers()
+
+      setTxModal({ show: true, status: 'success', message: 'Offer accepted!' })
+
+      await refreshBalances(market)
+
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Accept offer error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: 'KARRAT' }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // Cancelling bumps the offer nonce on-chain, after which anyone may remove the record.
+  // That ends every offer the buyer signed for the same token, or the same tier.
+  const cancelOfferHandler = async (offer) => {
+    const market = MARKETS.karrat
+    const connection = await connectMarket(market)
+    if (!connection) return
+
+    try {
+      setTxModal({ show: true, status: 'pending', message: 'Cancelling offer...' })
+
+      const tx = isCollectionOffer(offer)
+        ? await connection.marketplace.cancelCollectionOffer(offer.nftContract, offer.tierName)
+        : await connection.marketplace.cancelOffer(offer.nftContract, offer.tokenId)
+      await tx.wait()
+
+      await saveTransaction({ type: 'cancel', txHash: tx.hash, ...offerActivity(offer, market) })
+
+      await removeOffer(offer.id).catch(err => console.warn('Offer cleanup failed:', err.message))
+      await reloadOffers()
+
+      setTxModal({ show: true, status: 'success', message: 'Offer cancelled!' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Cancel offer error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // Auction house on the KARRAT network, connected with the wallet's signer
+  const connectAuctionHouse = async () => {
+    if (!contractAddresses.auction) {
+      showToast('Auctions are not configured', 'error')
+      return null
+    }
+    const connection = await connectMarket(MARKETS.karrat)
+    if (!connection) return null
+    const { chainId } = await connection.provider.getNetwork()
+    return {
+      ...connection,
+      chainId: Number(chainId),
+      auctionHouse: new ethers.Contract(contractAddresses.auction, AUCTION_ABI, connection.signer)
+    }
+  }
+
+  // Escrow tokens in a new auction. The auction house needs setApprovalForAll first.
+  const createAuctionHandler = async ({ tokenId, amount, currency, reservePrice, days }) => {
+    const connection = await connectAuctionHouse()
+    if (!connection || !contracts.nft) return
+
+    try {
+      if (!await contracts.nft.isApprovedForAll(connection.address, contractAddresses.auction)) {
+        setTxModal({ show: true, status: 'pending', message: 'Approving the auction house...' })
+        const approveTx = await contracts.nft.setApprovalForAll(contractAddresses.auction, true)
+        await approveTx.wait()
+      }
+
+      setTxModal({ show: true, status: 'pending', message: 'Escrowing item and starting auction...' })
+      const reserveWei = ethers.parseEther(reservePrice.toString())
+      const currencyAddress = currency === 'ETH' ? ethers.ZeroAddress : contractAddresses.karrat
+      const tx = await connection.auctionHouse.createAuction(contractAddresses.nft, tokenId, amount, currencyAddress, reserveWei, days * 24 * 60 * 60)
+      await tx.wait()
+
+      const auction = { seller: connection.address, nftContract: contractAddresses.nft, tokenId, amount, currency }
+      saveTransaction({ type: 'auction', txHash: tx.hash, ...auctionActivity(auction, connection.chainId, reserveWei) })
+
+      await loadAuctions()
+      await loadUserBalances()
+
+      setTxModal({ show: true, status: 'success', message: 'Auction started!' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Create auction error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // KARRAT bids are pulled with transferFrom; ETH bids are sent as msg.value.
+  // The previous highest bidder is refunded in the same transaction.
+  const placeBidHandler = async (auction, bid) => {
+    const connection = await connectAuctionHouse()
+    if (!connection) return
+    if (auction.currency === 'KARRAT' && !contracts.karrat) return
+
+    try {
+      const bidWei = ethers.parseEther(bid.toString())
+      if (bidWei < BigInt(auction.minimumBid)) {
+        showToast(`Bid at least ${ethers.formatEther(auction.minimumBid)} ${auction.currency}`, 'error')
+        return
+      }
+
+      if (auction.currency === 'KARRAT') {
+        const allowance = await contracts.karrat.allowance(connection.address, contractAddresses.auction)
+        if (allowance < bidWei) {
+          setTxModal({ show: true, status: 'pending', message: 'Approving KARRAT...' })
+          const approveTx = await contracts.karrat.approve(contractAddresses.auction, ethers.MaxUint256)
+          await approveTx.wait()
+        }
+      }
+
+      setTxModal({ show: true, status: 'pending', message: 'Placing bid...' })
+      const overrides = auction.currency === 'ETH' ? { value: bidWei } : {}
+      const tx = await connection.auctionHouse.placeBid(auction.id, bidWei, overrides)
+      await tx.wait()
+
+      saveTransaction({ type: 'bid', txHash: tx.hash, ...auctionActivity(auction, connection.chainId, bidWei), buyer: connection.address })
+
+      await loadAuctions()
+
+      setTxModal({ show: true, status: 'success', message: 'Bid placed!' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Bid error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err, { currency: auction.currency }) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // Anyone can settle once the auction ended: the lot goes to the highest bidder, or back to
+  // the seller if nobody bid
+  const settleAuctionHandler = async (auction) => {
+    const connection = await connectAuctionHouse()
+    if (!connection) return
+
+    try {
+      setTxModal({ show: true, status: 'pending', message: 'Settling auction...' })
+      const tx = await connection.auctionHouse.settleAuction(auction.id)
+      await tx.wait()
+
+      if (auction.highestBidder) {
+        saveTransaction({ type: 'auction_settle', txHash: tx.hash, ...auctionActivity(auction, connection.chainId, auction.highestBid), buyer: auction.highestBidder })
+      }
+
+      await loadAuctions()
+      await loadUserBalances()
+
+      setTxModal({ show: true, status: 'success', message: auction.highestBidder ? 'Auction settled!' : 'No bids, item returned to the seller' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Settle auction error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err) })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
+    }
+  }
+
+  // Only possible before the first bid
+  const cancelAuctionHandler = async (auction) => {
+    const connection = await connectAuctionHouse()
+    if (!connection) return
+
+    try {
+      setTxModal({ show: true, status: 'pending', message: 'Cancelling auction...' })
+      const tx = await connection.auctionHouse.cancelAuction(auction.id)
+      await tx.wait()
+
+      saveTransaction({ type: 'cancel', txHash: tx.hash, ...auctionActivity(auction, connection.chainId, auction.reservePrice) })
+
+      await loadAuctions()
+      await loadUserBalances()
+
+      setTxModal({ show: true, status: 'success', message: 'Auction cancelled!' })
+      setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 2000)
+    } catch (err) {
+      console.error('Cancel auction error:', err)
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
@@ -773,12 +1626,28 @@ function App() {
       
     } catch (err) {
       console.error('Add contract error:', err)
-      setTxModal({ show: true, status: 'error', message: err.reason || err.message })
+      setTxModal({ show: true, status: 'error', message: getErrorMessage(err) })
       setTimeout(() => setTxModal({ show: false, status: '', message: '' }), 3000)
     }
   }
 
-  const myListings = listings.filter(l => l.seller?.toLowerCase() === userAddress?.toLowerCase())
+  const studioChainListings = listings.filter(isListingOn(MARKETS.studiochain))
+  
+  // On-chain checks from the last checkout win; otherwise use what the sweeper reported
+  const cartItemProblem = (item) => {
+    if (staleReasons[item.id]) return staleReasons[item.id]
+    const current = listings.find(l => l.id === item.id)
+    if (current && !isListingLive(current)) return LISTING_STATUS_REASONS[current.statusReason] || LISTING_STATUS_REASONS.expired
+    return null
+  }
+  const cartItems = cart.map(item => ({ ...item, problem: cartItemProblem(item) }))
+  const myListings = listings.filter(l => isListingOn(MARKETS.karrat)(l) && l.seller?.toLowerCase() === userAddress?.toLowerCase())
+  const isMine = (address) => Boolean(userAddress) && address?.toLowerCase() === userAddress.toLowerCase()
+  const myOffers = offers.filter(o => isMine(o.buyer))
+  // Offers on items this wallet holds, from everyone else
+  const incomingOffers = offers.filter(o => !isMine(o.buyer) && isListingLive(o) && !isCollectionOffer(o) && (userBalances[o.tokenId] || 0) > 0)
+  // Tier offers from everyone else; Inventory works out which held items qualify
+  const tierOffers = offers.filter(o => !isMine(o.buyer) && isListingLive(o) && isCollectionOffer(o))
 
   return (
     <div className="app">
@@ -788,6 +1657,22 @@ function App() {
         karratBalance={karratBalance}
         onConnect={connectWallet}
         isAdmin={isAdmin}
+        syncStatus={syncStatus}
+        onSync={() => syncListings(syncStatus.state === 'signin' ? signer : null)}
+        cartCount={cart.length}
+        onOpenCart={() => setCartOpen(true)}
+      />
+      
+      <CartDrawer
+        open={cartOpen}
+        items={cartItems}
+        feeRates={feeRates}
+        userAddress={userAddress}
+        onClose={() => setCartOpen(false)}
+        onRemove={removeFromCart}
+        onRemoveStale={removeStaleFromCart}
+        onClear={() => { setCart([]); setStaleReasons({}) }}
+        onCheckout={checkoutCart}
       />
       
       <Navbar isAdmin={isAdmin} />
@@ -795,30 +1680,53 @@ function App() {
       <main className="main-content">
         <Routes>
           <Route path="/" element={
-            <PrimaryStorePage tiers={tiers} onBuy={buyPrimary} userAddress={userAddress} />
+            <PrimaryStorePage
+              tiers={tiers}
+              onBuy={buyPrimary}
+              userAddress={userAddress}
+              cartItems={primaryCarts.karrat}
+              onAddToCart={(...args) => addToPrimaryCart(MARKETS.karrat, ...args)}
+              onRemoveFromCart={tokenId => removeFromPrimaryCart(MARKETS.karrat, tokenId)}
+              onClearCart={() => clearPrimaryCart(MARKETS.karrat)}
+              onCheckout={() => checkoutPrimaryCart(MARKETS.karrat)}
+            />
           } />
           
-          <Route path="/studiochain" element={
+          <Route path="/studiochain/:orderHash?" element={
             <StudioChainPage 
               tiers={studioChainTiers}
               listings={studioChainListings}
               balances={studioChainBalances}
               onBuyPrimary={buyStudioChain}
-              onBuySecondary={buyFromStudioChainListing}
-              onCreateListing={createStudioChainListing}
-              onUpdateListing={updateStudioChainListingHandler}
-              onCancelListing={cancelStudioChainListing}
+              onBuySecondary={buyListing}
+              rates={feeRates.studiochain}
+              onCreateListing={(...args) => createListing(MARKETS.studiochain, ...args)}
+              onUpdateListing={updateListingHandler}
+              onCancelListing={cancelListing}
+              onCancelAllListings={() => cancelAllListings(MARKETS.studiochain)}
               onRefreshBalances={loadStudioChainBalances}
               userAddress={userAddress}
+              cartItems={primaryCarts.studiochain}
+              onAddToCart={(...args) => addToPrimaryCart(MARKETS.studiochain, ...args)}
+              onRemoveFromCart={tokenId => removeFromPrimaryCart(MARKETS.studiochain, tokenId)}
+              onClearCart={() => clearPrimaryCart(MARKETS.studiochain)}
+              onCheckout={() => checkoutPrimaryCart(MARKETS.studiochain)}
             />
           } />
           
-          <Route path="/marketplace" element={
+          <Route path="/marketplace/:orderHash?" element={
             <MarketplacePage 
               listings={listings} 
+              tiers={tiers}
               userAddress={userAddress} 
-              onBuy={buyFromListing} 
+              feeRates={feeRates}
+              onBuy={buyListing} 
               onCancel={cancelListing} 
+              cartIds={cart.map(item => item.id)}
+              onAddToCart={addToCart}
+              myOffers={myOffers}
+              onMakeOffer={makeOffer}
+              onCancelOffer={cancelOfferHandler}
             />
           } />
           
@@ -827,13 +1735,38 @@ function App() {
               tiers={tiers}
               balances={userBalances}
               userAddress={userAddress}
-              onCreateListing={createListing}
+              rates={feeRates.karrat}
+              onCreateListing={(...args) => createListing(MARKETS.karrat, ...args)}
+              onCreateBulkListing={(...args) => createBulkListing(MARKETS.karrat, ...args)}
               onUpdateListing={updateListingHandler}
               myListings={myListings}
               onCancelListing={cancelListing}
+              onCancelAllListings={() => cancelAllListings(MARKETS.karrat)}
+              incomingOffers={incomingOffers}
+              tierOffers={tierOffers}
+              onAcceptOffer={acceptOfferHandler}
+              approvals={marketApprovals}
+              onApproveMarket={approveMarket}
+            />
+          } />
+          
+          <Route path="/auctions" element={
+            <AuctionsPage
+              auctions={auctions}
+              tiers={tiers}
+              balances={userBalances}
+              userAddress={userAddress}
+              enabled={Boolean(contractAddresses.auction)}
+              onRefresh={loadAuctions}
+              onCreate={createAuctionHandler}
+              onBid={placeBidHandler}
+              onSettle={settleAuctionHandler}
+              onCancel={cancelAuctionHandler}
             />
           } />
           
+          <Route path="/activity" element={<ActivityPage userAddress={userAddress} />} />
+          
           {isAdmin && (
             <Route path="/admin" element={
               <AdminPage 
@@ -0,0 +1,96 @@
+import { Link } from 'react-router-dom'
+import { getTokenName } from '../utils/constants'
+import { ACTIVITY_TYPES } from '../utils/activity'
+import { getChainName, getTxUrl } from '../utils/markets'
+import { formatAddress } from '../utils/storage'
+import './Activity.css'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString()
+
+function Activity({ tab, onTabChange, type, onTypeChange, entries, hasMore = false, loading = false, error = '', userAddress, onLoadMore, onRefresh }) {
+  const isYou = (address) => userAddress && address?.toLowerCase() === userAddress.toLowerCase()
+  const party = (address) => address ? (isYou(address) ? 'You' : formatAddress(address)) : '—'
+
+  return (
+    <div className="activity">
+      <div className="activity-header">
+        <div>
+          <h1>Activity</h1>
+          <p>Purchases, listings, offers and cancellations on every chain</p>
+        </div>
+        <button className="refresh-btn" onClick={onRefresh} disabled={loading}>Refresh</button>
+      </div>
+
+      <div className="activity-toolbar">
+        <div className="activity-tabs">
+          <button className={tab === 'all' ? 'active' : ''} onClick={() => onTabChange('all')}>All activity</button>
+          <button className={tab === 'mine' ? 'active' : ''} onClick={() => onTabChange('mine')} disabled={!userAddress}>
+            My history
+          </button>
+        </div>
+        <select value={type} onChange={e => onTypeChange(e.target.value)}>
+          <option value="">All events</option>
+          {Object.entries(ACTIVITY_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      {error && <p className="activity-error">{error}</p>}
+
+      {entries.length === 0 && !loading ? (
+        <div className="empty-state">
+          <div className="empty-icon">📜</div>
+          <p>{tab === 'mine' ? 'No activity for this wallet yet' : 'No activity yet'}</p>
+        </div>
+      ) : (
+        <table className="activity-table">
+          <thead>
+            <tr>
+              <th>Event</th>
+              <th>Item</th>
+              <th>Amount</th>
+              <th>Price</th>
+              <th>From</th>
+              <th>To</th>
+              <th>Chain</th>
+              <th>Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const txUrl = entry.txHash && getTxUrl(entry.chainId, entry.txHash)
+              return (
+                <tr key={entry.id}>
+                  <td><span className={`activity-type ${entry.type}`}>{ACTIVITY_TYPES[entry.type] || entry.type}</span></td>
+                  <td>
+                    {entry.tokenId === undefined ? `Any ${entry.tier} item` : getTokenName(entry.tokenId)}
+                    {entry.type === 'listing' && (
+                      <Link className="activity-link" to={`/marketplace/${entry.orderHash}`}>Order {formatAddress(entry.orderHash)}</Link>
+                    )}
+                  </td>
+                  <td>{entry.amount}</td>
+                  <td>{entry.price} {entry.currency}</td>
+                  <td>{party(entry.seller)}</td>
+                  <td>{party(entry.buyer)}</td>
+                  <td>{getChainName(entry.chainId)}</td>
+                  <td>
+                    {formatTime(entry.timestamp)}
+                    {entry.txHash && (txUrl ? (
+                      <a className="activity-link" href={txUrl} target="_blank" rel="noreferrer">Tx {formatAddress(entry.txHash)}</a>
+                    ) : (
+                      <span className="activity-link" title={entry.txHash}>Tx {formatAddress(entry.txHash)}</span>
+                    ))}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {loading && <p className="activity-loading">Loading activity...</p>}
+      {hasMore && !loading && <button className="load-more-btn" onClick={onLoadMore}>Load more</button>}
+    </div>
+  )
+}
+
+export default Activity
@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { AUCTION_TIERS, TIER_CONFIG, getTokenName, getTokenImage } from '../utils/constants'
+import { formatAddress } from '../utils/storage'
+import { formatCountdown } from './DutchPrice'
+import './Auctions.css'
+
+const now = () => Math.floor(Date.now() / 1000)
+
+/**
+ * Escrowed English auctions on the KARRAT network. Items of the AUCTION_TIERS can be put up
+ * for a reserve price in KARRAT or ETH; bids close at the end time, which late bids push back.
+ */
+function Auctions({ auctions, tiers, balances, userAddress, enabled, onRefresh, onCreate, onBid, onSettle, onCancel }) {
+  const [time, setTime] = useState(now)
+  const [bids, setBids] = useState({})
+  const [form, setForm] = useState({ tokenId: '', amount: 1, currency: 'KARRAT', reservePrice: '', days: 1 })
+
+  useEffect(() => {
+    const timer = setInterval(() => setTime(now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  if (!enabled) {
+    return (
+      <div className="auctions">
+        <div className="empty-state">
+          <div className="empty-icon">🔨</div>
+          <p>Auctions are not configured (VITE_AUCTION_CONTRACT)</p>
+        </div>
+      </div>
+    )
+  }
+
+  const isMine = (address) => Boolean(userAddress && address && address.toLowerCase() === userAddress.toLowerCase())
+
+  const auctionable = tiers
+    .filter(tier => AUCTION_TIERS.includes(tier.name))
+    .flatMap(tier => tier.tokenIds.map(tokenId => ({ tokenId, balance: balances[tokenId] || 0, tierName: tier.name })))
+    .filter(token => token.balance > 0)
+  const selected = auctionable.find(token => token.tokenId === parseInt(form.tokenId)) || auctionable[0]
+  const setField = (changes) => setForm(prev => ({ ...prev, ...changes }))
+
+  const handleCreate = () => {
+    if (!selected || !form.reservePrice || parseFloat(form.reservePrice) <= 0) return
+    onCreate({ ...form, tokenId: selected.tokenId, amount: Math.min(form.amount, selected.balance), reservePrice: parseFloat(form.reservePrice) })
+    setField({ reservePrice: '' })
+  }
+
+  return (
+    <div className="auctions">
+      <div className="auctions-header">
+        <div>
+          <h1>Auctions</h1>
+          <p>Escrowed {AUCTION_TIERS.join(', ')} items, highest bid wins when the timer runs out</p>
+        </div>
+        <button className="auction-refresh" onClick={onRefresh}>↻ Refresh</button>
+      </div>
+
+      {userAddress && auctionable.length > 0 && (
+        <section className="auction-create">
+          <h2>Start an auction</h2>
+          <div className="auction-create-fields">
+            <div className="form-group">
+              <label>Item</label>
+              <select value={selected.tokenId} onChange={e => setField({ tokenId: e.target.value, amount: 1 })}>
+                {auctionable.map(token => <option key={token.tokenId} value={token.tokenId}>{getTokenName(token.tokenId)} (x{token.balance})</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Amount</label>
+              <input type="number" min="1" max={selected.balance} value={form.amount} onChange={e => setField({ amount: Math.max(1, Math.min(selected.balance, parseInt(e.target.value) || 1)) })} />
+            </div>
+            <div className="form-group">
+              <label>Currency</label>
+              <select value={form.currency} onChange={e => setField({ currency: e.target.value })}>
+                <option value="KARRAT">KARRAT</option>
+                <option value="ETH">ETH</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Reserve price (whole lot)</label>
+              <input type="number" step="0.01" value={form.reservePrice} onChange={e => setField({ reservePrice: e.target.value })} placeholder="0.00" />
+            </div>
+            <div className="form-group">
+              <label>Duration</label>
+              <select value={form.days} onChange={e => setField({ days: parseInt(e.target.value) })}>
+                <option value={1}>1 Day</option>
+                <option value={3}>3 Days</option>
+                <option value={7}>7 Days</option>
+              </select>
+            </div>
+          </div>
+          <p className="form-hint">The item is held by the auction house until the auction is settled or cancelled.</p>
+          <button className="auction-action" onClick={handleCreate} disabled={!form.reservePrice}>Start Auction</button>
+        </section>
+      )}
+
+      {auctions.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🔨</div>
+          <p>No open auctions</p>
+        </div>
+      ) : (
+        <div className="auctions-grid">
+          {auctions.map(auction => {
+            const ended = time >= auction.endTime
+            const tierName = tiers.find(tier => tier.tokenIds.includes(auction.tokenId))?.name
+            const bid = bids[auction.id] ?? ethers.formatEther(auction.minimumBid)
+
+            return (
+              <div key={auction.id} className="auction-card">
+                <div className="auction-image">
+                  <img src={getTokenImage(auction.tokenId)} alt="" />
+                  {tierName && <span className="tier-badge" style={{ background: TIER_CONFIG[tierName]?.color }}>{tierName}</span>}
+                  <span className="balance-badge">x{auction.amount}</span>
+                </div>
+                <div className="auction-details">
+                  <h3>{getTokenName(auction.tokenId)}</h3>
+                  <span className="auction-seller">Seller: {isMine(auction.seller) ? 'You' : formatAddress(auction.seller)}</span>
+                  <div className="auction-bid">
+                    <span className="label">{auction.highestBidder ? 'Current bid' : 'Reserve'}</span>
+                    <span className="value">
+                      {ethers.formatEther(auction.highestBidder ? auction.highestBid : auction.reservePrice)} {auction.currency}
+                    </span>
+                    {auction.highestBidder && (
+                      <span className="auction-bidder">by {isMine(auction.highestBidder) ? 'You' : formatAddress(auction.highestBidder)}</span>
+                    )}
+                  </div>
+                  <span className={`auction-countdown ${ended ? 'ended' : ''}`}>
+                    {ended ? 'Ended' : `Ends in ${formatCountdown(auction.endTime - time)}`}
+                  </span>
+
+                  {ended ? (
+                    <button className="auction-action" onClick={() => onSettle(auction)} disabled={!userAddress}>Settle</button>
+                  ) : isMine(auction.seller) ? (
+                    <button className="auction-action" onClick={() => onCancel(auction)} disabled={Boolean(auction.highestBidder)}
+                      title={auction.highestBidder ? 'Auctions with bids cannot be cancelled' : ''}>
+                      Cancel
+                    </button>
+                  ) : (
+                    <div className="auction-bid-form">
+                      <input type="number" step="0.01" value={bid} onChange={e => setBids(prev => ({ ...prev, [auction.id]: e.target.value }))} />
+                      <button className="auction-action" onClick={() => onBid(auction, bid)} disabled={!userAddress || !bid}>Bid</button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Auctions
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers'
+import { getTokenName, getTokenImage } from '../utils/constants'
+import { MAX_CART_ITEMS, getCartQuote } from '../utils/cart'
+import { getListingMarket } from '../utils/markets'
+import { formatFeeRate, formatRoyaltyRate } from '../utils/fees'
+import { formatAddress } from '../utils/storage'
+import './CartDrawer.css'
+
+function CartDrawer({ open, items, feeRates = {}, userAddress, onClose, onRemove, onRemoveStale, onClear, onCheckout }) {
+  if (!open) return null
+
+  const market = items.length > 0 ? getListingMarket(items[0]) : null
+  const currency = market?.currency || ''
+  // Until the rates load the summary shows the subtotal only; checkout quotes on-chain anyway
+  const rates = market ? feeRates[market.key] : undefined
+  const subtotal = items.reduce((sum, item) => sum + BigInt(item.priceWei) * BigInt(item.amount), 0n)
+  const quote = market && rates ? getCartQuote(items, rates) : null
+  const staleCount = items.filter(item => item.problem).length
+
+  return (
+    <div className="cart-overlay" onClick={onClose}>
+      <aside className="cart-drawer" onClick={e => e.stopPropagation()}>
+        <div className="cart-header">
+          <h2>Cart</h2>
+          <span className="cart-limit">{items.length}/{MAX_CART_ITEMS}</span>
+          <button className="cart-close" onClick={onClose}>×</button>
+        </div>
+
+        {items.length === 0 ? (
+          <p className="cart-empty">Your cart is empty. Add listings from the marketplace.</p>
+        ) : (
+          <>
+            <ul className="cart-items">
+              {items.map(item => (
+                <li key={item.id} className={item.problem ? 'stale' : ''}>
+                  <img src={getTokenImage(item.tokenId)} alt="" />
+                  <div className="cart-item-info">
+                    <span className="name">{getTokenName(item.tokenId)} × {item.amount}</span>
+                    <span className="seller">Seller {formatAddress(item.seller)}</span>
+                    {item.problem && <span className="problem">{item.problem}</span>}
+                  </div>
+                  <span className="cart-item-price">{ethers.formatEther(BigInt(item.priceWei) * BigInt(item.amount))} {currency}</span>
+                  <button className="cart-remove" onClick={() => onRemove(item.id)} title="Remove">×</button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="cart-summary">
+              <div><span>Subtotal</span><span>{ethers.formatEther(subtotal)} {currency}</span></div>
+              {quote && (
+                <>
+                  <div><span>Marketplace fee ({formatFeeRate(rates.feePerMille)}{quote.feeFromSeller && ', paid by sellers'})</span><span>{ethers.formatEther(quote.fee)} {currency}</span></div>
+                  {quote.royalty > 0n && (
+                    <div className="royalty"><span>Creator royalty ({formatRoyaltyRate(rates.royaltyBps)}, paid by sellers)</span><span>{ethers.formatEther(quote.royalty)} {currency}</span></div>
+                  )}
+                  <div className="total"><span>Total</span><span>{ethers.formatEther(quote.buyerTotal)} {currency}</span></div>
+                </>
+              )}
+            </div>
+
+            {staleCount > 0 && (
+              <div className="cart-stale">
+                <p>{staleCount} listing(s) can no longer be bought, and one stale order fails the whole checkout.</p>
+                <button onClick={onRemoveStale}>Remove unavailable</button>
+              </div>
+            )}
+
+            <div className="cart-actions">
+              <button className="cart-clear" onClick={onClear}>Clear</button>
+              <button className="cart-checkout" onClick={onCheckout} disabled={!userAddress || staleCount > 0}>
+                {userAddress ? `Buy ${items.length} in one transaction` : 'Connect Wallet'}
+              </button>
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+export default CartDrawer
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { getDutchPriceWei } from '../utils/constants'
+import './DutchPrice.css'
+
+const now = () => Math.floor(Date.now() / 1000)
+
+// Rounds to 4 decimals for display; buyListing quotes the exact price from the chain
+const formatPrice = (wei) => {
+  const [whole, fraction = ''] = ethers.formatEther(wei).split('.')
+  const trimmed = fraction.slice(0, 4).replace(/0+$/, '')
+  return trimmed ? `${whole}.${trimmed}` : whole
+}
+
+export const formatCountdown = (seconds) => {
+  const d = Math.floor(seconds / 86400)
+  const h = Math.floor((seconds % 86400) / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = seconds % 60
+  if (d > 0) return `${d}d ${h}h ${m}m`
+  if (h > 0) return `${h}h ${m}m ${s}s`
+  return `${m}m ${s}s`
+}
+
+// Current price of a Dutch auction listing and the time left, re-rendered every second
+function DutchPrice({ listing, currency }) {
+  const [time, setTime] = useState(now)
+
+  useEffect(() => {
+    const timer = setInterval(() => setTime(now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const started = time >= Number(listing.startTime)
+  const ended = time >= Number(listing.deadline)
+
+  return (
+    <div className="dutch-price">
+      <span className="dutch-current">{formatPrice(getDutchPriceWei(listing, time))} {currency}</span>
+      <span className="dutch-range">{listing.price} → {listing.endPrice} {currency}</span>
+      <span className="dutch-countdown">
+        {ended ? 'Auction ended'
+          : started ? `Ends in ${formatCountdown(Number(listing.deadline) - time)}`
+            : `Starts in ${formatCountdown(Number(listing.startTime) - time)}`}
+      </span>
+    </div>
+  )
+}
+
+export default DutchPrice
@@ -0,0 +1,29 @@
+import { ethers } from 'ethers'
+import { formatFeeRate, formatRoyaltyRate } from '../utils/fees'
+import './FeeBreakdown.css'
+
+// Price, marketplace fee, creator royalty and what each side ends up with, from a fees.js quote.
+// `side` highlights the line that matters to the viewer: what the buyer pays or the seller receives.
+function FeeBreakdown({ quote, rates, currency, side = 'buyer' }) {
+  if (!quote || !rates) return null
+
+  const format = (wei) => `${ethers.formatEther(wei)} ${currency}`
+
+  return (
+    <div className="fee-breakdown">
+      <div><span>Price</span><span>{format(quote.gross)}</span></div>
+      <div><span>Marketplace fee ({formatFeeRate(rates.feePerMille)}, {quote.feeFromSeller ? 'from the seller' : 'on top'})</span><span>{format(quote.fee)}</span></div>
+      {quote.royalty > 0n && (
+        <div><span>Creator royalty ({formatRoyaltyRate(rates.royaltyBps)}, from the seller)</span><span>{format(quote.royalty)}</span></div>
+      )}
+      <div className={side === 'buyer' ? 'highlight' : ''}>
+        <span>{side === 'buyer' ? 'You pay' : 'Buyer pays'}</span><span>{format(quote.buyerTotal)}</span>
+      </div>
+      <div className={side === 'seller' ? 'highlight' : ''}>
+        <span>{side === 'seller' ? 'You receive' : 'Seller receives'}</span><span>{format(quote.sellerProceeds)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default FeeBreakdown
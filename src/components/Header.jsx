@@ -1,7 +1,39 @@
 import { formatKarrat, formatAddress } from '../utils/storage'
 import './Header.css'
 
-function Header({ userAddress, ethBalance, karratBalance, onConnect, isAdmin }) {
+const SYNC_LABELS = {
+  syncing: 'Syncing...',
+  pending: 'pending sync',
+  offline: 'saved offline',
+  signin: 'sign in to sync'
+}
+
+// Offline listing changes waiting in the outbox, plus conflicts from the last sync
+function SyncStatus({ status, onSync }) {
+  const { state, pending, conflicts } = status
+  if (pending === 0 && conflicts.length === 0 && state !== 'syncing') return null
+
+  if (state === 'syncing') {
+    return <span className="sync-status syncing">{SYNC_LABELS.syncing}</span>
+  }
+
+  if (pending === 0) {
+    return (
+      <button className="sync-status conflict" onClick={onSync} title={conflicts.map(c => `#${c.listingId}: ${c.reason}`).join('\n')}>
+        {conflicts.length} not synced
+      </button>
+    )
+  }
+
+  const label = SYNC_LABELS[state] || SYNC_LABELS.pending
+  return (
+    <button className={`sync-status ${state}`} onClick={onSync} title="Click to retry now">
+      {pending} {pending === 1 ? 'change' : 'changes'} {label}
+    </button>
+  )
+}
+
+function Header({ userAddress, ethBalance, karratBalance, onConnect, isAdmin, syncStatus, onSync, cartCount, onOpenCart }) {
   return (
     <header className="header">
       <div className="header-content">
@@ -19,18 +51,24 @@ function Header({ userAddress, ethBalance, karratBalance, onConnect, isAdmin })
           </div>
         </div>
         
-        {userAddress ? (
-          <div className="wallet-info">
-            {isAdmin && <span className="admin-badge">ADMIN</span>}
-            <div className="balance-group">
-              <span className="balance karrat">{formatKarrat(karratBalance)} KARRAT</span>
-              <span className="balance eth">{parseFloat(ethBalance).toFixed(4)} ETH</span>
+        <div className="header-actions">
+          <SyncStatus status={syncStatus} onSync={onSync} />
+          <button className="cart-btn" onClick={onOpenCart} title="Cart">
+            🛒 {cartCount > 0 && <span className="cart-count">{cartCount}</span>}
+          </button>
+          {userAddress ? (
+            <div className="wallet-info">
+              {isAdmin && <span className="admin-badge">ADMIN</span>}
+              <div className="balance-group">
+                <span className="balance karrat">{formatKarrat(karratBalance)} KARRAT</span>
+                <span className="balance eth">{parseFloat(ethBalance).toFixed(4)} ETH</span>
+              </div>
+              <span className="address">{formatAddress(userAddress)}</span>
             </div>
-            <span className="address">{formatAddress(userAddress)}</span>
-          </div>
-        ) : (
-          <button className="connect-btn" onClick={onConnect}>Connect Wallet</button>
-        )}
+          ) : (
+            <button className="connect-btn" onClick={onConnect}>Connect Wallet</button>
+          )}
+        </div>
       </div>
     </header>
   )
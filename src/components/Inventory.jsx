@@ -1,13 +1,31 @@
 import { useState } from 'react'
-import { TIER_CONFIG, getTokenName, getTokenImage } from '../utils/constants'
+import { Link } from 'react-router-dom'
+import { ethers } from 'ethers'
+import { TIER_CONFIG, LISTING_STATUS_REASONS, getTokenName, getTokenImage, getRemainingAmount, isPrivateListing } from '../utils/constants'
+import { formatAddress } from '../utils/storage'
+import Offers from './Offers'
+import TierOffers from './TierOffers'
+import DutchPrice from './DutchPrice'
+import FeeBreakdown from './FeeBreakdown'
+import MarketApprovals from './MarketApprovals'
+import { quoteFee } from '../utils/fees'
 import './Inventory.css'
 
-function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateListing, myListings, onCancelListing }) {
+function Inventory({ tiers, balances, userAddress, onCreateListing, onCreateBulkListing, onUpdateListing, myListings, onCancelListing, onCancelAllListings, incomingOffers = [], tierOffers = [], onAcceptOffer, rates, approvals, onApproveMarket }) {
   const [modal, setModal] = useState(null)
   const [editModal, setEditModal] = useState(null)
   const [price, setPrice] = useState('')
   const [amount, setAmount] = useState(1)
   const [days, setDays] = useState(7)
+  const [partial, setPartial] = useState(false)
+  const [dutch, setDutch] = useState(false)
+  const [endPrice, setEndPrice] = useState('')
+  const [reservedFor, setReservedFor] = useState('')
+  
+  // Bulk listing: selected token ids, then { [tokenId]: { amount, price } } in the modal
+  const [selected, setSelected] = useState([])
+  const [bulkModal, setBulkModal] = useState(null)
+  const [bulkDays, setBulkDays] = useState(7)
   
   // Edit form state
   const [editPrice, setEditPrice] = useState('')
@@ -36,27 +54,89 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
     }
   }
   
+  // Best open tier offer each held item qualifies for
+  const bestTierOffer = (token) => tierOffers
+    .filter(offer => offer.tierName === token.tierName)
+    .reduce((best, offer) => !best || BigInt(offer.priceWei) > BigInt(best.priceWei) ? offer : best, null)
+  
   const openModal = (token) => {
     setModal(token)
     setPrice('')
     setAmount(1)
     setDays(7)
+    setPartial(false)
+    setDutch(false)
+    setEndPrice('')
+    setReservedFor('')
+  }
+  
+  const toggleSelected = (tokenId) => {
+    setSelected(prev => prev.includes(tokenId) ? prev.filter(id => id !== tokenId) : [...prev, tokenId])
+  }
+  
+  const openBulkModal = () => {
+    setBulkModal(Object.fromEntries(selected.map(tokenId => [tokenId, { amount: balances[tokenId] || 1, price: '' }])))
+    setBulkDays(7)
+  }
+  
+  const setBulkOrder = (tokenId, changes) => {
+    setBulkModal(prev => ({ ...prev, [tokenId]: { ...prev[tokenId], ...changes } }))
+  }
+  
+  const bulkOrders = bulkModal ? Object.entries(bulkModal).map(([tokenId, order]) => ({ tokenId: parseInt(tokenId), ...order })) : []
+  const bulkReady = bulkOrders.length > 0 && bulkOrders.every(order => parseFloat(order.price) > 0)
+  
+  const handleBulkList = () => {
+    if (!bulkReady) return
+    const deadline = Math.floor(Date.now() / 1000) + (bulkDays * 24 * 60 * 60)
+    onCreateBulkListing(bulkOrders.map(order => ({ ...order, price: parseFloat(order.price) })), deadline)
+    setBulkModal(null)
+    setSelected([])
   }
   
   const openEditModal = (listing) => {
     setEditModal(listing)
     setEditPrice(listing.price)
-    setEditAmount(listing.amount.toString())
+    setEditAmount(getRemainingAmount(listing).toString())
     // Calculate remaining days from deadline
     const remainingSeconds = listing.deadline - Math.floor(Date.now() / 1000)
     const remainingDays = Math.max(1, Math.ceil(remainingSeconds / 86400))
     setEditDays(remainingDays.toString())
   }
   
+  // Private listings name the one wallet that may fill them
+  const reservedForError = !reservedFor ? null
+    : !ethers.isAddress(reservedFor) ? 'Not a valid address'
+    : reservedFor.toLowerCase() === userAddress.toLowerCase() ? 'You cannot reserve a listing for yourself'
+    : null
+  
+  // Seller-side quote for [{ price, amount }] orders priced in KARRAT; null until the rates load and every price parses
+  const quoteListing = (orders) => {
+    if (!rates) return null
+    try {
+      const gross = orders.reduce((sum, order) => sum + ethers.parseEther(String(order.price)) * BigInt(order.amount), 0n)
+      return gross > 0n ? quoteFee(gross, rates) : null
+    } catch {
+      return null
+    }
+  }
+  
   const handleList = () => {
     if (!price || parseFloat(price) <= 0) return
-    const deadline = Math.floor(Date.now() / 1000) + (days * 24 * 60 * 60)
-    onCreateListing(modal.tokenId, amount, parseFloat(price), deadline)
+    if (dutch && !(parseFloat(endPrice) >= 0 && parseFloat(endPrice) < parseFloat(price))) return
+    if (reservedForError) return
+    const now = Math.floor(Date.now() / 1000)
+    const deadline = now + (days * 24 * 60 * 60)
+    // A Dutch auction starts falling as soon as it is signed and reaches the end price at the deadline
+    onCreateListing(
+      modal.tokenId,
+      amount,
+      parseFloat(price),
+      deadline,
+      partial && !dutch,
+      dutch ? { endPrice: parseFloat(endPrice), startTime: now } : null,
+      reservedFor ? ethers.getAddress(reservedFor) : ethers.ZeroAddress
+    )
     setModal(null)
   }
   
@@ -68,10 +148,9 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
     // Check what changed
     if (editPrice !== editModal.price) {
       updates.price = editPrice
-      updates.priceWei = (parseFloat(editPrice) * 1e18).toString()
     }
     
-    if (parseInt(editAmount) !== editModal.amount) {
+    if (parseInt(editAmount) !== getRemainingAmount(editModal)) {
       updates.amount = parseInt(editAmount)
     }
     
@@ -82,7 +161,7 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
     }
     
     if (Object.keys(updates).length > 0) {
-      onUpdateListing(editModal.id, updates)
+      onUpdateListing(editModal, updates)
     }
     
     setEditModal(null)
@@ -102,6 +181,8 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
     <div className="inventory">
       <h1>My Inventory</h1>
       
+      {onApproveMarket && <MarketApprovals approvals={approvals} onApprove={onApproveMarket} />}
+      
       {ownedTokens.length === 0 && myListings.length === 0 ? (
         <div className="empty-state">
           <div className="empty-icon">📦</div>
@@ -111,17 +192,37 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
         <>
           {ownedTokens.length > 0 && (
             <section className="inv-section">
-              <h2>Owned ({ownedTokens.length})</h2>
+              <div className="inv-section-header">
+                <h2>Owned ({ownedTokens.length})</h2>
+                {onCreateBulkListing && (
+                  <button className="bulk-list-btn" onClick={openBulkModal} disabled={selected.length === 0}
+                    title="One signature for every selected item">
+                    List selected ({selected.length})
+                  </button>
+                )}
+              </div>
               <div className="inv-grid">
                 {ownedTokens.map(token => (
-                  <div key={token.tokenId} className="inv-card">
+                  <div key={token.tokenId} className={`inv-card ${selected.includes(token.tokenId) ? 'selected' : ''}`}>
                     <div className="inv-image">
                       <img src={getTokenImage(token.tokenId)} alt="" />
+                      {onCreateBulkListing && (
+                        <input
+                          type="checkbox"
+                          className="inv-select"
+                          checked={selected.includes(token.tokenId)}
+                          onChange={() => toggleSelected(token.tokenId)}
+                          title="Select for bulk listing"
+                        />
+                      )}
                       <span className="tier-badge" style={{ background: TIER_CONFIG[token.tierName]?.color }}>{token.tierName}</span>
                       <span className="balance-badge">x{token.balance}</span>
                     </div>
                     <div className="inv-details">
                       <h3>{getTokenName(token.tokenId)}</h3>
+                      {bestTierOffer(token) && (
+                        <p className="tier-offer-badge">Tier offer: {bestTierOffer(token).price} KARRAT</p>
+                      )}
                       <button className="list-btn" onClick={() => openModal(token)}>List for Sale</button>
                     </div>
                   </div>
@@ -130,19 +231,50 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
             </section>
           )}
           
+          <Offers
+            title="Incoming Offers"
+            offers={incomingOffers}
+            actionLabel="Accept"
+            onAction={onAcceptOffer}
+            actionProblem={offer => (balances[offer.tokenId] || 0) < Number(offer.amount) ? `You hold ${balances[offer.tokenId] || 0}` : null}
+          />
+          
+          <TierOffers offers={tierOffers} ownedTokens={ownedTokens} onAccept={onAcceptOffer} />
+          
           {myListings.length > 0 && (
             <section className="inv-section">
-              <h2>Your Listings ({myListings.length})</h2>
+              <div className="inv-section-header">
+                <h2>Your Listings ({myListings.length})</h2>
+                <button className="cancel-all-btn" onClick={onCancelAllListings}
+                  title="One transaction that voids every listing you signed, including ones for items you no longer hold">
+                  Cancel all my listings
+                </button>
+              </div>
               <div className="listings-table">
                 {myListings.map(listing => (
                   <div key={listing.id} className="table-row">
                     <img src={getTokenImage(listing.tokenId)} alt="" />
                     <span className="listing-name">{getTokenName(listing.tokenId)}</span>
-                    <span className="listing-amount">x{listing.amount}</span>
-                    <span className="listing-price">{listing.price} KARRAT</span>
-                    <span className="listing-deadline">{formatDeadline(listing.deadline)}</span>
+                    <span className="listing-amount">
+                      x{getRemainingAmount(listing)}
+                      {listing.partial && <span className="listing-partial">of {listing.amount}, partial fills</span>}
+                      {isPrivateListing(listing) && (
+                        <Link className="listing-private" to={`/marketplace/${listing.id}`} title="Share this link with the buyer">
+                          Reserved for {formatAddress(listing.buyer)}
+                        </Link>
+                      )}
+                    </span>
+                    <span className="listing-price">
+                      {listing.dutch ? <DutchPrice listing={listing} currency="KARRAT" /> : `${listing.price} KARRAT`}
+                    </span>
+                    <span className="listing-deadline">
+                      {formatDeadline(listing.deadline)}
+                      {listing.status === 'inactive' && (
+                        <span className="listing-status">{LISTING_STATUS_REASONS[listing.statusReason] || 'Inactive'}</span>
+                      )}
+                    </span>
                     <div className="listing-actions">
-                      <button className="edit-btn" onClick={() => openEditModal(listing)}>Edit</button>
+                      {!listing.dutch && <button className="edit-btn" onClick={() => openEditModal(listing)}>Edit</button>}
                       <button className="cancel-btn" onClick={() => onCancelListing(listing)}>Cancel</button>
                     </div>
                   </div>
@@ -173,10 +305,18 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
             </div>
             
             <div className="form-group">
-              <label>Price per item (KARRAT)</label>
+              <label>{dutch ? 'Start price per item (KARRAT)' : 'Price per item (KARRAT)'}</label>
               <input type="number" step="0.01" value={price} onChange={e => setPrice(e.target.value)} placeholder="0.00" />
             </div>
             
+            {dutch && (
+              <div className="form-group">
+                <label>End price per item (KARRAT)</label>
+                <input type="number" step="0.01" min="0" value={endPrice} onChange={e => setEndPrice(e.target.value)} placeholder="0.00" />
+                <span className="form-hint">Must be below the start price</span>
+              </div>
+            )}
+            
             <div className="form-group">
               <label>Duration</label>
               <select value={days} onChange={e => setDays(parseInt(e.target.value))}>
@@ -186,9 +326,85 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
               </select>
             </div>
             
+            <div className="form-group form-check">
+              <label>
+                <input type="checkbox" checked={partial && !dutch} disabled={dutch} onChange={e => setPartial(e.target.checked)} />
+                Allow partial fills
+              </label>
+              <span className="form-hint">Buyers can take any quantity up to the amount; the rest stays listed</span>
+            </div>
+            
+            <div className="form-group form-check">
+              <label>
+                <input type="checkbox" checked={dutch} onChange={e => setDutch(e.target.checked)} />
+                Dutch auction
+              </label>
+              <span className="form-hint">The price falls steadily from the start price to the end price by the end of the duration</span>
+            </div>
+            
+            <div className="form-group">
+              <label>Reserved for (optional)</label>
+              <input type="text" value={reservedFor} onChange={e => setReservedFor(e.target.value.trim())} placeholder="0x..." />
+              <span className="form-hint">
+                {reservedForError || 'Only this wallet can buy. The listing stays off the public marketplace; share its link from Your Listings'}
+              </span>
+            </div>
+            
+            <FeeBreakdown quote={quoteListing([{ price, amount }])} rates={rates} currency="KARRAT" side="seller" />
+            
             <div className="modal-actions">
               <button className="cancel-btn" onClick={() => setModal(null)}>Cancel</button>
-              <button className="confirm-btn" onClick={handleList} disabled={!price}>Sign & List</button>
+              <button className="confirm-btn" onClick={handleList} disabled={!price || (dutch && endPrice === '') || Boolean(reservedForError)}>Sign & List</button>
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* Bulk Listing Modal */}
+      {bulkModal && (
+        <div className="modal-overlay" onClick={() => setBulkModal(null)}>
+          <div className="modal-content bulk-modal" onClick={e => e.stopPropagation()}>
+            <h2>List {bulkOrders.length} Items</h2>
+            
+            <div className="bulk-orders">
+              {bulkOrders.map(order => (
+                <div key={order.tokenId} className="bulk-order">
+                  <img src={getTokenImage(order.tokenId)} alt="" />
+                  <span className="bulk-order-name">{getTokenName(order.tokenId)}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max={balances[order.tokenId]}
+                    value={order.amount}
+                    title="Amount"
+                    onChange={e => setBulkOrder(order.tokenId, { amount: Math.max(1, Math.min(balances[order.tokenId], parseInt(e.target.value) || 1)) })}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={order.price}
+                    placeholder="Price each"
+                    onChange={e => setBulkOrder(order.tokenId, { price: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            
+            <div className="form-group">
+              <label>Duration</label>
+              <select value={bulkDays} onChange={e => setBulkDays(parseInt(e.target.value))}>
+                <option value={1}>1 Day</option>
+                <option value={7}>7 Days</option>
+                <option value={30}>30 Days</option>
+              </select>
+              <span className="form-hint">Prices are in KARRAT per item. You sign once for all of them; each still sells on its own.</span>
+            </div>
+            
+            {bulkReady && <FeeBreakdown quote={quoteListing(bulkOrders)} rates={rates} currency="KARRAT" side="seller" />}
+            
+            <div className="modal-actions">
+              <button className="cancel-btn" onClick={() => setBulkModal(null)}>Cancel</button>
+              <button className="confirm-btn" onClick={handleBulkList} disabled={!bulkReady}>Sign & List All</button>
             </div>
           </div>
         </div>
@@ -204,7 +420,7 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
               <img src={getTokenImage(editModal.tokenId)} alt="" />
               <div>
                 <h3>{getTokenName(editModal.tokenId)}</h3>
-                <p className="current-info">Current: {editModal.amount}x @ {editModal.price} KARRAT</p>
+                <p className="current-info">Current: {getRemainingAmount(editModal)}x @ {editModal.price} KARRAT</p>
               </div>
             </div>
             
@@ -225,11 +441,11 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
               <input 
                 type="number" 
                 min="1" 
-                max={editModal.amount}
+                max={getRemainingAmount(editModal)}
                 value={editAmount} 
                 onChange={e => setEditAmount(e.target.value)} 
               />
-              <span className="form-hint">Can only reduce amount (max: {editModal.amount})</span>
+              <span className="form-hint">Can only reduce amount (max: {getRemainingAmount(editModal)})</span>
             </div>
             
             <div className="form-group">
@@ -247,11 +463,14 @@ function Inventory({ tiers, balances, userAddress, onCreateListing, onUpdateList
               <h4>Changes:</h4>
               <ul>
                 {editPrice !== editModal.price && <li>Price: {editModal.price} → {editPrice} KARRAT</li>}
-                {parseInt(editAmount) !== editModal.amount && <li>Amount: {editModal.amount} → {editAmount}</li>}
+                {parseInt(editAmount) !== getRemainingAmount(editModal) && <li>Amount: {getRemainingAmount(editModal)} → {editAmount}</li>}
                 {parseInt(editDays) > 0 && <li>Deadline extended to {editDays} days from now</li>}
               </ul>
+              <span className="form-hint">Updating cancels the current order on-chain and asks you to sign the new terms</span>
             </div>
             
+            <FeeBreakdown quote={quoteListing([{ price: editPrice || editModal.price, amount: parseInt(editAmount) || 0 }])} rates={rates} currency="KARRAT" side="seller" />
+            
             <div className="modal-actions">
               <button className="cancel-btn" onClick={() => setEditModal(null)}>Cancel</button>
               <button className="confirm-btn" onClick={handleUpdate}>Update Listing</button>
@@ -0,0 +1,33 @@
+import { MARKETS } from '../utils/markets'
+import './MarketApprovals.css'
+
+// Whether each marketplace may transfer the seller's items (setApprovalForAll), with a button
+// to approve it up front. `approvals` is keyed by market: true, false, undefined while loading
+// or null if it couldn't be read. Listing also asks for a missing approval before signing.
+function MarketApprovals({ approvals = {}, onApprove }) {
+  const markets = Object.values(MARKETS).filter(market => market.marketplace && market.nft)
+  if (markets.length === 0) return null
+
+  const status = (market) => {
+    const approved = approvals[market.key]
+    if (approved) return <span className="approval-ok">✓ Approved</span>
+    if (approved === undefined) return <span className="approval-muted">Checking...</span>
+    if (approved === null) return <span className="approval-muted">Unavailable</span>
+    return <button className="approval-btn" onClick={() => onApprove(market)}>Approve</button>
+  }
+
+  return (
+    <div className="market-approvals">
+      <div className="market-approvals-title">Marketplace approvals</div>
+      <p>Each marketplace needs a one-time approval on its chain to transfer the items you sell there.</p>
+      {markets.map(market => (
+        <div key={market.key} className="approval-row">
+          <span>{market.label}{market.network ? ` (${market.network.chainName})` : ''}</span>
+          {status(market)}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default MarketApprovals
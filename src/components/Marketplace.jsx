@@ -1,62 +1,232 @@
-import { getTokenName, getTokenImage, getTokenRarity } from '../utils/constants'
+import { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { ethers } from 'ethers'
+import { TOKEN_METADATA, LISTING_STATUS_REASONS, getTokenName, getTokenImage, getTokenRarity, isListingLive, getRemainingAmount, getCurrentPriceWei, isPrivateListing, isReservedForOther } from '../utils/constants'
+import { LISTING_SORTS, LISTING_CURRENCIES } from '../utils/listingQuery'
+import { MARKETS, getListingMarket } from '../utils/markets'
+import { quoteFee, formatFeeRate, isFeeFromSeller } from '../utils/fees'
 import { formatAddress } from '../utils/storage'
+import DutchPrice from './DutchPrice'
+import FeeBreakdown from './FeeBreakdown'
 import './Marketplace.css'
 
-function Marketplace({ listings, userAddress, onBuy, onCancel }) {
-  const activeListings = listings.filter(l => !l.deadline || l.deadline > Math.floor(Date.now() / 1000))
-  
+const RARITIES = [...new Set(Object.values(TOKEN_METADATA).map(meta => meta.rarity))]
+
+function MarketplaceToolbar({ filters, tiers, onChange, onReset }) {
+  return (
+    <div className="mp-toolbar">
+      <select value={filters.sort} onChange={e => onChange({ sort: e.target.value })}>
+        {Object.entries(LISTING_SORTS).map(([value, sort]) => (
+          <option key={value} value={value}>{sort.label}</option>
+        ))}
+      </select>
+      <select value={filters.currency} onChange={e => onChange({ currency: e.target.value })}>
+        <option value="">All currencies</option>
+        {LISTING_CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+      </select>
+      <select value={filters.tier} onChange={e => onChange({ tier: e.target.value })}>
+        <option value="">All tiers</option>
+        {tiers.map(tier => <option key={tier.name} value={tier.name}>{tier.name}</option>)}
+      </select>
+      <select value={filters.rarity} onChange={e => onChange({ rarity: e.target.value })}>
+        <option value="">All rarities</option>
+        {RARITIES.map(rarity => <option key={rarity} value={rarity}>{rarity}</option>)}
+      </select>
+      <input
+        className="seller-filter"
+        placeholder="Seller 0x..."
+        value={filters.seller}
+        onChange={e => onChange({ seller: e.target.value.trim() })}
+      />
+      <input
+        className="price-filter"
+        type="number"
+        min="0"
+        placeholder="Min price"
+        value={filters.minPrice}
+        onChange={e => onChange({ minPrice: e.target.value })}
+      />
+      <input
+        className="price-filter"
+        type="number"
+        min="0"
+        placeholder="Max price"
+        value={filters.maxPrice}
+        onChange={e => onChange({ maxPrice: e.target.value })}
+      />
+      <label className="active-filter">
+        <input
+          type="checkbox"
+          checked={filters.active === 'true'}
+          onChange={e => onChange({ active: e.target.checked ? 'true' : 'false' })}
+        />
+        Active only
+      </label>
+      <button className="reset-btn" onClick={onReset}>Reset</button>
+    </div>
+  )
+}
+
+function Marketplace({
+  listings,
+  total,
+  orderHash,
+  hasMore = false,
+  loading = false,
+  error = '',
+  filters,
+  tiers = [],
+  onFiltersChange,
+  onResetFilters,
+  onLoadMore,
+  userAddress,
+  feeRates = {},
+  onBuy,
+  onCancel,
+  cartIds = [],
+  onAddToCart,
+  onMakeOffer
+}) {
+  const sentinel = useRef(null)
+  // The page passes a new handler every render; the observer reads the latest one from here
+  const loadMoreRef = useRef(onLoadMore)
+  loadMoreRef.current = onLoadMore
+  // Quantity picked on each partial-fill card, defaulting to everything that is left
+  const [quantities, setQuantities] = useState({})
+
+  // Infinite scroll: fetch the next page once the end of the grid comes into view. The observer
+  // is only re-created after a page loads, so a grid that still ends on screen keeps filling.
+  useEffect(() => {
+    if (!hasMore || loading || !sentinel.current) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMoreRef.current()
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel.current)
+    return () => observer.disconnect()
+  }, [hasMore, loading])
+
   const isOwnListing = (listing) => userAddress && listing.seller?.toLowerCase() === userAddress.toLowerCase()
-  
+
+  // Quote for buying `quantity` now, at the listing's marketplace rates (null until they load).
+  // Dutch auctions are quoted at the current price; buyListing re-quotes on-chain.
+  const quoteBuy = (listing, quantity) => {
+    const rates = feeRates[getListingMarket(listing)?.key]
+    if (!rates) return null
+    return quoteFee(getCurrentPriceWei(listing) * BigInt(quantity), rates)
+  }
+
+  const feeSummary = Object.values(MARKETS)
+    .filter(market => feeRates[market.key])
+    .map(market => `${formatFeeRate(feeRates[market.key].feePerMille)} in ${market.currency}${isFeeFromSeller(feeRates[market.key]) ? ' paid by sellers' : ''}`)
+    .join(', ')
+
   return (
     <div className="marketplace">
       <div className="mp-header">
         <div>
           <h1>Marketplace</h1>
-          <p>Buy items from other players (2.5% fee)</p>
+          {orderHash ? (
+            <p>Listing {formatAddress(orderHash)} · <Link to="/marketplace">View all listings</Link></p>
+          ) : (
+            <p>Buy items from other players{feeSummary && ` (fee ${feeSummary})`}</p>
+          )}
         </div>
-        <div className="mp-stat">
-          <span className="value">{activeListings.length}</span>
-          <span className="label">Listings</span>
+        <div className="mp-header-actions">
+          {onMakeOffer && userAddress && (
+            <button className="offer-btn" onClick={() => onMakeOffer()}>Make Offer</button>
+          )}
+          <div className="mp-stat">
+            <span className="value">{total}</span>
+            <span className="label">Listings</span>
+          </div>
         </div>
       </div>
-      
-      {activeListings.length === 0 ? (
+
+      {filters && (
+        <MarketplaceToolbar filters={filters} tiers={tiers} onChange={onFiltersChange} onReset={onResetFilters} />
+      )}
+
+      {error && <p className="mp-error">{error}</p>}
+
+      {listings.length === 0 && !loading ? (
         <div className="empty-state">
           <div className="empty-icon">🏪</div>
-          <p>No items listed</p>
+          <p>{orderHash ? 'This listing was sold, cancelled or has expired' : filters ? 'No listings match these filters' : 'No items listed'}</p>
         </div>
       ) : (
         <div className="listings-grid">
-          {activeListings.map(listing => {
+          {listings.map(listing => {
             const rarity = getTokenRarity(listing.tokenId)
+            const live = isListingLive(listing)
+            const remaining = getRemainingAmount(listing)
+            const quantity = Math.min(quantities[listing.id] || remaining, remaining)
+            const quote = quoteBuy(listing, listing.partial ? quantity : listing.amount)
             return (
               <div key={listing.id} className={`listing-card rarity-${rarity.toLowerCase()}`}>
                 <div className="listing-image">
                   <img src={getTokenImage(listing.tokenId)} alt="" />
                   <span className={`rarity-badge ${rarity.toLowerCase()}`}>{rarity}</span>
                 </div>
-                
+
                 <div className="listing-details">
                   <h3>{getTokenName(listing.tokenId)}</h3>
                   <p className="seller">Seller: {isOwnListing(listing) ? 'You' : formatAddress(listing.seller)}</p>
-                  
+                  <Link className="order-hash" to={`/marketplace/${listing.id}`} title={listing.id}>Order {formatAddress(String(listing.id))}</Link>
+                  {isPrivateListing(listing) && (
+                    <p className="listing-private">
+                      {isOwnListing(listing) || isReservedForOther(listing, userAddress) ? `Reserved for ${formatAddress(listing.buyer)}` : 'Reserved for you'}
+                    </p>
+                  )}
+
                   <div className="listing-info">
                     <div className="info-item">
-                      <span className="label">Amount</span>
-                      <span className="value">{listing.amount}</span>
+                      <span className="label">{listing.partial ? 'Remaining' : 'Amount'}</span>
+                      <span className="value">{listing.partial ? `${remaining} / ${listing.amount}` : listing.amount}</span>
                     </div>
                     <div className="info-item">
-                      <span className="label">Price</span>
-                      <span className="value price">{listing.price} KARRAT</span>
+                      <span className="label">{listing.dutch ? 'Dutch auction' : 'Price'}</span>
+                      {listing.dutch
+                        ? <DutchPrice listing={listing} currency={listing.currency} />
+                        : <span className="value price">{listing.price} {listing.currency}</span>}
                     </div>
                   </div>
-                  
-                  {isOwnListing(listing) ? (
+
+                  {!live ? (
+                    <p className="listing-status">{LISTING_STATUS_REASONS[listing.statusReason] || 'Expired'}</p>
+                  ) : isOwnListing(listing) ? (
                     <button className="cancel-btn" onClick={() => onCancel(listing)}>Cancel</button>
+                  ) : userAddress && isReservedForOther(listing, userAddress) ? (
+                    <p className="listing-status">Reserved for another buyer</p>
                   ) : (
-                    <button className="buy-btn" onClick={() => onBuy(listing)} disabled={!userAddress}>
-                      {userAddress ? 'Buy Now' : 'Connect Wallet'}
-                    </button>
+                    <div className="buy-actions">
+                      {orderHash ? (
+                        <FeeBreakdown quote={quote} rates={feeRates[getListingMarket(listing)?.key]} currency={listing.currency} />
+                      ) : quote && (
+                        <p className="buy-total">You pay {ethers.formatEther(quote.buyerTotal)} {listing.currency}{!quote.feeFromSeller && ' with fee'}</p>
+                      )}
+                      {listing.partial && (
+                        <input
+                          className="buy-quantity"
+                          type="number"
+                          min="1"
+                          max={remaining}
+                          value={quantity}
+                          title="Quantity to buy"
+                          onChange={e => setQuantities(prev => ({ ...prev, [listing.id]: Math.max(1, parseInt(e.target.value) || 1) }))}
+                        />
+                      )}
+                      <button className="buy-btn" onClick={() => onBuy(listing, listing.partial ? quantity : undefined)} disabled={!userAddress}>
+                        {!userAddress ? 'Connect Wallet' : listing.partial ? `Buy ${quantity}` : 'Buy Now'}
+                      </button>
+                      {onAddToCart && !listing.partial && !listing.dutch && (
+                        <button className="cart-add-btn" onClick={() => onAddToCart(listing)} disabled={cartIds.includes(listing.id)}>
+                          {cartIds.includes(listing.id) ? 'In Cart' : 'Add to Cart'}
+                        </button>
+                      )}
+                      {onMakeOffer && userAddress && listing.currency === 'KARRAT' && (
+                        <button className="offer-btn" onClick={() => onMakeOffer(listing.tokenId)}>Make Offer</button>
+                      )}
+                    </div>
                   )}
                 </div>
               </div>
@@ -64,6 +234,9 @@ function Marketplace({ listings, userAddress, onBuy, onCancel }) {
           })}
         </div>
       )}
+
+      {hasMore && <div ref={sentinel} className="mp-sentinel" />}
+      {loading && <p className="mp-loading">Loading listings...</p>}
     </div>
   )
 }
@@ -16,6 +16,12 @@ function Navbar({ isAdmin }) {
       <NavLink to="/inventory" className={({ isActive }) => isActive ? 'active' : ''}>
         Inventory
       </NavLink>
+      <NavLink to="/auctions" className={({ isActive }) => isActive ? 'active' : ''}>
+        Auctions
+      </NavLink>
+      <NavLink to="/activity" className={({ isActive }) => isActive ? 'active' : ''}>
+        Activity
+      </NavLink>
       {isAdmin && (
         <NavLink to="/admin" className={({ isActive }) => isActive ? 'active' : ''}>
           Admin
@@ -0,0 +1,99 @@
+import { useState } from 'react'
+import { TIER_CONFIG, getTokenName, getTokenImage } from '../utils/constants'
+import './OfferModal.css'
+
+// Offer form for any token the KARRAT marketplace trades, whether or not it is listed,
+// or for any token of a tier (a collection offer several holders can fill)
+function OfferModal({ tokenId, tiers, onSubmit, onClose }) {
+  const tokenIds = tiers.flatMap(tier => tier.tokenIds)
+  const [scope, setScope] = useState('token')
+  const [selected, setSelected] = useState(tokenId ?? tokenIds[0])
+  const [tierName, setTierName] = useState(tiers.find(tier => tier.tokenIds.includes(tokenId))?.name ?? tiers[0]?.name)
+  const [amount, setAmount] = useState(1)
+  const [price, setPrice] = useState('')
+  const [days, setDays] = useState(7)
+
+  const handleSubmit = () => {
+    const target = scope === 'tier' ? { tierName } : { tokenId: selected }
+    if (Object.values(target)[0] === undefined || !price || parseFloat(price) <= 0) return
+    const deadline = Math.floor(Date.now() / 1000) + (days * 24 * 60 * 60)
+    onSubmit({ ...target, amount, price: parseFloat(price), deadline })
+    onClose()
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content offer-modal" onClick={e => e.stopPropagation()}>
+        <h2>Make Offer</h2>
+
+        <div className="offer-scope">
+          <button className={scope === 'token' ? 'active' : ''} onClick={() => setScope('token')}>One item</button>
+          <button className={scope === 'tier' ? 'active' : ''} onClick={() => setScope('tier')}>Any item in a tier</button>
+        </div>
+
+        {scope === 'token' ? (
+          <>
+            {selected !== undefined && (
+              <div className="offer-item">
+                <img src={getTokenImage(selected)} alt="" />
+                <h3>{getTokenName(selected)}</h3>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label>Item</label>
+              <select value={selected} onChange={e => setSelected(parseInt(e.target.value))}>
+                {tokenIds.map(id => <option key={id} value={id}>{getTokenName(id)}</option>)}
+              </select>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="offer-item">
+              <span className="offer-tier-icon">{TIER_CONFIG[tierName]?.icon || '★'}</span>
+              <h3>Any {tierName} item</h3>
+            </div>
+
+            <div className="form-group">
+              <label>Tier</label>
+              <select value={tierName} onChange={e => setTierName(e.target.value)}>
+                {tiers.map(tier => <option key={tier.name} value={tier.name}>{tier.name}</option>)}
+              </select>
+            </div>
+          </>
+        )}
+
+        <div className="form-group">
+          <label>{scope === 'tier' ? 'Amount (across all holders)' : 'Amount'}</label>
+          <input type="number" min="1" value={amount} onChange={e => setAmount(Math.max(1, parseInt(e.target.value) || 1))} />
+        </div>
+
+        <div className="form-group">
+          <label>Price per item (KARRAT)</label>
+          <input type="number" step="0.01" value={price} onChange={e => setPrice(e.target.value)} placeholder="0.00" />
+        </div>
+
+        <div className="form-group">
+          <label>Duration</label>
+          <select value={days} onChange={e => setDays(parseInt(e.target.value))}>
+            <option value={1}>1 Day</option>
+            <option value={7}>7 Days</option>
+            <option value={30}>30 Days</option>
+          </select>
+        </div>
+
+        <p className="offer-hint">
+          Any holder can accept while it is open. Your KARRAT stays in your wallet until then, but the
+          marketplace is approved to spend it, marketplace fee included.
+        </p>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>Cancel</button>
+          <button className="confirm-btn" onClick={handleSubmit} disabled={!price}>Sign Offer</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OfferModal
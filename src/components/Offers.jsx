@@ -0,0 +1,61 @@
+import { LISTING_STATUS_REASONS, TIER_CONFIG, getTokenName, getTokenImage, getRemainingAmount, isListingLive, isCollectionOffer } from '../utils/constants'
+import { formatAddress } from '../utils/storage'
+import './Offers.css'
+
+const formatExpiry = (deadline) => {
+  const remaining = deadline - Math.floor(Date.now() / 1000)
+  if (remaining <= 0) return 'Expired'
+  if (remaining < 3600) return `${Math.floor(remaining / 60)}m left`
+  if (remaining < 86400) return `${Math.floor(remaining / 3600)}h left`
+  return `${Math.floor(remaining / 86400)}d left`
+}
+
+/**
+ * Offers table for either side of a bid: the buyer's own offers (cancel) or offers on
+ * items the wallet holds (accept). `actionProblem` returns why the action is unavailable.
+ */
+function Offers({ title, offers, actionLabel, onAction, actionProblem = () => null }) {
+  if (offers.length === 0) return null
+
+  return (
+    <section className="offers">
+      <h2>{title} ({offers.length})</h2>
+      <div className="offers-table">
+        {offers.map(offer => {
+          const live = isListingLive(offer)
+          const problem = live ? actionProblem(offer) : null
+          return (
+            <div key={offer.id} className="offer-row">
+              {isCollectionOffer(offer) ? (
+                <span className="offer-tier-icon" style={{ borderColor: TIER_CONFIG[offer.tierName]?.color }}>
+                  {TIER_CONFIG[offer.tierName]?.icon || '★'}
+                </span>
+              ) : (
+                <img src={getTokenImage(offer.tokenId)} alt="" />
+              )}
+              <span className="offer-name">{isCollectionOffer(offer) ? `Any ${offer.tierName} item` : getTokenName(offer.tokenId)}</span>
+              <span className="offer-amount">
+                x{getRemainingAmount(offer)}
+                {isCollectionOffer(offer) && Number(offer.filled) > 0 && <span className="offer-filled">of {offer.amount}</span>}
+              </span>
+              <span className="offer-price">{offer.price} KARRAT each</span>
+              <span className="offer-buyer">From {formatAddress(offer.buyer)}</span>
+              <span className="offer-deadline">
+                {formatExpiry(offer.deadline)}
+                {offer.status === 'inactive' && (
+                  <span className="offer-status">{LISTING_STATUS_REASONS[offer.statusReason] || 'Inactive'}</span>
+                )}
+                {problem && <span className="offer-status">{problem}</span>}
+              </span>
+              <button className="offer-action" onClick={() => onAction(offer)} disabled={!live || Boolean(problem)}>
+                {actionLabel}
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </section>
+  )
+}
+
+export default Offers
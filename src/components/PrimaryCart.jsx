@@ -0,0 +1,45 @@
+import { ethers } from 'ethers'
+import { getTokenName } from '../utils/constants'
+import { MAX_PRIMARY_TIERS, getPrimaryTotal, getPrimaryItemPrice } from '../utils/cart'
+import './PrimaryCart.css'
+
+// Primary-sale items collected across tiers, bought together with buyMultiple
+function PrimaryCart({ items, tiers, currency, userAddress, onRemove, onClear, onCheckout }) {
+  if (items.length === 0) return null
+
+  const total = getPrimaryTotal(items, tiers)
+  const tierCount = new Set(items.map(item => item.tierName)).size
+
+  return (
+    <div className="primary-cart">
+      <div className="primary-cart-header">
+        <h3>Cart</h3>
+        <span className="tier-count">{tierCount}/{MAX_PRIMARY_TIERS} tiers</span>
+      </div>
+
+      <ul>
+        {items.map(item => {
+          const price = getPrimaryItemPrice(tiers, item)
+          return (
+            <li key={item.tokenId}>
+              <span className="name">{getTokenName(item.tokenId)} × {item.amount}</span>
+              <span className="tier">{item.tierName}</span>
+              <span className="line-total">{price === null ? '—' : `${ethers.formatEther(price * BigInt(item.amount))} ${currency}`}</span>
+              <button onClick={() => onRemove(item.tokenId)} title="Remove">×</button>
+            </li>
+          )
+        })}
+      </ul>
+
+      <div className="primary-cart-footer">
+        <span className="total">Total: {total === null ? 'loading prices...' : `${ethers.formatEther(total)} ${currency}`}</span>
+        <button className="clear-btn" onClick={onClear}>Clear</button>
+        <button className="checkout-btn" onClick={onCheckout} disabled={!userAddress || total === null}>
+          {userAddress ? 'Buy all in one transaction' : 'Connect Wallet'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PrimaryCart
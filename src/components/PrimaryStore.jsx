@@ -1,9 +1,10 @@
 import { useState } from 'react'
 import { TIER_CONFIG, getTokenName, getTokenImage, getTokenDescription, getTokenRarity } from '../utils/constants'
 import { formatKarrat } from '../utils/storage'
+import PrimaryCart from './PrimaryCart'
 import './PrimaryStore.css'
 
-function PrimaryStore({ tiers, onBuy, userAddress }) {
+function PrimaryStore({ tiers, onBuy, userAddress, cartItems = [], onAddToCart, onRemoveFromCart, onClearCart, onCheckout }) {
   const [filter, setFilter] = useState('all')
   const [quantities, setQuantities] = useState({})
   
@@ -21,6 +22,10 @@ function PrimaryStore({ tiers, onBuy, userAddress }) {
     onBuy(tierName, [tokenId], [qty])
   }
   
+  const handleAddToCart = (tierName, tokenId) => {
+    onAddToCart(tierName, tokenId, quantities[tokenId] || 1)
+  }
+  
   return (
     <div className="primary-store">
       <div className="store-header">
@@ -43,6 +48,16 @@ function PrimaryStore({ tiers, onBuy, userAddress }) {
         </div>
       </div>
       
+      <PrimaryCart
+        items={cartItems}
+        tiers={tiers}
+        currency="KARRAT"
+        userAddress={userAddress}
+        onRemove={onRemoveFromCart}
+        onClear={onClearCart}
+        onCheckout={onCheckout}
+      />
+      
       {filteredTiers.length === 0 ? (
         <div className="empty-state">
           <div className="empty-icon">📦</div>
@@ -98,6 +113,12 @@ function PrimaryStore({ tiers, onBuy, userAddress }) {
                     >
                       {isSoldOut ? 'Sold Out' : !userAddress ? 'Connect Wallet' : 'Buy Now'}
                     </button>
+                    
+                    {!isSoldOut && onAddToCart && (
+                      <button className="add-cart-btn" onClick={() => handleAddToCart(tier.name, tokenId)}>
+                        Add to Cart
+                      </button>
+                    )}
                   </div>
                 </div>
               )
@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { TIER_CONFIG, getTokenName, getRemainingAmount } from '../utils/constants'
+import { formatAddress } from '../utils/storage'
+import './Offers.css'
+
+/**
+ * Collection offers from other buyers, each with the held items that qualify for it.
+ * `ownedTokens` are { tokenId, balance, tierName }; an item qualifies when its tier is
+ * the offer's tier, which acceptCollectionOffer re-checks with getTokenTierName.
+ */
+function TierOffers({ offers, ownedTokens, onAccept }) {
+  // Item and quantity picked per offer
+  const [picks, setPicks] = useState({})
+
+  if (offers.length === 0) return null
+
+  return (
+    <section className="offers">
+      <h2>Tier Offers ({offers.length})</h2>
+      <div className="offers-table">
+        {offers.map(offer => {
+          const qualifying = ownedTokens.filter(token => token.tierName === offer.tierName)
+          const remaining = getRemainingAmount(offer)
+          const pick = picks[offer.id] || {}
+          const token = qualifying.find(t => t.tokenId === pick.tokenId) || qualifying[0]
+          const maxQuantity = token ? Math.min(token.balance, remaining) : 0
+          const quantity = Math.min(pick.quantity || maxQuantity, maxQuantity)
+          const setPick = (changes) => setPicks(prev => ({ ...prev, [offer.id]: { ...pick, ...changes } }))
+
+          return (
+            <div key={offer.id} className="offer-row tier-offer-row">
+              <span className="offer-tier-icon" style={{ borderColor: TIER_CONFIG[offer.tierName]?.color }}>
+                {TIER_CONFIG[offer.tierName]?.icon || '★'}
+              </span>
+              <span className="offer-name">
+                Any {offer.tierName} item
+                <span className="offer-qualifying">
+                  {qualifying.length > 0
+                    ? `Yours: ${qualifying.map(t => `${getTokenName(t.tokenId)} x${t.balance}`).join(', ')}`
+                    : 'None of your items are in this tier'}
+                </span>
+              </span>
+              <span className="offer-amount">x{remaining}</span>
+              <span className="offer-price">{offer.price} KARRAT each</span>
+              <span className="offer-buyer">From {formatAddress(offer.buyer)}</span>
+              {token && (
+                <div className="tier-offer-fill">
+                  <select value={token.tokenId} onChange={e => setPick({ tokenId: parseInt(e.target.value), quantity: undefined })}>
+                    {qualifying.map(t => <option key={t.tokenId} value={t.tokenId}>{getTokenName(t.tokenId)}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    max={maxQuantity}
+                    value={quantity}
+                    title="Quantity to sell"
+                    onChange={e => setPick({ tokenId: token.tokenId, quantity: Math.max(1, parseInt(e.target.value) || 1) })}
+                  />
+                </div>
+              )}
+              <button className="offer-action" onClick={() => onAccept(offer, token.tokenId, quantity)} disabled={!token}>
+                {token ? `Sell ${quantity}` : 'Accept'}
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </section>
+  )
+}
+
+export default TierOffers
@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef } from 'react'
+import Activity from '../components/Activity'
+import { getActivity, getMoreActivity } from '../utils/storage'
+
+const PAGE_SIZE = 50
+
+const EMPTY_PAGE = { items: [], nextCursor: null }
+
+function ActivityPage({ userAddress }) {
+  const [tab, setTab] = useState('all')
+  const [type, setType] = useState('')
+  const [page, setPage] = useState(EMPTY_PAGE)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const latestRequest = useRef(0)
+
+  // The wallet tab has nothing to show once the wallet disconnects
+  useEffect(() => {
+    if (!userAddress) setTab('all')
+  }, [userAddress])
+
+  const filters = { type, wallet: tab === 'mine' ? userAddress : '', limit: PAGE_SIZE }
+
+  // Responses can arrive out of order, so only the latest request may update the page
+  const runQuery = (request, merge) => {
+    const requestId = ++latestRequest.current
+    setLoading(true)
+    setError('')
+    request
+      .then(result => requestId === latestRequest.current && setPage(prev => merge(prev, result)))
+      .catch(err => requestId === latestRequest.current && setError(err.message))
+      .finally(() => requestId === latestRequest.current && setLoading(false))
+  }
+
+  const refresh = () => runQuery(getActivity(filters), (_, result) => result)
+
+  useEffect(() => {
+    refresh()
+  }, [tab, type, userAddress])
+
+  const loadMore = () => {
+    if (loading || !page.nextCursor) return
+    runQuery(getMoreActivity(filters, page), (prev, result) => ({ ...result, items: [...prev.items, ...result.items] }))
+  }
+
+  return (
+    <Activity
+      tab={tab}
+      onTabChange={setTab}
+      type={type}
+      onTypeChange={setType}
+      entries={page.items}
+      hasMore={Boolean(page.nextCursor)}
+      loading={loading}
+      error={error}
+      userAddress={userAddress}
+      onLoadMore={loadMore}
+      onRefresh={refresh}
+    />
+  )
+}
+
+export default ActivityPage
@@ -0,0 +1,20 @@
+import Auctions from '../components/Auctions'
+
+function AuctionsPage({ auctions, tiers, balances, userAddress, enabled, onRefresh, onCreate, onBid, onSettle, onCancel }) {
+  return (
+    <Auctions
+      auctions={auctions}
+      tiers={tiers}
+      balances={balances}
+      userAddress={userAddress}
+      enabled={enabled}
+      onRefresh={onRefresh}
+      onCreate={onCreate}
+      onBid={onBid}
+      onSettle={onSettle}
+      onCancel={onCancel}
+    />
+  )
+}
+
+export default AuctionsPage
@@ -1,15 +1,23 @@
 import Inventory from '../components/Inventory'
 
-function InventoryPage({ tiers, balances, userAddress, onCreateListing, onUpdateListing, myListings, onCancelListing }) {
+function InventoryPage({ tiers, balances, userAddress, onCreateListing, onCreateBulkListing, onUpdateListing, myListings, onCancelListing, onCancelAllListings, incomingOffers, tierOffers, onAcceptOffer, rates, approvals, onApproveMarket }) {
   return (
     <Inventory 
       tiers={tiers}
       balances={balances}
       userAddress={userAddress}
       onCreateListing={onCreateListing}
+      onCreateBulkListing={onCreateBulkListing}
       onUpdateListing={onUpdateListing}
       myListings={myListings}
       onCancelListing={onCancelListing}
+      onCancelAllListings={onCancelAllListings}
+      incomingOffers={incomingOffers}
+      tierOffers={tierOffers}
+      onAcceptOffer={onAcceptOffer}
+      rates={rates}
+      approvals={approvals}
+      onApproveMarket={onApproveMarket}
     />
   )
 }
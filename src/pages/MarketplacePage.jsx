@@ -1,13 +1,123 @@
+import { useState, useEffect, useRef } from 'react'
+import { useParams } from 'react-router-dom'
 import Marketplace from '../components/Marketplace'
+import OfferModal from '../components/OfferModal'
+import Offers from '../components/Offers'
+import { getListingById, queryListings, queryMoreListings } from '../utils/storage'
+import { isListingLive } from '../utils/constants'
+import { getListingMarket } from '../utils/markets'
+
+const PAGE_SIZE = 24
+const FILTER_DEBOUNCE = 300
+
+const DEFAULT_FILTERS = {
+  sort: 'newest',
+  currency: '',
+  tier: '',
+  rarity: '',
+  seller: '',
+  minPrice: '',
+  maxPrice: '',
+  active: 'true'
+}
+
+const EMPTY_PAGE = { items: [], nextCursor: null, total: 0 }
+
+function MarketplacePage({ listings, tiers, userAddress, feeRates, onBuy, onCancel, cartIds, onAddToCart, myOffers, onMakeOffer, onCancelOffer }) {
+  const { orderHash } = useParams()
+  const [linkedListing, setLinkedListing] = useState(null)
+  // undefined while closed; null opens the offer form without a preselected item
+  const [offerToken, setOfferToken] = useState(undefined)
+
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
+  const [query, setQuery] = useState({ ...DEFAULT_FILTERS, limit: PAGE_SIZE })
+  const [page, setPage] = useState(EMPTY_PAGE)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const latestRequest = useRef(0)
+
+  // A shared link may point at a listing that is not in the loaded list yet
+  useEffect(() => {
+    setLinkedListing(null)
+    if (!orderHash || listings.some(l => l.id === orderHash)) return
+    getListingById(orderHash).then(setLinkedListing)
+  }, [orderHash, listings])
+
+  // Typing a seller or price shouldn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery({ ...filters, limit: PAGE_SIZE }), FILTER_DEBOUNCE)
+    return () => clearTimeout(timer)
+  }, [filters])
+
+  // Responses can arrive out of order, so only the latest request may update the page
+  const runQuery = (request, merge) => {
+    const requestId = ++latestRequest.current
+    setLoading(true)
+    setError('')
+    request
+      .then(result => requestId === latestRequest.current && setPage(prev => merge(prev, result)))
+      .catch(err => requestId === latestRequest.current && setError(err.message))
+      .finally(() => requestId === latestRequest.current && setLoading(false))
+  }
+
+  // Restart from the first page when the query changes or App reloads listings after a buy or cancel
+  useEffect(() => {
+    if (orderHash) return
+    runQuery(queryListings(query), (_, result) => result)
+  }, [query, orderHash, listings])
+
+  const loadMore = () => {
+    if (loading || !page.nextCursor) return
+    runQuery(queryMoreListings(query, page), (prev, result) => ({ ...result, items: [...prev.items, ...result.items] }))
+  }
+
+  if (orderHash) {
+    const linked = [listings.find(l => l.id === orderHash) || linkedListing]
+      .filter(l => l && isListingLive(l))
+      .map(l => ({ ...l, currency: getListingMarket(l)?.currency }))
+    return (
+      <Marketplace
+        listings={linked}
+        total={linked.length}
+        orderHash={orderHash}
+        userAddress={userAddress}
+        feeRates={feeRates}
+        onBuy={onBuy}
+        onCancel={onCancel}
+        cartIds={cartIds}
+        onAddToCart={onAddToCart}
+      />
+    )
+  }
 
-function MarketplacePage({ listings, userAddress, onBuy, onCancel }) {
   return (
-    <Marketplace 
-      listings={listings} 
-      userAddress={userAddress} 
-      onBuy={onBuy} 
-      onCancel={onCancel} 
-    />
+    <>
+      <Marketplace
+        listings={page.items}
+        total={page.total}
+        hasMore={Boolean(page.nextCursor)}
+        loading={loading}
+        error={error}
+        filters={filters}
+        tiers={tiers}
+        onFiltersChange={changes => setFilters(prev => ({ ...prev, ...changes }))}
+        onResetFilters={() => setFilters(DEFAULT_FILTERS)}
+        onLoadMore={loadMore}
+        userAddress={userAddress}
+        feeRates={feeRates}
+        onBuy={onBuy}
+        onCancel={onCancel}
+        cartIds={cartIds}
+        onAddToCart={onAddToCart}
+        onMakeOffer={tokenId => setOfferToken(tokenId ?? null)}
+      />
+
+      <Offers title="Your Offers" offers={myOffers} actionLabel="Cancel" onAction={onCancelOffer} />
+
+      {offerToken !== undefined && (
+        <OfferModal tokenId={offerToken ?? undefined} tiers={tiers} onSubmit={onMakeOffer} onClose={() => setOfferToken(undefined)} />
+      )}
+    </>
   )
 }
 
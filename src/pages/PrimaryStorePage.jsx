@@ -1,7 +1,18 @@
 import PrimaryStore from '../components/PrimaryStore'
 
-function PrimaryStorePage({ tiers, onBuy, userAddress }) {
-  return <PrimaryStore tiers={tiers} onBuy={onBuy} userAddress={userAddress} />
+function PrimaryStorePage({ tiers, onBuy, userAddress, cartItems, onAddToCart, onRemoveFromCart, onClearCart, onCheckout }) {
+  return (
+    <PrimaryStore
+      tiers={tiers}
+      onBuy={onBuy}
+      userAddress={userAddress}
+      cartItems={cartItems}
+      onAddToCart={onAddToCart}
+      onRemoveFromCart={onRemoveFromCart}
+      onClearCart={onClearCart}
+      onCheckout={onCheckout}
+    />
+  )
 }
 
 export default PrimaryStorePage
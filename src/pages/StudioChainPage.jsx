@@ -1,5 +1,12 @@
 import { useState, useEffect } from 'react'
-import { TOKEN_METADATA } from '../utils/constants'
+import { Link, useParams } from 'react-router-dom'
+import { ethers } from 'ethers'
+import { getListingById, formatAddress } from '../utils/storage'
+import { TOKEN_METADATA, LISTING_STATUS_REASONS, isListingLive, getRemainingAmount, isPrivateListing, isReservedForOther, getCurrentPriceWei } from '../utils/constants'
+import { quoteFee } from '../utils/fees'
+import PrimaryCart from '../components/PrimaryCart'
+import DutchPrice from '../components/DutchPrice'
+import FeeBreakdown from '../components/FeeBreakdown'
 import './StudioChainPage.css'
 
 function StudioChainPage({ 
@@ -11,12 +18,22 @@ function StudioChainPage({
   onCreateListing,
   onUpdateListing,
   onCancelListing,
+  onCancelAllListings,
   onRefreshBalances,
-  userAddress 
+  userAddress,
+  cartItems = [],
+  onAddToCart,
+  onRemoveFromCart,
+  onClearCart,
+  onCheckout,
+  rates
 }) {
-  const [subTab, setSubTab] = useState('primary')
+  const { orderHash } = useParams()
+  const [subTab, setSubTab] = useState(orderHash ? 'secondary' : 'primary')
+  const [linkedListing, setLinkedListing] = useState(null)
   const [quantities, setQuantities] = useState({})
-  const [listingForm, setListingForm] = useState({ tokenId: '', amount: '', price: '', days: '7' })
+  const [listingForm, setListingForm] = useState({ tokenId: '', amount: '', price: '', days: '7', partial: false, dutch: false, endPrice: '', buyer: '' })
+  const [buyQuantities, setBuyQuantities] = useState({})
   const [editModal, setEditModal] = useState(null)
   const [editPrice, setEditPrice] = useState('')
   const [editAmount, setEditAmount] = useState('')
@@ -69,6 +86,16 @@ function StudioChainPage({
     checkNetwork()
   }, [userAddress])
 
+  // Shared links (/studiochain/:orderHash) open the secondary tab on that one listing
+  useEffect(() => {
+    setLinkedListing(null)
+    if (!orderHash) return
+    setSubTab('secondary')
+    const loaded = listings.find(l => l.id === orderHash)
+    if (loaded) setLinkedListing(loaded)
+    else getListingById(orderHash).then(setLinkedListing)
+  }, [orderHash, listings])
+
   // Handle tab change and refresh balances
   const handleTabChange = (tab) => {
     setSubTab(tab)
@@ -87,22 +114,40 @@ function StudioChainPage({
     onBuyPrimary(tierName, [tokenId], [qty], price)
   }
 
+  // Fee and royalty quote for `gross` wei on StudioChain; null until the rates load
+  const quoteGross = (gross) => !rates || gross <= 0n ? null : quoteFee(gross, rates)
+
+  // Seller-side quote for a price typed in ETH; null while the input does not parse
+  const quoteListing = (price, amount) => {
+    try {
+      return quoteGross(ethers.parseEther(String(price)) * BigInt(amount || 0))
+    } catch {
+      return null
+    }
+  }
+
   const handleCreateListing = (e) => {
     e.preventDefault()
-    const deadline = Math.floor(Date.now() / 1000) + (parseInt(listingForm.days) * 86400)
+    const now = Math.floor(Date.now() / 1000)
+    const deadline = now + (parseInt(listingForm.days) * 86400)
+    if (listingForm.dutch && !(parseFloat(listingForm.endPrice) < parseFloat(listingForm.price))) return
+    if (listingForm.buyer && !ethers.isAddress(listingForm.buyer)) return
     onCreateListing(
       parseInt(listingForm.tokenId),
       parseInt(listingForm.amount),
       listingForm.price,
-      deadline
+      deadline,
+      listingForm.partial && !listingForm.dutch,
+      listingForm.dutch ? { endPrice: listingForm.endPrice, startTime: now } : null,
+      listingForm.buyer ? ethers.getAddress(listingForm.buyer) : ethers.ZeroAddress
     )
-    setListingForm({ tokenId: '', amount: '', price: '', days: '7' })
+    setListingForm({ tokenId: '', amount: '', price: '', days: '7', partial: false, dutch: false, endPrice: '', buyer: '' })
   }
 
   const openEditModal = (listing) => {
     setEditModal(listing)
     setEditPrice(listing.price)
-    setEditAmount(listing.amount.toString())
+    setEditAmount(getRemainingAmount(listing).toString())
     const remainingSeconds = listing.deadline - Math.floor(Date.now() / 1000)
     const remainingDays = Math.max(1, Math.ceil(remainingSeconds / 86400))
     setEditDays(remainingDays.toString())
@@ -115,10 +160,9 @@ function StudioChainPage({
     
     if (editPrice !== editModal.price) {
       updates.price = editPrice
-      updates.priceWei = (parseFloat(editPrice) * 1e18).toString()
     }
     
-    if (parseInt(editAmount) !== editModal.amount) {
+    if (parseInt(editAmount) !== getRemainingAmount(editModal)) {
       updates.amount = parseInt(editAmount)
     }
     
@@ -128,7 +172,7 @@ function StudioChainPage({
     }
     
     if (Object.keys(updates).length > 0) {
-      onUpdateListing(editModal.id, updates)
+      onUpdateListing(editModal, updates)
     }
     
     setEditModal(null)
@@ -150,7 +194,10 @@ function StudioChainPage({
   }
 
   const myListings = listings.filter(l => l.seller?.toLowerCase() === userAddress?.toLowerCase())
-  const otherListings = listings.filter(l => l.seller?.toLowerCase() !== userAddress?.toLowerCase())
+  const isOwnListing = (listing) => listing.seller?.toLowerCase() === userAddress?.toLowerCase()
+  const otherListings = orderHash
+    ? [linkedListing].filter(l => l && isListingLive(l))
+    : listings.filter(l => !isOwnListing(l) && !isPrivateListing(l) && isListingLive(l))
   const ownedTokens = Object.entries(balances).filter(([_, bal]) => bal > 0)
 
   return (
@@ -181,6 +228,15 @@ function StudioChainPage({
 
       {subTab === 'primary' && (
         <div className="primary-section">
+          <PrimaryCart
+            items={cartItems}
+            tiers={tiers}
+            currency="ETH"
+            userAddress={userAddress}
+            onRemove={onRemoveFromCart}
+            onClear={onClearCart}
+            onCheckout={onCheckout}
+          />
           {tiers.length === 0 ? (
             <p className="no-items">Loading items... Make sure contracts are deployed.</p>
           ) : (
@@ -218,6 +274,14 @@ function StudioChainPage({
                             >
                               Buy
                             </button>
+                            {onAddToCart && (
+                              <button
+                                onClick={() => onAddToCart(tier.name, tokenId, quantities[tokenId] || 0)}
+                                disabled={!quantities[tokenId] || remaining <= 0}
+                              >
+                                Add to Cart
+                              </button>
+                            )}
                           </div>
                         ) : (
                           <p className="connect-prompt">Connect wallet</p>
@@ -236,22 +300,60 @@ function StudioChainPage({
         <div className="secondary-section">
           <div className="marketplace-listings">
             <h3>Listed for Sale</h3>
+            {orderHash && (
+              <p className="order-link">Listing {orderHash.slice(0, 6)}...{orderHash.slice(-4)} · <Link to="/studiochain">View all listings</Link></p>
+            )}
             {otherListings.length === 0 ? (
-              <p className="no-items">No listings from other users</p>
+              <p className="no-items">{orderHash ? 'This listing was sold, cancelled or has expired' : 'No listings from other users'}</p>
             ) : (
               <div className="listings-grid">
                 {otherListings.map(listing => {
                   const meta = TOKEN_METADATA[listing.tokenId] || { name: `Token #${listing.tokenId}` }
+                  const remaining = getRemainingAmount(listing)
+                  const quantity = Math.min(buyQuantities[listing.id] || remaining, remaining)
+                  const quote = quoteGross(getCurrentPriceWei(listing) * BigInt(listing.partial ? quantity : listing.amount))
                   
                   return (
                     <div key={listing.id} className="listing-card">
                       <h4>{meta.name}</h4>
-                      <p>Amount: {listing.amount}</p>
-                      <p>Price: {listing.price} ETH each</p>
+                      {listing.partial ? (
+                        <p>Remaining: {remaining} of {listing.amount}</p>
+                      ) : (
+                        <p>Amount: {listing.amount}</p>
+                      )}
+                      {listing.dutch ? (
+                        <DutchPrice listing={listing} currency="ETH" />
+                      ) : (
+                        <p>Price: {listing.price} ETH each</p>
+                      )}
                       <p className="deadline">{formatDeadline(listing.deadline)}</p>
                       <p className="seller">Seller: {listing.seller?.slice(0, 6)}...{listing.seller?.slice(-4)}</p>
-                      {userAddress && (
-                        <button onClick={() => onBuySecondary(listing)}>Buy</button>
+                      <Link className="order-hash" to={`/studiochain/${listing.id}`} title={listing.id}>Order {String(listing.id).slice(0, 6)}...{String(listing.id).slice(-4)}</Link>
+                      {isPrivateListing(listing) && (
+                        <p className="listing-private">
+                          {isReservedForOther(listing, userAddress) ? `Reserved for ${formatAddress(listing.buyer)}` : 'Reserved for you'}
+                        </p>
+                      )}
+                      {userAddress && !isOwnListing(listing) && !isReservedForOther(listing, userAddress) && (orderHash ? (
+                        <FeeBreakdown quote={quote} rates={rates} currency="ETH" />
+                      ) : quote && (
+                        <p className="buy-total">You pay {ethers.formatEther(quote.buyerTotal)} ETH{!quote.feeFromSeller && ' with fee'}</p>
+                      ))}
+                      {userAddress && !isOwnListing(listing) && !isReservedForOther(listing, userAddress) && (
+                        <div className="buy-row">
+                          {listing.partial && (
+                            <input
+                              type="number"
+                              min="1"
+                              max={remaining}
+                              value={quantity}
+                              onChange={(e) => setBuyQuantities(prev => ({ ...prev, [listing.id]: Math.max(1, parseInt(e.target.value) || 1) }))}
+                            />
+                          )}
+                          <button onClick={() => onBuySecondary(listing, listing.partial ? quantity : undefined)}>
+                            {listing.partial ? `Buy ${quantity}` : 'Buy'}
+                          </button>
+                        </div>
                       )}
                     </div>
                   )
@@ -327,11 +429,20 @@ function StudioChainPage({
                       />
                       <input
                         type="text"
-                        placeholder="Price (ETH)"
+                        placeholder={listingForm.dutch ? 'Start price (ETH)' : 'Price (ETH)'}
                         value={listingForm.price}
                         onChange={(e) => setListingForm(prev => ({ ...prev, price: e.target.value }))}
                         required
                       />
+                      {listingForm.dutch && (
+                        <input
+                          type="text"
+                          placeholder="End price (ETH)"
+                          value={listingForm.endPrice}
+                          onChange={(e) => setListingForm(prev => ({ ...prev, endPrice: e.target.value }))}
+                          required
+                        />
+                      )}
                       <select
                         value={listingForm.days}
                         onChange={(e) => setListingForm(prev => ({ ...prev, days: e.target.value }))}
@@ -340,8 +451,33 @@ function StudioChainPage({
                         <option value="7">7 days</option>
                         <option value="30">30 days</option>
                       </select>
+                      <label className="partial-check" title="Buyers can take any quantity up to the amount">
+                        <input
+                          type="checkbox"
+                          checked={listingForm.partial && !listingForm.dutch}
+                          disabled={listingForm.dutch}
+                          onChange={(e) => setListingForm(prev => ({ ...prev, partial: e.target.checked }))}
+                        />
+                        Partial fills
+                      </label>
+                      <label className="partial-check" title="The price falls from the start price to the end price by the deadline">
+                        <input
+                          type="checkbox"
+                          checked={listingForm.dutch}
+                          onChange={(e) => setListingForm(prev => ({ ...prev, dutch: e.target.checked }))}
+                        />
+                        Dutch auction
+                      </label>
+                      <input
+                        type="text"
+                        placeholder="Reserved for 0x... (optional)"
+                        title="Only this wallet can buy; the listing stays off the public grid and is shared by its link"
+                        value={listingForm.buyer}
+                        onChange={(e) => setListingForm(prev => ({ ...prev, buyer: e.target.value.trim() }))}
+                      />
                       <button type="submit">List for Sale</button>
                     </div>
+                    <FeeBreakdown quote={quoteListing(listingForm.price, listingForm.amount)} rates={rates} currency="ETH" side="seller" />
                   </form>
                 </div>
               )}
@@ -349,7 +485,13 @@ function StudioChainPage({
               {/* My Active Listings */}
               {myListings.length > 0 && (
                 <div className="my-listings-section">
-                  <h3>My Active Listings</h3>
+                  <div className="my-listings-header">
+                    <h3>My Active Listings</h3>
+                    <button className="cancel-all-btn" onClick={onCancelAllListings}
+                      title="One transaction that voids every listing you signed on StudioChain">
+                      Cancel all my listings
+                    </button>
+                  </div>
                   <table className="listings-table">
                     <thead>
                       <tr>
@@ -366,12 +508,24 @@ function StudioChainPage({
                         return (
                           <tr key={listing.id}>
                             <td>{meta.name}</td>
-                            <td>{listing.amount}</td>
-                            <td>{listing.price} ETH</td>
-                            <td>{formatDeadline(listing.deadline)}</td>
+                            <td>{listing.partial ? `${getRemainingAmount(listing)} of ${listing.amount}` : listing.amount}</td>
+                            <td>
+                              {listing.dutch ? <DutchPrice listing={listing} currency="ETH" /> : `${listing.price} ETH`}
+                              {isPrivateListing(listing) && (
+                                <Link className="listing-private" to={`/studiochain/${listing.id}`} title="Share this link with the buyer">
+                                  Reserved for {formatAddress(listing.buyer)}
+                                </Link>
+                              )}
+                            </td>
+                            <td>
+                              {formatDeadline(listing.deadline)}
+                              {listing.status === 'inactive' && (
+                                <span className="listing-status">{LISTING_STATUS_REASONS[listing.statusReason] || 'Inactive'}</span>
+                              )}
+                            </td>
                             <td>
                               <div className="listing-actions">
-                                <button className="edit-btn" onClick={() => openEditModal(listing)}>Edit</button>
+                                {!listing.dutch && <button className="edit-btn" onClick={() => openEditModal(listing)}>Edit</button>}
                                 <button className="cancel-btn" onClick={() => onCancelListing(listing)}>Cancel</button>
                               </div>
                             </td>
@@ -396,7 +550,7 @@ function StudioChainPage({
             <div className="modal-item">
               <div>
                 <h3>{TOKEN_METADATA[editModal.tokenId]?.name || `Token #${editModal.tokenId}`}</h3>
-                <p className="current-info">Current: {editModal.amount}x @ {editModal.price} ETH</p>
+                <p className="current-info">Current: {getRemainingAmount(editModal)}x @ {editModal.price} ETH</p>
               </div>
             </div>
             
@@ -411,11 +565,11 @@ function StudioChainPage({
             </div>
             
             <div className="form-group">
-              <label>New Amount (max: {editModal.amount})</label>
+              <label>New Amount (max: {getRemainingAmount(editModal)})</label>
               <input 
                 type="number" 
                 min="1" 
-                max={editModal.amount}
+                max={getRemainingAmount(editModal)}
                 value={editAmount} 
                 onChange={e => setEditAmount(e.target.value)} 
               />
@@ -436,11 +590,14 @@ function StudioChainPage({
               <h4>Changes:</h4>
               <ul>
                 {editPrice !== editModal.price && <li>Price: {editModal.price} → {editPrice} ETH</li>}
-                {parseInt(editAmount) !== editModal.amount && <li>Amount: {editModal.amount} → {editAmount}</li>}
+                {parseInt(editAmount) !== getRemainingAmount(editModal) && <li>Amount: {getRemainingAmount(editModal)} → {editAmount}</li>}
                 {parseInt(editDays) > 0 && <li>Deadline extended to {editDays} days from now</li>}
               </ul>
+              <span className="form-hint">Updating cancels the current order on-chain and asks you to sign the new terms</span>
             </div>
             
+            <FeeBreakdown quote={quoteListing(editPrice || editModal.price, parseInt(editAmount) || 0)} rates={rates} currency="ETH" side="seller" />
+            
             <div className="modal-actions">
               <button className="modal-cancel" onClick={() => setEditModal(null)}>Cancel</button>
               <button className="modal-confirm" onClick={handleUpdate}>Update Listing</button>
@@ -0,0 +1,112 @@
+/**
+ * MPH NFT Marketplace - Activity log
+ * Purchases, cancels and listings recorded through saveTransaction(). Shared by the
+ * listing service (/activity) and the localStorage fallback in storage.js.
+ */
+
+export const ACTIVITY_TYPES = {
+  primary_buy: 'Primary sale',
+  secondary_buy: 'Purchase',
+  cancel: 'Cancelled',
+  listing: 'Listed',
+  offer: 'Offer',
+  offer_accept: 'Offer accepted',
+  auction: 'Auction',
+  bid: 'Bid',
+  auction_settle: 'Auction settled'
+}
+
+// Signed off-chain, so recorded with their order hash instead of a tx hash
+const OFF_CHAIN_TYPES = ['listing', 'offer']
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+export class ActivityError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ActivityError'
+  }
+}
+
+const TX_HASH = /^0x[0-9a-f]{64}$/i
+
+// Listings and offers are signed off-chain, so only they may be recorded without a tx hash
+export const validateActivity = (entry) => {
+  if (!ACTIVITY_TYPES[entry.type]) throw new ActivityError(`Unknown activity type "${entry.type}"`)
+  const offChain = OFF_CHAIN_TYPES.includes(entry.type)
+  if (!offChain && !TX_HASH.test(entry.txHash ?? '')) throw new ActivityError('txHash must be a transaction hash')
+  if (offChain && !TX_HASH.test(entry.orderHash ?? '')) throw new ActivityError('orderHash must be the order hash')
+  // Collection offers name a tier instead of a token until someone accepts them
+  const target = entry.tokenId === undefined && entry.tier ? 'tier' : 'tokenId'
+  for (const field of ['chainId', 'nftContract', target, 'amount']) {
+    if (entry[field] === undefined || entry[field] === null || entry[field] === '') throw new ActivityError(`Missing field: ${field}`)
+  }
+}
+
+// One tx can buy several token ids, so ids combine the tx hash (or order hash) with the token
+export const getActivityId = (entry) => `${entry.type}:${entry.txHash || entry.orderHash}:${entry.tokenId ?? entry.tier}`
+
+const encodeCursor = (entry) => btoa(JSON.stringify([entry.timestamp, String(entry.id)]))
+
+const decodeCursor = (cursor) => {
+  try {
+    const [timestamp, id] = JSON.parse(atob(cursor))
+    return { timestamp: Number(timestamp), id: String(id) }
+  } catch {
+    throw new ActivityError('Invalid cursor')
+  }
+}
+
+/**
+ * Normalizes query-string parameters:
+ * wallet (buyer or seller), type, chainId (comma-separated), limit, cursor
+ */
+export const parseActivityQuery = (params) => {
+  const get = (name) => params.get(name) || ''
+  const list = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : []
+
+  const types = list(get('type'))
+  const unknown = types.find(t => !ACTIVITY_TYPES[t])
+  if (unknown) throw new ActivityError(`Unknown activity type "${unknown}"`)
+
+  const limit = get('limit') ? Number(get('limit')) : DEFAULT_LIMIT
+  if (!Number.isInteger(limit) || limit < 1) throw new ActivityError('limit must be a positive integer')
+
+  return {
+    wallet: get('wallet').toLowerCase(),
+    types,
+    chainIds: list(get('chainId')).map(String),
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor: get('cursor') ? decodeCursor(get('cursor')) : null
+  }
+}
+
+/**
+ * Newest first, ties broken by id so the cursor always points at one position.
+ * @returns {{ items: Array, nextCursor: string|null }}
+ */
+export const runActivityQuery = (entries, query) => {
+  const involves = (entry) =>
+    entry.buyer?.toLowerCase() === query.wallet || entry.seller?.toLowerCase() === query.wallet
+
+  const compare = (a, b) => {
+    if (a.timestamp !== b.timestamp) return b.timestamp - a.timestamp
+    return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0
+  }
+
+  const matches = entries
+    .filter(e =>
+      (!query.wallet || involves(e)) &&
+      (query.types.length === 0 || query.types.includes(e.type)) &&
+      (query.chainIds.length === 0 || query.chainIds.includes(String(e.chainId)))
+    )
+    .sort(compare)
+
+  const start = query.cursor ? matches.filter(e => compare(e, query.cursor) > 0) : matches
+  const items = start.slice(0, query.limit)
+  return {
+    items,
+    nextCursor: start.length > query.limit ? encodeCursor(items[items.length - 1]) : null
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * MPH NFT Marketplace - Marketplace approvals
+ * A marketplace can only fill a listing if the seller let it transfer their items
+ * (ERC-1155 setApprovalForAll), so listing flows make sure of that before the seller signs.
+ */
+
+/**
+ * Approves `operator` to transfer `owner`'s items on the `nft` contract unless it already may.
+ * `onApprove` runs before the wallet is asked, e.g. to say why. Resolves to whether an
+ * approval was sent.
+ */
+export const ensureApprovalForAll = async (nft, owner, operator, onApprove = () => {}) => {
+  if (await nft.isApprovedForAll(owner, operator)) return false
+
+  await onApprove()
+  await (await nft.setApprovalForAll(operator, true)).wait()
+  return true
+}
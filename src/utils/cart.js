@@ -0,0 +1,155 @@
+/**
+ * MPH NFT Marketplace - Cart
+ * Listings queued for a single buyMultipleNFTs call. One transaction can only fill
+ * orders on one marketplace, so a cart holds listings from a single market.
+ * Primary-sale items are queued separately per chain for one buyMultiple call.
+ */
+
+import { ethers } from 'ethers'
+import { NFT_ABI, LISTING_STATUS_REASONS, isReservedForOther } from './constants'
+import { getListingMarket } from './markets'
+import { quoteFee, fetchQuote, sumQuotes } from './fees'
+
+// buyMultipleNFTs reverts with IncorrectInput above this
+export const MAX_CART_ITEMS = 15
+
+// Orders for the same (contract, token, seller) share one nonce, so after the first
+// fills, the second signature is stale within the same transaction
+const nonceKey = (listing) => `${listing.nftContract}:${listing.tokenId}:${listing.seller}`.toLowerCase()
+
+// Why a listing can't be added to the cart, or null if it can
+export const cartRejection = (cart, listing, buyer) => {
+  if (cart.some(item => item.id === listing.id)) return 'Already in your cart'
+  // buyMultipleNFTs only takes fill-or-kill, fixed-price Approval signatures
+  if (listing.partial) return 'Partial-fill listings are bought on their own'
+  // The price of a Dutch auction is only known in the block that fills it
+  if (listing.dutch) return 'Dutch auctions are bought on their own'
+  // buyMultipleNFTs only takes one signature per order, not a bulk root and proof
+  if (listing.bulk) return 'Bulk-signed listings are bought on their own'
+  if (buyer && listing.seller?.toLowerCase() === buyer.toLowerCase()) return 'You cannot buy your own listing'
+  if (isReservedForOther(listing, buyer)) return 'This listing is reserved for another buyer'
+  if (cart.length >= MAX_CART_ITEMS) return `A cart holds at most ${MAX_CART_ITEMS} listings`
+
+  const market = getListingMarket(listing)
+  if (!market) return 'This listing belongs to an unknown marketplace'
+  const cartMarket = cart.length > 0 ? getListingMarket(cart[0]) : null
+  if (cartMarket && cartMarket.key !== market.key) {
+    return `Your cart holds ${cartMarket.currency} listings. Check out or clear it before adding ${market.currency} listings`
+  }
+
+  if (cart.some(item => nonceKey(item) === nonceKey(listing))) {
+    return 'Your cart already has a listing of this item from the same seller'
+  }
+  return null
+}
+
+const orderGross = (item) => BigInt(item.priceWei) * BigInt(item.amount)
+
+// Quote for the whole cart at the market's rates, for display. buyMultipleNFTs charges
+// the fee and royalty order by order, so the orders are quoted one at a time and summed.
+export const getCartQuote = (cart, rates) =>
+  sumQuotes(cart.map(item => quoteFee(orderGross(item), rates)))
+
+// Same quote from the marketplace's views, for the checkout allowance and msg.value
+export const fetchCartQuote = async (cart, marketplace) =>
+  sumQuotes(await Promise.all(cart.map(item => fetchQuote(marketplace, item.priceWei, item.amount, item))))
+
+/**
+ * Re-checks every order against the chain right before checkout, since one dead order
+ * reverts the whole batch. Returns { [listingId]: reason } for the orders that would fail.
+ */
+export const findStaleItems = async (cart, marketplace, provider) => {
+  const now = Math.floor(Date.now() / 1000)
+  const stale = {}
+
+  await Promise.all(cart.map(async (item) => {
+    if (Number(item.deadline) < now) {
+      stale[item.id] = LISTING_STATUS_REASONS.expired
+      return
+    }
+
+    const nft = new ethers.Contract(item.nftContract, NFT_ABI, provider)
+    const [nonce, counter, balance, approved] = await Promise.all([
+      marketplace.nonces(item.nftContract, item.tokenId, item.seller),
+      marketplace.counters(item.seller),
+      nft.balanceOf(item.seller, item.tokenId),
+      nft.isApprovedForAll(item.seller, marketplace.target)
+    ])
+
+    if (Number(nonce) !== Number(item.nonce) || Number(counter) !== Number(item.counter ?? 0)) stale[item.id] = LISTING_STATUS_REASONS.filled_or_cancelled
+    else if (balance < BigInt(item.amount)) stale[item.id] = LISTING_STATUS_REASONS.insufficient_balance
+    else if (!approved) stale[item.id] = LISTING_STATUS_REASONS.not_approved
+  }))
+
+  return stale
+}
+
+// buyMultipleNFTs takes one array per order field
+export const toBatchArgs = (cart) => [
+  cart.map(item => item.nftContract),
+  cart.map(item => item.tokenId),
+  cart.map(item => item.amount),
+  cart.map(item => item.priceWei),
+  cart.map(item => item.deadline),
+  cart.map(item => item.seller),
+  cart.map(item => item.signature)
+]
+
+// buyMultiple reverts with Ten_Token_Types_Only above this many tiers
+export const MAX_PRIMARY_TIERS = 10
+
+const tierSlot = (tiers, item) => {
+  const tier = tiers.find(t => t.name === item.tierName)
+  const idx = tier ? tier.tokenIds.indexOf(item.tokenId) : -1
+  return idx === -1 ? null : { tier, idx }
+}
+
+// Why `amount` more of a primary-sale token can't be added, or null if it can
+export const primaryCartRejection = (cart, tier, tokenId, amount) => {
+  if (!Number.isInteger(amount) || amount <= 0) return 'Choose a quantity first'
+
+  const tierNames = new Set(cart.map(item => item.tierName))
+  if (!tierNames.has(tier.name) && tierNames.size >= MAX_PRIMARY_TIERS) {
+    return `One purchase can cover at most ${MAX_PRIMARY_TIERS} tiers`
+  }
+
+  const idx = tier.tokenIds.indexOf(tokenId)
+  const inCart = cart.find(item => item.tokenId === tokenId)?.amount || 0
+  if (inCart + amount > tier.maxAmountsPerUser[idx]) return `At most ${tier.maxAmountsPerUser[idx]} per wallet`
+  if (inCart + amount > tier.maxSupplies[idx] - tier.currentSupplies[idx]) return 'Not enough supply left'
+  return null
+}
+
+// Adding a token that is already in the cart raises its quantity
+export const addPrimaryItem = (cart, tierName, tokenId, amount) =>
+  cart.some(item => item.tokenId === tokenId)
+    ? cart.map(item => item.tokenId === tokenId ? { ...item, amount: item.amount + amount } : item)
+    : [...cart, { tierName, tokenId, amount }]
+
+// Exact amount buyMultiple charges, from the tier prices currently on-chain.
+// Returns null while an item's tier isn't loaded, so nobody pays a guessed price.
+export const getPrimaryTotal = (cart, tiers) => {
+  let total = 0n
+  for (const item of cart) {
+    const slot = tierSlot(tiers, item)
+    if (!slot) return null
+    total += BigInt(slot.tier.prices[slot.idx]) * BigInt(item.amount)
+  }
+  return total
+}
+
+export const getPrimaryItemPrice = (tiers, item) => {
+  const slot = tierSlot(tiers, item)
+  return slot ? BigInt(slot.tier.prices[slot.idx]) : null
+}
+
+// buyMultiple takes tier names plus token ids and amounts grouped per tier
+export const toBuyMultipleArgs = (cart) => {
+  const tierNames = [...new Set(cart.map(item => item.tierName))]
+  const group = (tierName) => cart.filter(item => item.tierName === tierName)
+  return [
+    tierNames,
+    tierNames.map(name => group(name).map(item => item.tokenId)),
+    tierNames.map(name => group(name).map(item => item.amount))
+  ]
+}
@@ -1,8 +1,10 @@
 export const NFT_ABI = [
   "function buyNFT(string memory tierName, uint256[] memory tokenIds, uint256[] memory amounts) external",
+  "function buyMultiple(string[] memory tierNames, uint256[][] memory tokenIds, uint256[][] memory amounts) external",
   "function balanceOf(address account, uint256 id) external view returns (uint256)",
   "function getTokenInfo(string calldata tierName) external view returns (tuple(uint256[] tokenIds, uint256[] maxSupplies, uint256[] currentSupplies, uint256[] prices, uint256[] maxAmountsPerUser, string tierURI))",
   "function getTierTokenIds(string memory tierName) external view returns (uint256[])",
+  "function getTokenTierName(uint256 tokenId) external view returns (string)",
   "function uri(uint256 tokenId) external view returns (string)",
   "function setApprovalForAll(address operator, bool approved) external",
   "function isApprovedForAll(address owner, address operator) external view returns (bool)",
@@ -12,9 +14,30 @@ export const NFT_ABI = [
 
 export const MARKETPLACE_ABI = [
   "function buyNFT(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address seller, bytes calldata signature) external",
+  "function buyNFTPartial(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address seller, bytes calldata signature, uint256 quantity) external",
+  "function buyNFTDutch(address nftContract, uint256 tokenId, uint256 amount, uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 endTime, address seller, bytes calldata signature) external",
+  "function buyNFTBulk(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address seller, bytes32[] calldata proof, bytes calldata signature) external",
+  "function getDutchPrice(uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 endTime) external view returns (uint256)",
+  "function buyMultipleNFTs(address[] calldata nftContracts, uint256[] calldata tokenIds, uint256[] calldata amounts, uint256[] calldata prices, uint256[] calldata deadlines, address[] calldata sellers, bytes[] calldata signatures) external",
   "function delistToken(address nftContract, uint256 tokenId) external",
+  "function incrementCounter() external returns (uint256)",
   "function nonces(address nftContract, uint256 tokenId, address seller) external view returns (uint256)",
-  "function feePerMille() external view returns (uint256)"
+  "function counters(address seller) external view returns (uint256)",
+  "function filledAmounts(bytes32 orderHash) external view returns (uint256)",
+  "function verifier() external view returns (address)",
+  "function acceptOffer(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address buyer, bytes calldata signature) external",
+  "function cancelOffer(address nftContract, uint256 tokenId) external",
+  "function offerNonces(address nftContract, uint256 tokenId, address buyer) external view returns (uint256)",
+  "function acceptCollectionOffer(address nftContract, string calldata tierName, uint256 amount, uint256 price, uint256 deadline, address buyer, bytes calldata signature, uint256 tokenId, uint256 quantity) external",
+  "function cancelCollectionOffer(address nftContract, string calldata tierName) external",
+  "function collectionOfferNonces(address nftContract, string memory tierName, address buyer) external view returns (uint256)",
+  "function paymentToken() external view returns (address)",
+  "function calculateRoyalty(uint256 gross) external view returns (uint256)",
+  "function feePerMille() external view returns (uint256)",
+  "function feeMode() external view returns (uint8)",
+  "function quote(uint256 price, uint256 amount) external view returns (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee)",
+  "function getCreatorRoyalty(address nftContract, uint256 tokenId, uint256 gross) external view returns (address receiver, uint256 royalty)",
+  "function maxRoyaltyPerMille() external view returns (uint256)"
 ];
 
 export const TRACKING_ABI = [
@@ -22,17 +45,42 @@ export const TRACKING_ABI = [
   "function getAllDeployedContracts() external view returns (address[])"
 ];
 
+// Collection allowlist both marketplaces consult before every fill
+export const VERIFIER_ABI = [
+  "function isItApproved(address nftContract) external view returns (bool)"
+];
+
 export const KARRAT_ABI = [
   "function balanceOf(address account) external view returns (uint256)",
   "function approve(address spender, uint256 amount) external returns (bool)",
   "function allowance(address owner, address spender) external view returns (uint256)"
 ];
 
+// MPHAuctionHouse: escrowed English auctions, bid in KARRAT or ETH (currency address(0))
+export const AUCTION_ABI = [
+  "function createAuction(address nftContract, uint256 tokenId, uint256 amount, address currency, uint256 reservePrice, uint256 duration) external returns (uint256)",
+  "function placeBid(uint256 auctionId, uint256 bid) external payable",
+  "function settleAuction(uint256 auctionId) external",
+  "function cancelAuction(uint256 auctionId) external",
+  "function withdrawRefund() external",
+  "function claimLot(uint256 auctionId, address to) external",
+  "function auctionCount() external view returns (uint256)",
+  "function getAuction(uint256 auctionId) external view returns (tuple(address seller, address nftContract, uint256 tokenId, uint256 amount, address currency, uint256 reservePrice, uint256 endTime, address highestBidder, uint256 highestBid, bool settled))",
+  "function minimumBid(uint256 auctionId) external view returns (uint256)",
+  "function pendingRefunds(address bidder) external view returns (uint256)",
+  "function unclaimedLots(uint256 auctionId) external view returns (address)",
+  "function extensionWindow() external view returns (uint256)",
+  "function feePerMille() external view returns (uint256)"
+];
+
 export const EIP712_DOMAIN = {
   name: "KarratMarketplace",
   version: "1"
 };
 
+// `nonce` is per (nftContract, tokenId, seller); `counter` is per seller, and incrementCounter
+// bumps it to void every order the seller signed before. `buyer` reserves the order for one
+// address, the zero address leaves it open to anyone.
 export const APPROVAL_TYPES = {
   Approval: [
     { name: "seller", type: "address" },
@@ -41,10 +89,129 @@ export const APPROVAL_TYPES = {
     { name: "amount", type: "uint256" },
     { name: "price", type: "uint256" },
     { name: "nonce", type: "uint256" },
+    { name: "counter", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "buyer", type: "address" }
+  ]
+};
+
+// Same fields as Approval, but amount is a maximum: buyers take any part of it through
+// buyNFTPartial and the marketplace tracks what has been filled per order hash
+export const PARTIAL_APPROVAL_TYPES = {
+  PartialApproval: APPROVAL_TYPES.Approval
+};
+
+// Dutch auction: the price falls linearly from startPrice to endPrice between startTime
+// and endTime, and buyNFTDutch charges whatever it is in the block that fills the order
+export const DUTCH_APPROVAL_TYPES = {
+  DutchApproval: [
+    { name: "seller", type: "address" },
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "amount", type: "uint256" },
+    { name: "startPrice", type: "uint256" },
+    { name: "endPrice", type: "uint256" },
+    { name: "startTime", type: "uint256" },
+    { name: "endTime", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "counter", type: "uint256" },
+    { name: "buyer", type: "address" }
+  ]
+};
+
+// One signature for many fixed-price orders: `root` is the Merkle root of their Approval
+// struct hashes (see merkle.js), and buyNFTBulk checks each order's proof against it
+export const BULK_APPROVAL_TYPES = {
+  BulkApproval: [
+    { name: "seller", type: "address" },
+    { name: "root", type: "bytes32" }
+  ]
+};
+
+// Listings with `partial: true` are signed as PartialApproval, `dutch: true` as DutchApproval
+export const getApprovalTypes = (listing) =>
+  listing.dutch ? DUTCH_APPROVAL_TYPES : listing.partial ? PARTIAL_APPROVAL_TYPES : APPROVAL_TYPES
+
+// Per-item price in wei at unix time `now`, the same integer math as getDutchPrice.
+// Dutch listings keep the start price in priceWei and the end time in deadline.
+export const getDutchPriceWei = (listing, now) => {
+  const startPrice = BigInt(listing.priceWei)
+  const endPrice = BigInt(listing.endPriceWei)
+  const startTime = BigInt(listing.startTime)
+  const endTime = BigInt(listing.deadline)
+  const t = BigInt(now)
+  if (t <= startTime) return startPrice
+  if (t >= endTime) return endPrice
+  return startPrice - ((startPrice - endPrice) * (t - startTime)) / (endTime - startTime)
+}
+
+export const getCurrentPriceWei = (listing, now = Math.floor(Date.now() / 1000)) =>
+  listing.dutch ? getDutchPriceWei(listing, now) : BigInt(listing.priceWei)
+
+// Buyer-signed bid that a holder fills with acceptOffer (KARRAT marketplace only).
+// The buyer's KARRAT allowance to the marketplace has to cover price * amount plus the fee.
+export const OFFER_TYPES = {
+  Offer: [
+    { name: "buyer", type: "address" },
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "amount", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Bid on any token of a tier, filled by acceptCollectionOffer from one or more holders.
+// `amount` is the most the buyer takes across fills, tracked like partial listings.
+export const COLLECTION_OFFER_TYPES = {
+  CollectionOffer: [
+    { name: "buyer", type: "address" },
+    { name: "nftContract", type: "address" },
+    { name: "tierName", type: "string" },
+    { name: "amount", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "nonce", type: "uint256" },
     { name: "deadline", type: "uint256" }
   ]
 };
 
+// Offers naming a `tierName` instead of a `tokenId` are collection offers
+export const isCollectionOffer = (offer) => Boolean(offer.tierName)
+export const getOfferTypes = (offer) => isCollectionOffer(offer) ? COLLECTION_OFFER_TYPES : OFFER_TYPES
+
+// Quantity still for sale; only partial-fill listings ever have a `filled` count
+export const getRemainingAmount = (listing) => Number(listing.amount) - Number(listing.filled || 0)
+
+// Listing fields covered by the Approval signature (price is the display form of priceWei;
+// chainId and marketplace pick the EIP-712 domain; partial and dutch pick the struct type;
+// a bulk listing's root and proof tie the order to its BulkApproval signature; buyer reserves it).
+// Changing any of them requires a fresh signature over the new terms.
+export const SIGNED_LISTING_FIELDS = ['chainId', 'marketplace', 'seller', 'nftContract', 'tokenId', 'amount', 'price', 'priceWei', 'nonce', 'counter', 'deadline', 'buyer', 'partial',
+  'dutch', 'endPrice', 'endPriceWei', 'startTime', 'bulk', 'merkleRoot', 'merkleProof']
+
+// Private listings are signed for one `buyer`. They stay out of the public grids and are
+// shared by link; a missing or zero buyer means anyone can fill the order.
+export const isPrivateListing = (listing) => Boolean(listing.buyer) && BigInt(listing.buyer) !== 0n
+
+export const isReservedForOther = (listing, address) =>
+  isPrivateListing(listing) && listing.buyer.toLowerCase() !== address?.toLowerCase()
+
+// Set by the listing service sweeper when an order can't currently be filled
+export const LISTING_STATUS_REASONS = {
+  insufficient_balance: 'Seller no longer holds enough tokens',
+  not_approved: 'Marketplace approval was revoked',
+  expired: 'Deadline passed',
+  filled_or_cancelled: 'Sold or cancelled',
+  insufficient_funds: 'Buyer no longer holds enough KARRAT',
+  insufficient_allowance: 'Buyer lowered their KARRAT allowance'
+}
+
+export const isListingLive = (listing) =>
+  (!listing.status || listing.status === 'active') &&
+  (!listing.deadline || listing.deadline > Math.floor(Date.now() / 1000)) &&
+  getRemainingAmount(listing) > 0
+
 export const TIER_CONFIG = {
   Weapons: { color: "#ff6b35", icon: "⚔️" },
   Armor: { color: "#4a90d9", icon: "🛡️" },
@@ -53,6 +220,9 @@ export const TIER_CONFIG = {
   Legendary: { color: "#fbbf24", icon: "👑" }
 };
 
+// Tiers whose items are sold through auctions instead of fixed-price listings
+export const AUCTION_TIERS = ['Legendary'];
+
 export const TOKEN_METADATA = {
   // Weapons (Token IDs 1-3)
   1: {
@@ -141,9 +311,11 @@ export const getTokenRarity = (tokenId) => TOKEN_METADATA[tokenId]?.rarity || "C
 // StudioChain ABIs (native ETH)
 export const STUDIOCHAIN_NFT_ABI = [
   "function buyNFT(string memory tierName, uint256[] memory tokenIds, uint256[] memory amounts) external payable",
+  "function buyMultiple(string[] memory tierNames, uint256[][] memory tokenIds, uint256[][] memory amounts) external payable",
   "function balanceOf(address account, uint256 id) external view returns (uint256)",
   "function getTokenInfo(string calldata tierName) external view returns (tuple(uint256[] tokenIds, uint256[] maxSupplies, uint256[] currentSupplies, uint256[] prices, uint256[] maxAmountsPerUser, string tierURI))",
   "function getTierTokenIds(string memory tierName) external view returns (uint256[])",
+  "function getTokenTierName(uint256 tokenId) external view returns (string)",
   "function uri(uint256 tokenId) external view returns (string)",
   "function setApprovalForAll(address operator, bool approved) external",
   "function isApprovedForAll(address owner, address operator) external view returns (bool)",
@@ -153,10 +325,25 @@ export const STUDIOCHAIN_NFT_ABI = [
 
 export const STUDIOCHAIN_MARKETPLACE_ABI = [
   "function buyNFT(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address seller, bytes calldata signature) external payable",
+  "function buyNFTPartial(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address seller, bytes calldata signature, uint256 quantity) external payable",
+  "function buyNFTDutch(address nftContract, uint256 tokenId, uint256 amount, uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 endTime, address seller, bytes calldata signature) external payable",
+  "function buyNFTBulk(address nftContract, uint256 tokenId, uint256 amount, uint256 price, uint256 deadline, address seller, bytes32[] calldata proof, bytes calldata signature) external payable",
+  "function getDutchPrice(uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 endTime) external view returns (uint256)",
+  "function buyMultipleNFTs(address[] calldata nftContracts, uint256[] calldata tokenIds, uint256[] calldata amounts, uint256[] calldata prices, uint256[] calldata deadlines, address[] calldata sellers, bytes[] calldata signatures) external payable",
   "function delistToken(address nftContract, uint256 tokenId) external",
+  "function incrementCounter() external returns (uint256)",
   "function nonces(address nftContract, uint256 tokenId, address seller) external view returns (uint256)",
+  "function counters(address seller) external view returns (uint256)",
+  "function filledAmounts(bytes32 orderHash) external view returns (uint256)",
+  "function verifier() external view returns (address)",
   "function feePerMille() external view returns (uint256)",
-  "function calculateFee(uint256 gross) external view returns (uint256)"
+  "function calculateFee(uint256 gross) external view returns (uint256)",
+  "function feeMode() external view returns (uint8)",
+  "function quote(uint256 price, uint256 amount) external view returns (uint256 buyerTotal, uint256 sellerProceeds, uint256 fee)",
+  "function getCreatorRoyalty(address nftContract, uint256 tokenId, uint256 gross) external view returns (address receiver, uint256 royalty)",
+  "function maxRoyaltyPerMille() external view returns (uint256)",
+  "function pendingRoyalties(address receiver) external view returns (uint256)",
+  "function withdrawRoyalties() external"
 ];
 
 export const STUDIOCHAIN_EIP712_DOMAIN = {
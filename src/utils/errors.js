@@ -0,0 +1,117 @@
+/**
+ * MPH NFT Marketplace - Contract errors
+ * Turns a failed call or transaction into a message for the user. The ABIs in constants.js
+ * have no error fragments, so revert data is decoded against every custom error the
+ * contracts define, exported from the compiled artifacts by `npm run export-errors`.
+ */
+
+import { ethers } from 'ethers'
+import CONTRACT_ERRORS from './contractErrors.json'
+
+const errorInterface = new ethers.Interface(CONTRACT_ERRORS)
+
+// Solidity panic codes (Panic(uint256)), raised by the compiler's own checks
+const PANICS = {
+  0x01: 'an internal assertion failed',
+  0x11: 'a calculation overflowed or underflowed',
+  0x12: 'a division by zero',
+  0x21: 'an invalid enum value',
+  0x31: 'an empty array was popped',
+  0x32: 'an array index out of bounds',
+  0x41: 'it ran out of memory'
+}
+
+const formatTime = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleString()
+
+// Message per custom error, from its decoded arguments. `amount` formats a wei value in the
+// currency of the call (KARRAT or ETH); errors left out fall back to their name and arguments.
+const MESSAGES = {
+  // Marketplaces
+  CollectionDoesNotSellHere: () => 'This collection is not approved for trading on the marketplace',
+  SignatureExpired: () => 'This listing or offer has expired',
+  NotForSaleOrWrongPrice: () => 'The seller no longer holds enough of this item',
+  NotApprovedForTransfer: () => 'The seller has not approved the marketplace to transfer this item',
+  NotOwner: () => 'This listing was cancelled, already sold or is reserved for another buyer',
+  InvalidOffer: () => 'This offer was cancelled or already accepted',
+  IncorrectInput: () => 'The contract rejected these inputs',
+  InsufficientPayment: ({ required, provided }, amount) => `This needs ${amount(required)} but ${amount(provided)} was sent`,
+  ExceedsRemaining: ({ remaining, requested }) => `Only ${remaining} left, ${requested} requested`,
+  AuctionNotStarted: ({ startTime }) => `This auction starts ${formatTime(startTime)}`,
+  TokenNotInTier: ({ tokenId }) => `Token #${tokenId} is not in this offer's tier`,
+  TransferFailed: () => 'A payment transfer failed',
+  ZeroAddress: () => 'An address is missing',
+
+  // Auction house
+  AuctionNotActive: ({ auctionId }) => `Auction #${auctionId} is not open`,
+  AuctionEnded: ({ endTime }) => `This auction ended ${formatTime(endTime)}`,
+  AuctionStillRunning: ({ endTime }) => `This auction runs until ${formatTime(endTime)}`,
+  AuctionHasBids: () => 'An auction cannot be cancelled once it has bids',
+  BidTooLow: ({ minimumBid }, amount) => `The minimum bid is ${amount(minimumBid)}`,
+  SellerCannotBid: () => 'You cannot bid on your own auction',
+  NotSeller: () => 'Only the seller can do this',
+  NothingToWithdraw: () => 'You have nothing to withdraw',
+  NothingToClaim: ({ auctionId }) => `You have no item to claim from auction #${auctionId}`,
+  UnsupportedCurrency: () => 'This currency is not supported',
+
+  // Primary sale
+  TieredGameInventory__SaleStateClosed: () => 'The sale is closed',
+  TieredGameInventory__InsufficientPayment: ({ required, sent }, amount) => `This costs ${amount(required)} but ${amount(sent)} was sent`,
+  TieredGameInventory__MaxPurchaseExceeded: ({ maxAllowed }) => `You can hold at most ${maxAllowed} of this token`,
+  TieredGameInventory__MaxSupplyReached: ({ tierName }) => `${tierName} is sold out`,
+  TieredGameInventory__TokenDoesNotExist: ({ name }) => `There is no ${name} tier`,
+  TieredGameInventory__InvalidTokenId: () => 'This token is not part of the tier',
+  TieredGameInventory__DuplicateTokenId: ({ tokenId }) => `Token #${tokenId} is listed twice`,
+  Ten_Token_Types_Only: () => 'One purchase can cover at most 10 tiers',
+
+  // OpenZeppelin
+  ERC20InsufficientBalance: ({ balance, needed }, amount) => `You need ${amount(needed)} but hold ${amount(balance)}`,
+  ERC20InsufficientAllowance: ({ allowance, needed }, amount) => `The contract may only spend ${amount(allowance)} of the ${amount(needed)} needed`,
+  ERC1155InsufficientBalance: () => 'The sender no longer holds enough of this item',
+  ERC1155MissingApprovalForAll: () => 'The contract is not approved to transfer this item',
+  AccessControlUnauthorizedAccount: () => 'Your wallet is not allowed to do this',
+  ECDSAInvalidSignature: () => 'The signature is invalid',
+  ReentrancyGuardReentrantCall: () => 'The contract refused a nested call'
+}
+
+// Revert data sits at a different depth depending on the provider and on whether the
+// error came from eth_call, estimateGas or a mined transaction
+const findRevertData = (err) => {
+  for (const candidate of [err?.data, err?.info?.error?.data, err?.error?.data, err?.info?.error?.data?.data, err?.error?.data?.data]) {
+    if (typeof candidate === 'string' && ethers.isHexString(candidate) && candidate.length >= 10) return candidate
+  }
+  return null
+}
+
+// { name, args } of the custom error `err` reverted with, or null if there is none we know
+export const decodeContractError = (err) => {
+  const data = findRevertData(err)
+  if (!data) return null
+  try {
+    const parsed = errorInterface.parseError(data)
+    return parsed && { name: parsed.name, args: parsed.args }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * What to tell the user about `err`. `currency` formats amounts in decoded errors;
+ * `fallback` replaces the raw provider message when nothing more specific is known.
+ */
+export const getErrorMessage = (err, { currency, fallback } = {}) => {
+  if (err?.code === 'ACTION_REJECTED') return 'You rejected the request in your wallet'
+
+  const decoded = decodeContractError(err)
+  // Built-in reverts: require(..., "reason") and arithmetic or assert failures
+  if (decoded?.name === 'Error') return decoded.args[0]
+  if (decoded?.name === 'Panic') return `The contract failed: ${PANICS[Number(decoded.args[0])] || `panic code ${decoded.args[0]}`}`
+  if (decoded) {
+    const amount = (wei) => currency ? `${ethers.formatEther(wei)} ${currency}` : ethers.formatEther(wei)
+    const message = MESSAGES[decoded.name]
+    return message
+      ? message(decoded.args.toObject(), amount)
+      : `The contract reverted with ${decoded.name}(${decoded.args.map(String).join(', ')})`
+  }
+
+  return err?.reason || fallback || err?.shortMessage || err?.message || 'Something went wrong'
+}
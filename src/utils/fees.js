@@ -0,0 +1,93 @@
+/**
+ * MPH NFT Marketplace - Fee quotes
+ * What an order costs the buyer and leaves the seller, from the fee each marketplace
+ * charges on-chain (feePerMille, added on top or deducted from the seller per its feeMode)
+ * and the creator royalty it routes to the collection's ERC-2981 receiver, instead of an
+ * assumed rate. Buys quote through the contract's own views; dialogs quote from rates read
+ * once at startup.
+ */
+
+import { ethers } from 'ethers'
+
+// FeeMode enum of both marketplaces: who the fee is charged to
+const FEE_MODES = { buyerPays: 0n, sellerPays: 1n }
+
+// { gross, fee, royalty, buyerTotal, sellerProceeds, feeFromSeller } in wei. The fee is added on
+// top for the buyer or deducted from the seller per the market's fee mode; the creator royalty
+// always comes out of the seller's share, and like the contracts never takes more than that share
+const toQuote = (gross, fee, royalty, feeFromSeller) => {
+  const share = feeFromSeller ? gross - fee : gross
+  const cappedRoyalty = royalty > share ? share : royalty
+  return {
+    gross,
+    fee,
+    royalty: cappedRoyalty,
+    buyerTotal: feeFromSeller ? gross : gross + fee,
+    sellerProceeds: share - cappedRoyalty,
+    feeFromSeller
+  }
+}
+
+// { feePerMille, feeMode, royaltyBps } for a market, read through any provider. The royalty is
+// the market's collection quoted on 10000 wei, so it is already in basis points and capped
+// by the marketplace's maxRoyaltyPerMille
+export const readRates = async (market, provider) => {
+  const marketplace = new ethers.Contract(market.marketplace, market.abi, provider)
+  const [feePerMille, feeMode, [, royaltyBps]] = await Promise.all([
+    marketplace.feePerMille(),
+    marketplace.feeMode(),
+    market.nft ? marketplace.getCreatorRoyalty(market.nft, 0, 10000n) : [ethers.ZeroAddress, 0n]
+  ])
+  return { feePerMille, feeMode, royaltyBps }
+}
+
+// Whether the market's fee mode deducts the fee from the seller instead of charging the buyer
+export const isFeeFromSeller = (rates) => BigInt(rates.feeMode) === FEE_MODES.sellerPays
+
+// Same integer math as the contracts' quote view, for display before a wallet is involved
+export const quoteFee = (gross, rates) => {
+  const amount = BigInt(gross)
+  return toQuote(
+    amount,
+    (amount * BigInt(rates.feePerMille)) / 1000n,
+    (amount * BigInt(rates.royaltyBps)) / 10000n,
+    isFeeFromSeller(rates)
+  )
+}
+
+// Exact quote from the marketplace's quote view for `amount` tokens of one listing at
+// `pricePerItem`, used for the allowance and msg.value of a buy
+export const fetchQuote = async (marketplace, pricePerItem, amount, { nftContract, tokenId }) => {
+  const gross = BigInt(pricePerItem) * BigInt(amount)
+  const [[buyerTotal, sellerProceeds, fee], [, royalty]] = await Promise.all([
+    marketplace.quote(pricePerItem, amount),
+    marketplace.getCreatorRoyalty(nftContract, tokenId, gross)
+  ])
+  return {
+    gross,
+    fee,
+    royalty,
+    buyerTotal,
+    sellerProceeds: sellerProceeds - royalty,
+    feeFromSeller: fee > 0n && buyerTotal === gross
+  }
+}
+
+// Sum of per-order quotes; the contracts charge the fee order by order, so rounding matches
+export const sumQuotes = (quotes) => quotes.reduce(
+  (sum, quote) => ({
+    gross: sum.gross + quote.gross,
+    fee: sum.fee + quote.fee,
+    royalty: sum.royalty + quote.royalty,
+    buyerTotal: sum.buyerTotal + quote.buyerTotal,
+    sellerProceeds: sum.sellerProceeds + quote.sellerProceeds,
+    feeFromSeller: sum.feeFromSeller || quote.feeFromSeller
+  }),
+  toQuote(0n, 0n, 0n, false)
+)
+
+// "2.5%" for 25n
+export const formatFeeRate = (feePerMille) => `${Number(feePerMille) / 10}%`
+
+// "2.5%" for 250n
+export const formatRoyaltyRate = (royaltyBps) => `${Number(royaltyBps) / 100}%`
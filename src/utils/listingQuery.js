@@ -0,0 +1,121 @@
+/**
+ * MPH NFT Marketplace - Listing queries
+ * Filter, sort and cursor-paginate listings. Shared by the listing service (/market)
+ * and the localStorage fallback in storage.js, so both answer a query the same way.
+ */
+
+// Explicit extension: the listing service imports this file from Node
+import { getTokenRarity, isListingLive, isPrivateListing, getCurrentPriceWei } from './constants.js'
+
+// Price filters and sorts use what a Dutch auction costs right now, not its start price
+export const LISTING_SORTS = {
+  newest: { label: 'Newest', key: l => BigInt(l.createdAt ?? 0), dir: -1 },
+  price_asc: { label: 'Price: low to high', key: l => getCurrentPriceWei(l), dir: 1 },
+  price_desc: { label: 'Price: high to low', key: l => getCurrentPriceWei(l), dir: -1 },
+  ending: { label: 'Ending soon', key: l => BigInt(l.deadline), dir: 1 }
+}
+
+export const LISTING_CURRENCIES = ['KARRAT', 'ETH']
+
+const DEFAULT_LIMIT = 24
+const MAX_LIMIT = 100
+
+export class ListingQueryError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ListingQueryError'
+  }
+}
+
+const list = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : []
+
+// Display price ("12.5") to wei without pulling ethers into this module
+const toWei = (value, name) => {
+  if (!/^\d+(\.\d{1,18})?$/.test(value)) throw new ListingQueryError(`${name} must be a positive number`)
+  const [whole, fraction = ''] = value.split('.')
+  return BigInt(whole) * 10n ** 18n + BigInt(fraction.padEnd(18, '0'))
+}
+
+const encodeCursor = (sortKey, id) => btoa(JSON.stringify([sortKey.toString(), String(id)]))
+
+const decodeCursor = (cursor) => {
+  try {
+    const [key, id] = JSON.parse(atob(cursor))
+    return { key: BigInt(key), id }
+  } catch {
+    throw new ListingQueryError('Invalid cursor')
+  }
+}
+
+/**
+ * Normalizes query-string parameters:
+ * tokenId, tier, rarity, currency (comma-separated), seller, minPrice, maxPrice,
+ * active (default true), sort, limit, cursor
+ */
+export const parseListingQuery = (params) => {
+  const get = (name) => params.get(name) || ''
+  const sort = get('sort') || 'newest'
+  if (!LISTING_SORTS[sort]) throw new ListingQueryError(`Unknown sort "${sort}"`)
+
+  const limit = get('limit') ? Number(get('limit')) : DEFAULT_LIMIT
+  if (!Number.isInteger(limit) || limit < 1) throw new ListingQueryError('limit must be a positive integer')
+
+  const currencies = list(get('currency')).map(c => c.toUpperCase())
+  const unknown = currencies.find(c => !LISTING_CURRENCIES.includes(c))
+  if (unknown) throw new ListingQueryError(`Unknown currency "${unknown}"`)
+
+  return {
+    tokenIds: list(get('tokenId')).map(String),
+    tiers: list(get('tier')),
+    rarities: list(get('rarity')).map(r => r.toLowerCase()),
+    currencies,
+    seller: get('seller').toLowerCase(),
+    minPrice: get('minPrice') ? toWei(get('minPrice'), 'minPrice') : null,
+    maxPrice: get('maxPrice') ? toWei(get('maxPrice'), 'maxPrice') : null,
+    activeOnly: get('active') !== 'false',
+    sort,
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor: get('cursor') ? decodeCursor(get('cursor')) : null
+  }
+}
+
+/**
+ * Runs a parsed query over listings that carry a `currency` field.
+ * tierOf(listing) supplies tier names; without it the tier filter is skipped.
+ * Private listings never match; they are only reachable through their order link.
+ * @returns {{ items: Array, nextCursor: string|null, total: number }}
+ */
+export const runListingQuery = (listings, query, tierOf = null) => {
+  const sort = LISTING_SORTS[query.sort]
+
+  const matches = listings.filter(l =>
+    !isPrivateListing(l) &&
+    (!query.activeOnly || isListingLive(l)) &&
+    (query.tokenIds.length === 0 || query.tokenIds.includes(String(l.tokenId))) &&
+    (query.rarities.length === 0 || query.rarities.includes(getTokenRarity(l.tokenId).toLowerCase())) &&
+    (query.currencies.length === 0 || query.currencies.includes(l.currency)) &&
+    (!query.seller || l.seller?.toLowerCase() === query.seller) &&
+    (query.minPrice === null || getCurrentPriceWei(l) >= query.minPrice) &&
+    (query.maxPrice === null || getCurrentPriceWei(l) <= query.maxPrice) &&
+    (query.tiers.length === 0 || !tierOf || query.tiers.includes(tierOf(l)))
+  )
+
+  // Ties on the sort key fall back to id so the cursor always points at one position
+  const compare = (a, b) => {
+    if (a.key !== b.key) return (a.key < b.key ? -1 : 1) * sort.dir
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+  }
+  const keyed = matches
+    .map(listing => ({ listing, key: sort.key(listing), id: String(listing.id) }))
+    .sort(compare)
+
+  const start = query.cursor ? keyed.filter(k => compare(k, query.cursor) > 0) : keyed
+  const page = start.slice(0, query.limit)
+  const last = page[page.length - 1]
+
+  return {
+    items: page.map(k => k.listing),
+    nextCursor: start.length > query.limit ? encodeCursor(last.key, last.id) : null,
+    total: matches.length
+  }
+}
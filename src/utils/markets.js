@@ -0,0 +1,75 @@
+/**
+ * MPH NFT Marketplace - Market registry
+ * One entry per marketplace the app trades on. Listings carry the `chainId` and
+ * `marketplace` address they were signed for and are matched back to an entry here.
+ */
+
+import { MARKETPLACE_ABI, EIP712_DOMAIN, STUDIOCHAIN_MARKETPLACE_ABI, STUDIOCHAIN_EIP712_DOMAIN } from './constants'
+
+// wallet_addEthereumChain parameters for the network the wallet is moved to on connect
+export const SEPOLIA_NETWORK = {
+  chainId: '0xaa36a7',
+  chainName: 'Sepolia',
+  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+  rpcUrls: ['https://eth-sepolia.g.alchemy.com/v2/demo'],
+  blockExplorerUrls: ['https://sepolia.etherscan.io']
+}
+
+export const MARKETS = {
+  // Trades on whichever network the wallet is connected to (Sepolia, or Hardhat locally)
+  karrat: {
+    key: 'karrat',
+    label: 'KARRAT',
+    currency: 'KARRAT',
+    marketplace: import.meta.env.VITE_MARKETPLACE_CONTRACT || '',
+    // The chain it is deployed on, for listings stored before they carried their chainId
+    chainId: Number(import.meta.env.VITE_CHAIN_ID) || undefined,
+    nft: import.meta.env.VITE_NFT_CONTRACT || '',
+    abi: MARKETPLACE_ABI,
+    domain: EIP712_DOMAIN,
+    network: null
+  },
+  studiochain: {
+    key: 'studiochain',
+    label: 'StudioChain',
+    currency: 'ETH',
+    marketplace: import.meta.env.VITE_STUDIOCHAIN_MARKETPLACE_CONTRACT || '',
+    chainId: 616,
+    nft: import.meta.env.VITE_STUDIOCHAIN_NFT_CONTRACT || '',
+    abi: STUDIOCHAIN_MARKETPLACE_ABI,
+    domain: STUDIOCHAIN_EIP712_DOMAIN,
+    // wallet_addEthereumChain parameters, used to switch the wallet before signing or buying
+    network: {
+      chainId: '0x268',
+      chainName: 'StudioChain Testnet',
+      nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+      rpcUrls: ['https://studio-chain.rpc.caldera.xyz/http'],
+      blockExplorerUrls: ['https://studio-chain.explorer.caldera.xyz']
+    }
+  }
+}
+
+const CHAIN_NAMES = {
+  1337: 'Hardhat',
+  31337: 'Hardhat',
+  [Number(SEPOLIA_NETWORK.chainId)]: SEPOLIA_NETWORK.chainName,
+  [Number(MARKETS.studiochain.network.chainId)]: 'StudioChain'
+}
+
+const EXPLORERS = {
+  [Number(SEPOLIA_NETWORK.chainId)]: SEPOLIA_NETWORK.blockExplorerUrls[0],
+  [Number(MARKETS.studiochain.network.chainId)]: MARKETS.studiochain.network.blockExplorerUrls[0]
+}
+
+export const getChainName = (chainId) => CHAIN_NAMES[chainId] || `Chain ${chainId}`
+
+// null on local chains, which have no explorer
+export const getTxUrl = (chainId, txHash) => EXPLORERS[chainId] ? `${EXPLORERS[chainId]}/tx/${txHash}` : null
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase()
+
+export const getListingMarket = (listing) =>
+  Object.values(MARKETS).find(market => sameAddress(market.marketplace, listing.marketplace)) || null
+
+// Filter predicate: listings.filter(isListingOn(MARKETS.studiochain))
+export const isListingOn = (market) => (listing) => sameAddress(market.marketplace, listing.marketplace)
@@ -0,0 +1,42 @@
+/**
+ * MPH NFT Marketplace - Bulk listing trees
+ * A bulk listing is one BulkApproval signature over the Merkle root of many Approval struct
+ * hashes. Pairs are hashed in sorted order like OpenZeppelin's MerkleProof, which buyNFTBulk
+ * uses to rebuild the root. Shared by the app (building the tree) and the listing service
+ * (checking a stored proof).
+ */
+
+import { ethers } from 'ethers'
+// Explicit extension: the listing service imports this file from Node
+import { APPROVAL_TYPES } from './constants.js'
+
+const hashPair = (a, b) => ethers.keccak256(ethers.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]))
+
+// Leaf for one order: its Approval struct hash, without the domain
+export const getBulkLeaf = (message) => ethers.TypedDataEncoder.hashStruct('Approval', APPROVAL_TYPES, message)
+
+// Root and one proof per leaf. A node without a sibling moves up a level unchanged.
+export const buildMerkleTree = (leaves) => {
+  if (leaves.length === 0) throw new Error('A bulk listing needs at least one order')
+
+  const proofs = leaves.map(() => [])
+  let level = leaves.map((hash, i) => ({ hash, members: [i] }))
+  while (level.length > 1) {
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      const [left, right] = [level[i], level[i + 1]]
+      if (!right) {
+        next.push(left)
+        continue
+      }
+      left.members.forEach(m => proofs[m].push(right.hash))
+      right.members.forEach(m => proofs[m].push(left.hash))
+      next.push({ hash: hashPair(left.hash, right.hash), members: [...left.members, ...right.members] })
+    }
+    level = next
+  }
+
+  return { root: level[0].hash, proofs }
+}
+
+export const processProof = (leaf, proof) => proof.reduce(hashPair, leaf)
@@ -0,0 +1,87 @@
+/**
+ * MPH NFT Marketplace - Purchase pre-flight
+ * Checks a listing against the chain before the wallet is asked to sign anything, in the
+ * order the marketplaces check it, so a purchase that would revert is stopped with the
+ * reason instead of a raw error after MetaMask pops up.
+ */
+
+import { ethers } from 'ethers'
+import { NFT_ABI, VERIFIER_ABI, isReservedForOther } from './constants'
+import { getErrorMessage } from './errors'
+
+export const PREFLIGHT_REASONS = {
+  reserved: 'This listing is reserved for another buyer',
+  not_started: 'This Dutch auction has not started yet',
+  expired: 'This listing has expired',
+  collection_not_approved: 'This collection is not approved for trading on the marketplace',
+  counter_changed: 'The seller cancelled all of their listings',
+  nonce_changed: 'This listing was cancelled or already sold',
+  seller_balance: 'The seller no longer holds enough of this item',
+  not_approved: 'The seller has not approved the marketplace to transfer this item'
+}
+
+/**
+ * Why buying `amount` from `listing` would revert, or null if the order itself is still
+ * fillable. `marketplace` is the listing's marketplace contract on the buyer's connection.
+ */
+export const listingRejection = async ({ listing, amount, marketplace, provider, buyer }) => {
+  if (isReservedForOther(listing, buyer)) return PREFLIGHT_REASONS.reserved
+
+  const { timestamp: now } = await provider.getBlock('latest')
+  if (listing.dutch && now < Number(listing.startTime)) return PREFLIGHT_REASONS.not_started
+  if (now > Number(listing.deadline)) return PREFLIGHT_REASONS.expired
+
+  const nft = new ethers.Contract(listing.nftContract, NFT_ABI, provider)
+  const verifier = new ethers.Contract(await marketplace.verifier(), VERIFIER_ABI, provider)
+  const [collectionApproved, counter, nonce, balance, approved] = await Promise.all([
+    verifier.isItApproved(listing.nftContract),
+    marketplace.counters(listing.seller),
+    marketplace.nonces(listing.nftContract, listing.tokenId, listing.seller),
+    nft.balanceOf(listing.seller, listing.tokenId),
+    nft.isApprovedForAll(listing.seller, marketplace.target)
+  ])
+
+  if (!collectionApproved) return PREFLIGHT_REASONS.collection_not_approved
+  if (Number(counter) !== Number(listing.counter ?? 0)) return PREFLIGHT_REASONS.counter_changed
+  if (Number(nonce) !== Number(listing.nonce)) return PREFLIGHT_REASONS.nonce_changed
+  if (listing.partial) {
+    const remaining = Number(listing.amount) - Number(await marketplace.filledAmounts(listing.id))
+    if (remaining < Number(amount)) {
+      return remaining > 0 ? `Only ${remaining} left on this listing` : PREFLIGHT_REASONS.nonce_changed
+    }
+  }
+  if (balance < BigInt(amount)) return PREFLIGHT_REASONS.seller_balance
+  if (!approved) return PREFLIGHT_REASONS.not_approved
+  return null
+}
+
+/**
+ * Whether `buyer` can pay the quote's buyerTotal: their ETH balance, or for KARRAT markets
+ * their `karrat` balance and, with `allowance`, what the marketplace may pull. Returns the
+ * reason or null.
+ */
+export const fundsRejection = async ({ market, quote, buyer, provider, karrat }, { allowance = true } = {}) => {
+  const needed = quote.buyerTotal
+  const format = (wei) => `${ethers.formatEther(wei)} ${market.currency}`
+
+  if (market.currency === 'ETH') {
+    const balance = await provider.getBalance(buyer)
+    return balance < needed ? `You need ${format(needed)} plus gas but hold ${format(balance)}` : null
+  }
+
+  const balance = await karrat.balanceOf(buyer)
+  if (balance < needed) return `You need ${format(needed)} but hold ${format(balance)}`
+  if (!allowance) return null
+  const allowed = await karrat.allowance(buyer, market.marketplace)
+  return allowed < needed ? `The marketplace may only spend ${format(allowed)} of the ${format(needed)} this purchase costs` : null
+}
+
+// Runs the purchase as an eth_call first; the decoded revert reason, or null if it would go through
+export const simulateRejection = async (method, args, currency) => {
+  try {
+    await method.staticCall(...args)
+    return null
+  } catch (err) {
+    return `The purchase would fail: ${getErrorMessage(err, { currency })}`
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * MPH NFT Marketplace - Sign-In With Ethereum (EIP-4361)
+ * Message builder/parser shared by the frontend and the listing service
+ */
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:'
+
+export const SIWE_STATEMENT = 'Sign in to the MPH marketplace to manage your listings.'
+
+export const buildSiweMessage = ({ domain, address, statement = SIWE_STATEMENT, uri, chainId, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ]
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`)
+  return lines.join('\n')
+}
+
+const FIELD_KEYS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime'
+}
+
+// Returns null when the text is not a well-formed EIP-4361 message
+export const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') return null
+  const lines = message.split('\n')
+  if (!lines[0]?.endsWith(HEADER_SUFFIX) || lines[2] !== '') return null
+
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: lines[3]
+  }
+
+  for (const line of lines.slice(5)) {
+    const separator = line.indexOf(': ')
+    const key = FIELD_KEYS[line.slice(0, separator)]
+    if (separator === -1 || !key) return null
+    parsed[key] = line.slice(separator + 2)
+  }
+
+  if (!parsed.domain || !/^0x[0-9a-fA-F]{40}$/.test(parsed.address)) return null
+  if (parsed.version !== '1' || !parsed.uri || !parsed.nonce || !parsed.issuedAt) return null
+  parsed.chainId = Number(parsed.chainId)
+  return parsed
+}
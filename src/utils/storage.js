@@ -1,29 +1,149 @@
 /**
  * MPH NFT Marketplace - Storage Utility
- * Uses remote JSON server API with localStorage fallback
+ * Uses remote JSON server API with localStorage fallback; listing changes made
+ * while the API is down are queued in an outbox and replayed by syncOutbox().
+ * Listings from every chain share one store and carry chainId + marketplace.
  */
 
+import { SIGNED_LISTING_FIELDS } from './constants'
+import { buildSiweMessage } from './siwe'
+import { parseListingQuery, runListingQuery, ListingQueryError } from './listingQuery'
+import { MARKETS, getListingMarket } from './markets'
+import { getActivityId, parseActivityQuery, runActivityQuery, ActivityError } from './activity'
+
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001'
 
+// Thrown when the API is reachable but refuses a listing (bad signature, stale nonce, expired).
+// These must not fall back to localStorage, otherwise the rejected order would still show up locally.
+export class ListingRejectedError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.name = 'ListingRejectedError'
+    this.status = status
+  }
+}
+
+const rejectIfRefused = async (res) => {
+  // The service keeps sessions in memory, so a restart invalidates the stored token
+  if (res.status === 401) localStorage.removeItem(SESSION_KEY)
+  if (res.status >= 400 && res.status < 500) {
+    const body = await res.json().catch(() => ({}))
+    throw new ListingRejectedError(body.error || 'Listing rejected by API', res.status)
+  }
+}
+
+// Listing ids are the EIP-712 digest of the signed order (see signApproval in App.jsx),
+// which is what makes re-submitting the same order idempotent
+const requireOrderHash = (listing) => {
+  if (!/^0x[0-9a-f]{64}$/i.test(listing.id ?? '')) {
+    throw new ListingRejectedError('Listing id must be the EIP-712 order hash')
+  }
+  return listing.id.toLowerCase()
+}
+
+const toQueryParams = (filters) =>
+  new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+
+// An edit that touches signed terms must carry the new signature for those terms
+const assertSignedUpdate = (updates) => {
+  const changed = SIGNED_LISTING_FIELDS.filter(field => field in updates)
+  if (changed.length > 0 && !updates.signature) {
+    throw new ListingRejectedError(`Changing ${changed.join(', ')} requires a new signature`)
+  }
+}
+
+// ============================================
+// SESSIONS (Sign-In With Ethereum)
+// ============================================
+
+const SESSION_KEY = 'mph_session'
+const SESSION_DURATION = 24 * 60 * 60 * 1000
+
+export const getSession = () => {
+  const data = localStorage.getItem(SESSION_KEY)
+  const session = data ? JSON.parse(data) : null
+  if (!session || session.expiresAt <= Date.now()) return null
+  return session
+}
+
+export const hasSession = (address) => getSession()?.address.toLowerCase() === address?.toLowerCase()
+
+const authHeaders = () => {
+  const session = getSession()
+  return session ? { Authorization: `Bearer ${session.token}` } : {}
+}
+
+// Signs an EIP-4361 message and stores the session token. Returns null when the
+// API is unreachable, since the localStorage fallback needs no session.
+export const signIn = async (signer) => {
+  let nonce
+  try {
+    const res = await fetch(`${API_URL}/auth/nonce`)
+    if (!res.ok) throw new Error('API error')
+    nonce = (await res.json()).nonce
+  } catch (err) {
+    console.warn('API unavailable, skipping sign-in:', err.message)
+    return null
+  }
+
+  const address = await signer.getAddress()
+  const { chainId } = await signer.provider.getNetwork()
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address,
+    uri: window.location.origin,
+    chainId: Number(chainId),
+    nonce,
+    issuedAt: new Date().toISOString(),
+    expirationTime: new Date(Date.now() + SESSION_DURATION).toISOString()
+  })
+  const signature = await signer.signMessage(message)
+
+  const res = await fetch(`${API_URL}/auth/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, signature })
+  })
+  await rejectIfRefused(res)
+  if (!res.ok) throw new Error('API error')
+
+  const session = await res.json()
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  return session
+}
+
+export const signOut = async () => {
+  const headers = authHeaders()
+  localStorage.removeItem(SESSION_KEY)
+  try {
+    await fetch(`${API_URL}/auth/logout`, { method: 'POST', headers })
+  } catch (err) {
+    console.warn('Sign-out request failed:', err.message)
+  }
+}
+
 // ============================================
-// KARRAT LISTINGS (Main Chain)
+// LISTINGS (every chain; records carry chainId + marketplace)
 // ============================================
 
-export const getListings = async () => {
+// Optional exact-match filter, e.g. getListings({ marketplace: MARKETS.studiochain.marketplace })
+export const getListings = async (filter = {}) => {
   try {
-    const res = await fetch(`${API_URL}/listings`)
+    const res = await fetch(`${API_URL}/listings?${toQueryParams(filter)}`)
     if (!res.ok) throw new Error('API error')
     return await res.json()
   } catch (err) {
     console.warn('API unavailable, using localStorage:', err.message)
-    return getListingsLocal()
+    return getListingsLocal().filter(l =>
+      Object.entries(filter).every(([key, value]) => String(l[key] ?? '').toLowerCase() === String(value).toLowerCase())
+    )
   }
 }
 
 export const addListing = async (listing) => {
   const newListing = {
     ...listing,
-    id: Date.now(),
+    id: requireOrderHash(listing),
     createdAt: Date.now()
   }
   
@@ -33,42 +153,82 @@ export const addListing = async (listing) => {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(newListing)
     })
+    await rejectIfRefused(res)
     if (!res.ok) throw new Error('API error')
     return await res.json()
   } catch (err) {
-    console.warn('API unavailable, using localStorage:', err.message)
+    if (err instanceof ListingRejectedError) throw err
+    console.warn('API unavailable, queueing for sync:', err.message)
+    enqueue('create', newListing.id, newListing)
     return addListingLocal(newListing)
   }
 }
 
 export const updateListing = async (listingId, updates) => {
+  assertSignedUpdate(updates)
+  
   try {
     const res = await fetch(`${API_URL}/listings/${listingId}`, {
       method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
       body: JSON.stringify(updates)
     })
+    await rejectIfRefused(res)
     if (!res.ok) throw new Error('API error')
     return await res.json()
   } catch (err) {
-    console.warn('API unavailable, using localStorage:', err.message)
+    if (err instanceof ListingRejectedError) throw err
+    console.warn('API unavailable, queueing for sync:', err.message)
+    enqueue('update', listingId, updates)
     return updateListingLocal(listingId, updates)
   }
 }
 
+// Swaps a listing for the order the seller re-signed after delistToken. The cancel moves the
+// seller's nonce, so the sweeper may prune the old listing before the edit arrives; the new
+// order is then stored as a listing of its own rather than lost with the 404.
+export const replaceListing = async (listingId, updates) => {
+  try {
+    return await updateListing(listingId, updates)
+  } catch (err) {
+    if (!(err instanceof ListingRejectedError) || err.status !== 404) throw err
+    return addListing(updates)
+  }
+}
+
 export const removeListing = async (listingId) => {
   try {
     const res = await fetch(`${API_URL}/listings/${listingId}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders()
     })
+    await rejectIfRefused(res)
     if (!res.ok) throw new Error('API error')
     return true
   } catch (err) {
-    console.warn('API unavailable, using localStorage:', err.message)
+    if (err instanceof ListingRejectedError) throw err
+    console.warn('API unavailable, queueing for sync:', err.message)
+    enqueue('remove', listingId)
     return removeListingLocal(listingId)
   }
 }
 
+// Asks the service to re-read a listing's on-chain state (status, partial fills) now rather
+// than at the next sweep. Resolves to the updated listing, or null if it was pruned.
+// Offline, the caller's own reading of the chain is stored locally instead.
+export const refreshListing = async (listingId, onChain = {}) => {
+  try {
+    const res = await fetch(`${API_URL}/listings/${listingId}/refresh`, { method: 'POST' })
+    await rejectIfRefused(res)
+    if (!res.ok) throw new Error('API error')
+    return res.status === 204 ? null : await res.json()
+  } catch (err) {
+    if (err instanceof ListingRejectedError) throw err
+    console.warn('API unavailable, updating localStorage:', err.message)
+    return updateListingLocal(listingId, onChain)
+  }
+}
+
 export const getListingById = async (listingId) => {
   try {
     const res = await fetch(`${API_URL}/listings/${listingId}`)
@@ -92,66 +252,92 @@ export const getListingsBySeller = async (sellerAddress) => {
 }
 
 // ============================================
-// STUDIOCHAIN LISTINGS (Native ETH)
+// MARKET QUERY (all chains)
 // ============================================
 
-export const getStudioChainListings = async () => {
+/**
+ * Filtered, sorted page of listings from every chain; items also carry their market's `currency`.
+ * @param {Object} filters - tokenId, tier, rarity, currency, seller, minPrice, maxPrice, active, sort, limit, cursor
+ * @returns {Promise<{ items: Array, nextCursor: string|null, total: number }>}
+ */
+export const queryListings = async (filters = {}) => {
+  const params = toQueryParams(filters)
   try {
-    const res = await fetch(`${API_URL}/studiochain_listings`)
+    const res = await fetch(`${API_URL}/market?${params}`)
+    if (res.status === 400) throw new ListingQueryError((await res.json()).error)
     if (!res.ok) throw new Error('API error')
     return await res.json()
   } catch (err) {
+    if (err instanceof ListingQueryError) throw err
     console.warn('API unavailable, using localStorage:', err.message)
-    return getStudioChainListingsLocal()
+    return queryListingsLocal(params)
   }
 }
 
-export const addStudioChainListing = async (listing) => {
-  const newListing = {
-    ...listing,
-    id: Date.now(),
-    createdAt: Date.now()
-  }
-  
+// Next page of the same query, using the cursor from the previous result
+export const queryMoreListings = (filters, previous) => queryListings({ ...filters, cursor: previous.nextCursor })
+
+// ============================================
+// OFFERS (KARRAT marketplace only)
+// ============================================
+
+// Unlike listings, offers are not kept locally while the API is down: an offer only the
+// buyer's browser knows about can't reach any seller
+export const getOffers = async (filter = {}) => {
   try {
-    const res = await fetch(`${API_URL}/studiochain_listings`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(newListing)
-    })
+    const res = await fetch(`${API_URL}/offers?${toQueryParams(filter)}`)
     if (!res.ok) throw new Error('API error')
     return await res.json()
   } catch (err) {
-    console.warn('API unavailable, using localStorage:', err.message)
-    return addStudioChainListingLocal(newListing)
+    console.warn('API unavailable, no offers to show:', err.message)
+    return []
   }
 }
 
-export const updateStudioChainListing = async (listingId, updates) => {
+export const addOffer = async (offer) => {
+  const newOffer = { ...offer, id: requireOrderHash(offer), createdAt: Date.now() }
+
+  let res
   try {
-    const res = await fetch(`${API_URL}/studiochain_listings/${listingId}`, {
-      method: 'PATCH',
+    res = await fetch(`${API_URL}/offers`, {
+      method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(updates)
+      body: JSON.stringify(newOffer)
     })
-    if (!res.ok) throw new Error('API error')
-    return await res.json()
+  } catch {
+    throw new ListingRejectedError('The listing service is unreachable, so the offer could not be sent')
+  }
+  await rejectIfRefused(res)
+  if (!res.ok) throw new ListingRejectedError('The listing service could not store the offer')
+  return await res.json()
+}
+
+// After cancelOffer or acceptOffer the offer is dead on-chain; the sweeper prunes it
+// anyway, so a failed delete only leaves it visible a little longer
+export const removeOffer = async (offerId) => {
+  try {
+    const res = await fetch(`${API_URL}/offers/${offerId}`, { method: 'DELETE', headers: authHeaders() })
+    await rejectIfRefused(res)
+    return res.ok
   } catch (err) {
-    console.warn('API unavailable, using localStorage:', err.message)
-    return updateStudioChainListingLocal(listingId, updates)
+    if (err instanceof ListingRejectedError) throw err
+    console.warn('API unavailable, offer will be pruned by the service:', err.message)
+    return false
   }
 }
 
-export const removeStudioChainListing = async (listingId) => {
+// Re-reads a collection offer's `filled` count after a holder took part of it.
+// Resolves to the updated offer, or null once the service pruned it.
+export const refreshOffer = async (offerId) => {
   try {
-    const res = await fetch(`${API_URL}/studiochain_listings/${listingId}`, {
-      method: 'DELETE'
-    })
+    const res = await fetch(`${API_URL}/offers/${offerId}/refresh`, { method: 'POST' })
+    await rejectIfRefused(res)
     if (!res.ok) throw new Error('API error')
-    return true
+    return res.status === 204 ? null : await res.json()
   } catch (err) {
-    console.warn('API unavailable, using localStorage:', err.message)
-    return removeStudioChainListingLocal(listingId)
+    if (err instanceof ListingRejectedError) throw err
+    console.warn('API unavailable, offer will be refreshed by the sweeper:', err.message)
+    return null
   }
 }
 
@@ -174,27 +360,116 @@ export const saveSignature = async (sigData) => {
   }
 }
 
-export const saveTransaction = async (tx) => {
+// Records a primary buy, secondary buy, cancel or listing for the activity feed.
+// Entries made while the API is down are kept locally and re-sent by syncActivity().
+export const saveTransaction = async (entry) => {
+  const record = { ...entry, id: getActivityId(entry), timestamp: Date.now() }
   try {
     const res = await fetch(`${API_URL}/transactions`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ...tx, id: Date.now(), timestamp: Date.now() })
+      body: JSON.stringify(record)
     })
+    if (res.status >= 400 && res.status < 500) {
+      const body = await res.json().catch(() => ({}))
+      console.warn('Transaction rejected:', body.error)
+      return null
+    }
     if (!res.ok) throw new Error('API error')
     return await res.json()
   } catch (err) {
-    console.warn('Transaction logging failed:', err.message)
-    return null
+    console.warn('Transaction logging failed, keeping it locally:', err.message)
+    saveActivityLocal(record)
+    return record
   }
 }
 
+// Global feed, or one wallet's history with { wallet }. Offline, only this browser's entries are shown.
+export const getActivity = async (filters = {}) => {
+  const params = toQueryParams(filters)
+  try {
+    const res = await fetch(`${API_URL}/activity?${params}`)
+    if (res.status === 400) {
+      const body = await res.json().catch(() => ({}))
+      throw new ActivityError(body.error || 'Invalid activity query')
+    }
+    if (!res.ok) throw new Error('API error')
+    const result = await res.json()
+    if (filters.cursor) return result
+    // Entries still waiting to be sent are not on the server yet, so show them on top
+    const pending = runActivityQuery(getActivityLocal(), parseActivityQuery(params)).items
+    return { ...result, items: mergeActivity(pending, result.items) }
+  } catch (err) {
+    if (err instanceof ActivityError) throw err
+    console.warn('API unavailable, using localStorage:', err.message)
+    return runActivityQuery(getActivityLocal(), parseActivityQuery(params))
+  }
+}
+
+// Next page of the same feed, using the cursor from the previous result
+export const getMoreActivity = (filters, previous) => getActivity({ ...filters, cursor: previous.nextCursor })
+
+export const syncActivity = async () => {
+  const pending = getActivityLocal()
+  if (pending.length === 0) return 0
+
+  const remaining = []
+  for (const record of pending) {
+    try {
+      const res = await fetch(`${API_URL}/transactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(record)
+      })
+      // Server errors are retried; anything else the API answered for is done
+      if (res.status >= 500) remaining.push(record)
+    } catch {
+      remaining.push(record)
+    }
+  }
+  localStorage.setItem(ACTIVITY_KEY, JSON.stringify(remaining))
+  return pending.length - remaining.length
+}
+
+// ============================================
+// CART (this browser only)
+// ============================================
+
+const CART_KEY = 'mph_cart'
+
+export const getCart = () => {
+  const data = localStorage.getItem(CART_KEY)
+  return data ? JSON.parse(data) : []
+}
+
+export const saveCart = (cart) => {
+  localStorage.setItem(CART_KEY, JSON.stringify(cart))
+}
+
+// Primary-sale items per market key: { karrat: [{ tierName, tokenId, amount }], studiochain: [...] }
+const PRIMARY_CART_KEY = 'mph_primary_cart'
+
+export const getPrimaryCarts = () => {
+  const data = localStorage.getItem(PRIMARY_CART_KEY)
+  return data ? JSON.parse(data) : { karrat: [], studiochain: [] }
+}
+
+export const savePrimaryCarts = (carts) => {
+  localStorage.setItem(PRIMARY_CART_KEY, JSON.stringify(carts))
+}
+
 // ============================================
 // LOCAL STORAGE FALLBACK
 // ============================================
 
 const LISTINGS_KEY = 'mph_listings'
-const STUDIOCHAIN_KEY = 'mph_studiochain_listings'
+const ACTIVITY_KEY = 'mph_activity'
+
+const assertNewSignature = (listing, updates) => {
+  if (updates.signature && updates.signature === listing.signature && SIGNED_LISTING_FIELDS.some(f => f in updates && updates[f] !== listing[f])) {
+    throw new ListingRejectedError('Listing terms changed but the signature did not')
+  }
+}
 
 const getListingsLocal = () => {
   const data = localStorage.getItem(LISTINGS_KEY)
@@ -203,6 +478,8 @@ const getListingsLocal = () => {
 
 const addListingLocal = (listing) => {
   const listings = getListingsLocal()
+  const existing = listings.find(l => l.id === listing.id)
+  if (existing) return existing
   listings.push(listing)
   localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings))
   return listing
@@ -212,6 +489,7 @@ const updateListingLocal = (listingId, updates) => {
   const listings = getListingsLocal()
   const index = listings.findIndex(l => l.id === listingId)
   if (index !== -1) {
+    assertNewSignature(listings[index], updates)
     listings[index] = { ...listings[index], ...updates }
     localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings))
     return listings[index]
@@ -236,36 +514,197 @@ const getListingsBySellerLocal = (sellerAddress) => {
   return listings.filter(l => l.seller?.toLowerCase() === sellerAddress.toLowerCase())
 }
 
-const getStudioChainListingsLocal = () => {
-  const data = localStorage.getItem(STUDIOCHAIN_KEY)
+const getActivityLocal = () => {
+  const data = localStorage.getItem(ACTIVITY_KEY)
   return data ? JSON.parse(data) : []
 }
 
-const addStudioChainListingLocal = (listing) => {
-  const listings = getStudioChainListingsLocal()
-  listings.push(listing)
-  localStorage.setItem(STUDIOCHAIN_KEY, JSON.stringify(listings))
-  return listing
+const saveActivityLocal = (record) => {
+  const entries = getActivityLocal().filter(e => e.id !== record.id)
+  localStorage.setItem(ACTIVITY_KEY, JSON.stringify([...entries, record]))
 }
 
-const updateStudioChainListingLocal = (listingId, updates) => {
-  const listings = getStudioChainListingsLocal()
-  const index = listings.findIndex(l => l.id === listingId)
-  if (index !== -1) {
-    listings[index] = { ...listings[index], ...updates }
-    localStorage.setItem(STUDIOCHAIN_KEY, JSON.stringify(listings))
-    return listings[index]
+const mergeActivity = (pending, items) => {
+  const ids = new Set(items.map(e => e.id))
+  return [...pending.filter(e => !ids.has(e.id)), ...items].sort((a, b) => b.timestamp - a.timestamp)
+}
+
+// Tier filters need the chain, so they are ignored offline
+const queryListingsLocal = (params) => {
+  const listings = getListingsLocal().map(l => ({ ...l, currency: getListingMarket(l)?.currency }))
+  return runListingQuery(listings, parseListingQuery(params))
+}
+
+// ============================================
+// OUTBOX (changes made while the API was down)
+// ============================================
+
+const OUTBOX_KEY = 'mph_outbox'
+export const OUTBOX_EVENT = 'mph-outbox-change'
+
+export const getOutbox = () => {
+  const data = localStorage.getItem(OUTBOX_KEY)
+  return data ? JSON.parse(data) : []
+}
+
+const saveOutbox = (ops) => {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(ops))
+  window.dispatchEvent(new Event(OUTBOX_EVENT))
+}
+
+// Re-signing a listing changes its id, so a queued edit answers to both the old and the new one
+const opListingIds = (op) => [op.listingId, op.payload?.id].filter(id => id !== undefined).map(String)
+
+// Changes to the same listing are folded together so replay sends at most one
+// request per listing, in the order the listings were first touched.
+const enqueue = (action, listingId, payload = null) => {
+  const ops = getOutbox()
+  const sameListing = op => opListingIds(op).includes(String(listingId))
+  const pending = ops.find(sameListing)
+  const op = { id: `${listingId}:${Date.now()}`, action, listingId, payload, queuedAt: Date.now() }
+
+  if (action === 'remove') {
+    const others = ops.filter(op => !sameListing(op))
+    // A listing that never reached the API has nothing to delete there; one edited
+    // offline is still stored under its old id
+    if (pending?.action === 'update') others.push({ ...op, listingId: pending.listingId })
+    else if (pending?.action !== 'create') others.push(op)
+    saveOutbox(others)
+    return
   }
-  return null
+
+  if (action === 'update' && pending && pending.action !== 'remove') {
+    pending.payload = { ...pending.payload, ...payload }
+  } else {
+    ops.push(op)
+  }
+  saveOutbox(ops)
 }
 
-const removeStudioChainListingLocal = (listingId) => {
-  const listings = getStudioChainListingsLocal()
-  const filtered = listings.filter(l => l.id !== listingId)
-  localStorage.setItem(STUDIOCHAIN_KEY, JSON.stringify(filtered))
-  return true
+const replay = (op) => {
+  const url = `${API_URL}/listings`
+  if (op.action === 'create') {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(op.payload)
+    })
+  }
+  if (op.action === 'update') {
+    return fetch(`${url}/${op.listingId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(op.payload)
+    })
+  }
+  return fetch(`${url}/${op.listingId}`, { method: 'DELETE', headers: authHeaders() })
+}
+
+// Once the API has answered for a listing, its local copy is no longer the source of truth
+const forgetLocal = (op) => {
+  const listings = getListingsLocal()
+  localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings.filter(l => !opListingIds(op).includes(String(l.id)))))
+}
+
+const conflictReason = async (op, res) => {
+  if (res.status === 404) return 'Listing was already sold or cancelled'
+  const body = await res.json().catch(() => ({}))
+  return body.error || `Rejected by API (${res.status})`
 }
 
+/**
+ * Replays queued changes against the API.
+ * Changes the API refuses for good (listing gone, stale nonce, expired) are dropped
+ * and returned as conflicts; anything blocked on the network or a session stays queued.
+ * @returns {{ synced: number, pending: number, conflicts: Array, offline: boolean, needsSignIn: boolean }}
+ */
+export const syncOutbox = async () => {
+  const ops = getOutbox()
+  const result = { synced: 0, pending: 0, conflicts: [], offline: false, needsSignIn: false }
+  const remaining = []
+
+  for (const op of ops) {
+    if (result.offline) {
+      remaining.push(op)
+      continue
+    }
+
+    let res
+    try {
+      res = await replay(op)
+    } catch (err) {
+      console.warn('API still unavailable, keeping outbox:', err.message)
+      result.offline = true
+      remaining.push(op)
+      continue
+    }
+
+    const alreadyApplied = (op.action === 'create' && res.status === 409) || (op.action === 'remove' && res.status === 404)
+    if (res.ok || alreadyApplied) {
+      result.synced++
+      forgetLocal(op)
+    } else if (res.status === 401 || res.status === 403) {
+      if (res.status === 401) localStorage.removeItem(SESSION_KEY)
+      result.needsSignIn = true
+      remaining.push(op)
+    } else if (res.status >= 500) {
+      result.offline = true
+      remaining.push(op)
+    } else {
+      result.conflicts.push({ ...op, reason: await conflictReason(op, res) })
+      forgetLocal(op)
+    }
+  }
+
+  // Keep anything queued while the replay was in flight
+  const added = getOutbox().filter(op => !ops.some(o => o.id === op.id))
+  saveOutbox([...remaining, ...added])
+  result.pending = remaining.length + added.length
+  return result
+}
+
+// ============================================
+// MIGRATION (two-collection layout)
+// ============================================
+
+// StudioChain orders used to live under their own key, and outbox entries named the
+// collection they belonged to. Folds both into the shared layout once the StudioChain
+// marketplace is configured, filling in each listing's marketplace and chainId; safe to run repeatedly.
+const LEGACY_STUDIOCHAIN_KEY = 'mph_studiochain_listings'
+
+const LEGACY_MARKETS = { listings: MARKETS.karrat, studiochain_listings: MARKETS.studiochain }
+
+// A listing's own marketplace wins over the market of the collection it was stored in
+const tag = (fallback) => (listing) => {
+  const market = listing.marketplace ? getListingMarket(listing) : fallback
+  return {
+    ...listing,
+    marketplace: listing.marketplace || market.marketplace || undefined,
+    chainId: listing.chainId ?? market?.chainId
+  }
+}
+
+const migrateLocalListings = () => {
+  const ready = (collection) => Boolean(LEGACY_MARKETS[collection].marketplace)
+
+  const legacy = ready('studiochain_listings') ? JSON.parse(localStorage.getItem(LEGACY_STUDIOCHAIN_KEY) || '[]') : []
+  const listings = getListingsLocal()
+  const tagged = [...listings.map(tag(MARKETS.karrat)), ...legacy.map(tag(MARKETS.studiochain))]
+  if (JSON.stringify(tagged) !== JSON.stringify(listings)) localStorage.setItem(LISTINGS_KEY, JSON.stringify(tagged))
+  if (ready('studiochain_listings')) localStorage.removeItem(LEGACY_STUDIOCHAIN_KEY)
+
+  // Entries queued for a market that is not configured yet keep their collection until it is
+  const ops = getOutbox()
+  const migrated = ops.map(({ collection, ...op }) => {
+    if (!collection) return op
+    if (!ready(collection)) return { ...op, collection }
+    return op.action === 'create' ? { ...op, payload: tag(LEGACY_MARKETS[collection])(op.payload) } : op
+  })
+  if (JSON.stringify(migrated) !== JSON.stringify(ops)) saveOutbox(migrated)
+}
+
+migrateLocalListings()
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -287,5 +726,9 @@ export const formatETH = (wei) => {
 
 export const clearAllData = () => {
   localStorage.removeItem(LISTINGS_KEY)
-  localStorage.removeItem(STUDIOCHAIN_KEY)
+  localStorage.removeItem(SESSION_KEY)
+  localStorage.removeItem(OUTBOX_KEY)
+  localStorage.removeItem(ACTIVITY_KEY)
+  localStorage.removeItem(CART_KEY)
+  localStorage.removeItem(PRIMARY_CART_KEY)
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { getMarketByKey } from '../server/chains.js'
+import { MARKETPLACE, NFT, ALICE as SELLER, BOB as BUYER, useTempDb, stubMarket } from './helpers.js'
+
+const ORDER_HASH = ethers.id('order')
+const BLOCK_TIME = 1700000000
+
+const { getCollection, insertRecord } = await useTempDb('activity')
+const { prepareActivity, queryActivity } = await import('../server/activity.js')
+
+const market = getMarketByKey('karrat')
+
+// Receipts the chain would return, by tx hash
+const receipts = new Map()
+
+const log = (name, args) => ({ address: MARKETPLACE, ...market.events.encodeEventLog(name, args) })
+
+const mine = (logs, { status = 1 } = {}) => {
+  const hash = ethers.hexlify(ethers.randomBytes(32))
+  receipts.set(hash, { hash, status, from: BUYER, blockNumber: 1, logs, getBlock: async () => ({ timestamp: BLOCK_TIME }) })
+  return hash
+}
+
+const sale = (overrides = {}) => ({ type: 'secondary_buy', chainId: 31337, nftContract: NFT, tokenId: 1, amount: 1, ...overrides })
+
+describe('prepareActivity', () => {
+  before(() => {
+    stubMarket('karrat', { provider: { waitForTransaction: async (hash) => receipts.get(hash) ?? null } })
+  })
+
+  beforeEach(() => {
+    getCollection('listings').length = 0
+    insertRecord('listings', {
+      id: ORDER_HASH,
+      chainId: 31337,
+      marketplace: MARKETPLACE,
+      seller: SELLER,
+      nftContract: NFT,
+      tokenId: 1,
+      amount: 3,
+      price: '1.0',
+      priceWei: ethers.parseEther('1').toString(),
+      deadline: 2000000000,
+      createdAt: 1234
+    })
+  })
+
+  it('rebuilds a purchase from the NFTBought event, whatever the app posted', async () => {
+    const txHash = mine([log('NFTBought', [NFT, 1, BUYER, SELLER, 2, ethers.parseEther('3')])])
+
+    const entry = await prepareActivity(sale({ txHash, amount: 50, priceWei: '1', buyer: SELLER }))
+    assert.deepEqual(entry, {
+      type: 'secondary_buy',
+      txHash,
+      tokenId: 1,
+      marketplace: MARKETPLACE,
+      currency: 'KARRAT',
+      amount: 2,
+      price: '1.5',
+      priceWei: ethers.parseEther('1.5').toString(),
+      buyer: BUYER,
+      seller: SELLER,
+      chainId: 31337,
+      timestamp: BLOCK_TIME * 1000,
+      id: `secondary_buy:${txHash}:1`
+    })
+  })
+
+  it('rejects transactions that are unknown, reverted or bought something else', async () => {
+    await assert.rejects(prepareActivity(sale({ txHash: ethers.id('missing') })), { status: 400, message: /was not found on chain 31337/ })
+
+    const reverted = mine([log('NFTBought', [NFT, 1, BUYER, SELLER, 1, 1])], { status: 0 })
+    await assert.rejects(prepareActivity(sale({ txHash: reverted })), { status: 400, message: `Transaction ${reverted} reverted` })
+
+    const other = mine([log('NFTBought', [NFT, 2, BUYER, SELLER, 1, 1])])
+    await assert.rejects(prepareActivity(sale({ txHash: other })), { status: 400, message: 'The transaction did not buy token 1' })
+
+    const otherSeller = mine([log('NFTBought', [NFT, 1, BUYER, SELLER, 1, 1])])
+    await assert.rejects(prepareActivity(sale({ txHash: otherSeller, seller: BUYER })), { status: 400, message: 'The transaction did not buy token 1' })
+  })
+
+  it('rejects chains without a configured marketplace', async () => {
+    await assert.rejects(prepareActivity(sale({ chainId: 1, txHash: ethers.id('tx') })), { status: 400, message: 'No marketplace is configured on chain 1' })
+  })
+
+  it('records listings from the stored order', async () => {
+    const entry = await prepareActivity({ type: 'listing', chainId: 1, orderHash: ORDER_HASH, nftContract: NFT, tokenId: 9, amount: 1, priceWei: '1', seller: BUYER })
+
+    assert.equal(entry.id, `listing:${ORDER_HASH}:1`)
+    assert.equal(entry.chainId, 31337)
+    assert.equal(entry.seller, SELLER)
+    assert.equal(entry.amount, 3)
+    assert.equal(entry.priceWei, ethers.parseEther('1').toString())
+    assert.equal(entry.timestamp, 1234)
+
+    await assert.rejects(
+      prepareActivity({ type: 'listing', chainId: 31337, orderHash: ethers.id('unknown'), nftContract: NFT, tokenId: 1, amount: 1 }),
+      { status: 400, message: /No stored listing or offer/ }
+    )
+  })
+
+  it('records a cancel only when the order owner cancelled it', async () => {
+    const cancel = (txHash) => prepareActivity({ type: 'cancel', txHash, orderHash: ORDER_HASH, chainId: 31337, nftContract: NFT, tokenId: 1, amount: 1 })
+
+    const delisted = mine([log('ListingCancelled', [NFT, 1, SELLER, 1])])
+    assert.equal((await cancel(delisted)).seller, SELLER)
+
+    const cancelledAll = mine([log('CounterIncremented', [SELLER, 1])])
+    assert.equal((await cancel(cancelledAll)).priceWei, ethers.parseEther('1').toString())
+
+    const someoneElse = mine([log('ListingCancelled', [NFT, 1, BUYER, 1])])
+    await assert.rejects(cancel(someoneElse), { status: 400, message: `The transaction did not cancel order ${ORDER_HASH}` })
+  })
+
+  it('rejects malformed entries before touching the chain', async () => {
+    await assert.rejects(prepareActivity(sale({ type: 'gift' })), { status: 400, message: 'Unknown activity type "gift"' })
+    await assert.rejects(prepareActivity(sale()), { status: 400, message: 'txHash must be a transaction hash' })
+    await assert.rejects(prepareActivity(sale({ txHash: ethers.id('tx'), nftContract: undefined })), { status: 400, message: 'Missing field: nftContract' })
+  })
+})
+
+describe('queryActivity', () => {
+  before(() => {
+    getCollection('transactions').length = 0
+    const entries = [
+      { id: 'a', type: 'secondary_buy', chainId: 31337, buyer: BUYER, seller: SELLER, timestamp: 3 },
+      { id: 'b', type: 'listing', chainId: 31337, seller: SELLER, timestamp: 2 },
+      { id: 'c', type: 'primary_buy', chainId: 616, buyer: BUYER, timestamp: 2 },
+      { id: 'd', type: 'cancel', chainId: 31337, seller: BUYER, timestamp: 1 }
+    ]
+    for (const entry of entries) insertRecord('transactions', entry)
+  })
+
+  const query = (params) => queryActivity(new URLSearchParams(params))
+  const ids = (page) => page.items.map(e => e.id)
+
+  it('lists entries newest first, ties by id', () => {
+    assert.deepEqual(ids(query({})), ['a', 'b', 'c', 'd'])
+  })
+
+  it('filters by wallet, type and chain', () => {
+    assert.deepEqual(ids(query({ wallet: SELLER.toLowerCase() })), ['a', 'b'])
+    assert.deepEqual(ids(query({ wallet: BUYER, type: 'primary_buy,cancel' })), ['c', 'd'])
+    assert.deepEqual(ids(query({ chainId: '616' })), ['c'])
+  })
+
+  it('pages with the cursor', () => {
+    const first = query({ limit: '3' })
+    assert.deepEqual(ids(first), ['a', 'b', 'c'])
+    const second = query({ limit: '3', cursor: first.nextCursor })
+    assert.deepEqual(ids(second), ['d'])
+    assert.equal(second.nextCursor, null)
+  })
+
+  it('rejects bad parameters with a 400', () => {
+    assert.throws(() => query({ type: 'gift' }), { status: 400 })
+    assert.throws(() => query({ limit: 'all' }), { status: 400 })
+    assert.throws(() => query({ cursor: 'nope' }), { status: 400, message: 'Invalid cursor' })
+  })
+})
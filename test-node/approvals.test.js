@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ensureApprovalForAll } from '../src/utils/approvals.js'
+import { MARKETPLACE, ALICE } from './helpers.js'
+
+// An ERC-1155 collection that records the wallet prompts it gets
+const collection = (approved) => {
+  const calls = []
+  return {
+    calls,
+    isApprovedForAll: async (owner, operator) => {
+      calls.push(`isApprovedForAll ${owner} ${operator}`)
+      return approved
+    },
+    setApprovalForAll: async (operator, value) => {
+      calls.push(`setApprovalForAll ${operator} ${value}`)
+      return { wait: async () => calls.push('mined') }
+    }
+  }
+}
+
+describe('ensureApprovalForAll', () => {
+  it('sends nothing when the marketplace is already approved', async () => {
+    const nft = collection(true)
+
+    assert.equal(await ensureApprovalForAll(nft, ALICE, MARKETPLACE, () => nft.calls.push('prompt')), false)
+    assert.deepEqual(nft.calls, [`isApprovedForAll ${ALICE} ${MARKETPLACE}`])
+  })
+
+  it('tells the seller, then approves the marketplace and waits for it to be mined', async () => {
+    const nft = collection(false)
+
+    assert.equal(await ensureApprovalForAll(nft, ALICE, MARKETPLACE, () => nft.calls.push('prompt')), true)
+    assert.deepEqual(nft.calls, [`isApprovedForAll ${ALICE} ${MARKETPLACE}`, 'prompt', `setApprovalForAll ${MARKETPLACE} true`, 'mined'])
+  })
+
+  it('stops the listing flow when the seller rejects the approval', async () => {
+    const nft = collection(false)
+    nft.setApprovalForAll = async () => { throw Object.assign(new Error('user rejected action'), { code: 'ACTION_REJECTED' }) }
+
+    await assert.rejects(ensureApprovalForAll(nft, ALICE, MARKETPLACE), { code: 'ACTION_REJECTED' })
+  })
+})
@@ -0,0 +1,256 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { buildSiweMessage } from '../src/utils/siwe.js'
+import { MARKETPLACE, NFT, useTempDb, stubMarket } from './helpers.js'
+
+const seller = ethers.Wallet.createRandom()
+const buyer = ethers.Wallet.createRandom()
+const admin = ethers.Wallet.createRandom()
+const stranger = ethers.Wallet.createRandom()
+
+process.env.SIWE_DOMAIN = 'market.test'
+process.env.ADMIN_ADDRESSES = admin.address
+
+const { getCollection, insertRecord, findRecord } = await useTempDb('auth')
+const { SESSION_COOKIE, issueNonce, createSession, getSession } = await import('../server/auth.js')
+const { server } = await import('../server/index.js')
+
+// The marketplace as the chain would report it, without an RPC
+const chain = {}
+
+const HOUR = 60 * 60 * 1000
+
+const signIn = async (wallet, overrides = {}, signer = wallet) => {
+  const message = buildSiweMessage({
+    domain: 'market.test',
+    address: wallet.address,
+    uri: 'https://market.test',
+    chainId: 31337,
+    nonce: issueNonce(),
+    issuedAt: new Date().toISOString(),
+    expirationTime: new Date(Date.now() + HOUR).toISOString(),
+    ...overrides
+  })
+  return createSession({ message, signature: await signer.signMessage(message) })
+}
+
+before(() => {
+  stubMarket('karrat', {
+    marketplace: {
+      nonces: async () => chain.nonce,
+      counters: async () => 0n,
+      offerNonces: async () => chain.offerNonce
+    }
+  })
+})
+
+beforeEach(() => {
+  Object.assign(chain, { nonce: 0n, offerNonce: 0n })
+})
+
+describe('createSession', () => {
+  it('signs the wallet in until the message expires', async () => {
+    const session = await signIn(seller)
+
+    assert.equal(session.address, seller.address)
+    assert.equal(session.isAdmin, false)
+    assert.ok(Math.abs(session.expiresAt - (Date.now() + HOUR)) < 1000)
+    assert.match(session.token, /^[0-9a-f]{64}$/)
+  })
+
+  it('caps a session at a day whatever the message asks for', async () => {
+    const session = await signIn(seller, { expirationTime: new Date(Date.now() + 30 * 24 * HOUR).toISOString() })
+    assert.ok(session.expiresAt <= Date.now() + 24 * HOUR)
+  })
+
+  it('accepts each nonce once', async () => {
+    const nonce = issueNonce()
+    await signIn(seller, { nonce })
+    await assert.rejects(signIn(seller, { nonce }), { status: 401, message: 'Unknown or expired nonce' })
+    await assert.rejects(signIn(seller, { nonce: 'made-up' }), { status: 401, message: 'Unknown or expired nonce' })
+  })
+
+  it('rejects a nonce older than five minutes', async (t) => {
+    const nonce = issueNonce()
+    const later = Date.now() + 6 * 60 * 1000
+    t.mock.method(Date, 'now', () => later)
+
+    await assert.rejects(signIn(seller, { nonce, expirationTime: undefined }), { status: 401, message: 'Unknown or expired nonce' })
+  })
+
+  it('rejects messages for another site', async () => {
+    await assert.rejects(signIn(seller, { domain: 'evil.test' }), {
+      status: 401,
+      message: 'Sign-in message is for evil.test, expected market.test'
+    })
+    await assert.rejects(signIn(seller, { uri: 'https://evil.test/market.test' }), {
+      status: 401,
+      message: 'Sign-in message URI https://evil.test/market.test is not on market.test'
+    })
+  })
+
+  it('rejects chains without a configured marketplace', async () => {
+    await assert.rejects(signIn(seller, { chainId: 1 }), {
+      status: 401,
+      message: 'Sign-in message is for chain 1, expected one of 31337'
+    })
+  })
+
+  it('rejects a message past its expiration time', async () => {
+    await assert.rejects(signIn(seller, { expirationTime: new Date(Date.now() - 1000).toISOString() }), {
+      status: 401,
+      message: 'Sign-in message has expired'
+    })
+  })
+
+  it('rejects a message signed by another wallet', async () => {
+    await assert.rejects(signIn(seller, {}, stranger), { status: 401, message: 'Signature does not match the sign-in address' })
+  })
+
+  it('rejects malformed messages and signatures', async () => {
+    await assert.rejects(createSession({ message: 'hello', signature: '0x' }), { status: 400, message: 'Malformed sign-in message' })
+
+    const message = buildSiweMessage({
+      domain: 'market.test',
+      address: seller.address,
+      uri: 'https://market.test',
+      chainId: 31337,
+      nonce: issueNonce(),
+      issuedAt: new Date().toISOString()
+    })
+    await assert.rejects(createSession({ message, signature: '0x1234' }), { status: 400, message: 'Malformed signature' })
+  })
+})
+
+describe('getSession', () => {
+  const request = (headers) => ({ headers })
+
+  it('reads the token from a Bearer header or the session cookie', async () => {
+    const { token } = await signIn(seller)
+
+    assert.equal(getSession(request({ authorization: `Bearer ${token}` })).address, seller.address)
+    assert.equal(getSession(request({ cookie: `theme=dark; ${SESSION_COOKIE}=${token}` })).address, seller.address)
+    assert.equal(getSession(request({ authorization: `Bearer ${'0'.repeat(64)}` })), null)
+    assert.equal(getSession(request({})), null)
+  })
+
+  it('drops a session once it expires', async (t) => {
+    const { token, expiresAt } = await signIn(seller)
+    t.mock.method(Date, 'now', () => expiresAt)
+
+    assert.equal(getSession(request({ authorization: `Bearer ${token}` })), null)
+    t.mock.restoreAll()
+    assert.equal(getSession(request({ authorization: `Bearer ${token}` })), null)
+  })
+})
+
+describe('listing and offer changes', () => {
+  const LISTING_ID = ethers.id('listing')
+  const OFFER_ID = ethers.id('offer')
+  const tokens = {}
+  let api
+
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    api = `http://127.0.0.1:${server.address().port}`
+    for (const [name, wallet] of Object.entries({ seller, buyer, admin, stranger })) {
+      tokens[name] = (await signIn(wallet)).token
+    }
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  beforeEach(() => {
+    getCollection('listings').length = 0
+    getCollection('offers').length = 0
+    insertRecord('listings', {
+      id: LISTING_ID,
+      chainId: 31337,
+      marketplace: MARKETPLACE,
+      seller: seller.address,
+      nftContract: NFT,
+      tokenId: 1,
+      amount: 1,
+      priceWei: '1000',
+      nonce: 0,
+      counter: 0,
+      deadline: Math.floor(Date.now() / 1000) + 3600
+    })
+    insertRecord('offers', {
+      id: OFFER_ID,
+      chainId: 31337,
+      marketplace: MARKETPLACE,
+      buyer: buyer.address,
+      nftContract: NFT,
+      tokenId: 1,
+      amount: 1,
+      priceWei: '1000',
+      nonce: 0,
+      deadline: Math.floor(Date.now() / 1000) + 3600
+    })
+  })
+
+  const send = (method, path, { as, cookie = false, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' }
+    if (as && cookie) headers.Cookie = `${SESSION_COOKIE}=${tokens[as]}`
+    else if (as) headers.Authorization = `Bearer ${tokens[as]}`
+    return fetch(`${api}${path}`, { method, headers, body: body && JSON.stringify(body) })
+  }
+
+  it('lets the seller and admins edit a listing', async () => {
+    assert.equal((await send('PATCH', `/listings/${LISTING_ID}`, { as: 'seller', body: { featured: true } })).status, 200)
+    assert.equal((await send('PATCH', `/listings/${LISTING_ID}`, { as: 'admin', cookie: true, body: { featured: false } })).status, 200)
+    assert.equal(findRecord('listings', LISTING_ID).featured, false)
+  })
+
+  it('turns away edits from anyone else', async () => {
+    const anonymous = await send('PATCH', `/listings/${LISTING_ID}`, { body: { featured: true } })
+    assert.equal(anonymous.status, 401)
+    assert.deepEqual(await anonymous.json(), { error: 'Sign in with Ethereum first' })
+
+    const other = await send('PATCH', `/listings/${LISTING_ID}`, { as: 'stranger', body: { featured: true } })
+    assert.equal(other.status, 403)
+    assert.deepEqual(await other.json(), { error: 'Only the seller or an admin can modify this listing' })
+
+    // A dead order is only removable by others, not editable
+    chain.nonce = 1n
+    assert.equal((await send('PATCH', `/listings/${LISTING_ID}`, { as: 'stranger', body: { featured: true } })).status, 403)
+    assert.equal(findRecord('listings', LISTING_ID).featured, undefined)
+  })
+
+  it('lets only the seller or an admin remove a live listing', async () => {
+    assert.equal((await send('DELETE', `/listings/${LISTING_ID}`)).status, 401)
+    assert.equal((await send('DELETE', `/listings/${LISTING_ID}`, { as: 'stranger' })).status, 403)
+    assert.equal((await send('DELETE', `/listings/${LISTING_ID}`, { as: 'admin' })).status, 200)
+    assert.equal(findRecord('listings', LISTING_ID), null)
+  })
+
+  it('lets anyone remove a listing that is dead on-chain', async () => {
+    chain.nonce = 1n
+    assert.equal((await send('DELETE', `/listings/${LISTING_ID}`)).status, 200)
+    assert.equal(findRecord('listings', LISTING_ID), null)
+  })
+
+  it('lets only the buyer or an admin withdraw a live offer', async () => {
+    assert.equal((await send('DELETE', `/offers/${OFFER_ID}`)).status, 401)
+    assert.equal((await send('DELETE', `/offers/${OFFER_ID}`, { as: 'seller' })).status, 403)
+    assert.equal((await send('DELETE', `/offers/${OFFER_ID}`, { as: 'buyer', cookie: true })).status, 200)
+    assert.equal(findRecord('offers', OFFER_ID), null)
+  })
+
+  it('lets anyone clear an offer that is dead on-chain', async () => {
+    chain.offerNonce = 1n
+    assert.equal((await send('DELETE', `/offers/${OFFER_ID}`, { as: 'stranger' })).status, 200)
+    assert.equal(findRecord('offers', OFFER_ID), null)
+  })
+
+  it('ends the session on sign-out', async () => {
+    const { token } = await signIn(stranger)
+    const headers = { Authorization: `Bearer ${token}` }
+
+    assert.equal((await fetch(`${api}/auth/session`, { headers })).status, 200)
+    await fetch(`${api}/auth/logout`, { method: 'POST', headers })
+    assert.equal((await fetch(`${api}/auth/session`, { headers })).status, 401)
+  })
+})
@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { NFT_ABI, LISTING_STATUS_REASONS } from '../src/utils/constants.js'
+import { MARKETPLACE as KARRAT_MARKET, ETH_MARKETPLACE as ETH_MARKET, NFT, ALICE, BOB, CAROL, fakeProvider } from './helpers.js'
+
+// markets.js reads the marketplace addresses when it loads
+const {
+  cartRejection, getCartQuote, toBatchArgs, findStaleItems, MAX_CART_ITEMS,
+  primaryCartRejection, addPrimaryItem, getPrimaryTotal, getPrimaryItemPrice, toBuyMultipleArgs, MAX_PRIMARY_TIERS
+} = await import('../src/utils/cart.js')
+
+let nextId = 0
+const listing = (overrides = {}) => ({
+  id: `listing-${++nextId}`,
+  marketplace: KARRAT_MARKET,
+  seller: ALICE,
+  nftContract: NFT,
+  tokenId: nextId,
+  amount: 1,
+  priceWei: ethers.parseEther('1').toString(),
+  nonce: 0,
+  counter: 0,
+  deadline: Math.floor(Date.now() / 1000) + 3600,
+  signature: '0x',
+  ...overrides
+})
+
+describe('cartRejection', () => {
+  it('accepts fill-or-kill listings from one marketplace', () => {
+    assert.equal(cartRejection([listing()], listing(), BOB), null)
+  })
+
+  it('turns away orders buyMultipleNFTs cannot fill', () => {
+    const item = listing()
+    assert.equal(cartRejection([item], item, BOB), 'Already in your cart')
+    assert.equal(cartRejection([], listing({ partial: true }), BOB), 'Partial-fill listings are bought on their own')
+    assert.equal(cartRejection([], listing({ dutch: true }), BOB), 'Dutch auctions are bought on their own')
+    assert.equal(cartRejection([], listing({ bulk: true }), BOB), 'Bulk-signed listings are bought on their own')
+    assert.equal(cartRejection([], listing({ seller: BOB }), BOB), 'You cannot buy your own listing')
+    assert.equal(cartRejection([], listing({ buyer: CAROL }), BOB), 'This listing is reserved for another buyer')
+    assert.equal(cartRejection([], listing({ marketplace: CAROL }), BOB), 'This listing belongs to an unknown marketplace')
+  })
+
+  it('keeps a cart on one marketplace', () => {
+    assert.match(cartRejection([listing()], listing({ marketplace: ETH_MARKET }), BOB), /^Your cart holds KARRAT listings/)
+  })
+
+  it('refuses a second order sharing a nonce with one already in the cart', () => {
+    const item = listing({ tokenId: 7 })
+    assert.equal(cartRejection([item], listing({ tokenId: 7 }), BOB), 'Your cart already has a listing of this item from the same seller')
+    assert.equal(cartRejection([item], listing({ tokenId: 7, seller: CAROL }), BOB), null)
+  })
+
+  it('caps the cart at what buyMultipleNFTs takes', () => {
+    const full = Array.from({ length: MAX_CART_ITEMS }, () => listing())
+    assert.equal(cartRejection(full, listing(), BOB), `A cart holds at most ${MAX_CART_ITEMS} listings`)
+  })
+})
+
+describe('getCartQuote', () => {
+  it('quotes order by order like the contract and sums', () => {
+    const cart = [listing({ priceWei: '333', amount: 3 }), listing({ priceWei: '500' })]
+    const quote = getCartQuote(cart, { feePerMille: 25n, feeMode: 0n, royaltyBps: 250n })
+
+    // 999 * 2.5% rounds down to 24, 500 * 2.5% to 12
+    assert.equal(quote.gross, 1499n)
+    assert.equal(quote.fee, 36n)
+    assert.equal(quote.royalty, 36n)
+    assert.equal(quote.buyerTotal, 1535n)
+    assert.equal(quote.sellerProceeds, 1463n)
+  })
+})
+
+describe('toBatchArgs', () => {
+  it('splits the cart into the buyMultipleNFTs arrays', () => {
+    const a = listing({ amount: 2, signature: '0xaa' })
+    const b = listing({ seller: CAROL, signature: '0xbb' })
+
+    assert.deepEqual(toBatchArgs([a, b]), [
+      [NFT, NFT],
+      [a.tokenId, b.tokenId],
+      [2, 1],
+      [a.priceWei, b.priceWei],
+      [a.deadline, b.deadline],
+      [ALICE, CAROL],
+      ['0xaa', '0xbb']
+    ])
+  })
+})
+
+describe('findStaleItems', () => {
+  // The marketplace and collection as the chain would report them, per seller
+  const chain = (sellers) => ({
+    marketplace: {
+      target: KARRAT_MARKET,
+      nonces: async (nft, tokenId, seller) => sellers[seller].nonce ?? 0n,
+      counters: async (seller) => sellers[seller].counter ?? 0n
+    },
+    provider: fakeProvider(NFT_ABI, (name, [seller]) => [name === 'balanceOf' ? sellers[seller].balance ?? 1n : sellers[seller].approved ?? true])
+  })
+
+  it('names each order that would revert the batch', async () => {
+    const DAVE = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65'
+    const EVE = '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc'
+    const healthy = listing()
+    const expired = listing({ deadline: 1 })
+    const sold = listing({ seller: BOB })
+    const moved = listing({ seller: CAROL })
+    const revoked = listing({ seller: DAVE })
+    const cancelled = listing({ seller: EVE })
+    const { marketplace, provider } = chain({
+      [ALICE]: {},
+      [BOB]: { nonce: 1n },
+      [CAROL]: { balance: 0n },
+      [DAVE]: { approved: false },
+      [EVE]: { counter: 1n }
+    })
+
+    assert.deepEqual(await findStaleItems([healthy, expired, sold, moved, revoked, cancelled], marketplace, provider), {
+      [expired.id]: LISTING_STATUS_REASONS.expired,
+      [sold.id]: LISTING_STATUS_REASONS.filled_or_cancelled,
+      [moved.id]: LISTING_STATUS_REASONS.insufficient_balance,
+      [revoked.id]: LISTING_STATUS_REASONS.not_approved,
+      [cancelled.id]: LISTING_STATUS_REASONS.filled_or_cancelled
+    })
+  })
+})
+
+// Tiers as the collection reports them: token ids with per-token price, supply and wallet cap
+const tiers = [
+  { name: 'Weapons', tokenIds: [1, 2], prices: [ethers.parseEther('1'), ethers.parseEther('2')], maxSupplies: [100, 10], currentSupplies: [0, 8], maxAmountsPerUser: [5, 5] },
+  { name: 'Armor', tokenIds: [3], prices: [ethers.parseEther('0.5')], maxSupplies: [100], currentSupplies: [0], maxAmountsPerUser: [10] }
+]
+
+describe('primaryCartRejection', () => {
+  const [weapons, armor] = tiers
+
+  it('accepts a quantity the tier can still sell to the wallet', () => {
+    assert.equal(primaryCartRejection([], weapons, 1, 5), null)
+  })
+
+  it('counts what is already in the cart against the wallet cap and the supply', () => {
+    const cart = addPrimaryItem([], 'Weapons', 1, 4)
+    assert.equal(primaryCartRejection(cart, weapons, 1, 2), 'At most 5 per wallet')
+    assert.equal(primaryCartRejection([], weapons, 2, 3), 'Not enough supply left')
+    assert.equal(primaryCartRejection([], armor, 3, 0), 'Choose a quantity first')
+  })
+
+  it('caps a checkout at the tiers buyMultiple takes', () => {
+    const cart = Array.from({ length: MAX_PRIMARY_TIERS }, (_, i) => ({ tierName: `Tier ${i}`, tokenId: 100 + i, amount: 1 }))
+    assert.equal(primaryCartRejection(cart, armor, 3, 1), `One purchase can cover at most ${MAX_PRIMARY_TIERS} tiers`)
+    assert.equal(primaryCartRejection([...cart.slice(1), { tierName: 'Armor', tokenId: 3, amount: 1 }], armor, 3, 1), null)
+  })
+})
+
+describe('primary cart totals', () => {
+  const cart = addPrimaryItem(addPrimaryItem(addPrimaryItem([], 'Weapons', 1, 2), 'Armor', 3, 4), 'Weapons', 1, 1)
+
+  it('raises the quantity of a token already in the cart', () => {
+    assert.deepEqual(cart, [{ tierName: 'Weapons', tokenId: 1, amount: 3 }, { tierName: 'Armor', tokenId: 3, amount: 4 }])
+  })
+
+  it('prices the cart from the tier prices on-chain', () => {
+    assert.equal(getPrimaryItemPrice(tiers, cart[1]), ethers.parseEther('0.5'))
+    assert.equal(getPrimaryTotal(cart, tiers), ethers.parseEther('5'))
+  })
+
+  it('gives no total while a tier is not loaded', () => {
+    assert.equal(getPrimaryTotal(cart, tiers.slice(0, 1)), null)
+    assert.equal(getPrimaryItemPrice(tiers, { tierName: 'Weapons', tokenId: 9 }), null)
+  })
+
+  it('groups token ids and amounts per tier for buyMultiple', () => {
+    const mixed = addPrimaryItem(cart, 'Weapons', 2, 1)
+    assert.deepEqual(toBuyMultipleArgs(mixed), [['Weapons', 'Armor'], [[1, 2], [3]], [[3, 1], [4]]])
+  })
+})
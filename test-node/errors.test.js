@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { ethers } from 'ethers'
+import { decodeContractError, getErrorMessage } from '../src/utils/errors.js'
+import { BOB } from './helpers.js'
+
+// Revert data as the contracts encode it
+const contracts = new ethers.Interface(JSON.parse(readFileSync(new URL('../src/utils/contractErrors.json', import.meta.url), 'utf8')))
+const revert = (name, args = []) => contracts.encodeErrorResult(name, args)
+const builtin = new ethers.Interface(['error Error(string)', 'error Panic(uint256)'])
+
+// How ethers v6 and the wallets surface a revert, from eth_call, estimateGas or a receipt
+const thrown = (data) => Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data })
+
+describe('decodeContractError', () => {
+  it('finds the revert data wherever the provider put it', () => {
+    const data = revert('NotOwner')
+    for (const err of [thrown(data), { info: { error: { data } } }, { error: { data } }, { info: { error: { data: { data } } } }, { error: { data: { data } } }]) {
+      assert.equal(decodeContractError(err)?.name, 'NotOwner')
+    }
+  })
+
+  it('decodes the arguments', () => {
+    const { name, args } = decodeContractError(thrown(revert('ExceedsRemaining', [2, 5])))
+    assert.equal(name, 'ExceedsRemaining')
+    assert.deepEqual(args.toObject(), { remaining: 2n, requested: 5n })
+  })
+
+  it('returns null when there is nothing it knows', () => {
+    assert.equal(decodeContractError(new Error('network down')), null)
+    assert.equal(decodeContractError(thrown('0x')), null)
+    assert.equal(decodeContractError(thrown('0xdeadbeef')), null)
+  })
+})
+
+describe('getErrorMessage', () => {
+  it('explains custom errors, with amounts in the currency of the call', () => {
+    const err = thrown(revert('InsufficientPayment', [ethers.parseEther('10.25'), ethers.parseEther('10')]))
+
+    assert.equal(getErrorMessage(err, { currency: 'KARRAT' }), 'This needs 10.25 KARRAT but 10.0 KARRAT was sent')
+    assert.equal(getErrorMessage(err, { currency: 'ETH' }), 'This needs 10.25 ETH but 10.0 ETH was sent')
+    assert.equal(getErrorMessage(err), 'This needs 10.25 but 10.0 was sent')
+  })
+
+  it('formats the other arguments of each error', () => {
+    assert.equal(getErrorMessage(thrown(revert('BidTooLow', [ethers.parseEther('1.5'), 1n])), { currency: 'ETH' }), 'The minimum bid is 1.5 ETH')
+    assert.equal(getErrorMessage(thrown(revert('ExceedsRemaining', [2, 5]))), 'Only 2 left, 5 requested')
+    assert.equal(getErrorMessage(thrown(revert('TieredGameInventory__MaxSupplyReached', ['Weapons']))), 'Weapons is sold out')
+    assert.equal(
+      getErrorMessage(thrown(revert('ERC20InsufficientBalance', [BOB, ethers.parseEther('1'), ethers.parseEther('2')])), { currency: 'KARRAT' }),
+      'You need 2.0 KARRAT but hold 1.0 KARRAT'
+    )
+  })
+
+  it('names errors it has no message for, with their arguments', () => {
+    assert.equal(getErrorMessage(thrown(revert('ECDSAInvalidSignatureLength', [64]))), 'The contract reverted with ECDSAInvalidSignatureLength(64)')
+  })
+
+  it('passes require() reasons through and names panics', () => {
+    assert.equal(getErrorMessage(thrown(builtin.encodeErrorResult('Error', ['Sale not started']))), 'Sale not started')
+    assert.equal(getErrorMessage(thrown(builtin.encodeErrorResult('Panic', [0x11]))), 'The contract failed: a calculation overflowed or underflowed')
+    assert.equal(getErrorMessage(thrown(builtin.encodeErrorResult('Panic', [0x12]))), 'The contract failed: a division by zero')
+    assert.equal(getErrorMessage(thrown(builtin.encodeErrorResult('Panic', [0x99]))), 'The contract failed: panic code 153')
+  })
+
+  it('recognises a request the user rejected in the wallet', () => {
+    const rejected = Object.assign(new Error('user rejected action'), { code: 'ACTION_REJECTED', data: revert('NotOwner') })
+    assert.equal(getErrorMessage(rejected), 'You rejected the request in your wallet')
+  })
+
+  it('falls back to the reason, then the caller\'s message, then the provider\'s', () => {
+    assert.equal(getErrorMessage({ reason: 'nope', shortMessage: 'short' }, { fallback: 'Purchase failed' }), 'nope')
+    assert.equal(getErrorMessage({ shortMessage: 'short', message: 'long' }, { fallback: 'Purchase failed' }), 'Purchase failed')
+    assert.equal(getErrorMessage({ shortMessage: 'short', message: 'long' }), 'short')
+    assert.equal(getErrorMessage(new Error('long')), 'long')
+    assert.equal(getErrorMessage(undefined), 'Something went wrong')
+  })
+})
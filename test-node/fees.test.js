@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { MARKETPLACE_ABI } from '../src/utils/constants.js'
+import { readRates, isFeeFromSeller, quoteFee, fetchQuote, sumQuotes, formatFeeRate, formatRoyaltyRate } from '../src/utils/fees.js'
+import { MARKETPLACE, NFT, fakeProvider } from './helpers.js'
+
+const BUYER_PAYS = { feePerMille: 25n, feeMode: 0n, royaltyBps: 250n }
+const SELLER_PAYS = { ...BUYER_PAYS, feeMode: 1n }
+
+// The marketplace's quote and getCreatorRoyalty views, with the contracts' integer math
+const marketplace = ({ feePerMille, feeMode, royaltyBps }) => ({
+  quote: async (price, amount) => {
+    const total = BigInt(price) * BigInt(amount)
+    const fee = (total * feePerMille) / 1000n
+    return feeMode === 0n ? [total + fee, total, fee] : [total, total - fee, fee]
+  },
+  getCreatorRoyalty: async (nftContract, tokenId, gross) => [NFT, (gross * royaltyBps) / 10000n]
+})
+
+describe('quoteFee', () => {
+  it('adds the fee on top when buyers pay it', () => {
+    assert.deepEqual(quoteFee(ethers.parseEther('10'), BUYER_PAYS), {
+      gross: ethers.parseEther('10'),
+      fee: ethers.parseEther('0.25'),
+      royalty: ethers.parseEther('0.25'),
+      buyerTotal: ethers.parseEther('10.25'),
+      sellerProceeds: ethers.parseEther('9.75'),
+      feeFromSeller: false
+    })
+  })
+
+  it('takes the fee out of the seller proceeds when sellers pay it', () => {
+    const quote = quoteFee(ethers.parseEther('10'), SELLER_PAYS)
+
+    assert.equal(quote.buyerTotal, ethers.parseEther('10'))
+    assert.equal(quote.sellerProceeds, ethers.parseEther('9.5'))
+    assert.equal(quote.feeFromSeller, true)
+  })
+
+  it('rounds down like the contracts', () => {
+    const quote = quoteFee(999n, BUYER_PAYS)
+    assert.equal(quote.fee, 24n)
+    assert.equal(quote.royalty, 24n)
+  })
+
+  it('never takes a royalty larger than what the seller keeps', () => {
+    const quote = quoteFee(1000n, { feePerMille: 950n, feeMode: 1n, royaltyBps: 1000n })
+
+    assert.equal(quote.royalty, 50n)
+    assert.equal(quote.sellerProceeds, 0n)
+  })
+
+  it('accepts prices as strings', () => {
+    assert.equal(quoteFee('1000', BUYER_PAYS).buyerTotal, 1025n)
+  })
+})
+
+describe('fetchQuote', () => {
+  for (const [mode, rates] of [['buyers', BUYER_PAYS], ['sellers', SELLER_PAYS]]) {
+    it(`matches the display quote when ${mode} pay the fee`, async () => {
+      const quote = await fetchQuote(marketplace(rates), ethers.parseEther('1.5'), 3, { nftContract: NFT, tokenId: 1 })
+      assert.deepEqual(quote, quoteFee(ethers.parseEther('4.5'), rates))
+    })
+  }
+})
+
+describe('readRates', () => {
+  // A provider answering the marketplace's fee views
+  const provider = (answers) => fakeProvider(MARKETPLACE_ABI, (name, args) => answers[name](...args))
+  const market = { marketplace: MARKETPLACE, abi: MARKETPLACE_ABI }
+
+  it('reads the fee, the mode and the royalty of the market\'s collection in basis points', async () => {
+    const rates = await readRates({ ...market, nft: NFT }, provider({
+      feePerMille: () => [30n],
+      feeMode: () => [1n],
+      getCreatorRoyalty: (nftContract, tokenId, gross) => [NFT, (gross * 500n) / 10000n]
+    }))
+
+    assert.deepEqual(rates, { feePerMille: 30n, feeMode: 1n, royaltyBps: 500n })
+  })
+
+  it('charges no royalty on markets without a collection', async () => {
+    const rates = await readRates({ ...market, nft: '' }, provider({ feePerMille: () => [25n], feeMode: () => [0n] }))
+    assert.equal(rates.royaltyBps, 0n)
+  })
+})
+
+describe('sumQuotes', () => {
+  it('adds quotes order by order', () => {
+    const total = sumQuotes([quoteFee(999n, BUYER_PAYS), quoteFee(1n, BUYER_PAYS)])
+
+    // 1000 in one order would pay a fee of 25; two orders round down separately
+    assert.equal(total.gross, 1000n)
+    assert.equal(total.fee, 24n)
+    assert.equal(total.buyerTotal, 1024n)
+  })
+
+  it('is an empty quote for an empty cart', () => {
+    assert.deepEqual(sumQuotes([]), quoteFee(0n, BUYER_PAYS))
+  })
+})
+
+describe('rates', () => {
+  it('formats per mille fees and basis point royalties', () => {
+    assert.equal(formatFeeRate(25n), '2.5%')
+    assert.equal(formatRoyaltyRate(250n), '2.5%')
+    assert.equal(isFeeFromSeller(SELLER_PAYS), true)
+    assert.equal(isFeeFromSeller({ feeMode: 0 }), false)
+  })
+})
@@ -0,0 +1,61 @@
+/**
+ * Fixtures shared by the node:test suites: the addresses the service is configured with,
+ * a throwaway db.json, and stand-ins for the chain behind a configured market.
+ */
+
+import { after } from 'node:test'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { ethers } from 'ethers'
+import { EIP712_DOMAIN, STUDIOCHAIN_EIP712_DOMAIN } from '../src/utils/constants.js'
+import { getMarketByKey } from '../server/chains.js'
+
+// What the deploy scripts produce on a fresh Hardhat node
+export const MARKETPLACE = '0x5FbDB2315678afecb367f032d93F642f64180aa3'
+export const NFT = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+export const ETH_MARKETPLACE = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0'
+export const DOMAIN = { ...EIP712_DOMAIN, chainId: 31337, verifyingContract: MARKETPLACE }
+export const ETH_DOMAIN = { ...STUDIOCHAIN_EIP712_DOMAIN, chainId: 616, verifyingContract: ETH_MARKETPLACE }
+
+// Hardhat's default accounts 1 to 3
+export const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+export const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'
+export const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906'
+
+// Read by chains.js on first use and by markets.js when it loads, so tests import those after this
+process.env.VITE_MARKETPLACE_CONTRACT = MARKETPLACE
+process.env.VITE_NFT_CONTRACT = NFT
+process.env.VITE_STUDIOCHAIN_MARKETPLACE_CONTRACT = ETH_MARKETPLACE
+
+// Points the service at an empty db.json for this test file and resolves to server/db.js.
+// db.js reads DB_FILE when it loads, so modules that import it are imported after this.
+export const useTempDb = async (name) => {
+  const dir = mkdtempSync(join(tmpdir(), `mph-${name}-`))
+  process.env.DB_FILE = join(dir, 'db.json')
+  after(() => rmSync(dir, { recursive: true, force: true }))
+  return import('../server/db.js')
+}
+
+// A provider that answers eth_call from `respond(name, args)` instead of an RPC, for the
+// contracts read through ethers.Contract (collections, payment tokens, verifiers)
+export const fakeProvider = (abi, respond, extra = {}) => {
+  const views = new ethers.Interface(abi)
+  return {
+    ...extra,
+    call: async ({ data }) => {
+      const call = views.parseTransaction({ data })
+      return views.encodeFunctionResult(call.fragment, respond(call.name, call.args))
+    }
+  }
+}
+
+// Swaps the chain behind the configured market `key` for the given stand-ins. `marketplace`
+// replaces the contract's read methods, `provider` the RPC.
+export const stubMarket = (key, { domain = key === 'studiochain' ? ETH_DOMAIN : DOMAIN, marketplace, provider } = {}) => {
+  const market = getMarketByKey(key)
+  market.getDomain = async () => domain
+  if (marketplace) market.marketplace = marketplace
+  if (provider) market.provider = provider
+  return market
+}
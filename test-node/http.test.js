@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { request } from 'node:http'
+import { useTempDb } from './helpers.js'
+
+const { getCollection } = await useTempDb('http')
+const { server } = await import('../server/index.js')
+
+// Posts `body` with node:http rather than fetch, which would report the reset below instead of
+// the response
+const post = (path, body) => new Promise((resolve, reject) => {
+  const { port } = server.address()
+  // The service hangs up on an oversized upload, so writing the rest of it fails
+  const onError = err => ['ECONNRESET', 'EPIPE'].includes(err.code) || reject(err)
+  const req = request({ host: '127.0.0.1', port, path, method: 'POST', headers: { 'Content-Type': 'application/json' } })
+  req.on('socket', socket => socket.on('error', onError))
+  req.on('error', onError)
+  req.on('response', (res) => {
+    let raw = ''
+    res.on('data', chunk => { raw += chunk })
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }))
+  })
+  req.end(body)
+})
+
+// The next request as the service sees it, once it is closed
+const nextRequest = () => new Promise((resolve) => {
+  server.prependOnceListener('request', req => req.on('close', () => resolve(req)))
+})
+
+describe('request bodies', () => {
+  before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)))
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  it('refuses a body over 1 MB and hangs up instead of reading the rest', async () => {
+    const received = nextRequest()
+    const res = await post('/listings', JSON.stringify({ padding: 'x'.repeat(16e6) }))
+
+    assert.deepEqual(res, { status: 413, body: { error: 'Request body too large' } })
+    assert.equal((await received).complete, false)
+    assert.deepEqual(getCollection('listings'), [])
+  })
+
+  it('still answers a body under the limit', async () => {
+    const res = await post('/listings', '{"id": 1')
+    assert.deepEqual(res, { status: 400, body: { error: 'Invalid JSON body' } })
+  })
+})
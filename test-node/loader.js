@@ -0,0 +1,33 @@
+/**
+ * Module hooks for the node:test suite. The app is built by Vite, which resolves its
+ * extensionless imports, replaces import.meta.env and imports JSON as a default export.
+ * These hooks do the same so the tests load src/ files unchanged.
+ */
+
+import { readFile } from 'node:fs/promises'
+
+const SRC = new URL('../src/', import.meta.url).href
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../')
+const hasExtension = (specifier) => /\.[a-z]+$/i.test(specifier)
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (isRelative(specifier) && !hasExtension(specifier) && context.parentURL?.startsWith(SRC)) {
+    return nextResolve(`${specifier}.js`, context)
+  }
+  return nextResolve(specifier, context)
+}
+
+export const load = async (url, context, nextLoad) => {
+  if (!url.startsWith(SRC)) return nextLoad(url, context)
+
+  if (url.endsWith('.json')) {
+    const json = await readFile(new URL(url), 'utf8')
+    return { format: 'module', source: `export default ${json}`, shortCircuit: true }
+  }
+
+  const result = await nextLoad(url, context)
+  if (result.format !== 'module') return result
+  // Vite exposes the VITE_* variables; the tests set them on process.env
+  return { ...result, source: String(result.source).replaceAll('import.meta.env', 'process.env') }
+}
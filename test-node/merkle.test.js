@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { getBulkLeaf, buildMerkleTree, processProof } from '../src/utils/merkle.js'
+
+// OpenZeppelin's MerkleProof.processProof, which buyNFTBulk runs: each step hashes the
+// pair with Hashes.commutativeKeccak256, comparing the two bytes32 values as numbers
+const ozCommutativeKeccak256 = (a, b) =>
+  BigInt(a) < BigInt(b) ? ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b]) : ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [b, a])
+const ozProcessProof = (proof, leaf) => proof.reduce((computed, node) => ozCommutativeKeccak256(computed, node), leaf)
+
+const leaves = (count) => Array.from({ length: count }, (_, i) => ethers.id(`order ${i}`))
+
+describe('buildMerkleTree', () => {
+  for (const count of [1, 2, 3, 5, 8, 13]) {
+    it(`gives each of ${count} leaves a proof OpenZeppelin accepts`, () => {
+      const orders = leaves(count)
+      const { root, proofs } = buildMerkleTree(orders)
+
+      orders.forEach((leaf, i) => {
+        assert.equal(ozProcessProof(proofs[i], leaf), root)
+        assert.equal(processProof(leaf, proofs[i]), root)
+      })
+    })
+  }
+
+  it('uses the leaf itself as the root of a one-order tree', () => {
+    const [leaf] = leaves(1)
+    assert.deepEqual(buildMerkleTree([leaf]), { root: leaf, proofs: [[]] })
+  })
+
+  it('rejects an empty tree', () => {
+    assert.throws(() => buildMerkleTree([]), { message: 'A bulk listing needs at least one order' })
+  })
+
+  it('does not prove a leaf that is not in the tree', () => {
+    const orders = leaves(4)
+    const { root, proofs } = buildMerkleTree(orders)
+
+    assert.notEqual(processProof(ethers.id('forged'), proofs[0]), root)
+    assert.notEqual(processProof(orders[0], proofs[1]), root)
+  })
+})
+
+describe('processProof', () => {
+  it('orders each pair the way the contract does, whatever the hex case', () => {
+    const [a, b] = leaves(2)
+    const expected = ozCommutativeKeccak256(a, b)
+
+    assert.equal(processProof(a, [b]), expected)
+    assert.equal(processProof(b, [a]), expected)
+    assert.equal(processProof(a.toUpperCase().replace('0X', '0x'), [b]), expected)
+  })
+})
+
+describe('getBulkLeaf', () => {
+  it('matches the struct hash buyNFTBulk rebuilds from the order', () => {
+    const order = {
+      seller: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      nftContract: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+      tokenId: 4,
+      amount: 2,
+      price: ethers.parseEther('1.5'),
+      nonce: 3,
+      counter: 1,
+      deadline: 2000000000,
+      buyer: ethers.ZeroAddress
+    }
+    const typehash = ethers.id('Approval(address seller,address nftContract,uint256 tokenId,uint256 amount,uint256 price,uint256 nonce,uint256 counter,uint256 deadline,address buyer)')
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+      ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'address'],
+      [typehash, ...Object.values(order)]
+    )
+
+    assert.equal(getBulkLeaf(order), ethers.keccak256(encoded))
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, before, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFileSync } from 'node:fs'
+import { MARKETPLACE, ETH_MARKETPLACE, useTempDb } from './helpers.js'
+
+const { getCollection, findRecord } = await useTempDb('migrate')
+const { migrateListings } = await import('../server/migrate.js')
+
+// db.json as the two-collection layout left it
+const seed = () => writeFileSync(process.env.DB_FILE, JSON.stringify({
+  listings: [
+    { id: 1, seller: 'alice', priceWei: '1' },
+    { id: 2, seller: 'bob', priceWei: '2', marketplace: MARKETPLACE }
+  ],
+  studiochain_listings: [
+    { id: 1, seller: 'carol', priceWei: '3' },
+    { id: 3, seller: 'dave', priceWei: '4' }
+  ],
+  offers: []
+}))
+
+describe('migrateListings', () => {
+  before(() => {
+    seed()
+    mock.method(console, 'log', () => {})
+  })
+
+  it('leaves the StudioChain collection alone until its marketplace is configured', (t) => {
+    t.after(() => { process.env.VITE_STUDIOCHAIN_MARKETPLACE_CONTRACT = ETH_MARKETPLACE })
+    delete process.env.VITE_STUDIOCHAIN_MARKETPLACE_CONTRACT
+    migrateListings()
+    migrateListings()
+
+    assert.deepEqual(getCollection('listings').map(l => [l.id, l.seller, l.marketplace]), [
+      [1, 'alice', MARKETPLACE],
+      [2, 'bob', MARKETPLACE]
+    ])
+    assert.deepEqual(getCollection('studiochain_listings').map(l => [l.id, l.seller, l.marketplace]), [
+      [1, 'carol', undefined],
+      [3, 'dave', undefined]
+    ])
+  })
+
+  it('folds the StudioChain collection into listings, tagging each listing with its marketplace', () => {
+    migrateListings()
+
+    assert.deepEqual(getCollection('listings').map(l => [l.id, l.seller, l.marketplace]), [
+      [1, 'alice', MARKETPLACE],
+      [2, 'bob', MARKETPLACE],
+      ['studiochain-1', 'carol', ETH_MARKETPLACE],
+      [3, 'dave', ETH_MARKETPLACE]
+    ])
+    assert.equal(getCollection('studiochain_listings'), undefined)
+  })
+
+  it('leaves migrated data alone', () => {
+    const before = JSON.stringify(getCollection('listings'))
+    migrateListings()
+
+    assert.equal(JSON.stringify(getCollection('listings')), before)
+    assert.equal(findRecord('listings', 'studiochain-1').priceWei, '3')
+  })
+})
@@ -0,0 +1,266 @@
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { KARRAT_ABI, NFT_ABI, getOfferTypes } from '../src/utils/constants.js'
+import { MARKETPLACE, ETH_MARKETPLACE, NFT, DOMAIN, useTempDb, fakeProvider, stubMarket } from './helpers.js'
+
+const KARRAT = '0x9A676e781A523b5d0C0e43731313A39c1aeC1a84'
+
+process.env.VITE_STUDIOCHAIN_RPC_URL = 'http://127.0.0.1:8546'
+
+const { getCollection, insertRecord, findRecord } = await useTempDb('offers')
+const { verifyOffer, checkOffer, isOfferDead, getOfferHash, toOfferMessage } = await import('../server/offers.js')
+const { sweepOffers } = await import('../server/sweeper.js')
+
+const buyer = ethers.Wallet.createRandom()
+const stranger = ethers.Wallet.createRandom()
+
+// What the marketplace, the payment token and the collection report, served without an RPC.
+// Fees are 2.5% on top, paid by the buyer.
+const chain = {}
+const reads = []
+const marketplace = {
+  offerNonces: async (...args) => {
+    reads.push(['offerNonces', ...args])
+    return chain.nonce
+  },
+  collectionOfferNonces: async (...args) => {
+    reads.push(['collectionOfferNonces', ...args])
+    return chain.nonce
+  },
+  filledAmounts: async (orderHash) => chain.filled[orderHash] ?? 0n,
+  paymentToken: async () => KARRAT,
+  quote: async (price, amount) => {
+    const total = BigInt(price) * BigInt(amount)
+    return [total + total / 40n, total, total / 40n]
+  }
+}
+const provider = fakeProvider([...KARRAT_ABI, ...NFT_ABI], (name, args) => {
+  if (name === 'getTierTokenIds') return [chain.tiers[args[0]] ?? []]
+  return [name === 'allowance' ? chain.allowance : chain.balance]
+})
+
+const deadline = () => Math.floor(Date.now() / 1000) + 3600
+
+const signOffer = async (overrides = {}, signer = buyer) => {
+  const offer = {
+    chainId: 31337,
+    marketplace: MARKETPLACE,
+    buyer: buyer.address,
+    nftContract: NFT,
+    tokenId: 1,
+    amount: 2,
+    priceWei: ethers.parseEther('1').toString(),
+    nonce: 0,
+    deadline: deadline(),
+    ...overrides
+  }
+  return { ...offer, signature: await signer.signTypedData(DOMAIN, getOfferTypes(offer), toOfferMessage(offer)) }
+}
+
+// A tier-wide offer: no tokenId, any token of `tierName` fills it
+const signCollectionOffer = (overrides = {}) => signOffer({ tokenId: undefined, tierName: 'Weapons', amount: 3, ...overrides })
+
+let karrat
+before(() => {
+  karrat = stubMarket('karrat', { marketplace, provider })
+  stubMarket('studiochain')
+})
+
+beforeEach(() => {
+  reads.length = 0
+  Object.assign(chain, {
+    nonce: 0n,
+    filled: {},
+    tiers: { Weapons: [1n, 2n] },
+    balance: ethers.parseEther('100'),
+    allowance: ethers.parseEther('100')
+  })
+})
+
+describe('verifyOffer', () => {
+  it('accepts an offer signed by its buyer', async () => {
+    const offer = await signOffer()
+    const { orderHash, chainId, filled } = await verifyOffer(offer)
+
+    assert.equal(orderHash, getOfferHash(DOMAIN, offer))
+    assert.equal(chainId, 31337)
+    assert.equal(filled, 0)
+    assert.deepEqual(reads, [['offerNonces', NFT, 1, buyer.address]])
+  })
+
+  it('lists every missing field', async () => {
+    await assert.rejects(
+      verifyOffer({ marketplace: MARKETPLACE, buyer: buyer.address }),
+      { status: 400, message: 'Missing fields: nftContract, amount, priceWei, nonce, deadline, signature, tokenId' }
+    )
+  })
+
+  it('only takes offers on the KARRAT marketplace', async () => {
+    await assert.rejects(verifyOffer(await signOffer({ marketplace: stranger.address })), {
+      status: 400,
+      message: `No marketplace is configured at ${stranger.address}`
+    })
+    await assert.rejects(verifyOffer(await signOffer({ marketplace: ETH_MARKETPLACE })), {
+      status: 400,
+      message: 'Offers are only accepted on the KARRAT marketplace'
+    })
+  })
+
+  it('rejects malformed fields before checking the signature', async () => {
+    const offer = await signOffer()
+    await assert.rejects(verifyOffer({ ...offer, buyer: 'me' }), { status: 400, message: 'Invalid buyer or nftContract address' })
+    await assert.rejects(verifyOffer({ ...offer, amount: '1.5' }), { status: 400, message: 'tokenId, amount, priceWei, nonce and deadline must be integers' })
+    await assert.rejects(verifyOffer({ ...offer, amount: 0 }), { status: 400, message: 'Amount must be greater than zero' })
+    await assert.rejects(verifyOffer({ ...offer, priceWei: '0' }), { status: 400, message: 'Price must be greater than zero' })
+    await assert.rejects(verifyOffer(await signOffer({ deadline: 1 })), { status: 400, message: 'Offer deadline has already passed' })
+  })
+
+  it('rejects offers not signed by the buyer or signed for another chain', async () => {
+    const offer = await signOffer()
+    await assert.rejects(verifyOffer(await signOffer({}, stranger)), { status: 400, message: 'Signature was not produced by the buyer' })
+    await assert.rejects(verifyOffer({ ...offer, priceWei: '1' }), { status: 400, message: 'Signature was not produced by the buyer' })
+    await assert.rejects(verifyOffer({ ...offer, signature: '0x1234' }), { status: 400, message: 'Malformed signature' })
+    await assert.rejects(verifyOffer({ ...offer, chainId: 1 }), { status: 400, message: 'KARRAT marketplace is on chain 31337, not 1' })
+  })
+
+  it('rejects an offer whose nonce moved on', async () => {
+    chain.nonce = 1n
+    await assert.rejects(verifyOffer(await signOffer()), { status: 400, message: 'Offer nonce 0 is stale, current nonce is 1' })
+  })
+
+  it('needs an allowance covering the quoted buyer total, fee included', async () => {
+    // 2 x 1 KARRAT plus the 2.5% fee
+    chain.allowance = ethers.parseEther('2.05')
+    await verifyOffer(await signOffer())
+
+    chain.allowance = ethers.parseEther('2')
+    await assert.rejects(verifyOffer(await signOffer()), { status: 400, message: 'Buyer has not approved enough KARRAT to cover this offer' })
+  })
+
+  it('reports an unreachable RPC as a 502', async (t) => {
+    t.mock.method(marketplace, 'offerNonces', async () => { throw new Error('connection refused') })
+    await assert.rejects(verifyOffer(await signOffer()), { status: 502, message: 'KARRAT RPC unavailable' })
+  })
+})
+
+describe('checkOffer', () => {
+  const check = async (overrides) => checkOffer(karrat, await signOffer(overrides))
+
+  it('passes an offer the buyer can still pay for', async () => {
+    assert.deepEqual(await check(), {})
+  })
+
+  it('marks expired, accepted and cancelled offers dead', async () => {
+    assert.deepEqual(await check({ deadline: 1 }), { dead: 'expired' })
+    chain.nonce = 1n
+    assert.deepEqual(await check(), { dead: 'filled_or_cancelled' })
+  })
+
+  it('marks offers inactive while the buyer cannot pay', async () => {
+    chain.balance = ethers.parseEther('2')
+    assert.deepEqual(await check(), { inactive: 'insufficient_funds' })
+
+    chain.balance = ethers.parseEther('100')
+    chain.allowance = ethers.parseEther('2')
+    assert.deepEqual(await check(), { inactive: 'insufficient_allowance' })
+  })
+})
+
+describe('isOfferDead', () => {
+  it('is true once the offer expired or its nonce moved on', async () => {
+    const offer = await signOffer()
+    assert.equal(await isOfferDead(offer), false)
+    assert.equal(await isOfferDead({ ...offer, deadline: 1 }), true)
+
+    chain.nonce = 1n
+    assert.equal(await isOfferDead(offer), true)
+  })
+
+  it('counts offers it cannot check as alive', async (t) => {
+    t.mock.method(marketplace, 'offerNonces', async () => { throw new Error('connection refused') })
+    assert.equal(await isOfferDead(await signOffer()), false)
+  })
+})
+
+describe('collection offers', () => {
+  it('reads the nonce of the tier and the amount already filled', async () => {
+    const offer = await signCollectionOffer()
+    chain.filled[getOfferHash(DOMAIN, offer)] = 1n
+
+    const { orderHash, filled } = await verifyOffer(offer)
+    assert.equal(orderHash, getOfferHash(DOMAIN, offer))
+    assert.equal(filled, 1)
+    assert.deepEqual(reads, [['collectionOfferNonces', NFT, 'Weapons', buyer.address]])
+  })
+
+  it('only needs an allowance for what is left to fill', async () => {
+    const offer = await signCollectionOffer()
+    chain.filled[getOfferHash(DOMAIN, offer)] = 2n
+    // 1 of 3 left: 1 KARRAT plus the fee
+    chain.allowance = ethers.parseEther('1.025')
+
+    assert.equal((await verifyOffer(offer)).filled, 2)
+  })
+
+  it('rejects unknown tiers and offers that are already filled', async () => {
+    await assert.rejects(verifyOffer(await signCollectionOffer({ tierName: 'Mythic' })), { status: 400, message: 'Unknown tier "Mythic"' })
+    await assert.rejects(verifyOffer({ ...await signCollectionOffer(), tierName: 7 }), { status: 400, message: 'tierName must be a string' })
+
+    const offer = await signCollectionOffer()
+    chain.filled[getOfferHash(DOMAIN, offer)] = 3n
+    await assert.rejects(verifyOffer(offer), { status: 400, message: 'This offer is already filled' })
+  })
+
+  it('reports what has been filled so far', async () => {
+    const offer = await signCollectionOffer()
+    chain.filled[getOfferHash(DOMAIN, offer)] = 1n
+
+    assert.deepEqual(await checkOffer(karrat, offer), { filled: 1 })
+    chain.filled[getOfferHash(DOMAIN, offer)] = 3n
+    assert.deepEqual(await checkOffer(karrat, offer), { dead: 'filled_or_cancelled' })
+  })
+})
+
+describe('sweepOffers', () => {
+  beforeEach(() => {
+    getCollection('offers').length = 0
+  })
+
+  it('tracks partial accepts of a collection offer and prunes it once filled', async () => {
+    const offer = await signCollectionOffer()
+    const id = getOfferHash(DOMAIN, offer)
+    insertRecord('offers', { ...offer, id, filled: 0 })
+
+    chain.filled[id] = 1n
+    let stats = await sweepOffers()
+    assert.equal(findRecord('offers', id).filled, 1)
+    assert.equal(stats.changed, 1)
+
+    chain.filled[id] = 2n
+    await sweepOffers()
+    assert.equal(findRecord('offers', id).filled, 2)
+
+    stats = await sweepOffers()
+    assert.equal(stats.changed, 0)
+
+    chain.filled[id] = 3n
+    stats = await sweepOffers()
+    assert.equal(stats.dead, 1)
+    assert.equal(findRecord('offers', id), null)
+  })
+
+  it('marks an offer inactive while the buyer cannot pay and reactivates it', async () => {
+    const offer = await signOffer()
+    const id = getOfferHash(DOMAIN, offer)
+    insertRecord('offers', { ...offer, id })
+
+    chain.allowance = 0n
+    await sweepOffers()
+    assert.equal(findRecord('offers', id).statusReason, 'insufficient_allowance')
+
+    chain.allowance = ethers.parseEther('100')
+    await sweepOffers()
+    assert.equal(findRecord('offers', id).status, 'active')
+  })
+})
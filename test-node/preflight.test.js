@@ -0,0 +1,145 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { NFT_ABI, VERIFIER_ABI } from '../src/utils/constants.js'
+import { listingRejection, fundsRejection, simulateRejection, PREFLIGHT_REASONS } from '../src/utils/preflight.js'
+import { MARKETPLACE, NFT, ALICE as SELLER, BOB as BUYER, fakeProvider } from './helpers.js'
+
+const VERIFIER = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9'
+const NOW = 1700000000
+
+// The marketplace, its verifier and the collection as the chain would report them
+const chain = {}
+const views = () => ({ balanceOf: chain.balance, isApprovedForAll: chain.approved, isItApproved: chain.collectionApproved })
+const provider = fakeProvider([...NFT_ABI, ...VERIFIER_ABI], (name) => [views()[name]], {
+  getBlock: async () => ({ timestamp: NOW }),
+  getBalance: async () => chain.ethBalance
+})
+const marketplace = {
+  target: MARKETPLACE,
+  verifier: async () => VERIFIER,
+  counters: async () => chain.counter,
+  nonces: async () => chain.nonce,
+  filledAmounts: async () => chain.filled
+}
+
+const listing = (overrides = {}) => ({
+  id: ethers.id('order'),
+  seller: SELLER,
+  nftContract: NFT,
+  tokenId: 1,
+  amount: 2,
+  nonce: 0,
+  counter: 0,
+  deadline: NOW + 60,
+  ...overrides
+})
+
+const check = (overrides, amount = 1) => listingRejection({ listing: listing(overrides), amount, marketplace, provider, buyer: BUYER })
+
+describe('listingRejection', () => {
+  beforeEach(() => {
+    Object.assign(chain, { counter: 0n, nonce: 0n, filled: 0n, balance: 2n, approved: true, collectionApproved: true })
+  })
+
+  it('passes an order the marketplace would fill', async () => {
+    assert.equal(await check(), null)
+  })
+
+  it('stops orders the buyer may not take or that are out of their time window', async () => {
+    assert.equal(await check({ buyer: SELLER }), PREFLIGHT_REASONS.reserved)
+    assert.equal(await check({ buyer: BUYER }), null)
+    assert.equal(await check({ deadline: NOW - 1 }), PREFLIGHT_REASONS.expired)
+    assert.equal(await check({ dutch: true, startTime: NOW + 1 }), PREFLIGHT_REASONS.not_started)
+  })
+
+  it('reports the first on-chain check that fails, in the contracts\' order', async () => {
+    chain.collectionApproved = false
+    chain.counter = 1n
+    assert.equal(await check(), PREFLIGHT_REASONS.collection_not_approved)
+
+    chain.collectionApproved = true
+    assert.equal(await check(), PREFLIGHT_REASONS.counter_changed)
+
+    chain.counter = 0n
+    chain.nonce = 1n
+    assert.equal(await check(), PREFLIGHT_REASONS.nonce_changed)
+
+    chain.nonce = 0n
+    chain.balance = 0n
+    chain.approved = false
+    assert.equal(await check(), PREFLIGHT_REASONS.seller_balance)
+
+    chain.balance = 2n
+    assert.equal(await check(), PREFLIGHT_REASONS.not_approved)
+  })
+
+  it('checks what is left of a partial-fill order', async () => {
+    chain.filled = 1n
+    assert.equal(await check({ partial: true, amount: 3 }, 2), null)
+    assert.equal(await check({ partial: true, amount: 3 }, 3), 'Only 2 left on this listing')
+
+    chain.filled = 3n
+    assert.equal(await check({ partial: true, amount: 3 }, 1), PREFLIGHT_REASONS.nonce_changed)
+  })
+})
+
+describe('fundsRejection', () => {
+  const needed = ethers.parseEther('10.25')
+  const quote = { buyerTotal: needed }
+
+  it('checks the ETH balance on native markets', async () => {
+    const market = { currency: 'ETH', marketplace: MARKETPLACE }
+
+    chain.ethBalance = needed
+    assert.equal(await fundsRejection({ market, quote, buyer: BUYER, provider }), null)
+    chain.ethBalance = ethers.parseEther('1')
+    assert.equal(await fundsRejection({ market, quote, buyer: BUYER, provider }), 'You need 10.25 ETH plus gas but hold 1.0 ETH')
+  })
+
+  it('checks the KARRAT balance and allowance', async () => {
+    const market = { currency: 'KARRAT', marketplace: MARKETPLACE }
+    const karrat = (balance, allowed) => ({ balanceOf: async () => balance, allowance: async () => allowed })
+
+    assert.equal(await fundsRejection({ market, quote, buyer: BUYER, karrat: karrat(needed, needed) }), null)
+    assert.equal(
+      await fundsRejection({ market, quote, buyer: BUYER, karrat: karrat(0n, needed) }),
+      'You need 10.25 KARRAT but hold 0.0 KARRAT'
+    )
+    assert.equal(
+      await fundsRejection({ market, quote, buyer: BUYER, karrat: karrat(needed, 0n) }),
+      'The marketplace may only spend 0.0 KARRAT of the 10.25 KARRAT this purchase costs'
+    )
+    // Purchases that approve first only need the balance
+    assert.equal(await fundsRejection({ market, quote, buyer: BUYER, karrat: karrat(needed, 0n) }, { allowance: false }), null)
+  })
+})
+
+describe('simulateRejection', () => {
+  const errors = new ethers.Interface([
+    'error InsufficientPayment(uint256 required, uint256 provided)',
+    'error SignatureExpired()'
+  ])
+  const reverting = (data) => ({ staticCall: async () => { throw Object.assign(new Error('execution reverted'), { data }) } })
+
+  it('passes a call that would go through', async () => {
+    assert.equal(await simulateRejection({ staticCall: async () => true }, []), null)
+  })
+
+  it('explains a call that would revert with a custom error', async () => {
+    assert.equal(
+      await simulateRejection(reverting(errors.encodeErrorResult('SignatureExpired', [])), []),
+      'The purchase would fail: This listing or offer has expired'
+    )
+    assert.equal(
+      await simulateRejection(reverting(errors.encodeErrorResult('InsufficientPayment', [ethers.parseEther('2'), ethers.parseEther('1')])), [], 'ETH'),
+      'The purchase would fail: This needs 2.0 ETH but 1.0 ETH was sent'
+    )
+  })
+
+  it('passes the call its arguments', async () => {
+    let received
+    await simulateRejection({ staticCall: async (...args) => { received = args } }, [NFT, 1, { value: 5n }])
+    assert.deepEqual(received, [NFT, 1, { value: 5n }])
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { NFT_ABI } from '../src/utils/constants.js'
+import { MARKETPLACE as KARRAT_MARKET, ETH_MARKETPLACE as ETH_MARKET, NFT, ALICE, BOB, useTempDb, fakeProvider, stubMarket } from './helpers.js'
+
+process.env.VITE_STUDIOCHAIN_RPC_URL = 'http://127.0.0.1:8546'
+
+const { getCollection, insertRecord } = await useTempDb('query')
+const { queryMarket } = await import('../server/query.js')
+
+// Tier names the collection would report: token 1 is a weapon, everything else armor
+const tierNames = fakeProvider(NFT_ABI, (name, [tokenId]) => [tokenId === 1n ? 'Weapons' : 'Armor'])
+
+const ether = (value) => ethers.parseEther(value).toString()
+const deadline = () => Math.floor(Date.now() / 1000) + 3600
+
+const store = (id, overrides = {}) => insertRecord('listings', {
+  id,
+  marketplace: KARRAT_MARKET,
+  seller: ALICE,
+  nftContract: NFT,
+  tokenId: 1,
+  amount: 1,
+  priceWei: ether('1'),
+  deadline: deadline(),
+  createdAt: 1,
+  ...overrides
+})
+
+const query = (params) => queryMarket(new URLSearchParams(params))
+const ids = (page) => page.items.map(l => l.id)
+
+describe('queryMarket', () => {
+  before(() => {
+    for (const key of ['karrat', 'studiochain']) stubMarket(key, { provider: tierNames })
+  })
+
+  beforeEach(() => {
+    getCollection('listings').length = 0
+    store('cheap', { priceWei: ether('0.5'), createdAt: 3 })
+    store('mid', { priceWei: ether('2'), seller: BOB, tokenId: 2, createdAt: 2 })
+    store('eth', { priceWei: ether('5'), marketplace: ETH_MARKET, tokenId: 3, createdAt: 4 })
+    store('dear', { priceWei: ether('10'), createdAt: 1 })
+  })
+
+  it('returns live public listings, newest first, labelled with their currency', async () => {
+    store('expired', { deadline: 1, createdAt: 9 })
+    store('inactive', { status: 'inactive', createdAt: 9 })
+    store('sold out', { partial: true, amount: 2, filled: 2, createdAt: 9 })
+    store('private', { buyer: BOB, createdAt: 9 })
+
+    const page = await query({})
+    assert.deepEqual(ids(page), ['eth', 'cheap', 'mid', 'dear'])
+    assert.deepEqual(page.items.map(l => l.currency), ['ETH', 'KARRAT', 'KARRAT', 'KARRAT'])
+    assert.equal(page.total, 4)
+    assert.equal(page.nextCursor, null)
+  })
+
+  it('includes inactive listings when asked', async () => {
+    store('inactive', { status: 'inactive' })
+    assert.equal((await query({ active: 'false' })).total, 5)
+  })
+
+  it('filters by price range, seller, currency and token', async () => {
+    assert.deepEqual(ids(await query({ minPrice: '1', maxPrice: '5', sort: 'price_asc' })), ['mid', 'eth'])
+    assert.deepEqual(ids(await query({ seller: BOB.toLowerCase() })), ['mid'])
+    assert.deepEqual(ids(await query({ currency: 'eth' })), ['eth'])
+    assert.deepEqual(ids(await query({ tokenId: '1,3', sort: 'price_desc' })), ['dear', 'eth', 'cheap'])
+  })
+
+  it('filters by tier as read from the collection', async () => {
+    assert.deepEqual(ids(await query({ tier: 'Weapons', sort: 'price_asc' })), ['cheap', 'dear'])
+  })
+
+  it('pages through every match once with the cursor', async () => {
+    const seen = []
+    let cursor = ''
+    do {
+      const page = await query({ sort: 'price_asc', limit: '3', ...(cursor && { cursor }) })
+      assert.equal(page.total, 4)
+      seen.push(...ids(page))
+      cursor = page.nextCursor
+    } while (cursor)
+
+    assert.deepEqual(seen, ['cheap', 'mid', 'eth', 'dear'])
+  })
+
+  it('rejects bad parameters with a 400', async () => {
+    await assert.rejects(query({ sort: 'cheapest' }), { status: 400, message: 'Unknown sort "cheapest"' })
+    await assert.rejects(query({ limit: '0' }), { status: 400 })
+    await assert.rejects(query({ currency: 'DOGE' }), { status: 400, message: 'Unknown currency "DOGE"' })
+    await assert.rejects(query({ minPrice: '-1' }), { status: 400, message: 'minPrice must be a positive number' })
+    await assert.rejects(query({ cursor: 'nope' }), { status: 400, message: 'Invalid cursor' })
+  })
+})
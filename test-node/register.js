@@ -0,0 +1,4 @@
+// Loaded with --import before the tests: lets Node load src/ modules the way Vite does
+import { register } from 'node:module'
+
+register('./loader.js', import.meta.url)
@@ -0,0 +1,236 @@
+import { describe, it, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { MARKETPLACE, ETH_MARKETPLACE } from './helpers.js'
+
+const API = 'http://api.test'
+const ORDER = `0x${'a'.repeat(64)}`
+const RESIGNED = `0x${'b'.repeat(64)}`
+
+// The browser globals storage.js relies on
+const store = new Map()
+globalThis.localStorage = {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+}
+globalThis.window = new EventTarget()
+process.env.VITE_API_URL = API
+process.env.VITE_CHAIN_ID = '31337'
+
+const { addListing, updateListing, replaceListing, removeListing, getOutbox, syncOutbox, ListingRejectedError } = await import('../src/utils/storage.js')
+const { MARKETS } = await import('../src/utils/markets.js')
+
+// Every request the module makes, answered by `respond`
+let requests = []
+let respond = () => { throw new TypeError('fetch failed') }
+globalThis.fetch = async (url, init = {}) => {
+  const request = { url, method: init.method ?? 'GET', body: init.body && JSON.parse(init.body) }
+  requests.push(request)
+  return respond(request)
+}
+
+const reply = (status, body = {}) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+
+const localListings = () => JSON.parse(localStorage.getItem('mph_listings') ?? '[]')
+
+beforeEach(() => {
+  store.clear()
+  requests = []
+  respond = () => { throw new TypeError('fetch failed') }
+  mock.method(console, 'warn', () => {})
+})
+
+describe('updateListing', () => {
+  it('refuses to change signed terms without a new signature', async () => {
+    await assert.rejects(updateListing(ORDER, { priceWei: '2' }), {
+      name: 'ListingRejectedError',
+      message: 'Changing priceWei requires a new signature'
+    })
+    assert.equal(requests.length, 0)
+  })
+
+  it('sends a re-signed edit to the service', async () => {
+    respond = ({ body }) => reply(200, { id: ORDER, ...body })
+    const updated = await updateListing(ORDER, { priceWei: '2', signature: '0x02' })
+
+    assert.equal(updated.priceWei, '2')
+    assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), [`PATCH ${API}/listings/${ORDER}`])
+  })
+
+  it('keeps an edit the service refuses out of localStorage', async () => {
+    localStorage.setItem('mph_listings', JSON.stringify([{ id: ORDER, priceWei: '1', signature: '0x01' }]))
+    respond = () => reply(400, { error: 'Signature was not produced by the seller' })
+
+    await assert.rejects(updateListing(ORDER, { priceWei: '2', signature: '0x02' }), ListingRejectedError)
+    assert.equal(localListings()[0].priceWei, '1')
+  })
+
+  it('refuses an offline edit that changes terms under the old signature', async () => {
+    localStorage.setItem('mph_listings', JSON.stringify([{ id: ORDER, priceWei: '1', signature: '0x01' }]))
+
+    await assert.rejects(updateListing(ORDER, { priceWei: '2', signature: '0x01' }), {
+      message: 'Listing terms changed but the signature did not'
+    })
+  })
+})
+
+describe('replaceListing', () => {
+  const resigned = { id: RESIGNED, seller: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', priceWei: '2', signature: '0x02' }
+
+  it('edits the listing in place', async () => {
+    respond = ({ body }) => reply(200, body)
+    assert.equal((await replaceListing(ORDER, resigned)).id, RESIGNED)
+    assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), [`PATCH ${API}/listings/${ORDER}`])
+  })
+
+  it('lists the new order when the sweeper pruned the old one in between', async () => {
+    respond = ({ method, body }) => method === 'PATCH' ? reply(404, { error: 'Not found' }) : reply(201, body)
+    const listing = await replaceListing(ORDER, resigned)
+
+    assert.equal(listing.id, RESIGNED)
+    assert.equal(listing.signature, '0x02')
+    assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), [`PATCH ${API}/listings/${ORDER}`, `POST ${API}/listings`])
+  })
+
+  it('passes other refusals on', async () => {
+    respond = () => reply(403, { error: 'Only the seller or an admin can modify this listing' })
+    await assert.rejects(replaceListing(ORDER, resigned), { status: 403 })
+    assert.equal(requests.length, 1)
+  })
+})
+
+describe('outbox', () => {
+  const listing = { id: ORDER, seller: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', priceWei: '1', signature: '0x01' }
+
+  it('queues changes made while the service is down and keeps them locally', async () => {
+    await addListing(listing)
+
+    assert.deepEqual(getOutbox().map(op => op.action), ['create'])
+    assert.equal(localListings()[0].id, ORDER)
+  })
+
+  it('folds changes to one listing into a single request', async () => {
+    await addListing(listing)
+    await updateListing(ORDER, { priceWei: '2', signature: '0x02' })
+
+    const [op] = getOutbox()
+    assert.equal(getOutbox().length, 1)
+    assert.equal(op.action, 'create')
+    assert.equal(op.payload.priceWei, '2')
+
+    // A listing that never reached the service has nothing to delete there
+    await removeListing(ORDER)
+    assert.deepEqual(getOutbox(), [])
+  })
+
+  it('sends an edit of a re-signed listing to its old id', async () => {
+    await updateListing(ORDER, { id: RESIGNED, priceWei: '2', signature: '0x02' })
+    await removeListing(RESIGNED)
+
+    assert.deepEqual(getOutbox().map(op => `${op.action} ${op.listingId}`), [`remove ${ORDER}`])
+  })
+
+  it('replays the queue once the service is back and forgets the local copies', async () => {
+    await addListing(listing)
+    const [queued] = getOutbox()
+    respond = () => reply(201, listing)
+
+    const result = await syncOutbox()
+    assert.deepEqual(result, { synced: 1, pending: 0, conflicts: [], offline: false, needsSignIn: false })
+    assert.deepEqual(requests.at(-1), { url: `${API}/listings`, method: 'POST', body: queued.payload })
+    assert.deepEqual(getOutbox(), [])
+    assert.deepEqual(localListings(), [])
+  })
+
+  it('treats a listing the service already has as synced', async () => {
+    await addListing(listing)
+    respond = () => reply(409, { error: 'Listing already exists' })
+
+    assert.equal((await syncOutbox()).synced, 1)
+    assert.deepEqual(getOutbox(), [])
+  })
+
+  it('keeps the queue while the service is down or the session expired', async () => {
+    await addListing(listing)
+
+    assert.equal((await syncOutbox()).offline, true)
+    respond = () => reply(503)
+    assert.equal((await syncOutbox()).offline, true)
+    respond = () => reply(401, { error: 'Sign in first' })
+    assert.equal((await syncOutbox()).needsSignIn, true)
+    assert.equal(getOutbox().length, 1)
+  })
+
+  it('drops changes the service refuses and reports them', async () => {
+    await addListing(listing)
+    respond = () => reply(400, { error: 'Nonce 0 is stale, current nonce is 1' })
+
+    const { conflicts, pending } = await syncOutbox()
+    assert.equal(pending, 0)
+    assert.equal(conflicts[0].listingId, ORDER)
+    assert.equal(conflicts[0].reason, 'Nonce 0 is stale, current nonce is 1')
+    assert.deepEqual(localListings(), [])
+  })
+})
+
+describe('migrateLocalListings', () => {
+  // The migration runs when storage.js loads, so each case loads a fresh copy
+  let loads = 0
+  const load = () => import(`../src/utils/storage.js?migrate=${++loads}`)
+
+  it('folds StudioChain listings into mph_listings, tagging each with its marketplace and chain', async () => {
+    localStorage.setItem('mph_listings', JSON.stringify([{ id: 'a' }, { id: 'b', marketplace: ETH_MARKETPLACE }]))
+    localStorage.setItem('mph_studiochain_listings', JSON.stringify([{ id: 'c' }]))
+    await load()
+
+    assert.deepEqual(localListings(), [
+      { id: 'a', marketplace: MARKETPLACE, chainId: 31337 },
+      { id: 'b', marketplace: ETH_MARKETPLACE, chainId: 616 },
+      { id: 'c', marketplace: ETH_MARKETPLACE, chainId: 616 }
+    ])
+    assert.equal(localStorage.getItem('mph_studiochain_listings'), null)
+  })
+
+  it('tags queued listings by the collection they were queued for', async () => {
+    localStorage.setItem('mph_outbox', JSON.stringify([
+      { id: 1, action: 'create', collection: 'studiochain_listings', payload: { id: 'c' } },
+      { id: 2, action: 'create', collection: 'listings', payload: { id: 'a' } },
+      { id: 3, action: 'delete', collection: 'studiochain_listings', listingId: 'd' }
+    ]))
+    await load()
+
+    assert.deepEqual(JSON.parse(localStorage.getItem('mph_outbox')), [
+      { id: 1, action: 'create', payload: { id: 'c', marketplace: ETH_MARKETPLACE, chainId: 616 } },
+      { id: 2, action: 'create', payload: { id: 'a', marketplace: MARKETPLACE, chainId: 31337 } },
+      { id: 3, action: 'delete', listingId: 'd' }
+    ])
+  })
+
+  it('keeps StudioChain listings aside until that marketplace is configured', async (t) => {
+    t.after(() => { MARKETS.studiochain.marketplace = ETH_MARKETPLACE })
+    MARKETS.studiochain.marketplace = ''
+    const legacy = JSON.stringify([{ id: 'c' }])
+    const outbox = [{ id: 1, action: 'create', collection: 'studiochain_listings', payload: { id: 'c' } }]
+    localStorage.setItem('mph_studiochain_listings', legacy)
+    localStorage.setItem('mph_outbox', JSON.stringify(outbox))
+    await load()
+
+    assert.equal(localStorage.getItem('mph_studiochain_listings'), legacy)
+    assert.deepEqual(getOutbox(), outbox)
+    assert.equal(localStorage.getItem('mph_listings'), null)
+
+    MARKETS.studiochain.marketplace = ETH_MARKETPLACE
+    await load()
+    assert.deepEqual(localListings(), [{ id: 'c', marketplace: ETH_MARKETPLACE, chainId: 616 }])
+    assert.deepEqual(getOutbox().map(op => op.payload), [{ id: 'c', marketplace: ETH_MARKETPLACE, chainId: 616 }])
+  })
+
+  it('leaves migrated data alone', async () => {
+    const listings = JSON.stringify([{ id: 'a', marketplace: MARKETPLACE, chainId: 31337 }])
+    localStorage.setItem('mph_listings', listings)
+    await load()
+
+    assert.equal(localStorage.getItem('mph_listings'), listings)
+    assert.equal(localStorage.getItem('mph_outbox'), null)
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { NFT_ABI } from '../src/utils/constants.js'
+import { MARKETPLACE, NFT, useTempDb, fakeProvider, stubMarket } from './helpers.js'
+
+const { getCollection, insertRecord, findRecord } = await useTempDb('sweeper')
+const { sweepListings } = await import('../server/sweeper.js')
+
+// What the chain reports for the seller, served without an RPC
+const chain = {}
+
+const seller = ethers.Wallet.createRandom().address
+
+const storeListing = (id, overrides = {}) => insertRecord('listings', {
+  id,
+  chainId: 31337,
+  marketplace: MARKETPLACE,
+  seller,
+  nftContract: NFT,
+  tokenId: 1,
+  amount: 2,
+  priceWei: '1000',
+  nonce: 0,
+  counter: 0,
+  deadline: Math.floor(Date.now() / 1000) + 3600,
+  ...overrides
+})
+
+describe('sweepListings', () => {
+  before(() => {
+    stubMarket('karrat', {
+      provider: fakeProvider(NFT_ABI, (name) => [name === 'balanceOf' ? chain.balance : chain.approved]),
+      marketplace: {
+        nonces: async () => chain.nonce,
+        counters: async () => chain.counter,
+        filledAmounts: async () => chain.filled
+      }
+    })
+  })
+
+  beforeEach(() => {
+    getCollection('listings').length = 0
+    Object.assign(chain, { nonce: 0n, counter: 0n, filled: 0n, balance: 2n, approved: true })
+  })
+
+  it('prunes expired orders', async () => {
+    storeListing('expired', { deadline: Math.floor(Date.now() / 1000) - 1 })
+
+    const stats = await sweepListings()
+    assert.equal(stats.dead, 1)
+    assert.equal(findRecord('listings', 'expired'), null)
+  })
+
+  it('prunes orders whose nonce or counter moved on', async () => {
+    storeListing('sold')
+    chain.nonce = 1n
+    await sweepListings()
+    assert.equal(findRecord('listings', 'sold'), null)
+
+    storeListing('cancelled')
+    chain.nonce = 0n
+    chain.counter = 1n
+    await sweepListings()
+    assert.equal(findRecord('listings', 'cancelled'), null)
+  })
+
+  it('prunes partial-fill orders that sold out and tracks what filled', async () => {
+    storeListing('partial', { partial: true, amount: 3 })
+    chain.filled = 1n
+    await sweepListings()
+    const [swept] = getCollection('listings')
+    assert.equal(swept.filled, 1)
+
+    chain.filled = 3n
+    await sweepListings()
+    assert.equal(getCollection('listings').length, 0)
+  })
+
+  it('marks orders inactive while the seller lacks the tokens or the approval, and reactivates them', async () => {
+    storeListing('order')
+
+    chain.balance = 1n
+    await sweepListings()
+    let [swept] = getCollection('listings')
+    assert.equal(swept.status, 'inactive')
+    assert.equal(swept.statusReason, 'insufficient_balance')
+
+    chain.balance = 2n
+    chain.approved = false
+    await sweepListings()
+    ;[swept] = getCollection('listings')
+    assert.equal(swept.statusReason, 'not_approved')
+
+    chain.approved = true
+    const stats = await sweepListings()
+    ;[swept] = getCollection('listings')
+    assert.equal(stats.inactive, 0)
+    assert.equal(swept.status, 'active')
+  })
+
+  it('re-keys listings stored under an old id to their order hash', async () => {
+    storeListing('legacy')
+    await sweepListings()
+    const [swept] = getCollection('listings')
+    assert.match(swept.id, /^0x[0-9a-f]{64}$/)
+  })
+})
@@ -0,0 +1,154 @@
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { APPROVAL_TYPES } from '../src/utils/constants.js'
+import { verifyListing, getOrderHash } from '../server/verify.js'
+import { MARKETPLACE, NFT, DOMAIN, stubMarket } from './helpers.js'
+
+const seller = ethers.Wallet.createRandom()
+const stranger = ethers.Wallet.createRandom()
+
+// The marketplace as the chain would report it, without an RPC
+const chain = { nonce: 0n, counter: 0n }
+
+const signListing = async (overrides = {}, signer = seller) => {
+  const listing = {
+    chainId: 31337,
+    marketplace: MARKETPLACE,
+    seller: seller.address,
+    nftContract: NFT,
+    tokenId: 1,
+    amount: 2,
+    priceWei: ethers.parseEther('1').toString(),
+    nonce: 0,
+    counter: 0,
+    deadline: Math.floor(Date.now() / 1000) + 3600,
+    buyer: ethers.ZeroAddress,
+    ...overrides
+  }
+  const message = {
+    seller: listing.seller,
+    nftContract: listing.nftContract,
+    tokenId: listing.tokenId,
+    amount: listing.amount,
+    price: listing.priceWei,
+    nonce: listing.nonce,
+    counter: listing.counter,
+    deadline: listing.deadline,
+    buyer: listing.buyer
+  }
+  return { ...listing, signature: await signer.signTypedData(DOMAIN, APPROVAL_TYPES, message) }
+}
+
+describe('verifyListing', () => {
+  before(() => {
+    stubMarket('karrat', {
+      marketplace: {
+        nonces: async () => chain.nonce,
+        counters: async () => chain.counter,
+        filledAmounts: async () => 0n
+      }
+    })
+  })
+
+  beforeEach(() => {
+    chain.nonce = 0n
+    chain.counter = 0n
+  })
+
+  it('accepts a listing signed by its seller', async () => {
+    const listing = await signListing()
+    const { orderHash, chainId, filled } = await verifyListing(listing)
+
+    assert.equal(orderHash, getOrderHash(DOMAIN, listing))
+    assert.equal(chainId, 31337)
+    assert.equal(filled, 0)
+  })
+
+  it('rejects a signature from anyone but the seller', async () => {
+    const listing = await signListing({}, stranger)
+    await assert.rejects(verifyListing(listing), { status: 400, message: 'Signature was not produced by the seller' })
+  })
+
+  it('rejects a listing whose signed fields were changed', async () => {
+    const listing = await signListing()
+    await assert.rejects(verifyListing({ ...listing, priceWei: '1' }), { status: 400, message: 'Signature was not produced by the seller' })
+  })
+
+  it('rejects a malformed signature', async () => {
+    const listing = await signListing()
+    await assert.rejects(verifyListing({ ...listing, signature: '0x1234' }), { status: 400, message: 'Malformed signature' })
+  })
+
+  it('lists every missing field', async () => {
+    await assert.rejects(
+      verifyListing({ marketplace: MARKETPLACE, seller: seller.address }),
+      { status: 400, message: 'Missing fields: nftContract, tokenId, amount, priceWei, nonce, counter, deadline, signature' }
+    )
+  })
+
+  it('rejects a marketplace the service does not know', async () => {
+    const listing = await signListing({ marketplace: stranger.address })
+    await assert.rejects(verifyListing(listing), { status: 400, message: `No marketplace is configured at ${stranger.address}` })
+  })
+
+  it('rejects a listing signed for another chain', async () => {
+    const listing = await signListing({ chainId: 1 })
+    await assert.rejects(verifyListing(listing), { status: 400, message: /is on chain 31337, not 1/ })
+  })
+
+  it('rejects an expired listing', async () => {
+    const listing = await signListing({ deadline: Math.floor(Date.now() / 1000) - 1 })
+    await assert.rejects(verifyListing(listing), { status: 400, message: 'Listing deadline has already passed' })
+  })
+
+  it('rejects a listing whose nonce or counter moved on', async () => {
+    const listing = await signListing()
+
+    chain.nonce = 1n
+    await assert.rejects(verifyListing(listing), { status: 400, message: 'Nonce 0 is stale, current nonce is 1' })
+
+    chain.nonce = 0n
+    chain.counter = 1n
+    await assert.rejects(verifyListing(listing), { status: 400, message: /Counter 0 is stale/ })
+  })
+})
+
+describe('getOrderHash', () => {
+  it('gives the same id to the same signed order', async () => {
+    const listing = await signListing({ deadline: 2000000000 })
+    const resubmitted = { ...listing, id: 'ignored', createdAt: Date.now() }
+
+    assert.equal(getOrderHash(DOMAIN, resubmitted), getOrderHash(DOMAIN, listing))
+    assert.equal(getOrderHash(DOMAIN, listing), ethers.TypedDataEncoder.hash(DOMAIN, APPROVAL_TYPES, {
+      seller: seller.address,
+      nftContract: NFT,
+      tokenId: 1,
+      amount: 2,
+      price: ethers.parseEther('1'),
+      nonce: 0,
+      counter: 0,
+      deadline: 2000000000,
+      buyer: ethers.ZeroAddress
+    }))
+  })
+
+  it('gives a re-signed order a new id', async () => {
+    const listing = await signListing({ deadline: 2000000000 })
+    const repriced = await signListing({ deadline: 2000000000, priceWei: ethers.parseEther('2').toString() })
+
+    assert.notEqual(getOrderHash(DOMAIN, repriced), getOrderHash(DOMAIN, listing))
+    assert.notEqual(getOrderHash({ ...DOMAIN, chainId: 1 }, listing), getOrderHash(DOMAIN, listing))
+  })
+
+  it('hashes partial-fill and Dutch orders with their own types', async () => {
+    const listing = await signListing({ deadline: 2000000000 })
+    const hashes = new Set([
+      getOrderHash(DOMAIN, listing),
+      getOrderHash(DOMAIN, { ...listing, partial: true }),
+      getOrderHash(DOMAIN, { ...listing, dutch: true, endPriceWei: '1', startTime: 1900000000 })
+    ])
+
+    assert.equal(hashes.size, 3)
+  })
+})
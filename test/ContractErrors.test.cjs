@@ -0,0 +1,10 @@
+const { expect } = require("chai");
+const { collectContractErrors } = require("../scripts/export-errors.cjs");
+const exported = require("../src/utils/contractErrors.json");
+
+describe("contractErrors.json", function () {
+  it("lists every custom error the compiled contracts can revert with", async function () {
+    // Out of date after a contract change: run `npm run export-errors`
+    expect(exported).to.deep.equal(await collectContractErrors());
+  });
+});
@@ -0,0 +1,501 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MPHAuctionHouse", function () {
+  let auctionHouse;
+  let nft;
+  let karrat;
+  let verifier;
+  let owner, admin, seller, bidder1, bidder2, feeReceiver;
+  let nftAddress, auctionHouseAddress, karratAddress, verifierAddress;
+
+  const tokenId = 1;
+  const amount = 2;
+  const duration = 24 * 60 * 60;
+  const reserve = ethers.parseEther("100");
+
+  beforeEach(async function () {
+    [owner, admin, seller, bidder1, bidder2, feeReceiver] = await ethers.getSigners();
+
+    // Deploy MockKARRAT
+    const MockKARRAT = await ethers.getContractFactory("MockKARRAT");
+    karrat = await MockKARRAT.deploy();
+    await karrat.waitForDeployment();
+    karratAddress = await karrat.getAddress();
+
+    // Deploy Verifier
+    const Verifier = await ethers.getContractFactory("Verifier");
+    verifier = await Verifier.deploy(admin.address, admin.address);
+    await verifier.waitForDeployment();
+    verifierAddress = await verifier.getAddress();
+
+    // Deploy Tracking
+    const Tracking = await ethers.getContractFactory("MPHAssetTracking");
+    const tracking = await Tracking.deploy(verifierAddress, admin.address, admin.address);
+    await tracking.waitForDeployment();
+    const trackingAddress = await tracking.getAddress();
+
+    // Grant VERIFIER_ROLE to tracking
+    const VERIFIER_ROLE = await verifier.VERIFIER_ROLE();
+    await verifier.connect(admin).grantRole(VERIFIER_ROLE, trackingAddress);
+
+    // Deploy NFT
+    const config = {
+      royaltyPercentage: 250,
+      royaltyReceiver: admin.address
+    };
+
+    const addresses = {
+      admin: admin.address,
+      operator: admin.address,
+      pool: admin.address,
+      verifierAddress: verifierAddress,
+      karratCoin: karratAddress
+    };
+
+    const tiers = [
+      {
+        name: "Legendary",
+        tierURI: "https://test.com/",
+        initialSupplies: [100, 100],
+        maxAmountsPerUser: [10, 10],
+        prices: [ethers.parseEther("10"), ethers.parseEther("20")]
+      }
+    ];
+
+    const NFT = await ethers.getContractFactory("TieredGameInventory1155");
+    nft = await NFT.deploy(config, addresses, tiers);
+    await nft.waitForDeployment();
+    nftAddress = await nft.getAddress();
+
+    await nft.connect(admin).setMPHAssetTracking(trackingAddress);
+    await tracking.connect(admin).addNewContract(nftAddress);
+
+    // Deploy Auction House
+    const AuctionHouse = await ethers.getContractFactory("MPHAuctionHouse");
+    auctionHouse = await AuctionHouse.deploy(verifierAddress, karratAddress, admin.address, feeReceiver.address);
+    await auctionHouse.waitForDeployment();
+    auctionHouseAddress = await auctionHouse.getAddress();
+
+    // Set fee to 2.5%
+    await auctionHouse.connect(admin).setFeePerMille(25);
+
+    // Approve auction house and NFT in verifier
+    await verifier.connect(admin).setAllowedAddress(auctionHouseAddress, true);
+    await verifier.connect(admin).setAllowedAddress(nftAddress, true);
+
+    // Seller buys NFTs from primary sale
+    await karrat.mint(seller.address, ethers.parseEther("10000"));
+    await karrat.connect(seller).approve(nftAddress, ethers.MaxUint256);
+    await nft.connect(seller).buyNFT("Legendary", [tokenId], [5]);
+    await nft.connect(seller).setApprovalForAll(auctionHouseAddress, true);
+
+    // Bidders hold and approve KARRAT
+    for (const bidder of [bidder1, bidder2]) {
+      await karrat.mint(bidder.address, ethers.parseEther("10000"));
+      await karrat.connect(bidder).approve(auctionHouseAddress, ethers.MaxUint256);
+    }
+  });
+
+  const createKarratAuction = () =>
+    auctionHouse.connect(seller).createAuction(nftAddress, tokenId, amount, karratAddress, reserve, duration);
+
+  const createEthAuction = () =>
+    auctionHouse.connect(seller).createAuction(nftAddress, tokenId, amount, ethers.ZeroAddress, ethers.parseEther("1"), duration);
+
+  // ============================================
+  // DEPLOYMENT TESTS
+  // ============================================
+
+  describe("Deployment", function () {
+    it("Should set the admin, verifier, payment token and fee receiver", async function () {
+      expect(await auctionHouse.hasRole(await auctionHouse.DEFAULT_ADMIN_ROLE(), admin.address)).to.be.true;
+      expect(await auctionHouse.verifier()).to.equal(verifierAddress);
+      expect(await auctionHouse.paymentToken()).to.equal(karratAddress);
+      expect(await auctionHouse.feeReceiver()).to.equal(feeReceiver.address);
+    });
+
+    it("Should start with a 5% increment and a 10 minute extension window", async function () {
+      expect(await auctionHouse.minIncrementPerMille()).to.equal(50);
+      expect(await auctionHouse.extensionWindow()).to.equal(600);
+    });
+
+    it("Should revert if the verifier, admin or fee receiver is zero", async function () {
+      const AuctionHouse = await ethers.getContractFactory("MPHAuctionHouse");
+      await expect(
+        AuctionHouse.deploy(ethers.ZeroAddress, karratAddress, admin.address, feeReceiver.address)
+      ).to.be.revertedWithCustomError(AuctionHouse, "ZeroAddress");
+      await expect(
+        AuctionHouse.deploy(verifierAddress, karratAddress, admin.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(AuctionHouse, "ZeroAddress");
+    });
+
+    it("Should only take ETH without a payment token", async function () {
+      const AuctionHouse = await ethers.getContractFactory("MPHAuctionHouse");
+      const ethOnly = await AuctionHouse.deploy(verifierAddress, ethers.ZeroAddress, admin.address, feeReceiver.address);
+      await expect(
+        ethOnly.connect(seller).createAuction(nftAddress, tokenId, amount, karratAddress, reserve, duration)
+      ).to.be.revertedWithCustomError(ethOnly, "UnsupportedCurrency").withArgs(karratAddress);
+    });
+  });
+
+  // ============================================
+  // CREATE AUCTION TESTS
+  // ============================================
+
+  describe("createAuction", function () {
+    it("Should escrow the tokens and emit AuctionCreated", async function () {
+      const endTime = (await time.latest()) + 1 + duration;
+      await expect(createKarratAuction())
+        .to.emit(auctionHouse, "AuctionCreated")
+        .withArgs(0, seller.address, nftAddress, tokenId, amount, karratAddress, reserve, endTime);
+
+      expect(await nft.balanceOf(auctionHouseAddress, tokenId)).to.equal(amount);
+      expect(await nft.balanceOf(seller.address, tokenId)).to.equal(3);
+      expect(await auctionHouse.auctionCount()).to.equal(1);
+
+      const auction = await auctionHouse.getAuction(0);
+      expect(auction.seller).to.equal(seller.address);
+      expect(auction.endTime).to.equal(endTime);
+      expect(auction.settled).to.be.false;
+    });
+
+    it("Should revert for a currency other than the payment token or ETH", async function () {
+      await expect(
+        auctionHouse.connect(seller).createAuction(nftAddress, tokenId, amount, nftAddress, reserve, duration)
+      ).to.be.revertedWithCustomError(auctionHouse, "UnsupportedCurrency").withArgs(nftAddress);
+    });
+
+    it("Should revert for a duration outside the allowed range", async function () {
+      await expect(
+        auctionHouse.connect(seller).createAuction(nftAddress, tokenId, amount, karratAddress, reserve, 60)
+      ).to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+      await expect(
+        auctionHouse.connect(seller).createAuction(nftAddress, tokenId, amount, karratAddress, reserve, 31 * 24 * 60 * 60)
+      ).to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+    });
+
+    it("Should revert for a zero amount or reserve", async function () {
+      await expect(
+        auctionHouse.connect(seller).createAuction(nftAddress, tokenId, 0, karratAddress, reserve, duration)
+      ).to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+      await expect(
+        auctionHouse.connect(seller).createAuction(nftAddress, tokenId, amount, karratAddress, 0, duration)
+      ).to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+    });
+
+    it("Should revert for a collection the verifier has not approved", async function () {
+      await verifier.connect(admin).setAllowedAddress(nftAddress, false);
+      await expect(createKarratAuction()).to.be.revertedWithCustomError(auctionHouse, "CollectionDoesNotSellHere");
+    });
+  });
+
+  // ============================================
+  // BID TESTS
+  // ============================================
+
+  describe("placeBid", function () {
+    beforeEach(async function () {
+      await createKarratAuction();
+    });
+
+    it("Should escrow the first bid at the reserve price", async function () {
+      await expect(auctionHouse.connect(bidder1).placeBid(0, reserve))
+        .to.emit(auctionHouse, "BidPlaced");
+
+      expect(await karrat.balanceOf(auctionHouseAddress)).to.equal(reserve);
+      const auction = await auctionHouse.getAuction(0);
+      expect(auction.highestBidder).to.equal(bidder1.address);
+      expect(auction.highestBid).to.equal(reserve);
+    });
+
+    it("Should revert below the reserve price", async function () {
+      await expect(auctionHouse.connect(bidder1).placeBid(0, reserve - 1n))
+        .to.be.revertedWithCustomError(auctionHouse, "BidTooLow")
+        .withArgs(reserve, reserve - 1n);
+    });
+
+    it("Should require the minimum increment over the highest bid", async function () {
+      await auctionHouse.connect(bidder1).placeBid(0, reserve);
+      const minimum = reserve + (reserve * 50n) / 1000n;
+      expect(await auctionHouse.minimumBid(0)).to.equal(minimum);
+
+      await expect(auctionHouse.connect(bidder2).placeBid(0, minimum - 1n))
+        .to.be.revertedWithCustomError(auctionHouse, "BidTooLow")
+        .withArgs(minimum, minimum - 1n);
+    });
+
+    it("Should refund the outbid bidder", async function () {
+      await auctionHouse.connect(bidder1).placeBid(0, reserve);
+      const raise = ethers.parseEther("110");
+
+      await expect(auctionHouse.connect(bidder2).placeBid(0, raise))
+        .to.changeTokenBalances(karrat, [bidder1, bidder2, auctionHouse], [reserve, -raise, raise - reserve]);
+    });
+
+    it("Should revert when the seller bids", async function () {
+      await karrat.connect(seller).approve(auctionHouseAddress, ethers.MaxUint256);
+      await expect(auctionHouse.connect(seller).placeBid(0, reserve))
+        .to.be.revertedWithCustomError(auctionHouse, "SellerCannotBid");
+    });
+
+    it("Should revert when ETH is sent with a KARRAT bid", async function () {
+      await expect(auctionHouse.connect(bidder1).placeBid(0, reserve, { value: 1 }))
+        .to.be.revertedWithCustomError(auctionHouse, "InsufficientPayment")
+        .withArgs(0, 1);
+    });
+
+    it("Should extend the auction when a bid lands in the last minutes", async function () {
+      const { endTime } = await auctionHouse.getAuction(0);
+      await time.setNextBlockTimestamp(endTime - 60n);
+
+      await expect(auctionHouse.connect(bidder1).placeBid(0, reserve))
+        .to.emit(auctionHouse, "BidPlaced")
+        .withArgs(0, bidder1.address, reserve, endTime - 60n + 600n);
+    });
+
+    it("Should not extend the auction for earlier bids", async function () {
+      const { endTime } = await auctionHouse.getAuction(0);
+      await auctionHouse.connect(bidder1).placeBid(0, reserve);
+      expect((await auctionHouse.getAuction(0)).endTime).to.equal(endTime);
+    });
+
+    it("Should revert after the end time", async function () {
+      const { endTime } = await auctionHouse.getAuction(0);
+      await time.increaseTo(endTime);
+      await expect(auctionHouse.connect(bidder1).placeBid(0, reserve))
+        .to.be.revertedWithCustomError(auctionHouse, "AuctionEnded")
+        .withArgs(endTime);
+    });
+
+    it("Should revert for an unknown auction", async function () {
+      await expect(auctionHouse.connect(bidder1).placeBid(5, reserve))
+        .to.be.revertedWithCustomError(auctionHouse, "AuctionNotActive")
+        .withArgs(5);
+    });
+  });
+
+  describe("placeBid (ETH)", function () {
+    const first = ethers.parseEther("1");
+    const raise = ethers.parseEther("2");
+
+    beforeEach(async function () {
+      await createEthAuction();
+    });
+
+    it("Should take the bid as msg.value and refund the outbid bidder", async function () {
+      await auctionHouse.connect(bidder1).placeBid(0, first, { value: first });
+      await expect(auctionHouse.connect(bidder2).placeBid(0, raise, { value: raise }))
+        .to.changeEtherBalances([bidder1, auctionHouse], [first, raise - first]);
+    });
+
+    it("Should revert when msg.value does not match the bid", async function () {
+      await expect(auctionHouse.connect(bidder1).placeBid(0, first, { value: first - 1n }))
+        .to.be.revertedWithCustomError(auctionHouse, "InsufficientPayment")
+        .withArgs(first, first - 1n);
+    });
+
+    it("Should credit a refund the bidder refuses instead of blocking higher bids", async function () {
+      const Rejecting = await ethers.getContractFactory("ETHRejectingBidder");
+      const rejecting = await Rejecting.deploy();
+      await rejecting.waitForDeployment();
+      const rejectingAddress = await rejecting.getAddress();
+
+      await rejecting.bid(auctionHouseAddress, 0, { value: first });
+      await expect(auctionHouse.connect(bidder2).placeBid(0, raise, { value: raise }))
+        .to.emit(auctionHouse, "RefundDeferred")
+        .withArgs(rejectingAddress, first);
+
+      expect(await auctionHouse.pendingRefunds(rejectingAddress)).to.equal(first);
+      expect((await auctionHouse.getAuction(0)).highestBidder).to.equal(bidder2.address);
+    });
+
+    it("Should revert withdrawRefund with nothing owed", async function () {
+      await expect(auctionHouse.connect(bidder1).withdrawRefund())
+        .to.be.revertedWithCustomError(auctionHouse, "NothingToWithdraw");
+    });
+  });
+
+  // ============================================
+  // SETTLEMENT TESTS
+  // ============================================
+
+  describe("settleAuction", function () {
+    it("Should send the tokens to the winner and the bid minus fee to the seller", async function () {
+      await createKarratAuction();
+      await auctionHouse.connect(bidder1).placeBid(0, reserve);
+      await time.increaseTo((await auctionHouse.getAuction(0)).endTime);
+
+      const fee = (reserve * 25n) / 1000n;
+      const settle = auctionHouse.connect(bidder2).settleAuction(0);
+      await expect(settle).to.emit(auctionHouse, "AuctionSettled").withArgs(0, bidder1.address, reserve);
+      await expect(settle).to.changeTokenBalances(karrat, [seller, feeReceiver, auctionHouse], [reserve - fee, fee, -reserve]);
+
+      expect(await nft.balanceOf(bidder1.address, tokenId)).to.equal(amount);
+      expect((await auctionHouse.getAuction(0)).settled).to.be.true;
+    });
+
+    it("Should pay ETH auctions out in ETH", async function () {
+      await createEthAuction();
+      const bid = ethers.parseEther("1");
+      await auctionHouse.connect(bidder1).placeBid(0, bid, { value: bid });
+      await time.increaseTo((await auctionHouse.getAuction(0)).endTime);
+
+      const fee = (bid * 25n) / 1000n;
+      await expect(auctionHouse.settleAuction(0))
+        .to.changeEtherBalances([seller, feeReceiver], [bid - fee, fee]);
+    });
+
+    it("Should credit ETH the seller and fee receiver refuse instead of reverting", async function () {
+      const RejectingSeller = await ethers.getContractFactory("ETHRejectingSeller");
+      const rejectingSeller = await RejectingSeller.deploy();
+      await rejectingSeller.waitForDeployment();
+      const sellerAddress = await rejectingSeller.getAddress();
+      const Rejecting = await ethers.getContractFactory("ETHRejectingBidder");
+      const rejectingReceiver = await Rejecting.deploy();
+      await rejectingReceiver.waitForDeployment();
+      const receiverAddress = await rejectingReceiver.getAddress();
+
+      await nft.connect(seller).safeTransferFrom(seller.address, sellerAddress, tokenId, amount, "0x");
+      await rejectingSeller.auction(auctionHouseAddress, nftAddress, tokenId, amount, ethers.parseEther("1"), duration);
+      await auctionHouse.connect(admin).setFeeReceiver(receiverAddress);
+
+      const bid = ethers.parseEther("1");
+      await auctionHouse.connect(bidder1).placeBid(0, bid, { value: bid });
+      await time.increaseTo((await auctionHouse.getAuction(0)).endTime);
+
+      const fee = (bid * 25n) / 1000n;
+      const settle = auctionHouse.settleAuction(0);
+      await expect(settle).to.emit(auctionHouse, "PaymentDeferred").withArgs(sellerAddress, bid - fee);
+      await expect(settle).to.emit(auctionHouse, "PaymentDeferred").withArgs(receiverAddress, fee);
+
+      expect(await nft.balanceOf(bidder1.address, tokenId)).to.equal(amount);
+      expect(await auctionHouse.pendingRefunds(sellerAddress)).to.equal(bid - fee);
+      expect(await auctionHouse.pendingRefunds(receiverAddress)).to.equal(fee);
+      expect((await auctionHouse.getAuction(0)).settled).to.be.true;
+    });
+
+    it("Should hold a lot the winner refuses for claimLot and still pay the seller", async function () {
+      await createEthAuction();
+      const Rejecting = await ethers.getContractFactory("ETHRejectingBidder");
+      const rejecting = await Rejecting.deploy();
+      await rejecting.waitForDeployment();
+      const rejectingAddress = await rejecting.getAddress();
+
+      const bid = ethers.parseEther("1");
+      await rejecting.bid(auctionHouseAddress, 0, { value: bid });
+      await time.increaseTo((await auctionHouse.getAuction(0)).endTime);
+
+      const fee = (bid * 25n) / 1000n;
+      const settle = auctionHouse.settleAuction(0);
+      await expect(settle).to.emit(auctionHouse, "LotDeferred").withArgs(0, rejectingAddress);
+      await expect(settle).to.changeEtherBalances([seller, feeReceiver], [bid - fee, fee]);
+      expect(await auctionHouse.unclaimedLots(0)).to.equal(rejectingAddress);
+      expect(await nft.balanceOf(auctionHouseAddress, tokenId)).to.equal(amount);
+
+      await expect(auctionHouse.connect(bidder1).claimLot(0, bidder1.address))
+        .to.be.revertedWithCustomError(auctionHouse, "NothingToClaim")
+        .withArgs(0);
+
+      await expect(rejecting.claim(auctionHouseAddress, 0, bidder2.address))
+        .to.emit(auctionHouse, "LotClaimed")
+        .withArgs(0, rejectingAddress, bidder2.address);
+      expect(await nft.balanceOf(bidder2.address, tokenId)).to.equal(amount);
+      expect(await auctionHouse.unclaimedLots(0)).to.equal(ethers.ZeroAddress);
+
+      await expect(rejecting.claim(auctionHouseAddress, 0, bidder2.address))
+        .to.be.revertedWithCustomError(auctionHouse, "NothingToClaim");
+    });
+
+    it("Should return the tokens to the seller when nobody bid", async function () {
+      await createKarratAuction();
+      await time.increaseTo((await auctionHouse.getAuction(0)).endTime);
+
+      await expect(auctionHouse.settleAuction(0))
+        .to.emit(auctionHouse, "AuctionSettled")
+        .withArgs(0, ethers.ZeroAddress, 0);
+      expect(await nft.balanceOf(seller.address, tokenId)).to.equal(5);
+    });
+
+    it("Should revert before the end time", async function () {
+      await createKarratAuction();
+      const { endTime } = await auctionHouse.getAuction(0);
+      await expect(auctionHouse.settleAuction(0))
+        .to.be.revertedWithCustomError(auctionHouse, "AuctionStillRunning")
+        .withArgs(endTime);
+    });
+
+    it("Should revert when settled twice", async function () {
+      await createKarratAuction();
+      await time.increaseTo((await auctionHouse.getAuction(0)).endTime);
+      await auctionHouse.settleAuction(0);
+      await expect(auctionHouse.settleAuction(0))
+        .to.be.revertedWithCustomError(auctionHouse, "AuctionNotActive")
+        .withArgs(0);
+    });
+  });
+
+  // ============================================
+  // CANCEL TESTS
+  // ============================================
+
+  describe("cancelAuction", function () {
+    beforeEach(async function () {
+      await createKarratAuction();
+    });
+
+    it("Should return the tokens to the seller", async function () {
+      await expect(auctionHouse.connect(seller).cancelAuction(0))
+        .to.emit(auctionHouse, "AuctionCancelled")
+        .withArgs(0);
+      expect(await nft.balanceOf(seller.address, tokenId)).to.equal(5);
+      await expect(auctionHouse.connect(bidder1).placeBid(0, reserve))
+        .to.be.revertedWithCustomError(auctionHouse, "AuctionNotActive");
+    });
+
+    it("Should revert for anyone but the seller", async function () {
+      await expect(auctionHouse.connect(bidder1).cancelAuction(0))
+        .to.be.revertedWithCustomError(auctionHouse, "NotSeller");
+    });
+
+    it("Should revert once there is a bid", async function () {
+      await auctionHouse.connect(bidder1).placeBid(0, reserve);
+      await expect(auctionHouse.connect(seller).cancelAuction(0))
+        .to.be.revertedWithCustomError(auctionHouse, "AuctionHasBids");
+    });
+  });
+
+  // ============================================
+  // ADMIN FUNCTIONS TESTS
+  // ============================================
+
+  describe("Admin Functions", function () {
+    it("Should update the bid rules", async function () {
+      await expect(auctionHouse.connect(admin).setBidRules(100, 300))
+        .to.emit(auctionHouse, "BidRulesChanged")
+        .withArgs(100, 300);
+      expect(await auctionHouse.minIncrementPerMille()).to.equal(100);
+      expect(await auctionHouse.extensionWindow()).to.equal(300);
+    });
+
+    it("Should revert bid rules out of range", async function () {
+      await expect(auctionHouse.connect(admin).setBidRules(1001, 300))
+        .to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+      await expect(auctionHouse.connect(admin).setBidRules(50, 2 * 24 * 60 * 60))
+        .to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+    });
+
+    it("Should revert if a non-admin changes settings", async function () {
+      await expect(auctionHouse.connect(bidder1).setBidRules(100, 300))
+        .to.be.revertedWithCustomError(auctionHouse, "AccessControlUnauthorizedAccount");
+      await expect(auctionHouse.connect(bidder1).setFeePerMille(10))
+        .to.be.revertedWithCustomError(auctionHouse, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should revert a fee above 100%", async function () {
+      await expect(auctionHouse.connect(admin).setFeePerMille(1001))
+        .to.be.revertedWithCustomError(auctionHouse, "IncorrectInput");
+    });
+  });
+});
@@ -15,6 +15,9 @@ describe("MPHGameMarketplace1155", function () {
   const DOMAIN_NAME = "KarratMarketplace";
   const DOMAIN_VERSION = "1";
 
+  // The test collection's ERC-2981 royalty (250 basis points), paid out of the seller's share
+  const creatorRoyalty = (gross) => (gross * 250n) / 10000n;
+
   const APPROVAL_TYPES = {
     Approval: [
       { name: "seller", type: "address" },
@@ -23,11 +26,13 @@ describe("MPHGameMarketplace1155", function () {
       { name: "amount", type: "uint256" },
       { name: "price", type: "uint256" },
       { name: "nonce", type: "uint256" },
-      { name: "deadline", type: "uint256" }
+      { name: "counter", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+      { name: "buyer", type: "address" }
     ]
   };
 
-  async function createSignature(signer, nftContract, tokenId, amount, price, nonce, deadline) {
+  async function createSignature(signer, nftContract, tokenId, amount, price, nonce, deadline, counter = 0, buyer = ethers.ZeroAddress) {
     const domain = {
       name: DOMAIN_NAME,
       version: DOMAIN_VERSION,
@@ -42,12 +47,158 @@ describe("MPHGameMarketplace1155", function () {
       amount: amount,
       price: price,
       nonce: nonce,
-      deadline: deadline
+      counter: counter,
+      deadline: deadline,
+      buyer: buyer
     };
 
     return await signer.signTypedData(domain, APPROVAL_TYPES, value);
   }
 
+  const PARTIAL_APPROVAL_TYPES = { PartialApproval: APPROVAL_TYPES.Approval };
+
+  // Returns the signature plus the order digest the contract tracks fills under
+  async function createPartialSignature(signer, nftContract, tokenId, amount, price, nonce, deadline, counter = 0, buyer = ethers.ZeroAddress) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const value = { seller: signer.address, nftContract, tokenId, amount, price, nonce, counter, deadline, buyer };
+
+    return {
+      signature: await signer.signTypedData(domain, PARTIAL_APPROVAL_TYPES, value),
+      orderHash: ethers.TypedDataEncoder.hash(domain, PARTIAL_APPROVAL_TYPES, value)
+    };
+  }
+
+  const OFFER_TYPES = {
+    Offer: [
+      { name: "buyer", type: "address" },
+      { name: "nftContract", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "price", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  async function createOfferSignature(signer, nftContract, tokenId, amount, price, nonce, deadline) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const value = { buyer: signer.address, nftContract, tokenId, amount, price, nonce, deadline };
+
+    return await signer.signTypedData(domain, OFFER_TYPES, value);
+  }
+
+  const COLLECTION_OFFER_TYPES = {
+    CollectionOffer: [
+      { name: "buyer", type: "address" },
+      { name: "nftContract", type: "address" },
+      { name: "tierName", type: "string" },
+      { name: "amount", type: "uint256" },
+      { name: "price", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Returns the signature plus the offer digest the contract tracks fills under
+  async function createCollectionOfferSignature(signer, nftContract, tierName, amount, price, nonce, deadline) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const value = { buyer: signer.address, nftContract, tierName, amount, price, nonce, deadline };
+
+    return {
+      signature: await signer.signTypedData(domain, COLLECTION_OFFER_TYPES, value),
+      orderHash: ethers.TypedDataEncoder.hash(domain, COLLECTION_OFFER_TYPES, value)
+    };
+  }
+
+  const DUTCH_APPROVAL_TYPES = {
+    DutchApproval: [
+      { name: "seller", type: "address" },
+      { name: "nftContract", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "startPrice", type: "uint256" },
+      { name: "endPrice", type: "uint256" },
+      { name: "startTime", type: "uint256" },
+      { name: "endTime", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "counter", type: "uint256" },
+      { name: "buyer", type: "address" }
+    ]
+  };
+
+  async function createDutchSignature(signer, nftContract, tokenId, amount, startPrice, endPrice, startTime, endTime, nonce, counter = 0, buyer = ethers.ZeroAddress) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const value = { seller: signer.address, nftContract, tokenId, amount, startPrice, endPrice, startTime, endTime, nonce, counter, buyer };
+
+    return await signer.signTypedData(domain, DUTCH_APPROVAL_TYPES, value);
+  }
+
+  const BULK_APPROVAL_TYPES = {
+    BulkApproval: [
+      { name: "seller", type: "address" },
+      { name: "root", type: "bytes32" }
+    ]
+  };
+
+  // Sorted-pair Merkle tree over the orders' Approval struct hashes (OpenZeppelin MerkleProof);
+  // a node without a sibling moves up unchanged. Returns one root signature and a proof per order.
+  async function createBulkSignature(signer, orders) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+    const leaves = orders.map(order =>
+      ethers.TypedDataEncoder.hashStruct("Approval", APPROVAL_TYPES, { seller: signer.address, counter: 0, buyer: ethers.ZeroAddress, ...order })
+    );
+    const proofs = leaves.map(() => []);
+    let level = leaves.map((hash, i) => ({ hash, members: [i] }));
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        const [left, right] = [level[i], level[i + 1]];
+        if (!right) {
+          next.push(left);
+          continue;
+        }
+        left.members.forEach(m => proofs[m].push(right.hash));
+        right.members.forEach(m => proofs[m].push(left.hash));
+        next.push({ hash: hashPair(left.hash, right.hash), members: [...left.members, ...right.members] });
+      }
+      level = next;
+    }
+
+    const root = level[0].hash;
+    return { signature: await signer.signTypedData(domain, BULK_APPROVAL_TYPES, { seller: signer.address, root }), proofs };
+  }
+
   beforeEach(async function () {
     [owner, admin, seller, buyer, feeReceiver] = await ethers.getSigners();
 
@@ -163,6 +314,14 @@ describe("MPHGameMarketplace1155", function () {
     it("Should have fee set to 2.5%", async function () {
       expect(await marketplace.feePerMille()).to.equal(25);
     });
+
+    it("Should cap creator royalties at 10%", async function () {
+      expect(await marketplace.maxRoyaltyPerMille()).to.equal(100);
+    });
+
+    it("Should start with buyers paying the fee", async function () {
+      expect(await marketplace.feeMode()).to.equal(0);
+    });
   });
   // ============================================
   // ADDITIONAL BRANCH COVERAGE TESTS
@@ -317,7 +476,7 @@ describe("MPHGameMarketplace1155", function () {
 
       // Check payment transferred
       const totalPrice = price * BigInt(amount);
-      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBalanceBefore + totalPrice);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBalanceBefore + totalPrice - creatorRoyalty(totalPrice));
 
       // Check nonce incremented
       expect(await marketplace.nonces(nftAddress, tokenId, seller.address)).to.equal(1);
@@ -380,7 +539,9 @@ describe("MPHGameMarketplace1155", function () {
         amount: amount,
         price: price,
         nonce: nonce,
-        deadline: deadline
+        counter: 0,
+        deadline: deadline,
+        buyer: ethers.ZeroAddress
       };
 
       const signature = await seller.signTypedData(domain, APPROVAL_TYPES, value);
@@ -452,6 +613,396 @@ describe("MPHGameMarketplace1155", function () {
     });
   });
 
+  // ============================================
+  // buyNFTPartial TESTS
+  // ============================================
+
+  describe("buyNFTPartial", function () {
+    const tokenId = 1;
+    const amount = 4;
+    const price = ethers.parseEther("10");
+    let deadline, signature, orderHash;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+      ({ signature, orderHash } = await createPartialSignature(seller, nftAddress, tokenId, amount, price, 0, deadline));
+    });
+
+    const buyPartial = (quantity, sig = signature) =>
+      marketplace.connect(buyer).buyNFTPartial(nftAddress, tokenId, amount, price, deadline, seller.address, sig, quantity);
+
+    it("Should sell part of an order and track the filled amount", async function () {
+      const sellerBalanceBefore = await karrat.balanceOf(seller.address);
+      const feeReceiverBefore = await karrat.balanceOf(feeReceiver.address);
+
+      await expect(buyPartial(1))
+        .to.emit(marketplace, "OrderFilled")
+        .withArgs(orderHash, buyer.address, 1, 1)
+        .and.to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, tokenId, buyer.address, seller.address, 1, price);
+
+      expect(await marketplace.filledAmounts(orderHash)).to.equal(1);
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBalanceBefore + price - creatorRoyalty(price));
+      expect(await karrat.balanceOf(feeReceiver.address)).to.equal(feeReceiverBefore + (price * 25n) / 1000n);
+    });
+
+    it("Should keep the order and nonce valid between fills", async function () {
+      await buyPartial(1);
+      await expect(buyPartial(3))
+        .to.emit(marketplace, "OrderFilled")
+        .withArgs(orderHash, buyer.address, 3, 4);
+
+      expect(await marketplace.filledAmounts(orderHash)).to.equal(amount);
+      expect(await marketplace.nonces(nftAddress, tokenId, seller.address)).to.equal(0);
+    });
+
+    it("Should revert when buying more than remains", async function () {
+      await buyPartial(3);
+      await expect(buyPartial(2))
+        .to.be.revertedWithCustomError(marketplace, "ExceedsRemaining")
+        .withArgs(1, 2);
+    });
+
+    it("Should revert once the order is sold out", async function () {
+      await buyPartial(amount);
+      await expect(buyPartial(1))
+        .to.be.revertedWithCustomError(marketplace, "ExceedsRemaining")
+        .withArgs(0, 1);
+    });
+
+    it("Should revert on zero quantity", async function () {
+      await expect(buyPartial(0)).to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+    });
+
+    it("Should only require the seller to hold the quantity bought", async function () {
+      const big = await createPartialSignature(seller, nftAddress, tokenId, 100, price, 0, deadline);
+      await marketplace.connect(buyer).buyNFTPartial(nftAddress, tokenId, 100, price, deadline, seller.address, big.signature, 5);
+      expect(await marketplace.filledAmounts(big.orderHash)).to.equal(5);
+
+      await expect(
+        marketplace.connect(buyer).buyNFTPartial(nftAddress, tokenId, 100, price, deadline, seller.address, big.signature, 1)
+      ).to.be.revertedWithCustomError(marketplace, "NotForSaleOrWrongPrice");
+    });
+
+    it("Should reject fill-or-kill signatures", async function () {
+      const approval = await createSignature(seller, nftAddress, tokenId, amount, price, 0, deadline);
+      await expect(buyPartial(1, approval)).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should not accept a partial signature in buyNFT", async function () {
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, amount, price, deadline, seller.address, signature)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should cancel the remainder on delist", async function () {
+      await buyPartial(1);
+      await marketplace.connect(seller).delistToken(nftAddress, tokenId);
+      await expect(buyPartial(1)).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should revert if signature expired", async function () {
+      await time.increaseTo(deadline + 1);
+      await expect(buyPartial(1)).to.be.revertedWithCustomError(marketplace, "SignatureExpired");
+    });
+  });
+
+  describe("buyNFTDutch", function () {
+    const tokenId = 1;
+    const amount = 2;
+    const startPrice = ethers.parseEther("30");
+    const endPrice = ethers.parseEther("10");
+    let startTime, endTime, signature;
+
+    beforeEach(async function () {
+      startTime = (await time.latest()) + 100;
+      endTime = startTime + 1000;
+      signature = await createDutchSignature(seller, nftAddress, tokenId, amount, startPrice, endPrice, startTime, endTime, 0);
+    });
+
+    const buyDutch = ({ sig = signature, end = endPrice } = {}) =>
+      marketplace.connect(buyer).buyNFTDutch(nftAddress, tokenId, amount, startPrice, end, startTime, endTime, seller.address, sig);
+
+    it("Should charge the price at fill time plus the fee", async function () {
+      const total = ethers.parseEther("20") * BigInt(amount);
+      const fee = (total * 25n) / 1000n;
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+
+      await time.setNextBlockTimestamp(startTime + 500);
+      await expect(buyDutch())
+        .to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, tokenId, buyer.address, seller.address, amount, total);
+
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - total - fee);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore + total - creatorRoyalty(total));
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(amount);
+      expect(await marketplace.nonces(nftAddress, tokenId, seller.address)).to.equal(1);
+    });
+
+    it("Should report the start, falling and end price", async function () {
+      expect(await marketplace.getDutchPrice(startPrice, endPrice, startTime, endTime)).to.equal(startPrice);
+      await time.increaseTo(startTime + 250);
+      expect(await marketplace.getDutchPrice(startPrice, endPrice, startTime, endTime)).to.equal(ethers.parseEther("25"));
+      await time.increaseTo(endTime);
+      expect(await marketplace.getDutchPrice(startPrice, endPrice, startTime, endTime)).to.equal(endPrice);
+    });
+
+    it("Should revert before the start time", async function () {
+      await expect(buyDutch())
+        .to.be.revertedWithCustomError(marketplace, "AuctionNotStarted")
+        .withArgs(startTime);
+    });
+
+    it("Should revert after the end time", async function () {
+      await time.increaseTo(endTime + 1);
+      await expect(buyDutch()).to.be.revertedWithCustomError(marketplace, "SignatureExpired");
+    });
+
+    it("Should revert when the end price is above the start price", async function () {
+      await time.increaseTo(startTime);
+      await expect(buyDutch({ end: startPrice + 1n })).to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+    });
+
+    it("Should revert when the end price was changed", async function () {
+      await time.increaseTo(startTime);
+      await expect(buyDutch({ end: 0n })).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should not accept a fixed-price signature", async function () {
+      await time.increaseTo(startTime);
+      const approval = await createSignature(seller, nftAddress, tokenId, amount, startPrice, 0, endTime);
+      await expect(buyDutch({ sig: approval })).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+  });
+
+  describe("buyNFTBulk", function () {
+    let deadline, orders, signature, proofs;
+
+    beforeEach(async function () {
+      await nft.connect(seller).buyNFT("TestTier", [2], [3]);
+      deadline = (await time.latest()) + 3600;
+      orders = [
+        { nftContract: nftAddress, tokenId: 1, amount: 2, price: ethers.parseEther("10"), nonce: 0, deadline },
+        { nftContract: nftAddress, tokenId: 2, amount: 3, price: ethers.parseEther("20"), nonce: 0, deadline },
+        { nftContract: nftAddress, tokenId: 1, amount: 1, price: ethers.parseEther("15"), nonce: 0, deadline }
+      ];
+      ({ signature, proofs } = await createBulkSignature(seller, orders));
+    });
+
+    const buyBulk = (i, { order = orders[i], proof = proofs[i], sig = signature } = {}) =>
+      marketplace.connect(buyer).buyNFTBulk(
+        order.nftContract, order.tokenId, order.amount, order.price, order.deadline, seller.address, proof, sig
+      );
+
+    it("Should sell each order of the tree with its own proof", async function () {
+      const total = ethers.parseEther("20") * 3n;
+      const fee = (total * 25n) / 1000n;
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+
+      await expect(buyBulk(1))
+        .to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, 2, buyer.address, seller.address, 3, total);
+      await buyBulk(0);
+
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - total - fee - ethers.parseEther("20") - ethers.parseEther("0.5"));
+      expect(await nft.balanceOf(buyer.address, 1)).to.equal(2);
+      expect(await nft.balanceOf(buyer.address, 2)).to.equal(3);
+      expect(await marketplace.nonces(nftAddress, 1, seller.address)).to.equal(1);
+      expect(await marketplace.nonces(nftAddress, 2, seller.address)).to.equal(1);
+    });
+
+    it("Should cancel the other orders for a token once one sells", async function () {
+      await buyBulk(0);
+      await expect(buyBulk(2)).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should accept a tree of a single order with an empty proof", async function () {
+      const single = await createBulkSignature(seller, [orders[1]]);
+      await buyBulk(1, { proof: [], sig: single.signature });
+      expect(await nft.balanceOf(buyer.address, 2)).to.equal(3);
+    });
+
+    it("Should revert with another order's proof", async function () {
+      await expect(buyBulk(0, { proof: proofs[1] })).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should revert when the price was changed", async function () {
+      await expect(buyBulk(1, { order: { ...orders[1], price: ethers.parseEther("1") } }))
+        .to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should not accept a single-order signature as the root signature", async function () {
+      const { tokenId, amount, price, nonce } = orders[1];
+      const approval = await createSignature(seller, nftAddress, tokenId, amount, price, nonce, deadline);
+      await expect(buyBulk(1, { proof: [], sig: approval })).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should revert after the deadline", async function () {
+      await time.increaseTo(deadline + 1);
+      await expect(buyBulk(1)).to.be.revertedWithCustomError(marketplace, "SignatureExpired");
+    });
+  });
+
+  // ============================================
+  // OFFER TESTS
+  // ============================================
+
+  describe("acceptOffer", function () {
+    const tokenId = 1;
+    const amount = 2;
+    const price = ethers.parseEther("12");
+    let deadline, signature;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+      signature = await createOfferSignature(buyer, nftAddress, tokenId, amount, price, 0, deadline);
+    });
+
+    const accept = (sig = signature, from = seller) =>
+      marketplace.connect(from).acceptOffer(nftAddress, tokenId, amount, price, deadline, buyer.address, sig);
+
+    it("Should sell to the buyer and pull KARRAT plus fee from them", async function () {
+      const totalPrice = price * BigInt(amount);
+      const fee = (totalPrice * 25n) / 1000n;
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+      const feeReceiverBefore = await karrat.balanceOf(feeReceiver.address);
+
+      await expect(accept())
+        .to.emit(marketplace, "OfferAccepted")
+        .withArgs(nftAddress, tokenId, buyer.address, seller.address, amount, totalPrice);
+
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(amount);
+      expect(await nft.balanceOf(seller.address, tokenId)).to.equal(5 - amount);
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - totalPrice - fee);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore + totalPrice - creatorRoyalty(totalPrice));
+      expect(await karrat.balanceOf(feeReceiver.address)).to.equal(feeReceiverBefore + fee);
+      expect(await marketplace.offerNonces(nftAddress, tokenId, buyer.address)).to.equal(1);
+    });
+
+    it("Should not leave the offer replayable", async function () {
+      await accept();
+      await expect(accept()).to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+    });
+
+    it("Should revert if not signed by the buyer", async function () {
+      const forged = await createOfferSignature(seller, nftAddress, tokenId, amount, price, 0, deadline);
+      await expect(accept(forged)).to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+    });
+
+    it("Should revert if the offer expired", async function () {
+      await time.increaseTo(deadline + 1);
+      await expect(accept()).to.be.revertedWithCustomError(marketplace, "SignatureExpired");
+    });
+
+    it("Should revert if the caller does not hold enough tokens", async function () {
+      await expect(accept(signature, admin)).to.be.revertedWithCustomError(marketplace, "NotForSaleOrWrongPrice");
+    });
+
+    it("Should revert if the buyer withdrew their allowance", async function () {
+      await karrat.connect(buyer).approve(marketplaceAddress, 0);
+      await expect(accept()).to.be.reverted;
+    });
+
+    it("Should not accept a listing signature as an offer", async function () {
+      const approval = await createSignature(buyer, nftAddress, tokenId, amount, price, 0, deadline);
+      await expect(accept(approval)).to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+    });
+  });
+
+  describe("cancelOffer", function () {
+    it("Should increment the offer nonce and invalidate the offer", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const price = ethers.parseEther("12");
+      const signature = await createOfferSignature(buyer, nftAddress, 1, 1, price, 0, deadline);
+
+      await expect(marketplace.connect(buyer).cancelOffer(nftAddress, 1))
+        .to.emit(marketplace, "OfferCancelled")
+        .withArgs(nftAddress, 1, buyer.address, 1);
+
+      await expect(
+        marketplace.connect(seller).acceptOffer(nftAddress, 1, 1, price, deadline, buyer.address, signature)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+    });
+
+    it("Should not touch listing nonces", async function () {
+      await marketplace.connect(seller).cancelOffer(nftAddress, 1);
+      expect(await marketplace.nonces(nftAddress, 1, seller.address)).to.equal(0);
+    });
+  });
+
+  describe("acceptCollectionOffer", function () {
+    const amount = 3;
+    const price = ethers.parseEther("15");
+    let deadline, signature, orderHash;
+
+    beforeEach(async function () {
+      // Seller holds 5 of token 1 from the shared setup; token 2 is in the same tier
+      await nft.connect(seller).buyNFT("TestTier", [2], [5]);
+      deadline = (await time.latest()) + 3600;
+      ({ signature, orderHash } = await createCollectionOfferSignature(buyer, nftAddress, "TestTier", amount, price, 0, deadline));
+    });
+
+    const accept = (tokenId, quantity, { sig = signature, tierName = "TestTier", from = seller } = {}) =>
+      marketplace.connect(from).acceptCollectionOffer(nftAddress, tierName, amount, price, deadline, buyer.address, sig, tokenId, quantity);
+
+    it("Should sell any token of the tier and pull KARRAT plus fee from the buyer", async function () {
+      const totalPrice = price * 2n;
+      const fee = (totalPrice * 25n) / 1000n;
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+
+      await expect(accept(2, 2))
+        .to.emit(marketplace, "CollectionOfferAccepted")
+        .withArgs(orderHash, buyer.address, seller.address, 2, 2, 2);
+
+      expect(await nft.balanceOf(buyer.address, 2)).to.equal(2);
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - totalPrice - fee);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore + totalPrice - creatorRoyalty(totalPrice));
+      expect(await marketplace.filledAmounts(orderHash)).to.equal(2);
+    });
+
+    it("Should let the offer be filled across tokens up to its amount", async function () {
+      await accept(1, 1);
+      await accept(2, 2);
+      expect(await marketplace.filledAmounts(orderHash)).to.equal(amount);
+
+      await expect(accept(1, 1))
+        .to.be.revertedWithCustomError(marketplace, "ExceedsRemaining")
+        .withArgs(0, 1);
+    });
+
+    it("Should revert for a token outside the tier", async function () {
+      await expect(accept(99, 1))
+        .to.be.revertedWithCustomError(marketplace, "TokenNotInTier")
+        .withArgs(99);
+    });
+
+    it("Should revert when the tier does not match the signed one", async function () {
+      const other = await createCollectionOfferSignature(buyer, nftAddress, "OtherTier", amount, price, 0, deadline);
+      await expect(accept(1, 1, { sig: other.signature })).to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+    });
+
+    it("Should revert for a zero quantity", async function () {
+      await expect(accept(1, 0)).to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+    });
+
+    it("Should revert if the caller does not hold the token", async function () {
+      await expect(accept(1, 1, { from: admin })).to.be.revertedWithCustomError(marketplace, "NotForSaleOrWrongPrice");
+    });
+
+    it("Should revert once the buyer cancels", async function () {
+      await expect(marketplace.connect(buyer).cancelCollectionOffer(nftAddress, "TestTier"))
+        .to.emit(marketplace, "CollectionOfferCancelled")
+        .withArgs(nftAddress, "TestTier", buyer.address, 1);
+
+      await expect(accept(1, 1)).to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+      expect(await marketplace.collectionOfferNonces(nftAddress, "TestTier", buyer.address)).to.equal(1);
+    });
+  });
+
   // ============================================
   // buyMultipleNFTs TESTS
   // ============================================
@@ -694,6 +1245,265 @@ describe("MPHGameMarketplace1155", function () {
     });
   });
 
+  describe("incrementCounter", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("10");
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should bump the counter without holding any tokens", async function () {
+      await expect(marketplace.connect(buyer).incrementCounter())
+        .to.emit(marketplace, "CounterIncremented")
+        .withArgs(buyer.address, 1);
+
+      expect(await marketplace.counters(buyer.address)).to.equal(1);
+    });
+
+    it("Should invalidate every kind of listing at once", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const partial = await createPartialSignature(seller, nftAddress, tokenId, 2, price, 0, deadline);
+      const startTime = await time.latest();
+      const dutch = await createDutchSignature(seller, nftAddress, tokenId, 1, price, 0n, startTime, deadline, 0);
+      const bulk = await createBulkSignature(seller, [{ nftContract: nftAddress, tokenId, amount: 1, price, nonce: 0, deadline }]);
+
+      await marketplace.connect(seller).incrementCounter();
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await expect(
+        marketplace.connect(buyer).buyNFTPartial(nftAddress, tokenId, 2, price, deadline, seller.address, partial.signature, 1)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await expect(
+        marketplace.connect(buyer).buyNFTDutch(nftAddress, tokenId, 1, price, 0n, startTime, deadline, seller.address, dutch)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await expect(
+        marketplace.connect(buyer).buyNFTBulk(nftAddress, tokenId, 1, price, deadline, seller.address, [], bulk.signature)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should accept listings signed with the new counter", async function () {
+      await marketplace.connect(seller).incrementCounter();
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline, 1);
+
+      await marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature);
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+    });
+  });
+
+  describe("Reserved listings", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("10");
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should only let the reserved buyer fill a listing", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline, 0, buyer.address);
+
+      await expect(
+        marketplace.connect(owner).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+
+      await expect(marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature))
+        .to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, tokenId, buyer.address, seller.address, 1, price);
+    });
+
+    it("Should reserve partial-fill listings and track fills under the reserved digest", async function () {
+      const { signature, orderHash } = await createPartialSignature(seller, nftAddress, tokenId, 3, price, 0, deadline, 0, buyer.address);
+
+      await expect(
+        marketplace.connect(owner).buyNFTPartial(nftAddress, tokenId, 3, price, deadline, seller.address, signature, 1)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+
+      await expect(marketplace.connect(buyer).buyNFTPartial(nftAddress, tokenId, 3, price, deadline, seller.address, signature, 2))
+        .to.emit(marketplace, "OrderFilled")
+        .withArgs(orderHash, buyer.address, 2, 2);
+    });
+
+    it("Should reserve Dutch and bulk listings", async function () {
+      const startTime = await time.latest();
+      const dutch = await createDutchSignature(seller, nftAddress, tokenId, 1, price, 0n, startTime, deadline, 0, 0, buyer.address);
+      const order = { nftContract: nftAddress, tokenId, amount: 1, price, nonce: 1, deadline, buyer: buyer.address };
+      const bulk = await createBulkSignature(seller, [order, { ...order, tokenId: 2 }]);
+
+      await expect(
+        marketplace.connect(owner).buyNFTDutch(nftAddress, tokenId, 1, price, 0n, startTime, deadline, seller.address, dutch)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await marketplace.connect(buyer).buyNFTDutch(nftAddress, tokenId, 1, price, 0n, startTime, deadline, seller.address, dutch);
+
+      await expect(
+        marketplace.connect(owner).buyNFTBulk(nftAddress, tokenId, 1, price, deadline, seller.address, bulk.proofs[0], bulk.signature)
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await marketplace.connect(buyer).buyNFTBulk(nftAddress, tokenId, 1, price, deadline, seller.address, bulk.proofs[0], bulk.signature);
+
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(2);
+    });
+  });
+
+  // ============================================
+  // CREATOR ROYALTY TESTS
+  // ============================================
+
+  describe("Creator royalties", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("10");
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should pay the ERC-2981 receiver out of the seller's share", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 2, price, 0, deadline);
+      const totalPrice = price * 2n;
+      const royalty = creatorRoyalty(totalPrice);
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+      const receiverBefore = await karrat.balanceOf(admin.address);
+
+      await expect(marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 2, price, deadline, seller.address, signature))
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(nftAddress, tokenId, admin.address, royalty);
+
+      expect(await karrat.balanceOf(admin.address)).to.equal(receiverBefore + royalty);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore + totalPrice - royalty);
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - totalPrice - (totalPrice * 25n) / 1000n);
+    });
+
+    it("Should pay the royalty of every order in buyMultipleNFTs", async function () {
+      await nft.connect(seller).buyNFT("TestTier", [2], [5]);
+      const sig1 = await createSignature(seller, nftAddress, 1, 1, price, 0, deadline);
+      const sig2 = await createSignature(seller, nftAddress, 2, 3, price, 0, deadline);
+      const receiverBefore = await karrat.balanceOf(admin.address);
+
+      await expect(marketplace.connect(buyer).buyMultipleNFTs(
+        [nftAddress, nftAddress], [1, 2], [1, 3], [price, price], [deadline, deadline], [seller.address, seller.address], [sig1, sig2]
+      ))
+        .to.emit(marketplace, "RoyaltyPaid").withArgs(nftAddress, 1, admin.address, creatorRoyalty(price))
+        .and.to.emit(marketplace, "RoyaltyPaid").withArgs(nftAddress, 2, admin.address, creatorRoyalty(price * 3n));
+
+      expect(await karrat.balanceOf(admin.address)).to.equal(receiverBefore + creatorRoyalty(price * 4n));
+    });
+
+    it("Should pay royalties on accepted offers", async function () {
+      const offer = await createOfferSignature(buyer, nftAddress, tokenId, 1, price, 0, deadline);
+
+      await expect(marketplace.connect(seller).acceptOffer(nftAddress, tokenId, 1, price, deadline, buyer.address, offer))
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(nftAddress, tokenId, admin.address, creatorRoyalty(price));
+    });
+
+    it("Should cut royalties down to maxRoyaltyPerMille", async function () {
+      await nft.connect(admin).setRoyalty(5000);
+      await marketplace.connect(admin).setMaxRoyaltyPerMille(100);
+
+      const [receiver, royalty] = await marketplace.getCreatorRoyalty(nftAddress, tokenId, price);
+      expect(receiver).to.equal(admin.address);
+      expect(royalty).to.equal(price / 10n);
+    });
+
+    it("Should cap the royalty at the seller's proceeds when sellers pay the fee", async function () {
+      await marketplace.connect(admin).setFeeMode(1);
+      await marketplace.connect(admin).setFeePerMille(950);
+      await nft.connect(admin).setRoyalty(1000);
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const proceeds = price - (price * 950n) / 1000n;
+      const sellerBefore = await karrat.balanceOf(seller.address);
+
+      const [, royalty] = await marketplace.getCreatorRoyalty(nftAddress, tokenId, price);
+      expect(royalty).to.equal(proceeds);
+
+      await expect(marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature))
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(nftAddress, tokenId, admin.address, proceeds);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore);
+    });
+
+    it("Should pay nothing when the cap is zero", async function () {
+      await marketplace.connect(admin).setMaxRoyaltyPerMille(0);
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+
+      await expect(marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature))
+        .to.not.emit(marketplace, "RoyaltyPaid");
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore + price);
+    });
+
+    it("Should pay nothing for collections without ERC-2981", async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const plain = await MockERC1155.deploy();
+      await plain.waitForDeployment();
+
+      const [receiver, royalty] = await marketplace.getCreatorRoyalty(await plain.getAddress(), tokenId, price);
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(royalty).to.equal(0);
+    });
+  });
+
+  // ============================================
+  // FEE MODE TESTS
+  // ============================================
+
+  describe("Fee modes", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("10");
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+      await marketplace.connect(admin).setFeeMode(1);
+    });
+
+    it("Should charge the buyer the price and take the fee from the seller", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 2, price, 0, deadline);
+      const totalPrice = price * 2n;
+      const fee = (totalPrice * 25n) / 1000n;
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+      const feeReceiverBefore = await karrat.balanceOf(feeReceiver.address);
+
+      await marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 2, price, deadline, seller.address, signature);
+
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - totalPrice);
+      expect(await karrat.balanceOf(seller.address)).to.equal(sellerBefore + totalPrice - fee - creatorRoyalty(totalPrice));
+      expect(await karrat.balanceOf(feeReceiver.address)).to.equal(feeReceiverBefore + fee);
+    });
+
+    it("Should charge sellers the fee in buyMultipleNFTs", async function () {
+      await nft.connect(seller).buyNFT("TestTier", [2], [5]);
+      const sig1 = await createSignature(seller, nftAddress, 1, 1, price, 0, deadline);
+      const sig2 = await createSignature(seller, nftAddress, 2, 3, price, 0, deadline);
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const feeReceiverBefore = await karrat.balanceOf(feeReceiver.address);
+
+      await marketplace.connect(buyer).buyMultipleNFTs(
+        [nftAddress, nftAddress], [1, 2], [1, 3], [price, price], [deadline, deadline], [seller.address, seller.address], [sig1, sig2]
+      );
+
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - price * 4n);
+      expect(await karrat.balanceOf(feeReceiver.address)).to.equal(feeReceiverBefore + (price * 4n * 25n) / 1000n);
+    });
+
+    it("Should charge sellers the fee on accepted offers", async function () {
+      const offer = await createOfferSignature(buyer, nftAddress, tokenId, 1, price, 0, deadline);
+      const buyerBefore = await karrat.balanceOf(buyer.address);
+      const sellerBefore = await karrat.balanceOf(seller.address);
+
+      await marketplace.connect(seller).acceptOffer(nftAddress, tokenId, 1, price, deadline, buyer.address, offer);
+
+      expect(await karrat.balanceOf(buyer.address)).to.equal(buyerBefore - price);
+      expect(await karrat.balanceOf(seller.address))
+        .to.equal(sellerBefore + price - (price * 25n) / 1000n - creatorRoyalty(price));
+    });
+  });
+
   // ============================================
   // ADMIN FUNCTIONS TESTS
   // ============================================
@@ -721,6 +1531,48 @@ describe("MPHGameMarketplace1155", function () {
       });
     });
 
+    describe("setFeeMode", function () {
+      it("Should allow admin to switch who pays the fee", async function () {
+        await expect(marketplace.connect(admin).setFeeMode(1))
+          .to.emit(marketplace, "FeeModeChanged")
+          .withArgs(1);
+
+        expect(await marketplace.feeMode()).to.equal(1);
+      });
+
+      it("Should revert for an unknown mode", async function () {
+        await expect(marketplace.connect(admin).setFeeMode(2)).to.be.reverted;
+      });
+
+      it("Should revert if not admin", async function () {
+        await expect(
+          marketplace.connect(buyer).setFeeMode(1)
+        ).to.be.reverted;
+      });
+    });
+
+    describe("setMaxRoyaltyPerMille", function () {
+      it("Should allow admin to set the royalty cap", async function () {
+        await expect(marketplace.connect(admin).setMaxRoyaltyPerMille(50))
+          .to.emit(marketplace, "MaxRoyaltyChanged")
+          .withArgs(50);
+
+        expect(await marketplace.maxRoyaltyPerMille()).to.equal(50);
+      });
+
+      it("Should revert if cap > 1000", async function () {
+        await expect(
+          marketplace.connect(admin).setMaxRoyaltyPerMille(1001)
+        ).to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+      });
+
+      it("Should revert if not admin", async function () {
+        await expect(
+          marketplace.connect(buyer).setMaxRoyaltyPerMille(50)
+        ).to.be.reverted;
+      });
+    });
+
     describe("setMarketPlace", function () {
       it("Should allow admin to change marketplace address", async function () {
         await expect(marketplace.connect(admin).setMarketPlace(buyer.address))
@@ -776,6 +1628,29 @@ describe("MPHGameMarketplace1155", function () {
     });
   });
 
+  // ============================================
+  // quote TESTS
+  // ============================================
+
+  describe("quote", function () {
+    const price = ethers.parseEther("10");
+
+    it("Should add the fee on top when buyers pay it", async function () {
+      const [buyerTotal, sellerProceeds, fee] = await marketplace.quote(price, 4);
+      expect(fee).to.equal(ethers.parseEther("1"));
+      expect(buyerTotal).to.equal(ethers.parseEther("41"));
+      expect(sellerProceeds).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should deduct the fee from the seller when sellers pay it", async function () {
+      await marketplace.connect(admin).setFeeMode(1);
+      const [buyerTotal, sellerProceeds, fee] = await marketplace.quote(price, 4);
+      expect(fee).to.equal(ethers.parseEther("1"));
+      expect(buyerTotal).to.equal(ethers.parseEther("40"));
+      expect(sellerProceeds).to.equal(ethers.parseEther("39"));
+    });
+  });
+
   // ============================================
   // EDGE CASES
   // ============================================
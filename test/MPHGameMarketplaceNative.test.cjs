@@ -15,6 +15,9 @@ describe("MPHGameMarketplaceNative", function () {
   const DOMAIN_NAME = "StudioChainMarketplace";
   const DOMAIN_VERSION = "1";
 
+  // The test collection's ERC-2981 royalty (250 basis points), paid out of the seller's proceeds
+  const creatorRoyalty = (gross) => (gross * 250n) / 10000n;
+
   const APPROVAL_TYPES = {
     Approval: [
       { name: "seller", type: "address" },
@@ -23,11 +26,13 @@ describe("MPHGameMarketplaceNative", function () {
       { name: "amount", type: "uint256" },
       { name: "price", type: "uint256" },
       { name: "nonce", type: "uint256" },
-      { name: "deadline", type: "uint256" }
+      { name: "counter", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+      { name: "buyer", type: "address" }
     ]
   };
 
-  async function createSignature(signer, nftContract, tokenId, amount, price, nonce, deadline) {
+  async function createSignature(signer, nftContract, tokenId, amount, price, nonce, deadline, counter = 0, buyer = ethers.ZeroAddress) {
     const domain = {
       name: DOMAIN_NAME,
       version: DOMAIN_VERSION,
@@ -42,12 +47,104 @@ describe("MPHGameMarketplaceNative", function () {
       amount: amount,
       price: price,
       nonce: nonce,
-      deadline: deadline
+      counter: counter,
+      deadline: deadline,
+      buyer: buyer
     };
 
     return await signer.signTypedData(domain, APPROVAL_TYPES, value);
   }
 
+  const PARTIAL_APPROVAL_TYPES = { PartialApproval: APPROVAL_TYPES.Approval };
+
+  // Returns the signature plus the order digest the contract tracks fills under
+  async function createPartialSignature(signer, nftContract, tokenId, amount, price, nonce, deadline, counter = 0, buyer = ethers.ZeroAddress) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const value = { seller: signer.address, nftContract, tokenId, amount, price, nonce, counter, deadline, buyer };
+
+    return {
+      signature: await signer.signTypedData(domain, PARTIAL_APPROVAL_TYPES, value),
+      orderHash: ethers.TypedDataEncoder.hash(domain, PARTIAL_APPROVAL_TYPES, value)
+    };
+  }
+
+  const DUTCH_APPROVAL_TYPES = {
+    DutchApproval: [
+      { name: "seller", type: "address" },
+      { name: "nftContract", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "startPrice", type: "uint256" },
+      { name: "endPrice", type: "uint256" },
+      { name: "startTime", type: "uint256" },
+      { name: "endTime", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "counter", type: "uint256" },
+      { name: "buyer", type: "address" }
+    ]
+  };
+
+  async function createDutchSignature(signer, nftContract, tokenId, amount, startPrice, endPrice, startTime, endTime, nonce, counter = 0, buyer = ethers.ZeroAddress) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const value = { seller: signer.address, nftContract, tokenId, amount, startPrice, endPrice, startTime, endTime, nonce, counter, buyer };
+
+    return await signer.signTypedData(domain, DUTCH_APPROVAL_TYPES, value);
+  }
+
+  const BULK_APPROVAL_TYPES = {
+    BulkApproval: [
+      { name: "seller", type: "address" },
+      { name: "root", type: "bytes32" }
+    ]
+  };
+
+  // Sorted-pair Merkle tree over the orders' Approval struct hashes (OpenZeppelin MerkleProof);
+  // a node without a sibling moves up unchanged. Returns one root signature and a proof per order.
+  async function createBulkSignature(signer, orders) {
+    const domain = {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: marketplaceAddress
+    };
+
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+    const leaves = orders.map(order =>
+      ethers.TypedDataEncoder.hashStruct("Approval", APPROVAL_TYPES, { seller: signer.address, counter: 0, buyer: ethers.ZeroAddress, ...order })
+    );
+    const proofs = leaves.map(() => []);
+    let level = leaves.map((hash, i) => ({ hash, members: [i] }));
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        const [left, right] = [level[i], level[i + 1]];
+        if (!right) {
+          next.push(left);
+          continue;
+        }
+        left.members.forEach(m => proofs[m].push(right.hash));
+        right.members.forEach(m => proofs[m].push(left.hash));
+        next.push({ hash: hashPair(left.hash, right.hash), members: [...left.members, ...right.members] });
+      }
+      level = next;
+    }
+
+    const root = level[0].hash;
+    return { signature: await signer.signTypedData(domain, BULK_APPROVAL_TYPES, { seller: signer.address, root }), proofs };
+  }
+
   beforeEach(async function () {
     [owner, admin, seller, buyer, feeReceiver] = await ethers.getSigners();
 
@@ -155,6 +252,14 @@ describe("MPHGameMarketplaceNative", function () {
       expect(await marketplace.feePerMille()).to.equal(25);
     });
 
+    it("Should cap creator royalties at 10%", async function () {
+      expect(await marketplace.maxRoyaltyPerMille()).to.equal(100);
+    });
+
+    it("Should start with buyers paying the fee", async function () {
+      expect(await marketplace.feeMode()).to.equal(0);
+    });
+
     it("Should revert if verifier is zero address", async function () {
       const Marketplace = await ethers.getContractFactory("MPHGameMarketplaceNative");
       await expect(
@@ -374,9 +479,9 @@ describe("MPHGameMarketplaceNative", function () {
       expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(buyerNFTBefore + BigInt(amount));
       expect(await nft.balanceOf(seller.address, tokenId)).to.equal(5 - amount);
 
-      // Check seller received ETH (minus fee)
+      // Check seller received ETH (minus creator royalty; the buyer paid the fee on top)
       const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
-      expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + totalPrice - fee);
+      expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + totalPrice - creatorRoyalty(totalPrice));
 
       // Check nonce incremented
       expect(await marketplace.nonces(nftAddress, tokenId, seller.address)).to.equal(1);
@@ -569,6 +674,237 @@ describe("MPHGameMarketplaceNative", function () {
     });
   });
 
+  // ============================================
+  // buyNFTPartial TESTS
+  // ============================================
+
+  describe("buyNFTPartial", function () {
+    const tokenId = 1;
+    const amount = 4;
+    const price = ethers.parseEther("0.1");
+    const withFee = (quantity) => {
+      const total = price * BigInt(quantity);
+      return total + (total * 25n) / 1000n;
+    };
+    let deadline, signature, orderHash;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+      ({ signature, orderHash } = await createPartialSignature(seller, nftAddress, tokenId, amount, price, 0, deadline));
+    });
+
+    const buyPartial = (quantity, value = withFee(quantity), sig = signature) =>
+      marketplace.connect(buyer).buyNFTPartial(
+        nftAddress, tokenId, amount, price, deadline, seller.address, sig, quantity,
+        { value }
+      );
+
+    it("Should sell part of an order and track the filled amount", async function () {
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+      const feeReceiverBefore = await ethers.provider.getBalance(feeReceiver.address);
+      const fee = (price * 25n) / 1000n;
+
+      await expect(buyPartial(1))
+        .to.emit(marketplace, "OrderFilled")
+        .withArgs(orderHash, buyer.address, 1, 1)
+        .and.to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, tokenId, buyer.address, seller.address, 1, price);
+
+      expect(await marketplace.filledAmounts(orderHash)).to.equal(1);
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBalanceBefore + price - creatorRoyalty(price));
+      expect(await ethers.provider.getBalance(feeReceiver.address)).to.equal(feeReceiverBefore + fee);
+    });
+
+    it("Should keep the order and nonce valid between fills", async function () {
+      await buyPartial(1);
+      await expect(buyPartial(3))
+        .to.emit(marketplace, "OrderFilled")
+        .withArgs(orderHash, buyer.address, 3, 4);
+
+      expect(await marketplace.filledAmounts(orderHash)).to.equal(amount);
+      expect(await marketplace.nonces(nftAddress, tokenId, seller.address)).to.equal(0);
+    });
+
+    it("Should revert when buying more than remains", async function () {
+      await buyPartial(3);
+      await expect(buyPartial(2))
+        .to.be.revertedWithCustomError(marketplace, "ExceedsRemaining")
+        .withArgs(1, 2);
+    });
+
+    it("Should revert on zero quantity", async function () {
+      await expect(buyPartial(0, 0)).to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+    });
+
+    it("Should charge for the quantity bought, not the order size", async function () {
+      await expect(buyPartial(2, withFee(2) - 1n))
+        .to.be.revertedWithCustomError(marketplace, "InsufficientPayment")
+        .withArgs(withFee(2), withFee(2) - 1n);
+    });
+
+    it("Should refund excess payment", async function () {
+      const excess = ethers.parseEther("1");
+      await expect(buyPartial(1, withFee(1) + excess))
+        .to.changeEtherBalance(buyer, -withFee(1));
+    });
+
+    it("Should reject fill-or-kill signatures", async function () {
+      const approval = await createSignature(seller, nftAddress, tokenId, amount, price, 0, deadline);
+      await expect(buyPartial(1, withFee(1), approval)).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should cancel the remainder on delist", async function () {
+      await buyPartial(1);
+      await marketplace.connect(seller).delistToken(nftAddress, tokenId);
+      await expect(buyPartial(1)).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+  });
+
+  describe("buyNFTDutch", function () {
+    const tokenId = 1;
+    const amount = 2;
+    const startPrice = ethers.parseEther("1");
+    const endPrice = ethers.parseEther("0.2");
+    const withFee = (total) => total + (total * 25n) / 1000n;
+    let startTime, endTime, signature;
+
+    beforeEach(async function () {
+      startTime = (await time.latest()) + 100;
+      endTime = startTime + 1000;
+      signature = await createDutchSignature(seller, nftAddress, tokenId, amount, startPrice, endPrice, startTime, endTime, 0);
+    });
+
+    const buyDutch = (value, { sig = signature, end = endPrice } = {}) =>
+      marketplace.connect(buyer).buyNFTDutch(
+        nftAddress, tokenId, amount, startPrice, end, startTime, endTime, seller.address, sig,
+        { value }
+      );
+
+    it("Should charge the price at fill time", async function () {
+      const midPrice = ethers.parseEther("0.6");
+      const total = midPrice * BigInt(amount);
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+
+      await time.setNextBlockTimestamp(startTime + 500);
+      await expect(buyDutch(withFee(startPrice * BigInt(amount))))
+        .to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, tokenId, buyer.address, seller.address, amount, total);
+
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(amount);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBalanceBefore + total - creatorRoyalty(total));
+      expect(await marketplace.nonces(nftAddress, tokenId, seller.address)).to.equal(1);
+    });
+
+    it("Should refund what the price fell while the transaction was pending", async function () {
+      await time.setNextBlockTimestamp(startTime + 250);
+      const quoted = withFee(startPrice * BigInt(amount));
+      const charged = withFee(ethers.parseEther("0.8") * BigInt(amount));
+      await expect(buyDutch(quoted)).to.changeEtherBalance(buyer, -charged);
+    });
+
+    it("Should report the start, falling and end price", async function () {
+      expect(await marketplace.getDutchPrice(startPrice, endPrice, startTime, endTime)).to.equal(startPrice);
+      await time.increaseTo(startTime + 750);
+      expect(await marketplace.getDutchPrice(startPrice, endPrice, startTime, endTime)).to.equal(ethers.parseEther("0.4"));
+      await time.increaseTo(endTime + 10);
+      expect(await marketplace.getDutchPrice(startPrice, endPrice, startTime, endTime)).to.equal(endPrice);
+    });
+
+    it("Should revert before the start time", async function () {
+      await expect(buyDutch(withFee(startPrice * BigInt(amount))))
+        .to.be.revertedWithCustomError(marketplace, "AuctionNotStarted")
+        .withArgs(startTime);
+    });
+
+    it("Should revert after the end time", async function () {
+      await time.increaseTo(endTime + 1);
+      await expect(buyDutch(withFee(startPrice * BigInt(amount))))
+        .to.be.revertedWithCustomError(marketplace, "SignatureExpired");
+    });
+
+    it("Should revert when underpaid for the current price", async function () {
+      await time.setNextBlockTimestamp(startTime + 500);
+      const required = withFee(ethers.parseEther("0.6") * BigInt(amount));
+      await expect(buyDutch(required - 1n))
+        .to.be.revertedWithCustomError(marketplace, "InsufficientPayment")
+        .withArgs(required, required - 1n);
+    });
+
+    it("Should revert when the end price is above the start price", async function () {
+      await time.increaseTo(startTime);
+      await expect(buyDutch(withFee(startPrice * 4n), { end: startPrice + 1n }))
+        .to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+    });
+
+    it("Should revert when the end price was changed", async function () {
+      await time.increaseTo(startTime);
+      await expect(buyDutch(withFee(startPrice * BigInt(amount)), { end: 0n }))
+        .to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should not be replayable", async function () {
+      await time.increaseTo(startTime);
+      await buyDutch(withFee(startPrice * BigInt(amount)));
+      await expect(buyDutch(withFee(startPrice * BigInt(amount))))
+        .to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+  });
+
+  describe("buyNFTBulk", function () {
+    const withFee = (total) => total + (total * 25n) / 1000n;
+    let deadline, orders, signature, proofs;
+
+    beforeEach(async function () {
+      await nft.connect(seller).buyNFT("TestTier", [2], [3]);
+      deadline = (await time.latest()) + 3600;
+      orders = [
+        { nftContract: nftAddress, tokenId: 1, amount: 2, price: ethers.parseEther("0.5"), nonce: 0, deadline },
+        { nftContract: nftAddress, tokenId: 2, amount: 3, price: ethers.parseEther("1"), nonce: 0, deadline },
+        { nftContract: nftAddress, tokenId: 1, amount: 1, price: ethers.parseEther("0.7"), nonce: 0, deadline }
+      ];
+      ({ signature, proofs } = await createBulkSignature(seller, orders));
+    });
+
+    const buyBulk = (i, value, { order = orders[i], proof = proofs[i] } = {}) =>
+      marketplace.connect(buyer).buyNFTBulk(
+        order.nftContract, order.tokenId, order.amount, order.price, order.deadline, seller.address, proof, signature,
+        { value }
+      );
+
+    it("Should sell each order of the tree with its own proof", async function () {
+      const total = ethers.parseEther("3");
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+
+      await expect(buyBulk(1, withFee(total)))
+        .to.emit(marketplace, "NFTBought")
+        .withArgs(nftAddress, 2, buyer.address, seller.address, 3, total);
+      await buyBulk(0, withFee(ethers.parseEther("1")));
+
+      expect(await nft.balanceOf(buyer.address, 1)).to.equal(2);
+      expect(await nft.balanceOf(buyer.address, 2)).to.equal(3);
+      expect(await ethers.provider.getBalance(seller.address))
+        .to.equal(sellerBalanceBefore + total - creatorRoyalty(total) + ethers.parseEther("1") - creatorRoyalty(ethers.parseEther("1")));
+    });
+
+    it("Should cancel the other orders for a token once one sells", async function () {
+      await buyBulk(0, withFee(ethers.parseEther("1")));
+      await expect(buyBulk(2, withFee(ethers.parseEther("0.7")))).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should revert with another order's proof", async function () {
+      await expect(buyBulk(0, withFee(ethers.parseEther("1")), { proof: proofs[1] }))
+        .to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should revert with insufficient payment", async function () {
+      const total = ethers.parseEther("3");
+      await expect(buyBulk(1, total))
+        .to.be.revertedWithCustomError(marketplace, "InsufficientPayment")
+        .withArgs(withFee(total), total);
+    });
+  });
+
   // ============================================
   // buyMultipleNFTs TESTS
   // ============================================
@@ -778,6 +1114,297 @@ describe("MPHGameMarketplaceNative", function () {
     });
   });
 
+  describe("incrementCounter", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("1");
+    const withFee = (total) => total + (total * 25n) / 1000n;
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should bump the counter without holding any tokens", async function () {
+      await expect(marketplace.connect(buyer).incrementCounter())
+        .to.emit(marketplace, "CounterIncremented")
+        .withArgs(buyer.address, 1);
+
+      expect(await marketplace.counters(buyer.address)).to.equal(1);
+    });
+
+    it("Should invalidate fixed-price and partial-fill listings at once", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const partial = await createPartialSignature(seller, nftAddress, tokenId, 2, price, 0, deadline);
+
+      await marketplace.connect(seller).incrementCounter();
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price) })
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await expect(
+        marketplace.connect(buyer).buyNFTPartial(
+          nftAddress, tokenId, 2, price, deadline, seller.address, partial.signature, 1, { value: withFee(price) }
+        )
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+    });
+
+    it("Should accept listings signed with the new counter", async function () {
+      await marketplace.connect(seller).incrementCounter();
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline, 1);
+
+      await marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price) });
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+    });
+  });
+
+  describe("Reserved listings", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("1");
+    const withFee = (total) => total + (total * 25n) / 1000n;
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should only let the reserved buyer fill a listing", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline, 0, buyer.address);
+
+      await expect(
+        marketplace.connect(owner).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price) })
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+
+      await marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price) });
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+    });
+
+    it("Should reserve partial-fill listings and track fills under the reserved digest", async function () {
+      const { signature, orderHash } = await createPartialSignature(seller, nftAddress, tokenId, 3, price, 0, deadline, 0, buyer.address);
+
+      await expect(
+        marketplace.connect(owner).buyNFTPartial(
+          nftAddress, tokenId, 3, price, deadline, seller.address, signature, 1, { value: withFee(price) }
+        )
+      ).to.be.revertedWithCustomError(marketplace, "NotOwner");
+
+      await expect(
+        marketplace.connect(buyer).buyNFTPartial(
+          nftAddress, tokenId, 3, price, deadline, seller.address, signature, 2, { value: withFee(price * 2n) }
+        )
+      ).to.emit(marketplace, "OrderFilled").withArgs(orderHash, buyer.address, 2, 2);
+    });
+  });
+
+  // ============================================
+  // CREATOR ROYALTY TESTS
+  // ============================================
+
+  describe("Creator royalties", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("1");
+    const withFee = (total) => total + (total * 25n) / 1000n;
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should pay the ERC-2981 receiver out of the seller's proceeds", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 2, price, 0, deadline);
+      const totalPrice = price * 2n;
+      const royalty = creatorRoyalty(totalPrice);
+      const sellerBefore = await ethers.provider.getBalance(seller.address);
+      const receiverBefore = await ethers.provider.getBalance(admin.address);
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 2, price, deadline, seller.address, signature, { value: withFee(totalPrice) })
+      ).to.emit(marketplace, "RoyaltyPaid").withArgs(nftAddress, tokenId, admin.address, royalty);
+
+      expect(await ethers.provider.getBalance(admin.address)).to.equal(receiverBefore + royalty);
+      expect(await ethers.provider.getBalance(seller.address))
+        .to.equal(sellerBefore + totalPrice - royalty);
+    });
+
+    it("Should pay the royalty of every order in buyMultipleNFTs", async function () {
+      await nft.connect(seller).buyNFT("TestTier", [2], [5]);
+      const sig1 = await createSignature(seller, nftAddress, 1, 1, price, 0, deadline);
+      const sig2 = await createSignature(seller, nftAddress, 2, 3, price, 0, deadline);
+      const receiverBefore = await ethers.provider.getBalance(admin.address);
+
+      await expect(marketplace.connect(buyer).buyMultipleNFTs(
+        [nftAddress, nftAddress], [1, 2], [1, 3], [price, price], [deadline, deadline], [seller.address, seller.address], [sig1, sig2],
+        { value: withFee(price * 4n) }
+      ))
+        .to.emit(marketplace, "RoyaltyPaid").withArgs(nftAddress, 1, admin.address, creatorRoyalty(price))
+        .and.to.emit(marketplace, "RoyaltyPaid").withArgs(nftAddress, 2, admin.address, creatorRoyalty(price * 3n));
+
+      expect(await ethers.provider.getBalance(admin.address)).to.equal(receiverBefore + creatorRoyalty(price * 4n));
+    });
+
+    it("Should cut royalties down to maxRoyaltyPerMille", async function () {
+      await nft.connect(admin).setRoyalty(5000);
+      await marketplace.connect(admin).setMaxRoyaltyPerMille(100);
+
+      const [receiver, royalty] = await marketplace.getCreatorRoyalty(nftAddress, tokenId, price);
+      expect(receiver).to.equal(admin.address);
+      expect(royalty).to.equal(price / 10n);
+    });
+
+    it("Should cap the royalty at the seller's proceeds when sellers pay the fee", async function () {
+      await marketplace.connect(admin).setFeeMode(1);
+      await marketplace.connect(admin).setFeePerMille(950);
+      await nft.connect(admin).setRoyalty(1000);
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const proceeds = price - (price * 950n) / 1000n;
+      const sellerBefore = await ethers.provider.getBalance(seller.address);
+
+      const [, royalty] = await marketplace.getCreatorRoyalty(nftAddress, tokenId, price);
+      expect(royalty).to.equal(proceeds);
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: price })
+      ).to.emit(marketplace, "RoyaltyPaid").withArgs(nftAddress, tokenId, admin.address, proceeds);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBefore);
+    });
+
+    it("Should credit a royalty the receiver rejects instead of reverting the purchase", async function () {
+      const ETHRejectingBidder = await ethers.getContractFactory("ETHRejectingBidder");
+      const rejecter = await ETHRejectingBidder.deploy();
+      await rejecter.waitForDeployment();
+      const rejecterAddress = await rejecter.getAddress();
+      await nft.connect(admin).setRoyaltyReceiver(rejecterAddress);
+
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const royalty = creatorRoyalty(price);
+      const sellerBefore = await ethers.provider.getBalance(seller.address);
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price) })
+      )
+        .to.emit(marketplace, "RoyaltyDeferred").withArgs(nftAddress, tokenId, rejecterAddress, royalty)
+        .and.to.not.emit(marketplace, "RoyaltyPaid");
+
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBefore + price - royalty);
+      expect(await marketplace.pendingRoyalties(rejecterAddress)).to.equal(royalty);
+      expect(await marketplace.totalPendingRoyalties()).to.equal(royalty);
+
+      // Deferred royalties are not the admin's to rescue
+      await expect(marketplace.connect(admin).rescueETH(admin.address, royalty))
+        .to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
+
+      // Once the receiver accepts ETH again it can withdraw
+      await ethers.provider.send("hardhat_setCode", [rejecterAddress, "0x"]);
+      await ethers.provider.send("hardhat_setBalance", [rejecterAddress, "0xde0b6b3a7640000"]);
+      const receiver = await ethers.getImpersonatedSigner(rejecterAddress);
+      await expect(marketplace.connect(receiver).withdrawRoyalties())
+        .to.changeEtherBalances([receiver, marketplace], [royalty, -royalty]);
+      expect(await marketplace.totalPendingRoyalties()).to.equal(0);
+      await expect(marketplace.connect(receiver).withdrawRoyalties())
+        .to.be.revertedWithCustomError(marketplace, "NothingToWithdraw");
+    });
+
+    it("Should credit a royalty the receiver burns gas on without charging the buyer for it", async function () {
+      const GasBurningReceiver = await ethers.getContractFactory("GasBurningReceiver");
+      const burner = await GasBurningReceiver.deploy();
+      await burner.waitForDeployment();
+      const burnerAddress = await burner.getAddress();
+      await nft.connect(admin).setRoyaltyReceiver(burnerAddress);
+
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const royalty = creatorRoyalty(price);
+
+      const tx = await marketplace.connect(buyer).buyNFT(
+        nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price), gasLimit: 5_000_000 }
+      );
+      await expect(tx).to.emit(marketplace, "RoyaltyDeferred").withArgs(nftAddress, tokenId, burnerAddress, royalty);
+
+      // Only the stipend goes to the receiver, not 63/64 of the buyer's gas limit
+      expect((await tx.wait()).gasUsed).to.be.lessThan(400_000n);
+      expect(await marketplace.pendingRoyalties(burnerAddress)).to.equal(royalty);
+      expect(await nft.balanceOf(buyer.address, tokenId)).to.equal(1);
+    });
+
+    it("Should pay nothing when the cap is zero", async function () {
+      await marketplace.connect(admin).setMaxRoyaltyPerMille(0);
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: withFee(price) })
+      ).to.not.emit(marketplace, "RoyaltyPaid");
+    });
+
+    it("Should pay nothing for collections without ERC-2981", async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const plain = await MockERC1155.deploy();
+      await plain.waitForDeployment();
+
+      const [receiver, royalty] = await marketplace.getCreatorRoyalty(await plain.getAddress(), tokenId, price);
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(royalty).to.equal(0);
+    });
+  });
+
+  // ============================================
+  // FEE MODE TESTS
+  // ============================================
+
+  describe("Fee modes", function () {
+    const tokenId = 1;
+    const price = ethers.parseEther("1");
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+      await marketplace.connect(admin).setFeeMode(1);
+    });
+
+    it("Should charge the buyer the price and take the fee from the seller", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 2, price, 0, deadline);
+      const totalPrice = price * 2n;
+      const fee = (totalPrice * 25n) / 1000n;
+      const sellerBefore = await ethers.provider.getBalance(seller.address);
+      const feeReceiverBefore = await ethers.provider.getBalance(feeReceiver.address);
+
+      await marketplace.connect(buyer).buyNFT(nftAddress, tokenId, 2, price, deadline, seller.address, signature, { value: totalPrice });
+
+      expect(await ethers.provider.getBalance(seller.address))
+        .to.equal(sellerBefore + totalPrice - fee - creatorRoyalty(totalPrice));
+      expect(await ethers.provider.getBalance(feeReceiver.address)).to.equal(feeReceiverBefore + fee);
+    });
+
+    it("Should refund anything sent above the price", async function () {
+      const signature = await createSignature(seller, nftAddress, tokenId, 1, price, 0, deadline);
+      const buyerBefore = await ethers.provider.getBalance(buyer.address);
+
+      const tx = await marketplace.connect(buyer).buyNFT(
+        nftAddress, tokenId, 1, price, deadline, seller.address, signature, { value: price + ethers.parseEther("0.5") }
+      );
+      const receipt = await tx.wait();
+
+      expect(buyerBefore - await ethers.provider.getBalance(buyer.address) - receipt.gasUsed * receipt.gasPrice).to.equal(price);
+    });
+
+    it("Should require only the prices in buyMultipleNFTs", async function () {
+      await nft.connect(seller).buyNFT("TestTier", [2], [5]);
+      const sig1 = await createSignature(seller, nftAddress, 1, 1, price, 0, deadline);
+      const sig2 = await createSignature(seller, nftAddress, 2, 3, price, 0, deadline);
+      const fee = (price * 4n * 25n) / 1000n;
+      const feeReceiverBefore = await ethers.provider.getBalance(feeReceiver.address);
+
+      await expect(marketplace.connect(buyer).buyMultipleNFTs(
+        [nftAddress, nftAddress], [1, 2], [1, 3], [price, price], [deadline, deadline], [seller.address, seller.address], [sig1, sig2],
+        { value: price * 4n - 1n }
+      )).to.be.revertedWithCustomError(marketplace, "InsufficientPayment").withArgs(price * 4n, price * 4n - 1n);
+
+      await marketplace.connect(buyer).buyMultipleNFTs(
+        [nftAddress, nftAddress], [1, 2], [1, 3], [price, price], [deadline, deadline], [seller.address, seller.address], [sig1, sig2],
+        { value: price * 4n }
+      );
+      expect(await ethers.provider.getBalance(feeReceiver.address)).to.equal(feeReceiverBefore + fee);
+    });
+  });
+
   // ============================================
   // ADMIN FUNCTIONS TESTS
   // ============================================
@@ -805,6 +1432,48 @@ describe("MPHGameMarketplaceNative", function () {
       });
     });
 
+    describe("setFeeMode", function () {
+      it("Should allow admin to switch who pays the fee", async function () {
+        await expect(marketplace.connect(admin).setFeeMode(1))
+          .to.emit(marketplace, "FeeModeChanged")
+          .withArgs(1);
+
+        expect(await marketplace.feeMode()).to.equal(1);
+      });
+
+      it("Should revert for an unknown mode", async function () {
+        await expect(marketplace.connect(admin).setFeeMode(2)).to.be.reverted;
+      });
+
+      it("Should revert if not admin", async function () {
+        await expect(
+          marketplace.connect(buyer).setFeeMode(1)
+        ).to.be.reverted;
+      });
+    });
+
+    describe("setMaxRoyaltyPerMille", function () {
+      it("Should allow admin to set the royalty cap", async function () {
+        await expect(marketplace.connect(admin).setMaxRoyaltyPerMille(50))
+          .to.emit(marketplace, "MaxRoyaltyChanged")
+          .withArgs(50);
+
+        expect(await marketplace.maxRoyaltyPerMille()).to.equal(50);
+      });
+
+      it("Should revert if cap > 1000", async function () {
+        await expect(
+          marketplace.connect(admin).setMaxRoyaltyPerMille(1001)
+        ).to.be.revertedWithCustomError(marketplace, "IncorrectInput");
+      });
+
+      it("Should revert if not admin", async function () {
+        await expect(
+          marketplace.connect(buyer).setMaxRoyaltyPerMille(50)
+        ).to.be.reverted;
+      });
+    });
+
     describe("setFeeReceiver", function () {
       it("Should allow admin to change fee receiver", async function () {
         await expect(marketplace.connect(admin).setFeeReceiver(buyer.address))
@@ -1013,6 +1682,29 @@ describe("MPHGameMarketplaceNative", function () {
     });
   });
 
+  // ============================================
+  // quote TESTS
+  // ============================================
+
+  describe("quote", function () {
+    const price = ethers.parseEther("1");
+
+    it("Should add the fee on top when buyers pay it", async function () {
+      const [buyerTotal, sellerProceeds, fee] = await marketplace.quote(price, 4);
+      expect(fee).to.equal(ethers.parseEther("0.1"));
+      expect(buyerTotal).to.equal(ethers.parseEther("4.1"));
+      expect(sellerProceeds).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should deduct the fee from the seller when sellers pay it", async function () {
+      await marketplace.connect(admin).setFeeMode(1);
+      const [buyerTotal, sellerProceeds, fee] = await marketplace.quote(price, 4);
+      expect(fee).to.equal(ethers.parseEther("0.1"));
+      expect(buyerTotal).to.equal(ethers.parseEther("4"));
+      expect(sellerProceeds).to.equal(ethers.parseEther("3.9"));
+    });
+  });
+
   // ============================================
   // EDGE CASES
   // ============================================